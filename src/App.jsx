@@ -6,11 +6,19 @@ import { AuthProvider, useAuth } from './contexts/AuthContext'
 import ProtectedRoute from './components/ProtectedRoute'
 import LoadingScreen from './components/LoadingScreen'
 import { useRenderTracker, useBundleMetrics } from './hooks/usePerformance'
+import { useRouteCancellation } from './hooks/useCancellation'
+import { FEATURES, SSO_CONFIG, PERMISSIONS } from './utils/constants'
+import { isMockBackendEnabled } from './services/mock/config'
 
 // Lazy load components for better performance
 const AppLayout = lazy(() => import('./components/Layout/AppLayout'))
 const Login = lazy(() => import('./pages/Login'))
 const Signup = lazy(() => import('./pages/Signup'))
+const ForgotPassword = lazy(() => import('./pages/ForgotPassword'))
+const ResetPassword = lazy(() => import('./pages/ResetPassword'))
+const VerifyEmail = lazy(() => import('./pages/VerifyEmail'))
+const SsoCallback = lazy(() => import('./pages/SsoCallback'))
+const MockIdentityProvider = lazy(() => import('./pages/MockIdentityProvider'))
 const Dashboard = lazy(() => import('./pages/Dashboard'))
 const News = lazy(() => import('./pages/News'))
 const NewsCreate = lazy(() => import('./pages/NewsCreate'))
@@ -57,6 +65,9 @@ function App() {
 const AppContent = () => {
   const { loading: authLoading } = useAuth()
 
+  // Requests made for a page are aborted when the user navigates away from it
+  useRouteCancellation()
+
   // Show loading screen while authentication is being initialized
   if (authLoading) {
     return <LoadingScreen message="Initializing..." />
@@ -117,13 +128,38 @@ const AppContent = () => {
               } 
             />
             <Route 
-              path="/signup" 
+              path="/forgot-password" 
+              element={
+                <PublicRoute>
+                  <ForgotPassword />
+                </PublicRoute>
+              } 
+            />
+            <Route 
+              path="/reset-password/:token" 
               element={
                 <PublicRoute>
-                  <Signup />
+                  <ResetPassword />
                 </PublicRoute>
               } 
             />
+            {/* Opened from the email, whether signed in or not */}
+            <Route path="/verify-email/:token" element={<VerifyEmail />} />
+            {/* Back from the identity provider, to sign in or to link an account */}
+            <Route path={SSO_CONFIG.callbackPath} element={<SsoCallback />} />
+            {isMockBackendEnabled() && (
+              <Route path="/mock-idp/authorize" element={<MockIdentityProvider />} />
+            )}
+            {FEATURES.registration && (
+              <Route 
+                path="/signup" 
+                element={
+                  <PublicRoute>
+                    <Signup />
+                  </PublicRoute>
+                } 
+              />
+            )}
             
             {/* Protected routes with layout */}
             <Route 
@@ -136,26 +172,75 @@ const AppContent = () => {
             >
               {/* Dashboard - Default route */}
               <Route index element={<Navigate to="/dashboard" replace />} />
-              <Route path="dashboard" element={<Dashboard />} />
+              <Route 
+                path="dashboard" 
+                element={
+                  <ProtectedRoute requiredPermissions={[PERMISSIONS.VIEW_DASHBOARD]}>
+                    <Dashboard />
+                  </ProtectedRoute>
+                } 
+              />
               
               {/* News routes */}
-              <Route path="news" element={<News />} />
-              <Route path="news/create" element={<NewsCreate />} />
-              <Route path="news/:id/edit" element={<NewsEdit />} />
-              <Route path="news/:id/view" element={<NewsView />} />
-              <Route path="news/:id" element={<NewsDetail />} />
+              <Route 
+                path="news" 
+                element={
+                  <ProtectedRoute requiredPermissions={[PERMISSIONS.VIEW_NEWS]}>
+                    <News />
+                  </ProtectedRoute>
+                } 
+              />
+              <Route 
+                path="news/create" 
+                element={
+                  <ProtectedRoute requiredPermissions={[PERMISSIONS.CREATE_NEWS]} requireVerifiedEmail>
+                    <NewsCreate />
+                  </ProtectedRoute>
+                } 
+              />
+              <Route 
+                path="news/:id/edit" 
+                element={
+                  <ProtectedRoute requiredPermissions={[PERMISSIONS.EDIT_NEWS]} requireVerifiedEmail>
+                    <NewsEdit />
+                  </ProtectedRoute>
+                } 
+              />
+              <Route 
+                path="news/:id/view" 
+                element={
+                  <ProtectedRoute requiredPermissions={[PERMISSIONS.VIEW_NEWS]}>
+                    <NewsView />
+                  </ProtectedRoute>
+                } 
+              />
+              <Route 
+                path="news/:id" 
+                element={
+                  <ProtectedRoute requiredPermissions={[PERMISSIONS.VIEW_NEWS]}>
+                    <NewsDetail />
+                  </ProtectedRoute>
+                } 
+              />
               
               {/* Documents route */}
-              <Route path="documents" element={<Documents />} />
+              <Route 
+                path="documents" 
+                element={
+                  <ProtectedRoute requiredPermissions={[PERMISSIONS.DOWNLOAD_DOCUMENTS]}>
+                    <Documents />
+                  </ProtectedRoute>
+                } 
+              />
               
               {/* Resources route */}
               <Route path="resources" element={<Resources />} />
               
-              {/* Admin routes - Admin only */}
+              {/* Admin routes */}
               <Route 
                 path="admin" 
                 element={
-                  <ProtectedRoute requiredRoles={['admin']}>
+                  <ProtectedRoute requiredPermissions={[PERMISSIONS.MANAGE_SYSTEM]}>
                     <Admin />
                   </ProtectedRoute>
                 } 
@@ -163,7 +248,7 @@ const AppContent = () => {
               <Route 
                 path="admin/users" 
                 element={
-                  <ProtectedRoute requiredRoles={['admin']}>
+                  <ProtectedRoute requiredPermissions={[PERMISSIONS.MANAGE_USERS]}>
                     <UserManagement />
                   </ProtectedRoute>
                 } 
@@ -171,7 +256,7 @@ const AppContent = () => {
               <Route 
                 path="admin/analytics" 
                 element={
-                  <ProtectedRoute requiredRoles={['admin']}>
+                  <ProtectedRoute requiredPermissions={[PERMISSIONS.VIEW_ANALYTICS]}>
                     <Analytics />
                   </ProtectedRoute>
                 } 
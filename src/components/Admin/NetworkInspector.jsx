@@ -0,0 +1,167 @@
+import React, { useMemo, useState } from 'react'
+import {
+  Box,
+  Button,
+  Chip,
+  FormControlLabel,
+  IconButton,
+  Paper,
+  Switch,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TextField,
+  Tooltip,
+  Typography
+} from '@mui/material'
+import {
+  ContentCopy as CopyIcon,
+  DeleteSweep as ClearIcon,
+  Assignment as DiagnosticsIcon
+} from '@mui/icons-material'
+import toast from 'react-hot-toast'
+import { useNetworkLog } from '../../hooks/useNetworkLog'
+import { copyToClipboard } from '../../utils/helpers'
+import { NETWORK_LOG_CONFIG } from '../../utils/constants'
+
+const getStatusChip = (entry) => {
+  if (entry.cancelled) {
+    return <Chip label="Cancelled" size="small" variant="outlined" />
+  }
+  if (!entry.status) {
+    return <Chip label="No response" size="small" color="error" />
+  }
+
+  return <Chip label={entry.status} size="small" color={entry.status >= 400 ? 'error' : 'success'} />
+}
+
+// Admin view of the most recent API requests, for matching user reports
+// against server logs by request ID
+const NetworkInspector = () => {
+  const { entries, failed, clear, getDiagnostics } = useNetworkLog()
+  const [search, setSearch] = useState('')
+  const [failuresOnly, setFailuresOnly] = useState(false)
+
+  const visibleEntries = useMemo(() => {
+    const term = search.trim().toLowerCase()
+
+    return (failuresOnly ? failed : entries).filter(entry => (
+      !term ||
+      entry.url.toLowerCase().includes(term) ||
+      (entry.requestId || '').toLowerCase().includes(term)
+    ))
+  }, [entries, failed, failuresOnly, search])
+
+  const handleCopy = async (text, message) => {
+    await copyToClipboard(text)
+    toast.success(message)
+  }
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 2, flexWrap: 'wrap' }}>
+        <Box sx={{ flexGrow: 1 }}>
+          <Typography variant="h6">Network inspector</Typography>
+          <Typography variant="body2" color="text.secondary">
+            The last {NETWORK_LOG_CONFIG.maxEntries} requests made by this browser tab. Search by
+            request ID to find the entry a user reported.
+          </Typography>
+        </Box>
+        <Button
+          variant="outlined"
+          startIcon={<DiagnosticsIcon />}
+          onClick={() => handleCopy(getDiagnostics(), 'Diagnostics copied')}
+        >
+          Copy diagnostics
+        </Button>
+        <Button
+          color="inherit"
+          startIcon={<ClearIcon />}
+          onClick={clear}
+          disabled={entries.length === 0}
+        >
+          Clear
+        </Button>
+      </Box>
+
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 2 }}>
+        <TextField
+          size="small"
+          label="Filter by URL or request ID"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          sx={{ minWidth: 320 }}
+        />
+        <FormControlLabel
+          control={<Switch checked={failuresOnly} onChange={(e) => setFailuresOnly(e.target.checked)} />}
+          label={`Failures only (${failed.length})`}
+        />
+      </Box>
+
+      <TableContainer component={Paper} variant="outlined">
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Time</TableCell>
+              <TableCell>Request</TableCell>
+              <TableCell>Status</TableCell>
+              <TableCell align="right">Duration</TableCell>
+              <TableCell>Request ID</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {visibleEntries.length === 0 && (
+              <TableRow>
+                <TableCell colSpan={5} align="center" sx={{ py: 4, color: 'text.secondary' }}>
+                  No requests recorded yet
+                </TableCell>
+              </TableRow>
+            )}
+            {visibleEntries.map((entry) => (
+              <TableRow key={`${entry.requestId}-${entry.timestamp}`} hover>
+                <TableCell sx={{ whiteSpace: 'nowrap' }}>
+                  {new Date(entry.timestamp).toLocaleTimeString()}
+                </TableCell>
+                <TableCell sx={{ maxWidth: 360 }}>
+                  <Typography variant="body2" noWrap title={entry.url}>
+                    <strong>{entry.method}</strong> {entry.url}
+                  </Typography>
+                  {entry.error && (
+                    <Typography variant="caption" color="error.main" noWrap component="div">
+                      {entry.error}
+                    </Typography>
+                  )}
+                </TableCell>
+                <TableCell>{getStatusChip(entry)}</TableCell>
+                <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                  {entry.responseTime !== null ? `${entry.responseTime} ms` : '-'}
+                </TableCell>
+                <TableCell sx={{ whiteSpace: 'nowrap' }}>
+                  <Typography variant="caption" sx={{ fontFamily: 'monospace' }}>
+                    {entry.requestId}
+                  </Typography>
+                  <Tooltip title="Copy diagnostics for this request">
+                    <IconButton
+                      size="small"
+                      onClick={() => handleCopy(
+                        getDiagnostics({ requestId: entry.requestId }),
+                        'Diagnostics copied'
+                      )}
+                    >
+                      <CopyIcon fontSize="inherit" />
+                    </IconButton>
+                  </Tooltip>
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+    </Box>
+  )
+}
+
+export default NetworkInspector
@@ -0,0 +1,154 @@
+import React, { useEffect, useState } from 'react'
+import {
+  Box,
+  Button,
+  Checkbox,
+  FormControlLabel,
+  FormGroup,
+  Paper,
+  Skeleton,
+  TextField,
+  Typography
+} from '@mui/material'
+import { Save as SaveIcon } from '@mui/icons-material'
+import toast from 'react-hot-toast'
+import { useApi } from '../../hooks/useApi'
+import { useServiceStatus } from '../../hooks/useServiceStatus'
+import adminService from '../../services/adminService'
+import { showErrorToast } from '../../utils/errorToast'
+import { USER_ROLES } from '../../utils/constants'
+
+const ROLE_LABELS = {
+  [USER_ROLES.ADMIN]: 'Administrators',
+  [USER_ROLES.EDITOR]: 'Editors',
+  [USER_ROLES.USER]: 'Users',
+}
+
+// Which roles must use two-factor authentication. Members of those roles who
+// have not enrolled are sent to Settings until they do, and cannot turn it off.
+// Also sets how long an inactive session lasts before it is signed out
+const SecurityPolicy = () => {
+  const { data: settings, loading, refetch } = useApi(adminService.getSystemSettings, [], {
+    cacheKey: 'admin-settings'
+  })
+  const [requiredRoles, setRequiredRoles] = useState([])
+  const [idleTimeout, setIdleTimeout] = useState('')
+  const [saving, setSaving] = useState(false)
+  const { degraded } = useServiceStatus()
+
+  const savedRoles = settings?.data?.two_factor_required_roles
+  const savedIdleTimeout = settings?.data?.session_idle_timeout
+
+  useEffect(() => {
+    if (savedRoles) setRequiredRoles(savedRoles)
+  }, [savedRoles])
+
+  useEffect(() => {
+    if (savedIdleTimeout !== undefined) setIdleTimeout(String(savedIdleTimeout))
+  }, [savedIdleTimeout])
+
+  const toggleRole = (role) => {
+    setRequiredRoles(current => (
+      current.includes(role) ? current.filter(item => item !== role) : [...current, role]
+    ))
+  }
+
+  const idleMinutes = Number(idleTimeout)
+  const idleTimeoutError = idleTimeout === '' || !Number.isInteger(idleMinutes) || idleMinutes < 0 || idleMinutes > 1440
+
+  const isDirty = !!savedRoles && (
+    savedRoles.length !== requiredRoles.length ||
+    savedRoles.some(role => !requiredRoles.includes(role)) ||
+    idleMinutes !== savedIdleTimeout
+  )
+
+  const handleSave = async () => {
+    try {
+      setSaving(true)
+      const response = await adminService.updateSystemSettings({
+        two_factor_required_roles: requiredRoles,
+        session_idle_timeout: idleMinutes
+      })
+      toast.success(response.message)
+      refetch()
+    } catch (error) {
+      showErrorToast('Failed to update security policy', error)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <Box>
+      <Typography variant="h6" gutterBottom>
+        Security & Access Control
+      </Typography>
+
+      <Paper sx={{ p: 3 }}>
+        <Typography variant="subtitle1" sx={{ fontWeight: 600 }}>
+          Require two-factor authentication
+        </Typography>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Members of the selected roles must set up an authenticator app before they can use
+          the portal, and cannot switch two-factor authentication off.
+        </Typography>
+
+        {loading ? (
+          <Skeleton variant="rectangular" height={96} sx={{ mb: 2 }} />
+        ) : (
+          <FormGroup sx={{ mb: 2 }}>
+            {Object.values(USER_ROLES).map(role => (
+              <FormControlLabel
+                key={role}
+                control={
+                  <Checkbox
+                    checked={requiredRoles.includes(role)}
+                    onChange={() => toggleRole(role)}
+                  />
+                }
+                label={ROLE_LABELS[role]}
+              />
+            ))}
+          </FormGroup>
+        )}
+
+        <Typography variant="subtitle1" sx={{ fontWeight: 600 }}>
+          Sign out inactive sessions
+        </Typography>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Users are warned a minute beforehand and can stay signed in. The change applies from
+          their next sign-in or session refresh.
+        </Typography>
+
+        {loading ? (
+          <Skeleton variant="rectangular" height={56} sx={{ mb: 3, maxWidth: 320 }} />
+        ) : (
+          <TextField
+            type="number"
+            label="Minutes of inactivity"
+            value={idleTimeout}
+            onChange={(e) => setIdleTimeout(e.target.value)}
+            error={idleTimeoutError}
+            helperText={idleTimeoutError ? 'Enter a whole number from 0 to 1440' : '0 keeps sessions open until they expire'}
+            inputProps={{ min: 0, max: 1440, step: 1 }}
+            sx={{ mb: 3, maxWidth: 320 }}
+            fullWidth
+          />
+        )}
+
+        <Box>
+          <Button
+            variant="contained"
+            startIcon={<SaveIcon />}
+            onClick={handleSave}
+            disabled={loading || saving || degraded || !isDirty || idleTimeoutError}
+          >
+            {saving ? 'Saving...' : 'Save Policy'}
+          </Button>
+        </Box>
+      </Paper>
+    </Box>
+  )
+}
+
+export default SecurityPolicy
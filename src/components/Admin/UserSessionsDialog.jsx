@@ -0,0 +1,95 @@
+import React, { useState } from 'react'
+import {
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Typography
+} from '@mui/material'
+import { Logout as LogoutIcon } from '@mui/icons-material'
+import toast from 'react-hot-toast'
+import { useApi } from '../../hooks/useApi'
+import { useServiceStatus } from '../../hooks/useServiceStatus'
+import adminService from '../../services/adminService'
+import SessionList from '../Auth/SessionList'
+import { showErrorToast } from '../../utils/errorToast'
+
+// Inspect and end the sessions of any user, e.g. after a reported compromise
+const UserSessionsDialog = ({ user, open, onClose }) => {
+  const { data, loading, refetch } = useApi(
+    () => adminService.getUserSessions(user.id),
+    [user.id],
+    { cacheKey: 'admin-user-sessions' }
+  )
+  const { degraded } = useServiceStatus()
+  const [revokingId, setRevokingId] = useState(null)
+  const [revokingAll, setRevokingAll] = useState(false)
+
+  const sessions = data?.data || []
+
+  const handleRevoke = async (session) => {
+    try {
+      setRevokingId(session.id)
+      const response = await adminService.revokeUserSession(user.id, session.id)
+      toast.success(response.message)
+      await refetch()
+    } catch (error) {
+      showErrorToast('Failed to end session', error)
+    } finally {
+      setRevokingId(null)
+    }
+  }
+
+  const handleRevokeAll = async () => {
+    if (!window.confirm(`Sign ${user.name} out of every device?`)) {
+      return
+    }
+
+    try {
+      setRevokingAll(true)
+      const response = await adminService.revokeAllUserSessions(user.id)
+      toast.success(response.message)
+      await refetch()
+    } catch (error) {
+      showErrorToast('Failed to end sessions', error)
+    } finally {
+      setRevokingAll(false)
+    }
+  }
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>Sessions of {user.name}</DialogTitle>
+      <DialogContent>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          A signed-out device loses access on its next request. To keep someone out for good,
+          also suspend the account or have them change their password.
+        </Typography>
+        <SessionList
+          sessions={sessions}
+          loading={loading}
+          onRevoke={handleRevoke}
+          revokingId={revokingId}
+          disabled={degraded}
+          emptyText="This user is not signed in anywhere."
+        />
+      </DialogContent>
+      <DialogActions>
+        <Button
+          color="error"
+          startIcon={<LogoutIcon />}
+          onClick={handleRevokeAll}
+          disabled={revokingAll || degraded || sessions.every(session => session.is_current)}
+        >
+          {revokingAll ? 'Signing out...' : 'Sign out everywhere'}
+        </Button>
+        <Button variant="contained" onClick={onClose}>
+          Close
+        </Button>
+      </DialogActions>
+    </Dialog>
+  )
+}
+
+export default UserSessionsDialog
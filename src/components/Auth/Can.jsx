@@ -0,0 +1,11 @@
+import { usePermission } from '../../hooks/usePermission'
+
+// Render children only when the signed-in user has the permission
+// <Can permission={PERMISSIONS.CREATE_NEWS}>...</Can>; an array of permissions
+// means any of them, or every one with all. fallback is shown otherwise
+const Can = ({ permission, all = false, fallback = null, children }) => {
+  const allowed = usePermission(permission, { all })
+  return allowed ? children : fallback
+}
+
+export default Can
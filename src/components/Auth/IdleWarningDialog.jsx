@@ -0,0 +1,52 @@
+import React from 'react'
+import {
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogContentText,
+  DialogTitle,
+  LinearProgress,
+  Typography
+} from '@mui/material'
+import { useAuth } from '../../contexts/AuthContext'
+
+const formatCountdown = (ms) => {
+  const seconds = Math.ceil(ms / 1000)
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`
+}
+
+// Countdown shown before an inactive session is signed out
+// Staying signed in here also dismisses the warning in every other tab
+const IdleWarningDialog = () => {
+  const { idleWarning, idleWarningDuration, extendSession, logout } = useAuth()
+  const open = idleWarning !== null
+
+  return (
+    <Dialog open={open} maxWidth="xs" fullWidth disableEscapeKeyDown>
+      <DialogTitle>Are you still there?</DialogTitle>
+      <DialogContent>
+        <DialogContentText sx={{ mb: 2 }}>
+          You have been inactive for a while. For your security you will be signed out in
+        </DialogContentText>
+        <Typography variant="h4" align="center" sx={{ fontVariantNumeric: 'tabular-nums', mb: 2 }}>
+          {open ? formatCountdown(idleWarning) : ''}
+        </Typography>
+        <LinearProgress
+          variant="determinate"
+          value={open ? Math.min(100, (idleWarning / idleWarningDuration) * 100) : 0}
+        />
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={() => logout()}>
+          Sign out now
+        </Button>
+        <Button variant="contained" onClick={extendSession} autoFocus>
+          Stay signed in
+        </Button>
+      </DialogActions>
+    </Dialog>
+  )
+}
+
+export default IdleWarningDialog
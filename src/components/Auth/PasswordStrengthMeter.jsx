@@ -0,0 +1,36 @@
+import React from 'react'
+import { Box, LinearProgress, Typography } from '@mui/material'
+import { getPasswordStrength } from '../../utils/helpers'
+
+const LEVELS = [
+  { label: 'Too weak', color: 'error' },
+  { label: 'Weak', color: 'error' },
+  { label: 'Fair', color: 'warning' },
+  { label: 'Good', color: 'info' },
+  { label: 'Strong', color: 'success' },
+]
+
+// Bar under a new-password field; hidden until something is typed
+const PasswordStrengthMeter = ({ password }) => {
+  if (!password) return null
+
+  const score = getPasswordStrength(password)
+  const level = LEVELS[score]
+
+  return (
+    <Box sx={{ mt: -1, mb: 2 }} aria-live="polite">
+      <LinearProgress
+        variant="determinate"
+        value={Math.max(score, 1) * 25}
+        color={level.color}
+        sx={{ height: 6, borderRadius: 3 }}
+      />
+      <Typography variant="caption" color={`${level.color}.main`}>
+        Password strength: {level.label}
+        {score < 3 && ' - use 12 or more characters with upper and lower case, numbers and symbols'}
+      </Typography>
+    </Box>
+  )
+}
+
+export default PasswordStrengthMeter
@@ -0,0 +1,55 @@
+import React, { useEffect, useState } from 'react'
+import { Button } from '@mui/material'
+import toast from 'react-hot-toast'
+import authService from '../../services/authService'
+import { RateLimitError } from '../../utils/errors'
+import { storage } from '../../utils/helpers'
+import { EMAIL_VERIFICATION_CONFIG, STORAGE_KEYS } from '../../utils/constants'
+import { showErrorToast } from '../../utils/errorToast'
+
+// Send the verification email again, then count down before it can be resent
+// The cooldown lives in localStorage so every copy of the button, in any tab,
+// waits together, and reloading the page does not skip it
+const ResendVerificationButton = ({ children = 'Resend email', ...buttonProps }) => {
+  const [sending, setSending] = useState(false)
+  const [now, setNow] = useState(Date.now())
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000)
+    return () => clearInterval(timer)
+  }, [])
+
+  const cooldown = Math.max(0, Math.ceil(((storage.get(STORAGE_KEYS.VERIFICATION_RESEND_AT) || 0) - now) / 1000))
+
+  const startCooldown = (ms) => {
+    storage.set(STORAGE_KEYS.VERIFICATION_RESEND_AT, Date.now() + ms)
+    setNow(Date.now())
+  }
+
+  const handleResend = async () => {
+    try {
+      setSending(true)
+      const response = await authService.resendEmailVerification()
+      toast.success(response.message)
+      startCooldown(EMAIL_VERIFICATION_CONFIG.resendCooldown)
+    } catch (error) {
+      if (error instanceof RateLimitError) {
+        const wait = error.retryAfter ?? EMAIL_VERIFICATION_CONFIG.resendCooldown
+        startCooldown(wait)
+        toast.error(`Please wait ${Math.ceil(wait / 1000)} seconds before asking for another email`)
+      } else {
+        showErrorToast('Failed to send the verification email', error)
+      }
+    } finally {
+      setSending(false)
+    }
+  }
+
+  return (
+    <Button onClick={handleResend} disabled={sending || cooldown > 0} {...buttonProps}>
+      {sending ? 'Sending...' : cooldown > 0 ? `Resend in ${cooldown}s` : children}
+    </Button>
+  )
+}
+
+export default ResendVerificationButton
@@ -0,0 +1,87 @@
+import React from 'react'
+import {
+  Alert,
+  Button,
+  Chip,
+  List,
+  ListItem,
+  ListItemIcon,
+  ListItemText,
+  ListItemSecondaryAction,
+  Skeleton
+} from '@mui/material'
+import {
+  Computer as DesktopIcon,
+  PhoneIphone as MobileIcon,
+  TabletMac as TabletIcon
+} from '@mui/icons-material'
+import { formatDateTime, formatRelativeTime } from '../../utils/helpers'
+
+const DEVICE_ICONS = {
+  desktop: DesktopIcon,
+  mobile: MobileIcon,
+  tablet: TabletIcon,
+}
+
+// Signed-in devices, used in Settings for your own and in Admin for anyone's
+// onRevoke is not offered for the current session; signing out covers that
+const SessionList = ({ sessions, loading = false, onRevoke, revokingId = null, disabled = false, emptyText = 'No active sessions.' }) => {
+  if (loading) {
+    return (
+      <>
+        {[0, 1].map(index => (
+          <Skeleton key={index} variant="rectangular" height={56} sx={{ mb: 1, borderRadius: 1 }} />
+        ))}
+      </>
+    )
+  }
+
+  if (sessions.length === 0) {
+    return <Alert severity="info">{emptyText}</Alert>
+  }
+
+  return (
+    <List disablePadding>
+      {sessions.map(session => {
+        const DeviceIcon = DEVICE_ICONS[session.device_type] || DesktopIcon
+
+        return (
+          <ListItem key={session.id} divider>
+            <ListItemIcon>
+              <DeviceIcon color={session.is_current ? 'primary' : 'action'} />
+            </ListItemIcon>
+            <ListItemText
+              primary={
+                <>
+                  {session.browser} on {session.platform}
+                  {session.is_current && (
+                    <Chip label="This device" color="primary" size="small" sx={{ ml: 1 }} />
+                  )}
+                </>
+              }
+              secondary={[
+                session.ip_address,
+                session.is_current ? 'Active now' : `Last active ${formatRelativeTime(session.last_active_at)}`,
+                session.created_at && `Signed in ${formatDateTime(session.created_at)}`
+              ].filter(Boolean).join(' · ')}
+            />
+            {onRevoke && !session.is_current && (
+              <ListItemSecondaryAction>
+                <Button
+                  size="small"
+                  color="error"
+                  onClick={() => onRevoke(session)}
+                  disabled={disabled || revokingId !== null}
+                >
+                  {revokingId === session.id ? 'Signing out...' : 'Sign out'}
+                </Button>
+              </ListItemSecondaryAction>
+            )}
+          </ListItem>
+        )
+      })}
+    </List>
+  )
+}
+
+export default SessionList
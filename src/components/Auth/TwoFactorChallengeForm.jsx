@@ -0,0 +1,129 @@
+import React, { useState } from 'react'
+import {
+  Box,
+  Typography,
+  TextField,
+  Button,
+  Link,
+  Alert,
+  InputAdornment,
+  CircularProgress
+} from '@mui/material'
+import {
+  PhonelinkLock as PhonelinkLockIcon,
+  VpnKey as VpnKeyIcon,
+  ArrowBack as ArrowBackIcon
+} from '@mui/icons-material'
+import { useAuth } from '../../contexts/AuthContext'
+import { TWO_FACTOR_CONFIG } from '../../utils/constants'
+
+// Second login step for users with two-factor authentication: a code from
+// their authenticator app, or one of their single-use recovery codes
+const TwoFactorChallengeForm = ({ onSuccess }) => {
+  const { twoFactorChallenge, completeTwoFactorLogin, cancelTwoFactorLogin } = useAuth()
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false)
+  const [value, setValue] = useState('')
+  const [fieldError, setFieldError] = useState('')
+  const [error, setError] = useState('')
+  const [submitting, setSubmitting] = useState(false)
+
+  const field = useRecoveryCode ? 'recovery_code' : 'code'
+
+  const handleSubmit = async (event) => {
+    event.preventDefault()
+    setError('')
+    setFieldError('')
+    setSubmitting(true)
+
+    const result = await completeTwoFactorLogin(useRecoveryCode ? { recoveryCode: value } : { code: value })
+    setSubmitting(false)
+
+    if (result.success) {
+      onSuccess(result.user)
+      return
+    }
+
+    if (result.errors?.[field]) {
+      setFieldError(result.errors[field][0])
+    } else {
+      setError(result.error)
+    }
+  }
+
+  const toggleMode = () => {
+    setUseRecoveryCode(!useRecoveryCode)
+    setValue('')
+    setFieldError('')
+    setError('')
+  }
+
+  return (
+    <Box component="form" onSubmit={handleSubmit} noValidate>
+      <Typography variant="h6" sx={{ fontWeight: 600, mb: 1 }}>
+        Two-Factor Authentication
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 3 }}>
+        {useRecoveryCode
+          ? 'Enter one of the recovery codes you saved when you set up two-factor authentication. Each code works only once.'
+          : `Open your authenticator app and enter the ${TWO_FACTOR_CONFIG.codeLength}-digit code for ${twoFactorChallenge?.email || 'your account'}.`}
+      </Typography>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 3, borderRadius: 2 }} onClose={() => setError('')}>
+          {error}
+        </Alert>
+      )}
+
+      <TextField
+        key={field}
+        fullWidth
+        autoFocus
+        required
+        id={field}
+        label={useRecoveryCode ? 'Recovery Code' : 'Authentication Code'}
+        value={value}
+        onChange={(e) => setValue(e.target.value)}
+        error={!!fieldError}
+        helperText={fieldError}
+        autoComplete={useRecoveryCode ? 'off' : 'one-time-code'}
+        inputProps={useRecoveryCode ? {} : { inputMode: 'numeric', maxLength: TWO_FACTOR_CONFIG.codeLength + 1 }}
+        InputProps={{
+          startAdornment: (
+            <InputAdornment position="start">
+              {useRecoveryCode ? <VpnKeyIcon color="action" /> : <PhonelinkLockIcon color="action" />}
+            </InputAdornment>
+          ),
+        }}
+        sx={{ mb: 3 }}
+      />
+
+      <Button
+        type="submit"
+        fullWidth
+        variant="contained"
+        size="large"
+        disabled={submitting || !value.trim()}
+        startIcon={submitting ? <CircularProgress size={20} /> : null}
+        sx={{ py: 1.5, borderRadius: 2, fontWeight: 600, textTransform: 'none' }}
+      >
+        {submitting ? 'Verifying...' : 'Verify'}
+      </Button>
+
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mt: 3 }}>
+        <Button
+          size="small"
+          startIcon={<ArrowBackIcon />}
+          onClick={cancelTwoFactorLogin}
+          sx={{ textTransform: 'none' }}
+        >
+          Back to sign in
+        </Button>
+        <Link component="button" type="button" variant="body2" onClick={toggleMode}>
+          {useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code'}
+        </Link>
+      </Box>
+    </Box>
+  )
+}
+
+export default TwoFactorChallengeForm
@@ -30,84 +30,7 @@ import { formatRelativeTime } from '../../utils/helpers'
 const RecentActivity = ({ activities = [], loading = false, maxItems = 8 }) => {
   const theme = useTheme()
 
-  // Sample activity data for development/demo
-  const sampleActivities = [
-    {
-      id: 1,
-      type: 'document',
-      action: 'uploaded',
-      title: 'Economic Report Q4 2023',
-      user: 'Marie Uwimana',
-      timestamp: new Date(Date.now() - 2 * 60 * 1000), // 2 minutes ago
-      category: 'Economic Reports'
-    },
-    {
-      id: 2,
-      type: 'news',
-      action: 'published',
-      title: 'New Census Data Available',
-      user: 'Jean Baptiste',
-      timestamp: new Date(Date.now() - 15 * 60 * 1000), // 15 minutes ago
-      category: 'Census Data'
-    },
-    {
-      id: 3,
-      type: 'user',
-      action: 'registered',
-      title: 'New user joined',
-      user: 'Alice Mukamana',
-      timestamp: new Date(Date.now() - 45 * 60 * 1000), // 45 minutes ago
-      category: 'System'
-    },
-    {
-      id: 4,
-      type: 'document',
-      action: 'downloaded',
-      title: 'Agriculture Statistics 2023',
-      user: 'Pierre Ntahobari',
-      timestamp: new Date(Date.now() - 1 * 60 * 60 * 1000), // 1 hour ago
-      category: 'Agriculture'
-    },
-    {
-      id: 5,
-      type: 'news',
-      action: 'edited',
-      title: 'Healthcare Statistics Update',
-      user: 'Marie Uwimana',
-      timestamp: new Date(Date.now() - 2 * 60 * 60 * 1000), // 2 hours ago
-      category: 'Healthcare'
-    },
-    {
-      id: 6,
-      type: 'document',
-      action: 'uploaded',
-      title: 'Education Report 2023',
-      user: 'John Nshimirimana',
-      timestamp: new Date(Date.now() - 3 * 60 * 60 * 1000), // 3 hours ago
-      category: 'Education'
-    },
-    {
-      id: 7,
-      type: 'news',
-      action: 'published',
-      title: 'Infrastructure Development Stats',
-      user: 'Grace Niragire',
-      timestamp: new Date(Date.now() - 4 * 60 * 60 * 1000), // 4 hours ago
-      category: 'Infrastructure'
-    },
-    {
-      id: 8,
-      type: 'user',
-      action: 'login',
-      title: 'User logged in',
-      user: 'Admin User',
-      timestamp: new Date(Date.now() - 5 * 60 * 60 * 1000), // 5 hours ago
-      category: 'System'
-    }
-  ]
-
-  const activityData = activities.length > 0 ? activities : sampleActivities
-  const displayedActivities = activityData.slice(0, maxItems)
+  const displayedActivities = activities.slice(0, maxItems)
 
   // Get icon based on activity type and action
   const getActivityIcon = (type, action) => {
@@ -212,6 +135,12 @@ const RecentActivity = ({ activities = [], loading = false, maxItems = 8 }) => {
           </Button>
         </Box>
 
+        {displayedActivities.length === 0 && (
+          <Typography variant="body2" color="text.secondary" sx={{ py: 4, textAlign: 'center' }}>
+            No recent activity
+          </Typography>
+        )}
+
         <List disablePadding>
           {displayedActivities.map((activity, index) => (
             <ListItem
@@ -1,4 +1,4 @@
-import React, { useState, useCallback } from 'react'
+import React, { useState, useCallback, useEffect, useRef } from 'react'
 import {
   Box,
   Paper,
@@ -30,14 +30,23 @@ import {
   Delete as DeleteIcon,
   CheckCircle as SuccessIcon,
   Error as ErrorIcon,
-  Add as AddIcon
+  Add as AddIcon,
+  Pause as PauseIcon,
+  PlayArrow as ResumeIcon,
+  Close as CancelIcon
 } from '@mui/icons-material'
 import { useDropzone } from 'react-dropzone'
 import { useForm, Controller } from 'react-hook-form'
 import documentService from '../../services/documentService'
-import { DOCUMENT_CATEGORIES, VALIDATION_RULES } from '../../utils/constants'
+import { UPLOAD_STATUS } from '../../services/resumableUpload'
+import { DOCUMENT_CATEGORIES, VALIDATION_RULES, FILE_UPLOAD_CONFIG } from '../../utils/constants'
 import { formatFileSize, getFileIcon, validateFile } from '../../utils/helpers'
+import { isCancelledError, ValidationError } from '../../utils/errors'
 import toast from 'react-hot-toast'
+import { showErrorToast } from '../../utils/errorToast'
+
+// Metadata fields shared by every file in the queue
+const FORM_FIELDS = ['title', 'description', 'category', 'is_public', 'tags']
 
 // Advanced document upload component with drag-and-drop and validation
 const DocumentUpload = ({ onUploadComplete, onClose }) => {
@@ -45,12 +54,31 @@ const DocumentUpload = ({ onUploadComplete, onClose }) => {
   const [uploadQueue, setUploadQueue] = useState([])
   const [uploading, setUploading] = useState(false)
   const [uploadProgress, setUploadProgress] = useState({})
+  const [transferStatus, setTransferStatus] = useState({})
+  const [interruptedUploads, setInterruptedUploads] = useState([])
+
+  // Resumable upload handles by queue item id, for pause/resume/cancel
+  const uploadsRef = useRef({})
+
+  // Offer to finish uploads cut short by a reload or lost connection
+  useEffect(() => {
+    documentService.getInterruptedUploads().then(setInterruptedUploads)
+  }, [])
+
+  const findInterruptedUpload = useCallback((file) => {
+    return interruptedUploads.find(upload => (
+      upload.name === file.name &&
+      upload.size === file.size &&
+      upload.lastModified === file.lastModified
+    ))
+  }, [interruptedUploads])
 
   const {
     control,
     handleSubmit,
     formState: { errors },
     reset,
+    setError,
     watch
   } = useForm({
     defaultValues: {
@@ -76,17 +104,19 @@ const DocumentUpload = ({ onUploadComplete, onClose }) => {
     // Process accepted files
     const newFiles = acceptedFiles.map(file => {
       const validation = validateFile(file)
+      const interrupted = findInterruptedUpload(file)
       return {
         id: Date.now() + Math.random(),
         file,
         status: validation.valid ? 'ready' : 'error',
         errors: validation.errors,
-        progress: 0
+        progress: 0,
+        resumeFrom: interrupted ? Math.round((interrupted.offset * 100) / (interrupted.size || 1)) : null
       }
     })
 
     setUploadQueue(prev => [...prev, ...newFiles])
-  }, [])
+  }, [findInterruptedUpload])
 
   const { getRootProps, getInputProps, isDragActive } = useDropzone({
     onDrop,
@@ -101,7 +131,7 @@ const DocumentUpload = ({ onUploadComplete, onClose }) => {
       'image/png': ['.png'],
       'image/gif': ['.gif']
     },
-    maxSize: 10 * 1024 * 1024, // 10MB
+    maxSize: FILE_UPLOAD_CONFIG.maxSize,
     multiple: true
   })
 
@@ -109,13 +139,22 @@ const DocumentUpload = ({ onUploadComplete, onClose }) => {
     setUploadQueue(prev => prev.filter(item => item.id !== fileId))
   }
 
+  const discardInterruptedUpload = async (fingerprint) => {
+    await documentService.discardInterruptedUpload(fingerprint)
+    setInterruptedUploads(prev => prev.filter(upload => upload.fingerprint !== fingerprint))
+  }
+
+  const pauseUpload = (fileId) => uploadsRef.current[fileId]?.pause()
+  const resumeUpload = (fileId) => uploadsRef.current[fileId]?.resume()
+  const cancelUpload = (fileId) => uploadsRef.current[fileId]?.cancel()
+
   const uploadFile = async (fileItem, metadata) => {
     const { file, id } = fileItem
 
     try {
-      setUploadProgress(prev => ({ ...prev, [id]: 0 }))
+      setUploadProgress(prev => ({ ...prev, [id]: fileItem.resumeFrom || 0 }))
 
-      await documentService.uploadDocument(
+      const upload = documentService.createDocumentUpload(
         file,
         {
           title: metadata.title || file.name.replace(/\.[^/.]+$/, ''),
@@ -124,11 +163,21 @@ const DocumentUpload = ({ onUploadComplete, onClose }) => {
           is_public: metadata.is_public,
           tags: metadata.tags
         },
-        (progress) => {
-          setUploadProgress(prev => ({ ...prev, [id]: progress }))
+        {
+          onProgress: (progress) => {
+            setUploadProgress(prev => ({ ...prev, [id]: progress }))
+          },
+          onStatusChange: (status) => {
+            setTransferStatus(prev => ({ ...prev, [id]: status }))
+          }
         }
       )
 
+      uploadsRef.current[id] = upload
+      await upload.start()
+
+      setInterruptedUploads(prev => prev.filter(item => item.fingerprint !== upload.fingerprint))
+
       // Update file status to success
       setUploadQueue(prev => 
         prev.map(item => 
@@ -140,16 +189,35 @@ const DocumentUpload = ({ onUploadComplete, onClose }) => {
 
       return { success: true }
     } catch (error) {
+      // A cancelled upload simply leaves the queue
+      if (isCancelledError(error)) {
+        setUploadQueue(prev => prev.filter(item => item.id !== id))
+        return { success: false, cancelled: true }
+      }
+
+      // Metadata problems belong on the shared form, file problems on this item
+      if (error instanceof ValidationError) {
+        Object.entries(error.fields)
+          .filter(([field]) => FORM_FIELDS.includes(field))
+          .forEach(([field, message]) => setError(field, { type: 'server', message }))
+      }
+
+      const fileErrors = error instanceof ValidationError && error.errors.file
+        ? error.errors.file
+        : [error.message]
+
       // Update file status to error
       setUploadQueue(prev => 
         prev.map(item => 
           item.id === id 
-            ? { ...item, status: 'error', errors: [error.message] }
+            ? { ...item, status: 'error', errors: fileErrors }
             : item
         )
       )
 
-      return { success: false, error: error.message }
+      return { success: false, error }
+    } finally {
+      delete uploadsRef.current[id]
     }
   }
 
@@ -173,7 +241,8 @@ const DocumentUpload = ({ onUploadComplete, onClose }) => {
       )
 
       const successCount = results.filter(r => r.success).length
-      const failCount = results.length - successCount
+      const failures = results.filter(r => !r.success && !r.cancelled)
+      const failCount = failures.length
 
       if (successCount > 0) {
         toast.success(`${successCount} file(s) uploaded successfully!`)
@@ -184,7 +253,7 @@ const DocumentUpload = ({ onUploadComplete, onClose }) => {
       }
 
       if (failCount > 0) {
-        toast.error(`${failCount} file(s) failed to upload`)
+        showErrorToast(`${failCount} file(s) failed to upload`, failures[0].error)
       }
 
       // Reset form if all uploads successful
@@ -192,9 +261,10 @@ const DocumentUpload = ({ onUploadComplete, onClose }) => {
         reset()
         setUploadQueue([])
         setUploadProgress({})
+        setTransferStatus({})
       }
     } catch (error) {
-      toast.error('Upload failed. Please try again.')
+      showErrorToast('Upload failed. Please try again.', error)
       console.error('Upload error:', error)
     } finally {
       setUploading(false)
@@ -251,10 +321,29 @@ const DocumentUpload = ({ onUploadComplete, onClose }) => {
         <Typography variant="caption" color="text.secondary">
           Supported formats: PDF, DOC, DOCX, XLS, XLSX, CSV, JPG, PNG, GIF
           <br />
-          Maximum size: 10MB per file
+          Maximum size: {formatFileSize(FILE_UPLOAD_CONFIG.maxSize)} per file. Large files can be paused and resumed.
         </Typography>
       </Paper>
 
+      {/* Interrupted Uploads */}
+      {interruptedUploads.length > 0 && (
+        <Alert severity="info" sx={{ mb: 3 }}>
+          <Typography variant="body2" gutterBottom>
+            Some uploads did not finish. Select the same file again to continue where it stopped.
+          </Typography>
+          {interruptedUploads.map(upload => (
+            <Box key={upload.fingerprint} sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+              <Typography variant="body2" sx={{ flexGrow: 1 }} noWrap>
+                {upload.name} - {formatFileSize(upload.offset)} of {formatFileSize(upload.size)} uploaded
+              </Typography>
+              <Button size="small" onClick={() => discardInterruptedUpload(upload.fingerprint)}>
+                Discard
+              </Button>
+            </Box>
+          ))}
+        </Alert>
+      )}
+
       {/* Metadata Form */}
       <Box sx={{ mb: 3 }}>
         <Typography variant="h6" gutterBottom>
@@ -344,8 +433,10 @@ const DocumentUpload = ({ onUploadComplete, onClose }) => {
           
           <List>
             {uploadQueue.map((fileItem) => {
-              const { id, file, status, errors: fileErrors, progress } = fileItem
+              const { id, file, status, errors: fileErrors, resumeFrom } = fileItem
               const progressValue = uploadProgress[id] || 0
+              const transfer = transferStatus[id]
+              const isTransferring = transfer === UPLOAD_STATUS.UPLOADING || transfer === UPLOAD_STATUS.PAUSED
 
               return (
                 <ListItem key={id} divider>
@@ -361,6 +452,12 @@ const DocumentUpload = ({ onUploadComplete, onClose }) => {
                           {formatFileSize(file.size)}
                         </Typography>
                         
+                        {resumeFrom !== null && status === 'ready' && !uploading && (
+                          <Typography variant="caption" color="info.main" display="block">
+                            Resumes from {resumeFrom}%
+                          </Typography>
+                        )}
+
                         {status === 'error' && fileErrors && (
                           <Typography variant="caption" color="error" display="block">
                             {fileErrors.join(', ')}
@@ -375,7 +472,7 @@ const DocumentUpload = ({ onUploadComplete, onClose }) => {
                               sx={{ borderRadius: 1 }}
                             />
                             <Typography variant="caption" color="text.secondary">
-                              {progressValue}%
+                              {transfer === UPLOAD_STATUS.PAUSED ? `Paused at ${progressValue}%` : `${progressValue}%`}
                             </Typography>
                           </Box>
                         )}
@@ -390,13 +487,30 @@ const DocumentUpload = ({ onUploadComplete, onClose }) => {
                   />
                   
                   <ListItemSecondaryAction>
-                    <IconButton
-                      edge="end"
-                      onClick={() => removeFile(id)}
-                      disabled={uploading}
-                    >
-                      <DeleteIcon />
-                    </IconButton>
+                    {isTransferring ? (
+                      <>
+                        {transfer === UPLOAD_STATUS.PAUSED ? (
+                          <IconButton onClick={() => resumeUpload(id)} title="Resume">
+                            <ResumeIcon />
+                          </IconButton>
+                        ) : (
+                          <IconButton onClick={() => pauseUpload(id)} title="Pause">
+                            <PauseIcon />
+                          </IconButton>
+                        )}
+                        <IconButton edge="end" onClick={() => cancelUpload(id)} title="Cancel upload">
+                          <CancelIcon />
+                        </IconButton>
+                      </>
+                    ) : (
+                      <IconButton
+                        edge="end"
+                        onClick={() => removeFile(id)}
+                        disabled={uploading}
+                      >
+                        <DeleteIcon />
+                      </IconButton>
+                    )}
                   </ListItemSecondaryAction>
                 </ListItem>
               )
@@ -0,0 +1,41 @@
+import React from 'react'
+import { Box, Button, Typography } from '@mui/material'
+import { ContentCopy as CopyIcon } from '@mui/icons-material'
+import toast from 'react-hot-toast'
+import networkLog from '../services/networkLog'
+import { copyToClipboard } from '../utils/helpers'
+
+// Error toast body with the request ID and a "Copy diagnostics" action, so users
+// can paste exactly what failed into a support ticket. Shown with showErrorToast
+// (utils/errorToast)
+const ErrorToast = ({ message, requestId }) => {
+  const handleCopy = async () => {
+    await copyToClipboard(networkLog.getDiagnostics({ requestId }))
+    toast.success('Diagnostics copied - paste them into your support request', { id: 'diagnostics-copied' })
+  }
+
+  return (
+    <Box>
+      <Typography variant="body2" sx={{ fontWeight: 500 }}>
+        {message}
+      </Typography>
+      {requestId && (
+        <Typography variant="caption" component="div" sx={{ opacity: 0.85, fontFamily: 'monospace' }}>
+          Request ID: {requestId}
+        </Typography>
+      )}
+      <Button
+        size="small"
+        color="inherit"
+        variant="outlined"
+        startIcon={<CopyIcon fontSize="small" />}
+        onClick={handleCopy}
+        sx={{ mt: 1, textTransform: 'none', py: 0 }}
+      >
+        Copy diagnostics
+      </Button>
+    </Box>
+  )
+}
+
+export default ErrorToast
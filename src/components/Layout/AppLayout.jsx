@@ -29,6 +29,11 @@ import { Outlet } from 'react-router-dom'
 import { useAuth } from '../../contexts/AuthContext'
 import { useTheme as useCustomTheme } from '../../contexts/ThemeContext'
 import Sidebar from './Sidebar'
+import PendingChanges from './PendingChanges'
+import DownloadsTray from './DownloadsTray'
+import DegradedBanner from './DegradedBanner'
+import EmailVerificationBanner from './EmailVerificationBanner'
+import IdleWarningDialog from '../Auth/IdleWarningDialog'
 import { APP_CONFIG } from '../../utils/constants'
 
 // Main application layout with responsive sidebar and top navigation
@@ -123,6 +128,12 @@ const AppLayout = () => {
 
           {/* Right side - Actions and Profile */}
           <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+            {/* Offline changes waiting to sync */}
+            <PendingChanges />
+
+            {/* Active and recent downloads */}
+            <DownloadsTray />
+
             {/* Notifications */}
             <IconButton
               color="inherit"
@@ -209,10 +220,19 @@ const AppLayout = () => {
         
         {/* Page content */}
         <Box sx={{ p: { xs: 2, sm: 3 } }}>
+          {/* Backend unreachable - read-only mode */}
+          <DegradedBanner />
+
+          {/* Email not verified yet - some actions locked */}
+          <EmailVerificationBanner />
+
           <Outlet />
         </Box>
       </Box>
 
+      {/* Inactivity countdown */}
+      <IdleWarningDialog />
+
       {/* Profile Menu */}
       <Menu
         anchorEl={profileMenuAnchor}
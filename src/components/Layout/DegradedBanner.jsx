@@ -0,0 +1,33 @@
+import React from 'react'
+import { Alert, AlertTitle, Button } from '@mui/material'
+import { useServiceStatus } from '../../hooks/useServiceStatus'
+import { CIRCUIT_BREAKER_CONFIG } from '../../utils/constants'
+import { formatRelativeTime } from '../../utils/helpers'
+
+// Banner shown above page content while the backend is unreachable
+// Pages keep showing cached data; mutations are disabled until it recovers
+const DegradedBanner = () => {
+  const { degraded, lastProbeAt, checking, checkNow } = useServiceStatus()
+
+  if (!degraded) {
+    return null
+  }
+
+  return (
+    <Alert
+      severity="warning"
+      sx={{ mb: 3, borderRadius: 2 }}
+      action={
+        <Button color="inherit" size="small" onClick={checkNow} disabled={checking}>
+          {checking ? 'Checking...' : 'Retry now'}
+        </Button>
+      }
+    >
+      <AlertTitle>Read-only mode</AlertTitle>
+      {CIRCUIT_BREAKER_CONFIG.degradedMessage}
+      {lastProbeAt && ` Last checked ${formatRelativeTime(new Date(lastProbeAt))}.`}
+    </Alert>
+  )
+}
+
+export default DegradedBanner
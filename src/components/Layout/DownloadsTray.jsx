@@ -0,0 +1,152 @@
+import React, { useState } from 'react'
+import {
+  Box,
+  Badge,
+  Button,
+  CircularProgress,
+  Divider,
+  IconButton,
+  LinearProgress,
+  Menu,
+  Tooltip,
+  Typography
+} from '@mui/material'
+import {
+  Download as DownloadIcon,
+  Close as CancelIcon,
+  Replay as RetryIcon,
+  DeleteOutline as RemoveIcon,
+  VerifiedUser as VerifiedIcon
+} from '@mui/icons-material'
+import { useDownloads } from '../../hooks/useDownloads'
+import { DOWNLOAD_STATUS } from '../../services/downloadManager'
+import { formatFileSize, formatRelativeTime } from '../../utils/helpers'
+
+const describeProgress = (download) => {
+  switch (download.status) {
+    case DOWNLOAD_STATUS.DOWNLOADING:
+      return download.total
+        ? `${formatFileSize(download.loaded)} of ${formatFileSize(download.total)}`
+        : `${formatFileSize(download.loaded)} downloaded`
+    case DOWNLOAD_STATUS.VERIFYING:
+      return 'Verifying checksum...'
+    case DOWNLOAD_STATUS.COMPLETED:
+      return `${formatFileSize(download.total || download.loaded)} - ${formatRelativeTime(new Date(download.completedAt))}`
+    case DOWNLOAD_STATUS.CANCELLED:
+      return 'Cancelled'
+    default:
+      return download.error?.message || 'Download failed'
+  }
+}
+
+// Top bar tray listing active and recent downloads
+// Stays in the layout so downloads keep running and reporting across pages
+const DownloadsTray = () => {
+  const { downloads, active, cancel, retry, remove, clearFinished } = useDownloads()
+  const [anchorEl, setAnchorEl] = useState(null)
+
+  if (downloads.length === 0) {
+    return null
+  }
+
+  const tooltip = active.length > 0
+    ? `${active.length} download${active.length === 1 ? '' : 's'} in progress`
+    : 'Recent downloads'
+
+  return (
+    <>
+      <Tooltip title={tooltip}>
+        <IconButton
+          color="inherit"
+          onClick={(event) => setAnchorEl(event.currentTarget)}
+          sx={{ borderRadius: 2 }}
+        >
+          <Badge badgeContent={active.length} color="primary">
+            {active.length > 0 ? <CircularProgress size={22} color="inherit" /> : <DownloadIcon />}
+          </Badge>
+        </IconButton>
+      </Tooltip>
+
+      <Menu
+        anchorEl={anchorEl}
+        open={Boolean(anchorEl)}
+        onClose={() => setAnchorEl(null)}
+        PaperProps={{
+          elevation: 3,
+          sx: {
+            mt: 1.5,
+            minWidth: 320,
+            maxWidth: 420,
+            borderRadius: 2,
+          },
+        }}
+        transformOrigin={{ horizontal: 'right', vertical: 'top' }}
+        anchorOrigin={{ horizontal: 'right', vertical: 'bottom' }}
+      >
+        <Box sx={{ px: 2, py: 1.5, display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+          <Typography variant="h6">Downloads</Typography>
+          <Button size="small" onClick={clearFinished} disabled={active.length === downloads.length}>
+            Clear finished
+          </Button>
+        </Box>
+
+        <Divider />
+
+        {downloads.map((download) => {
+          const isActive = download.status === DOWNLOAD_STATUS.DOWNLOADING || download.status === DOWNLOAD_STATUS.VERIFYING
+          const canRetry = download.status === DOWNLOAD_STATUS.FAILED || download.status === DOWNLOAD_STATUS.CANCELLED
+          const percent = download.total ? Math.round((download.loaded * 100) / download.total) : null
+
+          return (
+            <Box key={download.id} sx={{ px: 2, py: 1.5, borderBottom: 1, borderColor: 'divider' }}>
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                <Typography variant="body2" sx={{ fontWeight: 600, flexGrow: 1 }} noWrap>
+                  {download.filename}
+                </Typography>
+
+                {download.verified && (
+                  <Tooltip title="Checksum verified">
+                    <VerifiedIcon color="success" fontSize="small" />
+                  </Tooltip>
+                )}
+
+                {isActive && (
+                  <IconButton size="small" onClick={() => cancel(download.id)} title="Cancel">
+                    <CancelIcon fontSize="small" />
+                  </IconButton>
+                )}
+                {canRetry && (
+                  <IconButton size="small" onClick={() => retry(download.id)} title="Retry">
+                    <RetryIcon fontSize="small" />
+                  </IconButton>
+                )}
+                {!isActive && (
+                  <IconButton size="small" onClick={() => remove(download.id)} title="Remove from list">
+                    <RemoveIcon fontSize="small" />
+                  </IconButton>
+                )}
+              </Box>
+
+              {isActive && (
+                <LinearProgress
+                  variant={percent === null || download.status === DOWNLOAD_STATUS.VERIFYING ? 'indeterminate' : 'determinate'}
+                  value={percent || 0}
+                  sx={{ my: 0.5, borderRadius: 1 }}
+                />
+              )}
+
+              <Typography
+                variant="caption"
+                color={download.status === DOWNLOAD_STATUS.FAILED ? 'error.main' : 'text.secondary'}
+              >
+                {describeProgress(download)}
+              </Typography>
+            </Box>
+          )
+        })}
+      </Menu>
+    </>
+  )
+}
+
+export default DownloadsTray
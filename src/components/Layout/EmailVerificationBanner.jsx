@@ -0,0 +1,28 @@
+import React from 'react'
+import { Alert, AlertTitle } from '@mui/material'
+import { useAuth } from '../../contexts/AuthContext'
+import ResendVerificationButton from '../Auth/ResendVerificationButton'
+
+// Banner shown above page content until the account's email is verified
+// It cannot be dismissed; uploads and publishing stay locked until then
+const EmailVerificationBanner = () => {
+  const { user, isEmailVerified } = useAuth()
+
+  if (!user || isEmailVerified) {
+    return null
+  }
+
+  return (
+    <Alert
+      severity="info"
+      sx={{ mb: 3, borderRadius: 2 }}
+      action={<ResendVerificationButton color="inherit" size="small" />}
+    >
+      <AlertTitle>Verify your email address</AlertTitle>
+      Open the link we sent to <strong>{user.email}</strong> to finish setting up your account.
+      Uploading documents and writing news stay locked until then.
+    </Alert>
+  )
+}
+
+export default EmailVerificationBanner
@@ -0,0 +1,151 @@
+import React, { useState } from 'react'
+import {
+  Box,
+  Badge,
+  Button,
+  Chip,
+  Divider,
+  IconButton,
+  Menu,
+  Tooltip,
+  Typography
+} from '@mui/material'
+import {
+  CloudOff as CloudOffIcon,
+  CloudSync as CloudSyncIcon,
+  Replay as RetryIcon,
+  DeleteOutline as DiscardIcon
+} from '@mui/icons-material'
+import { useOutbox } from '../../hooks/useOutbox'
+import { OUTBOX_STATUS } from '../../services/outbox'
+import { formatRelativeTime } from '../../utils/helpers'
+
+const STATUS_CHIPS = {
+  [OUTBOX_STATUS.PENDING]: { label: 'Pending', color: 'default' },
+  [OUTBOX_STATUS.SYNCING]: { label: 'Syncing', color: 'info' },
+  [OUTBOX_STATUS.CONFLICT]: { label: 'Conflict', color: 'warning' },
+  [OUTBOX_STATUS.FAILED]: { label: 'Failed', color: 'error' },
+}
+
+// Top bar indicator for changes made offline that are waiting to sync
+// Lets the user retry or discard changes the server rejected on replay
+const PendingChanges = () => {
+  const { entries, isOnline, pendingCount, needsAttention, retry, discard, sync } = useOutbox()
+  const [anchorEl, setAnchorEl] = useState(null)
+
+  // Nothing to show while online with an empty outbox
+  if (isOnline && entries.length === 0) {
+    return null
+  }
+
+  const tooltip = isOnline
+    ? `${entries.length} change${entries.length === 1 ? '' : 's'} waiting to sync`
+    : 'You are offline - changes will sync when the connection returns'
+
+  return (
+    <>
+      <Tooltip title={tooltip}>
+        <IconButton
+          color="inherit"
+          onClick={(event) => setAnchorEl(event.currentTarget)}
+          sx={{ borderRadius: 2 }}
+        >
+          <Badge
+            badgeContent={entries.length}
+            color={needsAttention.length > 0 ? 'warning' : 'primary'}
+          >
+            {isOnline ? <CloudSyncIcon /> : <CloudOffIcon />}
+          </Badge>
+        </IconButton>
+      </Tooltip>
+
+      <Menu
+        anchorEl={anchorEl}
+        open={Boolean(anchorEl)}
+        onClose={() => setAnchorEl(null)}
+        PaperProps={{
+          elevation: 3,
+          sx: {
+            mt: 1.5,
+            minWidth: 320,
+            maxWidth: 420,
+            borderRadius: 2,
+          },
+        }}
+        transformOrigin={{ horizontal: 'right', vertical: 'top' }}
+        anchorOrigin={{ horizontal: 'right', vertical: 'bottom' }}
+      >
+        <Box sx={{ px: 2, py: 1.5, display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+          <Box>
+            <Typography variant="h6">Offline changes</Typography>
+            <Typography variant="caption" color="text.secondary">
+              {pendingCount} pending, {needsAttention.length} need attention
+            </Typography>
+          </Box>
+          <Button size="small" onClick={sync} disabled={!isOnline || pendingCount === 0}>
+            Sync now
+          </Button>
+        </Box>
+
+        <Divider />
+
+        {entries.length === 0 && (
+          <Box sx={{ px: 2, py: 2 }}>
+            <Typography variant="body2" color="text.secondary">
+              No queued changes. Anything you save while offline will appear here.
+            </Typography>
+          </Box>
+        )}
+
+        {entries.map((entry) => {
+          const chip = STATUS_CHIPS[entry.status] || STATUS_CHIPS[OUTBOX_STATUS.PENDING]
+          const needsResolution = entry.status === OUTBOX_STATUS.CONFLICT || entry.status === OUTBOX_STATUS.FAILED
+
+          return (
+            <Box key={entry.id} sx={{ px: 2, py: 1.5, borderBottom: 1, borderColor: 'divider' }}>
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                <Typography variant="body2" sx={{ fontWeight: 600, flexGrow: 1 }} noWrap>
+                  {entry.method?.toUpperCase()} {entry.url}
+                </Typography>
+                <Chip label={chip.label} color={chip.color} size="small" />
+              </Box>
+
+              <Typography variant="caption" color="text.secondary">
+                Saved {formatRelativeTime(new Date(entry.createdAt))}
+              </Typography>
+
+              {entry.error && (
+                <Typography variant="body2" color="error.main" sx={{ mt: 0.5 }}>
+                  {entry.error.message}
+                </Typography>
+              )}
+
+              {needsResolution && (
+                <Box sx={{ display: 'flex', gap: 1, mt: 1 }}>
+                  <Button
+                    size="small"
+                    startIcon={<RetryIcon />}
+                    onClick={() => retry(entry.id)}
+                    disabled={!isOnline}
+                  >
+                    Retry
+                  </Button>
+                  <Button
+                    size="small"
+                    color="error"
+                    startIcon={<DiscardIcon />}
+                    onClick={() => discard(entry.id)}
+                  >
+                    Discard
+                  </Button>
+                </Box>
+              )}
+            </Box>
+          )
+        })}
+      </Menu>
+    </>
+  )
+}
+
+export default PendingChanges
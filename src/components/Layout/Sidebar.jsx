@@ -26,72 +26,71 @@ import {
 } from '@mui/icons-material'
 import { useLocation, useNavigate } from 'react-router-dom'
 import { useAuth } from '../../contexts/AuthContext'
-import { AccessGuard } from '../ProtectedRoute'
+import { PERMISSIONS } from '../../utils/constants'
 
-// Responsive sidebar navigation with role-based menu items
+// Responsive sidebar navigation, showing only what the user's permissions allow
 // Provides smooth navigation with visual feedback and accessibility
 const Sidebar = ({ open, onToggle }) => {
   const theme = useTheme()
   const location = useLocation()
   const navigate = useNavigate()
-  const { user, hasRole } = useAuth()
+  const { user, hasPermission } = useAuth()
 
-  // Navigation menu items with role-based access
+  // Navigation menu items; items without a permission are open to every signed-in user
   const menuItems = [
     {
       id: 'dashboard',
       label: 'Dashboard',
       icon: <DashboardIcon />,
       path: '/dashboard',
-      roles: ['admin', 'editor', 'user']
+      permission: PERMISSIONS.VIEW_DASHBOARD
     },
     {
       id: 'news',
       label: 'News',
       icon: <NewsIcon />,
       path: '/news',
-      roles: ['admin', 'editor', 'user'],
-      badge: hasRole(['admin', 'editor']) ? 'Edit' : null
+      permission: PERMISSIONS.VIEW_NEWS,
+      badge: hasPermission(PERMISSIONS.CREATE_NEWS) ? 'Edit' : null
     },
     {
       id: 'documents',
       label: 'Documents',
       icon: <DocumentsIcon />,
       path: '/documents',
-      roles: ['admin', 'editor', 'user'],
-      badge: hasRole(['admin', 'editor']) ? 'Upload' : null
+      permission: PERMISSIONS.DOWNLOAD_DOCUMENTS,
+      badge: hasPermission(PERMISSIONS.UPLOAD_DOCUMENTS) ? 'Upload' : null
     },
     {
       id: 'resources',
       label: 'Resources',
       icon: <ResourcesIcon />,
-      path: '/resources',
-      roles: ['admin', 'editor', 'user']
+      path: '/resources'
     }
   ]
 
-  // Admin-only menu items
+  // Administration menu items
   const adminMenuItems = [
     {
       id: 'admin',
       label: 'Admin Panel',
       icon: <AdminIcon />,
       path: '/admin',
-      roles: ['admin']
+      permission: PERMISSIONS.MANAGE_SYSTEM
     },
     {
       id: 'users',
       label: 'User Management',
       icon: <UsersIcon />,
       path: '/admin/users',
-      roles: ['admin']
+      permission: PERMISSIONS.MANAGE_USERS
     },
     {
       id: 'analytics',
       label: 'Analytics',
       icon: <StatsIcon />,
       path: '/admin/analytics',
-      roles: ['admin']
+      permission: PERMISSIONS.VIEW_ANALYTICS
     }
   ]
 
@@ -101,15 +100,13 @@ const Sidebar = ({ open, onToggle }) => {
       id: 'settings',
       label: 'Settings',
       icon: <SettingsIcon />,
-      path: '/settings',
-      roles: ['admin', 'editor', 'user']
+      path: '/settings'
     },
     {
       id: 'help',
       label: 'Help & Support',
       icon: <HelpIcon />,
-      path: '/help',
-      roles: ['admin', 'editor', 'user']
+      path: '/help'
     }
   ]
 
@@ -214,7 +211,7 @@ const Sidebar = ({ open, onToggle }) => {
 
   const renderMenuSection = (items, showDivider = false) => {
     const accessibleItems = items.filter(item => 
-      !item.roles || item.roles.some(role => hasRole(role))
+      !item.permission || hasPermission(item.permission)
     )
 
     if (accessibleItems.length === 0) return null
@@ -274,9 +271,7 @@ const Sidebar = ({ open, onToggle }) => {
         {renderMenuSection(menuItems)}
 
         {/* Admin menu items */}
-        <AccessGuard roles={['admin']}>
-          {renderMenuSection(adminMenuItems, true)}
-        </AccessGuard>
+        {renderMenuSection(adminMenuItems, true)}
       </Box>
 
       {/* Bottom menu items */}
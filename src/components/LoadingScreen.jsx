@@ -8,17 +8,49 @@ import {
   Button,
   Card,
   CardContent,
-  Skeleton
+  Skeleton,
+  Alert,
+  AlertTitle
 } from '@mui/material'
+import { Refresh as RefreshIcon } from '@mui/icons-material'
 import { APP_CONFIG } from '../utils/constants'
 
+// Shown instead of the spinner when startup fails, e.g. an invalid config.json;
+// error.issues lists individual problems as { path, message }
+const StartupError = ({ error }) => (
+  <Box sx={{ maxWidth: 560, width: '100%', px: 2 }}>
+    <Alert severity="error" sx={{ mb: 2 }}>
+      <AlertTitle>The portal could not start</AlertTitle>
+      {error.message}
+      {error.issues?.length > 0 && (
+        <Box component="ul" sx={{ m: 0, mt: 1, pl: 2.5 }}>
+          {error.issues.map(issue => (
+            <li key={`${issue.path} ${issue.message}`}>
+              <Box component="code" sx={{ fontWeight: 600 }}>{issue.path || '(root)'}</Box> {issue.message}
+            </li>
+          ))}
+        </Box>
+      )}
+    </Alert>
+    <Typography variant="body2" color="text.secondary" sx={{ textAlign: 'center', mb: 2 }}>
+      If this keeps happening, please contact {APP_CONFIG.supportEmail}.
+    </Typography>
+    <Box sx={{ textAlign: 'center' }}>
+      <Button variant="contained" startIcon={<RefreshIcon />} onClick={() => window.location.reload()}>
+        Try Again
+      </Button>
+    </Box>
+  </Box>
+)
+
 // Beautiful loading screen with animations and branding
 // Provides smooth loading experience with theme-aware styling
 const LoadingScreen = ({ 
   message = 'Loading...', 
   size = 60,
   showLogo = true,
-  fullScreen = true 
+  fullScreen = true,
+  error = null
 }) => {
   const theme = useTheme()
 
@@ -112,73 +144,79 @@ const LoadingScreen = ({
           </Box>
         )}
 
-        {/* Loading spinner */}
-        <Box
-          sx={{
-            position: 'relative',
-            display: 'flex',
-            alignItems: 'center',
-            justifyContent: 'center'
-          }}
-        >
-          <CircularProgress
-            size={size}
-            thickness={4}
-            sx={{
-              color: theme.palette.primary.main,
-              animation: 'spin 1.5s linear infinite'
-            }}
-          />
+        {error && <StartupError error={error} />}
+
+        {!error && (
+          <>
+            {/* Loading spinner */}
+            <Box
+              sx={{
+                position: 'relative',
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center'
+              }}
+            >
+              <CircularProgress
+                size={size}
+                thickness={4}
+                sx={{
+                  color: theme.palette.primary.main,
+                  animation: 'spin 1.5s linear infinite'
+                }}
+              />
           
-          {/* Secondary progress ring */}
-          <CircularProgress
-            size={size + 20}
-            thickness={2}
-            variant="indeterminate"
-            sx={{
-              color: theme.palette.primary.light,
-              position: 'absolute',
-              opacity: 0.3,
-              animationDuration: '2s'
-            }}
-          />
-        </Box>
+              {/* Secondary progress ring */}
+              <CircularProgress
+                size={size + 20}
+                thickness={2}
+                variant="indeterminate"
+                sx={{
+                  color: theme.palette.primary.light,
+                  position: 'absolute',
+                  opacity: 0.3,
+                  animationDuration: '2s'
+                }}
+              />
+            </Box>
 
-        {/* Loading message */}
-        <Typography
-          variant="body1"
-          sx={{
-            color: theme.palette.text.secondary,
-            textAlign: 'center',
-            fontWeight: 500,
-            letterSpacing: '0.025em'
-          }}
-        >
-          {message}
-        </Typography>
+            {/* Loading message */}
+            <Typography
+              variant="body1"
+              sx={{
+                color: theme.palette.text.secondary,
+                textAlign: 'center',
+                fontWeight: 500,
+                letterSpacing: '0.025em'
+              }}
+            >
+              {message}
+            </Typography>
 
-        {/* Loading dots animation */}
-        <Box
-          sx={{
-            display: 'flex',
-            gap: 0.5,
-            mt: 1
-          }}
-        >
-          {[0, 1, 2].map((index) => (
+            {/* Loading dots animation */}
             <Box
-              key={index}
               sx={{
-                width: 8,
-                height: 8,
-                borderRadius: '50%',
-                backgroundColor: theme.palette.primary.main,
-                opacity: 0.6,
-                animation: `bounce 1.4s ease-in-out ${index * 0.16}s infinite both`
+                display: 'flex',
+                gap: 0.5,
+                mt: 1
               }}
-            />
-          ))}
-        </Box>
+            >
+              {[0, 1, 2].map((index) => (
+                <Box
+                  key={index}
+                  sx={{
+                    width: 8,
+                    height: 8,
+                    borderRadius: '50%',
+                    backgroundColor: theme.palette.primary.main,
+                    opacity: 0.6,
+                    animation: `bounce 1.4s ease-in-out ${index * 0.16}s infinite both`
+                  }}
+                />
+              ))}
+            </Box>
+          </>
+        )}
 
         {/* CSS animations */}
         <style jsx="true" global="true">{`
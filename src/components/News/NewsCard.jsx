@@ -25,7 +25,8 @@ import {
 } from '@mui/icons-material'
 import { useState } from 'react'
 import { useNavigate } from 'react-router-dom'
-import { useAuth } from '../../contexts/AuthContext'
+import { usePermission } from '../../hooks/usePermission'
+import { PERMISSIONS } from '../../utils/constants'
 import { formatRelativeTime, truncateText } from '../../utils/helpers'
 
 // Enhanced news card component with actions and responsive design
@@ -41,7 +42,6 @@ const NewsCard = ({
 }) => {
   const theme = useTheme()
   const navigate = useNavigate()
-  const { hasRole } = useAuth()
   const [menuAnchor, setMenuAnchor] = useState(null)
 
   const {
@@ -58,7 +58,7 @@ const NewsCard = ({
     views_count = 0
   } = news
 
-  const canDelete = hasRole(['admin', 'editor'])
+  const canDelete = usePermission(PERMISSIONS.DELETE_NEWS)
 
   const handleMenuOpen = (event) => {
     event.stopPropagation()
@@ -181,7 +181,7 @@ const NewsCard = ({
 
           <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
             <Typography variant="caption" color="text.secondary">
-              By {author} • {formatRelativeTime(created_at)}
+              By {author?.name} • {formatRelativeTime(created_at)}
             </Typography>
             <Typography variant="caption" color="text.secondary">
               {views_count} views
@@ -271,7 +271,7 @@ const NewsCard = ({
               <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
                 <AuthorIcon sx={{ fontSize: 16, color: 'text.secondary' }} />
                 <Typography variant="body2" color="text.secondary">
-                  {author}
+                  {author?.name}
                 </Typography>
               </Box>
               <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
@@ -373,7 +373,7 @@ const NewsCard = ({
         <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
           <Box>
             <Typography variant="body2" color="text.secondary">
-              By {author}
+              By {author?.name}
             </Typography>
             <Typography variant="caption" color="text.secondary">
               {formatRelativeTime(created_at)} • {views_count} views
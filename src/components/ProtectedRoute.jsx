@@ -3,6 +3,7 @@ import { Navigate, useLocation } from 'react-router-dom'
 import { Box, Alert, AlertTitle, Button } from '@mui/material'
 import { useAuth } from '../contexts/AuthContext'
 import LoadingScreen from './LoadingScreen'
+import ResendVerificationButton from './Auth/ResendVerificationButton'
 
 // Enhanced protected route component with role-based access control
 // Provides comprehensive authentication and authorization checking
@@ -10,6 +11,7 @@ const ProtectedRoute = ({
   children, 
   requiredRoles = [], 
   requiredPermissions = [],
+  requireVerifiedEmail = false,
   fallbackUrl = '/login',
   showAccessDenied = true 
 }) => {
@@ -19,6 +21,8 @@ const ProtectedRoute = ({
     user, 
     hasRole, 
     hasPermission,
+    needsTwoFactorSetup,
+    isEmailVerified,
     logout 
   } = useAuth()
   const location = useLocation()
@@ -39,6 +43,11 @@ const ProtectedRoute = ({
     )
   }
 
+  // Roles covered by the two-factor policy must enrol before using anything else
+  if (needsTwoFactorSetup && location.pathname !== '/settings') {
+    return <Navigate to="/settings" replace />
+  }
+
   // Check role-based access if required roles are specified
   if (requiredRoles.length > 0) {
     const hasRequiredRole = requiredRoles.some(role => hasRole(role))
@@ -63,10 +72,42 @@ const ProtectedRoute = ({
     }
   }
 
+  // Sensitive pages such as uploads and publishing need a verified email
+  if (requireVerifiedEmail && !isEmailVerified) {
+    return <VerifyEmailScreen email={user?.email} />
+  }
+
   // User is authenticated and authorized - render the protected content
   return children
 }
 
+// Shown in place of a page that needs a verified email address
+const VerifyEmailScreen = ({ email }) => {
+  const handleGoBack = () => {
+    window.history.back()
+  }
+
+  return (
+    <Box sx={{ display: 'flex', justifyContent: 'center', py: 6 }}>
+      <Alert severity="info" sx={{ maxWidth: 600 }}>
+        <AlertTitle sx={{ fontSize: '1.25rem', fontWeight: 600 }}>
+          Verify your email to continue
+        </AlertTitle>
+        <Box sx={{ mt: 1 }}>
+          This page is available once your email address is verified. Open the link we sent
+          to <strong>{email}</strong>, then come back here.
+        </Box>
+        <Box sx={{ display: 'flex', gap: 2, mt: 2 }}>
+          <ResendVerificationButton variant="contained" />
+          <Button variant="outlined" onClick={handleGoBack}>
+            Go Back
+          </Button>
+        </Box>
+      </Alert>
+    </Box>
+  )
+}
+
 // Access denied screen component
 const AccessDeniedScreen = ({ userRole, requiredRoles = [], requiredPermissions = [] }) => {
   const { logout } = useAuth()
@@ -206,10 +247,7 @@ export const useAccessControl = () => {
     canAccess: checkAccess,
     hasRole,
     hasPermission,
-    userRole: user?.role,
-    isAdmin: hasRole('admin'),
-    isEditor: hasRole(['admin', 'editor']),
-    isUser: hasRole('user')
+    userRole: user?.role
   }
 }
 
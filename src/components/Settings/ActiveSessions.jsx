@@ -0,0 +1,84 @@
+import React, { useState } from 'react'
+import { Box, Button, Card, CardContent, CardHeader } from '@mui/material'
+import { Devices as DevicesIcon, Logout as LogoutIcon } from '@mui/icons-material'
+import toast from 'react-hot-toast'
+import { useApi } from '../../hooks/useApi'
+import authService from '../../services/authService'
+import SessionList from '../Auth/SessionList'
+import { showErrorToast } from '../../utils/errorToast'
+
+// Where this account is signed in, with sign-out for each other device
+const ActiveSessions = () => {
+  const { data, loading, refetch } = useApi(authService.getSessions, [], {
+    cacheKey: 'sessions'
+  })
+  const [revokingId, setRevokingId] = useState(null)
+  const [revokingOthers, setRevokingOthers] = useState(false)
+
+  const sessions = data?.data || []
+  const hasOtherSessions = sessions.some(session => !session.is_current)
+
+  const handleRevoke = async (session) => {
+    try {
+      setRevokingId(session.id)
+      const response = await authService.revokeSession(session.id)
+      toast.success(response.message)
+      await refetch()
+    } catch (error) {
+      showErrorToast('Failed to sign out the session', error)
+    } finally {
+      setRevokingId(null)
+    }
+  }
+
+  const handleRevokeOthers = async () => {
+    if (!window.confirm('Sign out of every other device? You will stay signed in here.')) {
+      return
+    }
+
+    try {
+      setRevokingOthers(true)
+      const response = await authService.revokeOtherSessions()
+      toast.success(response.message)
+      await refetch()
+    } catch (error) {
+      showErrorToast('Failed to sign out other sessions', error)
+    } finally {
+      setRevokingOthers(false)
+    }
+  }
+
+  return (
+    <Card id="sessions">
+      <CardHeader
+        avatar={<DevicesIcon color="primary" />}
+        title="Active Sessions"
+        subheader="Devices signed in to your account. Sign out any you do not recognise."
+        action={
+          <Box sx={{ pt: 1, pr: 1 }}>
+            <Button
+              variant="outlined"
+              color="error"
+              size="small"
+              startIcon={<LogoutIcon />}
+              onClick={handleRevokeOthers}
+              disabled={!hasOtherSessions || revokingOthers}
+            >
+              {revokingOthers ? 'Signing out...' : 'Sign out other devices'}
+            </Button>
+          </Box>
+        }
+      />
+      <CardContent>
+        <SessionList
+          sessions={sessions}
+          loading={loading}
+          onRevoke={handleRevoke}
+          revokingId={revokingId}
+        />
+      </CardContent>
+    </Card>
+  )
+}
+
+export default ActiveSessions
@@ -0,0 +1,276 @@
+import React, { useState } from 'react'
+import {
+  Box,
+  Typography,
+  TextField,
+  Button,
+  Alert,
+  Chip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  List,
+  ListItem,
+  ListItemIcon,
+  ListItemText,
+  ListItemSecondaryAction,
+  IconButton,
+  Tooltip,
+  Skeleton
+} from '@mui/material'
+import {
+  Key as KeyIcon,
+  Edit as EditIcon,
+  Delete as DeleteIcon,
+  Check as CheckIcon,
+  Close as CloseIcon,
+  Add as AddIcon
+} from '@mui/icons-material'
+import toast from 'react-hot-toast'
+import { useApi } from '../../hooks/useApi'
+import authService from '../../services/authService'
+import { showErrorToast } from '../../utils/errorToast'
+import { ValidationError, isCancelledError } from '../../utils/errors'
+import { isPasskeySupported } from '../../utils/webauthn'
+import { formatDate, formatRelativeTime } from '../../utils/helpers'
+
+const PasskeyRow = ({ passkey, onChanged }) => {
+  const [editing, setEditing] = useState(false)
+  const [name, setName] = useState(passkey.name)
+  const [fieldError, setFieldError] = useState('')
+  const [working, setWorking] = useState(false)
+
+  const startEditing = () => {
+    setName(passkey.name)
+    setFieldError('')
+    setEditing(true)
+  }
+
+  const handleRename = async () => {
+    try {
+      setWorking(true)
+      setFieldError('')
+      await authService.renamePasskey(passkey.id, name)
+      setEditing(false)
+      onChanged()
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        setFieldError(error.fields.name || error.message)
+      } else {
+        showErrorToast('Failed to rename passkey', error)
+      }
+    } finally {
+      setWorking(false)
+    }
+  }
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Remove "${passkey.name}"? You will no longer be able to sign in with it.`)) {
+      return
+    }
+
+    try {
+      setWorking(true)
+      const response = await authService.deletePasskey(passkey.id)
+      toast.success(response.message)
+      onChanged()
+    } catch (error) {
+      showErrorToast('Failed to remove passkey', error)
+      setWorking(false)
+    }
+  }
+
+  if (editing) {
+    return (
+      <ListItem>
+        <TextField
+          fullWidth
+          autoFocus
+          size="small"
+          label="Passkey name"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') handleRename()
+            if (e.key === 'Escape') setEditing(false)
+          }}
+          error={!!fieldError}
+          helperText={fieldError}
+          disabled={working}
+        />
+        <IconButton aria-label="Save name" onClick={handleRename} disabled={working}>
+          <CheckIcon />
+        </IconButton>
+        <IconButton aria-label="Cancel renaming" onClick={() => setEditing(false)} disabled={working}>
+          <CloseIcon />
+        </IconButton>
+      </ListItem>
+    )
+  }
+
+  return (
+    <ListItem>
+      <ListItemIcon>
+        <KeyIcon />
+      </ListItemIcon>
+      <ListItemText
+        primary={passkey.name}
+        secondary={`Added ${formatDate(passkey.created_at)} · ${
+          passkey.last_used_at ? `Last used ${formatRelativeTime(passkey.last_used_at)}` : 'Never used'
+        }`}
+      />
+      <ListItemSecondaryAction>
+        <Tooltip title="Rename">
+          <IconButton edge="end" aria-label="Rename passkey" onClick={startEditing} disabled={working} sx={{ mr: 0.5 }}>
+            <EditIcon />
+          </IconButton>
+        </Tooltip>
+        <Tooltip title="Remove">
+          <IconButton edge="end" aria-label="Remove passkey" onClick={handleDelete} disabled={working}>
+            <DeleteIcon />
+          </IconButton>
+        </Tooltip>
+      </ListItemSecondaryAction>
+    </ListItem>
+  )
+}
+
+const PasskeysDialog = ({ open, onClose, passkeys, loading, onChanged }) => {
+  const supported = isPasskeySupported()
+  const [name, setName] = useState('')
+  const [fieldError, setFieldError] = useState('')
+  const [error, setError] = useState('')
+  const [adding, setAdding] = useState(false)
+
+  const handleAdd = async () => {
+    try {
+      setAdding(true)
+      setFieldError('')
+      setError('')
+      const response = await authService.registerPasskey(name)
+      toast.success(response.message)
+      setName('')
+      onChanged()
+    } catch (err) {
+      // Closing the browser prompt is not an error worth showing
+      if (isCancelledError(err)) return
+
+      if (err instanceof ValidationError && err.fields.name) {
+        setFieldError(err.fields.name)
+      } else {
+        setError(err.message)
+      }
+    } finally {
+      setAdding(false)
+    }
+  }
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Passkeys</DialogTitle>
+      <DialogContent>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          A passkey lets you sign in with your fingerprint, face, screen lock or a security key
+          instead of your password. Add one on each device you use.
+        </Typography>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>
+            {error}
+          </Alert>
+        )}
+
+        {loading ? (
+          <Skeleton variant="rectangular" height={64} sx={{ mb: 2 }} />
+        ) : passkeys.length > 0 ? (
+          <List dense sx={{ mb: 2 }}>
+            {passkeys.map(passkey => (
+              <PasskeyRow key={passkey.id} passkey={passkey} onChanged={onChanged} />
+            ))}
+          </List>
+        ) : (
+          <Alert severity="info" sx={{ mb: 2 }}>
+            You have not added any passkeys yet.
+          </Alert>
+        )}
+
+        {supported ? (
+          <Box sx={{ display: 'flex', gap: 1, alignItems: 'flex-start' }}>
+            <TextField
+              fullWidth
+              size="small"
+              label="Name (optional)"
+              placeholder="e.g. Office laptop"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              error={!!fieldError}
+              helperText={fieldError}
+              disabled={adding}
+            />
+            <Button
+              variant="contained"
+              startIcon={<AddIcon />}
+              onClick={handleAdd}
+              disabled={adding}
+              sx={{ flexShrink: 0 }}
+            >
+              {adding ? 'Waiting...' : 'Add Passkey'}
+            </Button>
+          </Box>
+        ) : (
+          <Alert severity="warning">
+            This browser does not support passkeys. You can still manage passkeys added
+            elsewhere, and sign in with your password here.
+          </Alert>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  )
+}
+
+// Passkeys row of the Security Settings card, with the management dialog
+const PasskeySettings = () => {
+  const [open, setOpen] = useState(false)
+  const { data, loading, refetch } = useApi(authService.getPasskeys, [], {
+    cacheKey: 'passkeys'
+  })
+
+  const passkeys = data?.data || []
+
+  return (
+    <>
+      <ListItem>
+        <ListItemText
+          primary={
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+              Passkeys
+              {passkeys.length > 0 && (
+                <Chip label={passkeys.length} color="success" size="small" />
+              )}
+            </Box>
+          }
+          secondary="Sign in without a password"
+        />
+        <ListItemSecondaryAction>
+          <Button variant="outlined" size="small" onClick={() => setOpen(true)}>
+            Manage
+          </Button>
+        </ListItemSecondaryAction>
+      </ListItem>
+
+      <PasskeysDialog
+        open={open}
+        onClose={() => setOpen(false)}
+        passkeys={passkeys}
+        loading={loading}
+        onChanged={refetch}
+      />
+    </>
+  )
+}
+
+export default PasskeySettings
@@ -0,0 +1,82 @@
+import React, { useState } from 'react'
+import {
+  Box,
+  Button,
+  Chip,
+  ListItem,
+  ListItemText,
+  ListItemSecondaryAction
+} from '@mui/material'
+import toast from 'react-hot-toast'
+import { useAuth } from '../../contexts/AuthContext'
+import authService from '../../services/authService'
+import { showErrorToast } from '../../utils/errorToast'
+import { SSO_CONFIG } from '../../utils/constants'
+import { formatDate } from '../../utils/helpers'
+
+// Organisation account row of the Security Settings card. Linking leaves for
+// the identity provider and comes back through SsoCallback
+const SsoSettings = () => {
+  const { user, updateUser } = useAuth()
+  const [working, setWorking] = useState(false)
+
+  const linked = user?.sso_account
+
+  const handleLink = async () => {
+    try {
+      setWorking(true)
+      await authService.startSsoLink()
+    } catch (error) {
+      showErrorToast('Failed to link account', error)
+      setWorking(false)
+    }
+  }
+
+  const handleUnlink = async () => {
+    if (!window.confirm(`Unlink ${linked.email}? You will need your password or a passkey to sign in.`)) {
+      return
+    }
+
+    try {
+      setWorking(true)
+      const response = await authService.unlinkSsoAccount()
+      updateUser(response.data)
+      toast.success(response.message)
+    } catch (error) {
+      showErrorToast('Failed to unlink account', error)
+    } finally {
+      setWorking(false)
+    }
+  }
+
+  return (
+    <ListItem>
+      <ListItemText
+        primary={
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+            Organisation account
+            {linked && <Chip label="Linked" color="success" size="small" />}
+          </Box>
+        }
+        secondary={
+          linked
+            ? `${linked.email} · Linked ${formatDate(linked.linked_at)}`
+            : `Sign in with your ${SSO_CONFIG.providerName}`
+        }
+      />
+      <ListItemSecondaryAction>
+        {linked ? (
+          <Button variant="outlined" size="small" color="error" onClick={handleUnlink} disabled={working}>
+            Unlink
+          </Button>
+        ) : (
+          <Button variant="outlined" size="small" onClick={handleLink} disabled={working}>
+            Link
+          </Button>
+        )}
+      </ListItemSecondaryAction>
+    </ListItem>
+  )
+}
+
+export default SsoSettings
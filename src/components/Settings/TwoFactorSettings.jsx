@@ -0,0 +1,447 @@
+import React, { useState, useEffect } from 'react'
+import {
+  Box,
+  Typography,
+  TextField,
+  Button,
+  Alert,
+  Chip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  ListItem,
+  ListItemText,
+  ListItemSecondaryAction,
+  CircularProgress,
+  Paper,
+  Stepper,
+  Step,
+  StepLabel
+} from '@mui/material'
+import {
+  ContentCopy as CopyIcon,
+  Download as DownloadIcon,
+  Refresh as RefreshIcon
+} from '@mui/icons-material'
+import toast from 'react-hot-toast'
+import { useAuth } from '../../contexts/AuthContext'
+import authService from '../../services/authService'
+import { ValidationError } from '../../utils/errors'
+import { copyToClipboard, downloadFile } from '../../utils/helpers'
+import { APP_CONFIG, TWO_FACTOR_CONFIG } from '../../utils/constants'
+
+const SETUP_STEPS = ['Scan the QR code', 'Save recovery codes']
+
+// Validation errors belong next to the field; anything else above the form
+const splitError = (err) => {
+  if (err instanceof ValidationError) {
+    return { field: Object.values(err.fields)[0] || err.message, general: '' }
+  }
+  return { field: '', general: err.message || 'Something went wrong' }
+}
+
+// Recovery codes with copy and download, shown right after enrolment and on request
+const RecoveryCodes = ({ codes }) => {
+  const text = codes.join('\n')
+
+  const handleCopy = async () => {
+    await copyToClipboard(text)
+    toast.success('Recovery codes copied')
+  }
+
+  const handleDownload = () => {
+    const header = `${APP_CONFIG.name} recovery codes\nEach code can be used once to sign in without your authenticator app.\n\n`
+    const url = URL.createObjectURL(new Blob([header + text + '\n'], { type: 'text/plain' }))
+    downloadFile(url, TWO_FACTOR_CONFIG.recoveryCodesFilename)
+    URL.revokeObjectURL(url)
+  }
+
+  return (
+    <Box>
+      <Paper variant="outlined" sx={{ p: 2, mb: 2 }}>
+        <Box
+          component="ul"
+          sx={{
+            display: 'grid',
+            gridTemplateColumns: 'repeat(2, 1fr)',
+            gap: 1,
+            listStyle: 'none',
+            m: 0,
+            p: 0,
+            fontFamily: 'monospace',
+            fontSize: '0.95rem'
+          }}
+        >
+          {codes.map(code => <li key={code}>{code}</li>)}
+        </Box>
+      </Paper>
+      <Box sx={{ display: 'flex', gap: 1 }}>
+        <Button size="small" variant="outlined" startIcon={<DownloadIcon />} onClick={handleDownload}>
+          Download
+        </Button>
+        <Button size="small" variant="outlined" startIcon={<CopyIcon />} onClick={handleCopy}>
+          Copy
+        </Button>
+      </Box>
+    </Box>
+  )
+}
+
+// Enrolment: generate a secret, show it as a QR code, confirm a code from the
+// app and hand over the first set of recovery codes
+const SetupDialog = ({ open, onClose }) => {
+  const { updateUser } = useAuth()
+  const [setup, setSetup] = useState(null)
+  const [qrCode, setQrCode] = useState(null)
+  const [code, setCode] = useState('')
+  const [recoveryCodes, setRecoveryCodes] = useState(null)
+  const [fieldError, setFieldError] = useState('')
+  const [error, setError] = useState('')
+  const [working, setWorking] = useState(false)
+
+  useEffect(() => {
+    if (!open) return
+
+    let active = true
+    setSetup(null)
+    setQrCode(null)
+    setCode('')
+    setRecoveryCodes(null)
+    setFieldError('')
+    setError('')
+
+    const start = async () => {
+      try {
+        const response = await authService.enableTwoFactor()
+        if (!active) return
+        setSetup(response.data)
+
+        // The QR encoder is only needed here, so it stays out of the main bundle
+        const { toDataURL } = await import('qrcode')
+        const image = await toDataURL(response.data.otpauth_url, { margin: 1, width: 200 })
+        if (active) setQrCode(image)
+      } catch (err) {
+        if (active) setError(err.message || 'Could not start two-factor setup')
+      }
+    }
+
+    start()
+    return () => { active = false }
+  }, [open])
+
+  const handleConfirm = async () => {
+    try {
+      setWorking(true)
+      setFieldError('')
+      setError('')
+      const response = await authService.confirmTwoFactor(code)
+      if (response.data.user) updateUser(response.data.user)
+      setRecoveryCodes(response.data.recovery_codes)
+    } catch (err) {
+      const { field, general } = splitError(err)
+      setFieldError(field)
+      setError(general)
+    } finally {
+      setWorking(false)
+    }
+  }
+
+  const handleCopySecret = async () => {
+    await copyToClipboard(setup.secret)
+    toast.success('Setup key copied')
+  }
+
+  return (
+    <Dialog open={open} onClose={recoveryCodes ? undefined : onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Set Up Two-Factor Authentication</DialogTitle>
+      <DialogContent>
+        <Stepper activeStep={recoveryCodes ? 1 : 0} sx={{ mb: 3, mt: 1 }}>
+          {SETUP_STEPS.map(label => (
+            <Step key={label}>
+              <StepLabel>{label}</StepLabel>
+            </Step>
+          ))}
+        </Stepper>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+
+        {!recoveryCodes && !setup && !error && (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+            <CircularProgress />
+          </Box>
+        )}
+
+        {!recoveryCodes && setup && (
+          <Box>
+            <Typography variant="body2" sx={{ mb: 2 }}>
+              Scan this QR code with an authenticator app such as Google Authenticator,
+              Microsoft Authenticator or FreeOTP, then enter the code it shows.
+            </Typography>
+            <Box sx={{ display: 'flex', justifyContent: 'center', mb: 2, minHeight: 200 }}>
+              {qrCode ? (
+                <Box component="img" src={qrCode} alt="Two-factor authentication QR code" sx={{ width: 200, height: 200 }} />
+              ) : (
+                <CircularProgress sx={{ alignSelf: 'center' }} />
+              )}
+            </Box>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+              If you cannot scan it, enter this setup key instead:
+            </Typography>
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 3 }}>
+              <Box component="code" sx={{ fontSize: '0.9rem', wordBreak: 'break-all' }}>
+                {setup.secret.match(/.{1,4}/g).join(' ')}
+              </Box>
+              <Button size="small" startIcon={<CopyIcon />} onClick={handleCopySecret}>
+                Copy
+              </Button>
+            </Box>
+            <TextField
+              fullWidth
+              autoFocus
+              label="Authentication Code"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              onKeyDown={(e) => { if (e.key === 'Enter') handleConfirm() }}
+              error={!!fieldError}
+              helperText={fieldError}
+              autoComplete="one-time-code"
+              inputProps={{ inputMode: 'numeric', maxLength: TWO_FACTOR_CONFIG.codeLength + 1 }}
+            />
+          </Box>
+        )}
+
+        {recoveryCodes && (
+          <Box>
+            <Alert severity="success" sx={{ mb: 2 }}>
+              Two-factor authentication is now enabled.
+            </Alert>
+            <Typography variant="body2" sx={{ mb: 2 }}>
+              Store these recovery codes somewhere safe. If you lose your phone, each
+              code lets you sign in once. They will not be shown again here unless you ask for them.
+            </Typography>
+            <RecoveryCodes codes={recoveryCodes} />
+          </Box>
+        )}
+      </DialogContent>
+      <DialogActions>
+        {recoveryCodes ? (
+          <Button variant="contained" onClick={onClose}>
+            Done
+          </Button>
+        ) : (
+          <>
+            <Button onClick={onClose}>Cancel</Button>
+            <Button
+              variant="contained"
+              onClick={handleConfirm}
+              disabled={!setup || !code.trim() || working}
+            >
+              {working ? 'Verifying...' : 'Verify and Enable'}
+            </Button>
+          </>
+        )}
+      </DialogActions>
+    </Dialog>
+  )
+}
+
+const RecoveryCodesDialog = ({ open, onClose }) => {
+  const [codes, setCodes] = useState(null)
+  const [error, setError] = useState('')
+  const [regenerating, setRegenerating] = useState(false)
+
+  useEffect(() => {
+    if (!open) return
+
+    let active = true
+    setCodes(null)
+    setError('')
+
+    authService.getRecoveryCodes()
+      .then(response => { if (active) setCodes(response.data.recovery_codes) })
+      .catch(err => { if (active) setError(err.message) })
+
+    return () => { active = false }
+  }, [open])
+
+  const handleRegenerate = async () => {
+    try {
+      setRegenerating(true)
+      setError('')
+      const response = await authService.regenerateRecoveryCodes()
+      setCodes(response.data.recovery_codes)
+      toast.success(response.message)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setRegenerating(false)
+    }
+  }
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Recovery Codes</DialogTitle>
+      <DialogContent>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+        {!codes && !error && (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+            <CircularProgress />
+          </Box>
+        )}
+        {codes && (
+          <>
+            <Typography variant="body2" sx={{ mb: 2 }}>
+              {codes.length > 0
+                ? `${codes.length} unused code${codes.length === 1 ? '' : 's'}. Generating new codes makes these stop working.`
+                : 'You have used all your recovery codes. Generate new ones now.'}
+            </Typography>
+            {codes.length > 0 && <RecoveryCodes codes={codes} />}
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button startIcon={<RefreshIcon />} onClick={handleRegenerate} disabled={regenerating}>
+          {regenerating ? 'Generating...' : 'Generate New Codes'}
+        </Button>
+        <Button variant="contained" onClick={onClose}>
+          Close
+        </Button>
+      </DialogActions>
+    </Dialog>
+  )
+}
+
+const DisableDialog = ({ open, onClose }) => {
+  const { updateUser } = useAuth()
+  const [password, setPassword] = useState('')
+  const [fieldError, setFieldError] = useState('')
+  const [error, setError] = useState('')
+  const [working, setWorking] = useState(false)
+
+  useEffect(() => {
+    if (open) {
+      setPassword('')
+      setFieldError('')
+      setError('')
+    }
+  }, [open])
+
+  const handleDisable = async () => {
+    try {
+      setWorking(true)
+      setFieldError('')
+      setError('')
+      const response = await authService.disableTwoFactor(password)
+      updateUser(response.data)
+      toast.success(response.message)
+      onClose()
+    } catch (err) {
+      const { field, general } = splitError(err)
+      setFieldError(field)
+      setError(general)
+    } finally {
+      setWorking(false)
+    }
+  }
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="xs" fullWidth>
+      <DialogTitle>Disable Two-Factor Authentication</DialogTitle>
+      <DialogContent>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+        <Typography variant="body2" sx={{ mb: 2 }}>
+          Your account will be protected by your password only. Enter it to confirm.
+        </Typography>
+        <TextField
+          fullWidth
+          autoFocus
+          type="password"
+          label="Password"
+          autoComplete="current-password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          error={!!fieldError}
+          helperText={fieldError}
+        />
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button color="error" variant="contained" onClick={handleDisable} disabled={working}>
+          {working ? 'Disabling...' : 'Disable'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  )
+}
+
+// Two-factor row of the Security Settings card, with its dialogs
+const TwoFactorSettings = () => {
+  const { user } = useAuth()
+  const [dialog, setDialog] = useState(null)
+  const enabled = !!user?.two_factor_enabled
+
+  const closeDialog = () => setDialog(null)
+
+  return (
+    <>
+      <ListItem>
+        <ListItemText
+          primary={
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+              Two-Factor Authentication
+              <Chip
+                label={enabled ? 'On' : 'Off'}
+                color={enabled ? 'success' : 'default'}
+                size="small"
+              />
+            </Box>
+          }
+          secondary={
+            enabled
+              ? 'Sign-ins need a code from your authenticator app'
+              : user?.two_factor_required
+                ? 'Required for your role'
+                : 'Add an extra layer of security'
+          }
+        />
+        <ListItemSecondaryAction>
+          {enabled ? (
+            <Box sx={{ display: 'flex', gap: 1 }}>
+              <Button variant="outlined" size="small" onClick={() => setDialog('codes')}>
+                Codes
+              </Button>
+              {!user?.two_factor_required && (
+                <Button variant="outlined" size="small" color="error" onClick={() => setDialog('disable')}>
+                  Disable
+                </Button>
+              )}
+            </Box>
+          ) : (
+            <Button variant="contained" size="small" onClick={() => setDialog('setup')}>
+              Set Up
+            </Button>
+          )}
+        </ListItemSecondaryAction>
+      </ListItem>
+
+      <SetupDialog open={dialog === 'setup'} onClose={closeDialog} />
+      <RecoveryCodesDialog open={dialog === 'codes'} onClose={closeDialog} />
+      <DisableDialog open={dialog === 'disable'} onClose={closeDialog} />
+    </>
+  )
+}
+
+export default TwoFactorSettings
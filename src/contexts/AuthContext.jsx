@@ -1,8 +1,12 @@
 import React, { createContext, useContext, useState, useEffect, useCallback } from 'react'
-import { storage, handleApiError } from '../utils/helpers'
-import { STORAGE_KEYS, USER_ROLES } from '../utils/constants'
+import { storage, getTokenExpiry } from '../utils/helpers'
+import { toApiError, isCancelledError, AuthError, ERROR_CODES } from '../utils/errors'
+import { STORAGE_KEYS, AUTH_CONFIG } from '../utils/constants'
 import api from '../services/api'
 import authService from '../services/authService'
+import queryClient from '../services/queryClient'
+import syncBus, { SYNC_EVENTS } from '../services/syncBus'
+import { useIdleTimer } from '../hooks/useIdleTimer'
 
 // Enhanced authentication context with token refresh and role management
 // Provides comprehensive authentication state management with automatic token refresh
@@ -11,9 +15,21 @@ const AuthContext = createContext({
   isAuthenticated: false,
   loading: true,
   login: () => {},
+  completeTwoFactorLogin: () => {},
+  cancelTwoFactorLogin: () => {},
+  loginWithPasskey: () => {},
+  loginWithSso: () => {},
+  completeSso: () => {},
+  twoFactorChallenge: null,
+  isEmailVerified: false,
+  idleWarning: null,
+  idleWarningDuration: null,
+  extendSession: () => {},
+  logoutReason: null,
   logout: () => {},
   register: () => {},
   updateUser: () => {},
+  refreshUser: () => {},
   refreshToken: () => {},
   hasRole: () => false,
   hasPermission: () => false,
@@ -31,10 +47,28 @@ export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null)
   const [loading, setLoading] = useState(true)
   const [refreshing, setRefreshing] = useState(false)
+  const [tokenExpiresAt, setTokenExpiresAt] = useState(null)
+  const [isLeaderTab, setIsLeaderTab] = useState(() => syncBus.isLeader())
+  // Set between the password step and the code step of a two-factor login
+  const [twoFactorChallenge, setTwoFactorChallenge] = useState(null)
+  // Why the last session ended, when it wasn't the user's choice ('idle')
+  const [logoutReason, setLogoutReason] = useState(null)
 
   // Computed authentication state
   const isAuthenticated = !!user
 
+  // The security policy requires 2FA for this role but the user hasn't enrolled yet
+  const needsTwoFactorSetup = !!user?.two_factor_required && !user?.two_factor_enabled
+
+  // Unverified accounts are signed in but locked out of uploads and publishing
+  const isEmailVerified = !!user?.email_verified_at
+
+  // Store token and remember when it expires so refresh can be scheduled
+  const applyToken = useCallback((token) => {
+    api.setAuthToken(token)
+    setTokenExpiresAt(getTokenExpiry(token))
+  }, [])
+
   // Initialize authentication state
   useEffect(() => {
     initializeAuth()
@@ -51,7 +85,7 @@ export const AuthProvider = ({ children }) => {
       }
 
       // Set token in API client
-      api.defaults.headers.common['Authorization'] = `Bearer ${token}`
+      applyToken(token)
       
       // Verify token and get user data
       await fetchCurrentUser()
@@ -68,33 +102,63 @@ export const AuthProvider = ({ children }) => {
   const fetchCurrentUser = async () => {
     try {
       const response = await authService.getCurrentUser()
+      api.setCacheNamespace(response.data?.id)
+      api.setOutboxOwner(response.data?.id)
       setUser(response.data)
       return response.data
     } catch (error) {
-      const processedError = handleApiError(error)
+      const apiError = toApiError(error)
       
       // If token is invalid, logout
-      if (processedError.status === 401) {
+      if (apiError instanceof AuthError) {
         await logout()
-        throw new Error('Session expired. Please log in again.')
+        throw new AuthError({
+          code: ERROR_CODES.SESSION_EXPIRED,
+          requestId: apiError.requestId,
+          cause: apiError
+        })
       }
       
-      throw processedError
+      throw apiError
     }
   }
 
+  // Sign in with a token and user from the server and tell the other tabs
+  const startSession = (token, userData) => {
+    applyToken(token)
+    api.setCacheNamespace(userData?.id)
+    api.setOutboxOwner(userData?.id)
+    setUser(userData)
+    setLogoutReason(null)
+    resetIdleTimer()
+    syncBus.publish(SYNC_EVENTS.LOGIN, { token, user: userData })
+  }
+
   // Login function with comprehensive error handling
   const login = async (credentials) => {
     try {
       setLoading(true)
       
       const response = await authService.login(credentials)
+
+      // The password was right; Login asks for the second factor next
+      if (response.data.two_factor) {
+        setTwoFactorChallenge({
+          challengeToken: response.data.challenge_token,
+          email: credentials.email
+        })
+        setLoading(false)
+
+        return {
+          success: false,
+          twoFactorRequired: true
+        }
+      }
+
       const { user: userData, token } = response.data
       
       // Store token and user data
-      storage.set(STORAGE_KEYS.AUTH_TOKEN, token)
-      api.defaults.headers.common['Authorization'] = `Bearer ${token}`
-      setUser(userData)
+      startSession(token, userData)
       
       // Track login event
       console.log('User logged in:', userData.email)
@@ -108,15 +172,128 @@ export const AuthProvider = ({ children }) => {
         message: 'Login successful'
       }
     } catch (error) {
-      const processedError = handleApiError(error)
+      const apiError = toApiError(error)
       
       // Ensure auth state is clean on failed login
       await logout()
       
       return {
         success: false,
-        error: processedError.message,
-        status: processedError.status
+        error: apiError.message,
+        code: apiError.code,
+        status: apiError.status,
+        errors: apiError.errors
+      }
+    }
+  }
+
+  // Second step of a two-factor login: { code } or { recoveryCode }
+  const completeTwoFactorLogin = async ({ code, recoveryCode }) => {
+    try {
+      const response = await authService.verifyTwoFactorChallenge({
+        challengeToken: twoFactorChallenge?.challengeToken,
+        code,
+        recoveryCode
+      })
+      const { user: userData, token } = response.data
+
+      setTwoFactorChallenge(null)
+      startSession(token, userData)
+      console.log('User logged in:', userData.email)
+
+      return {
+        success: true,
+        user: userData,
+        message: 'Login successful'
+      }
+    } catch (error) {
+      const apiError = toApiError(error)
+
+      // An expired challenge can't be retried, so go back to the password step
+      if (apiError.code === ERROR_CODES.TWO_FACTOR_EXPIRED) {
+        setTwoFactorChallenge(null)
+      }
+
+      return {
+        success: false,
+        error: apiError.message,
+        code: apiError.code,
+        status: apiError.status,
+        errors: apiError.errors
+      }
+    }
+  }
+
+  const cancelTwoFactorLogin = useCallback(() => {
+    setTwoFactorChallenge(null)
+  }, [])
+
+  // No global loading state: Login stays mounted behind the browser's passkey prompt
+  const loginWithPasskey = async () => {
+    try {
+      const response = await authService.loginWithPasskey()
+      const { user: userData, token } = response.data
+
+      startSession(token, userData)
+      console.log('User logged in:', userData.email)
+
+      return {
+        success: true,
+        user: userData,
+        message: 'Login successful'
+      }
+    } catch (error) {
+      const apiError = toApiError(error)
+
+      return {
+        success: false,
+        cancelled: isCancelledError(apiError),
+        error: apiError.message,
+        code: apiError.code,
+        status: apiError.status
+      }
+    }
+  }
+
+  // Single sign-on leaves the app; completeSso picks up on the callback route
+  const loginWithSso = async (returnTo = null) => {
+    try {
+      await authService.startSsoLogin(returnTo)
+      return { success: true }
+    } catch (error) {
+      const apiError = toApiError(error)
+      return { success: false, error: apiError.message, code: apiError.code }
+    }
+  }
+
+  // Finish a sign-in or account link coming back from the identity provider
+  const completeSso = async (search) => {
+    try {
+      const response = await authService.completeSso(search)
+
+      if (response.intent === 'link') {
+        updateUser(response.data)
+        syncBus.publish(SYNC_EVENTS.USER_UPDATED, { user: response.data })
+      } else {
+        startSession(response.data.token, response.data.user)
+        console.log('User logged in:', response.data.user.email)
+      }
+
+      return {
+        success: true,
+        intent: response.intent,
+        returnTo: response.returnTo,
+        message: response.message
+      }
+    } catch (error) {
+      const apiError = toApiError(error)
+
+      return {
+        success: false,
+        cancelled: isCancelledError(apiError),
+        error: apiError.fields?.account || apiError.message,
+        code: apiError.code,
+        status: apiError.status
       }
     }
   }
@@ -130,9 +307,7 @@ export const AuthProvider = ({ children }) => {
       const { user: newUser, token } = response.data
       
       // Auto-login after successful registration
-      storage.set(STORAGE_KEYS.AUTH_TOKEN, token)
-      api.defaults.headers.common['Authorization'] = `Bearer ${token}`
-      setUser(newUser)
+      startSession(token, newUser)
       
       console.log('User registered and logged in:', newUser.email)
       
@@ -142,20 +317,41 @@ export const AuthProvider = ({ children }) => {
         message: 'Registration successful'
       }
     } catch (error) {
-      const processedError = handleApiError(error)
+      const apiError = toApiError(error)
       
       return {
         success: false,
-        error: processedError.message,
-        status: processedError.status
+        error: apiError.message,
+        code: apiError.code,
+        status: apiError.status,
+        errors: apiError.errors
       }
     } finally {
       setLoading(false)
     }
   }
 
+  // Forget the session in this tab only; logout and other tabs' logouts share it
+  const clearSession = useCallback(() => {
+    api.setAuthToken(null)
+    setTokenExpiresAt(null)
+
+    // Drop this user's cached queries and responses so the next person on the
+    // device can't see them; queries go first so nothing refetches signed out.
+    // Other tabs clear their own caches when they hear about the logout.
+    // Changes queued offline are kept but hidden until the same user is back
+    queryClient.clear()
+    api.clearCache(null, { broadcast: false })
+    api.setCacheNamespace(null)
+    api.setOutboxOwner(null)
+
+    setUser(null)
+    setLoading(false)
+  }, [])
+
   // Logout function with cleanup
-  const logout = useCallback(async () => {
+  // reason is passed on to every tab so Login can explain an automatic sign-out
+  const logout = useCallback(async ({ reason = null } = {}) => {
     try {
       // Attempt to revoke token on server
       const token = storage.get(STORAGE_KEYS.AUTH_TOKEN)
@@ -171,14 +367,79 @@ export const AuthProvider = ({ children }) => {
       console.warn('Logout error:', error)
     } finally {
       // Clean up local state regardless of server response
-      storage.remove(STORAGE_KEYS.AUTH_TOKEN)
-      delete api.defaults.headers.common['Authorization']
-      setUser(null)
-      setLoading(false)
+      clearSession()
+      setLogoutReason(reason)
+      syncBus.publish(SYNC_EVENTS.LOGOUT, { reason })
       
       console.log('User logged out')
     }
-  }, [])
+  }, [clearSession])
+
+  // Sign out after the inactivity timeout from the admin's system settings;
+  // ProtectedRoute then sends the user to Login with the page they were on
+  const idleTimeout = (user?.session_idle_timeout || 0) * 60 * 1000
+  const { remaining: idleWarning, warningDuration: idleWarningDuration, reset: resetIdleTimer } = useIdleTimer({
+    enabled: isAuthenticated && idleTimeout > 0,
+    timeout: idleTimeout,
+    onIdle: () => logout({ reason: 'idle' })
+  })
+
+  // Let the API client refresh tokens and log out on our behalf
+  useEffect(() => {
+    api.setAuthHandlers({
+      refreshToken: async () => {
+        const response = await authService.refreshToken()
+        return response.data
+      },
+      onTokenRefreshed: (token, userData) => {
+        setTokenExpiresAt(getTokenExpiry(token))
+
+        // Update user data if provided
+        if (userData) {
+          setUser(userData)
+        }
+
+        syncBus.publish(SYNC_EVENTS.TOKEN_REFRESHED, { token, user: userData })
+      },
+      onAuthFailure: () => logout(),
+    })
+
+    return () => api.setAuthHandlers(null)
+  }, [logout])
+
+  // Follow sign-ins, sign-outs and token refreshes from other tabs
+  useEffect(() => {
+    const unsubscribers = [
+      syncBus.subscribe(SYNC_EVENTS.LOGIN, ({ token, user: userData }) => {
+        // Whoever was signed in here before, their queries must not be shown
+        queryClient.clear()
+        applyToken(token)
+        api.setCacheNamespace(userData?.id)
+        api.setOutboxOwner(userData?.id)
+        setUser(userData)
+        setLogoutReason(null)
+        setLoading(false)
+      }),
+      syncBus.subscribe(SYNC_EVENTS.LOGOUT, ({ reason = null } = {}) => {
+        clearSession()
+        setLogoutReason(reason)
+        console.log('User logged out in another tab')
+      }),
+      syncBus.subscribe(SYNC_EVENTS.USER_UPDATED, ({ user: userData }) => {
+        // Only if this tab is signed in as the same user
+        setUser(prevUser => (prevUser?.id === userData?.id ? userData : prevUser))
+      }),
+      syncBus.subscribe(SYNC_EVENTS.TOKEN_REFRESHED, ({ token, user: userData }) => {
+        applyToken(token)
+        if (userData) {
+          setUser(userData)
+        }
+      }),
+      syncBus.subscribeLeadership(setIsLeaderTab),
+    ]
+
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe())
+  }, [applyToken, clearSession])
 
   // Update user data
   const updateUser = useCallback((userData) => {
@@ -188,39 +449,29 @@ export const AuthProvider = ({ children }) => {
     }))
   }, [])
 
-  // Token refresh function
-  const refreshToken = useCallback(async () => {
-    if (refreshing) {
-      return false // Prevent multiple simultaneous refresh attempts
-    }
+  // Reload the user from the server, e.g. after the email was verified, and
+  // pass it on so other tabs drop their verification banner too
+  const refreshUser = async () => {
+    const userData = await fetchCurrentUser()
+    syncBus.publish(SYNC_EVENTS.USER_UPDATED, { user: userData })
+    return userData
+  }
 
+  // Token refresh function - shares the API client's single in-flight refresh,
+  // which logs out through the registered failure handler if it fails
+  const refreshToken = useCallback(async () => {
     try {
       setRefreshing(true)
-      
-      const response = await authService.refreshToken()
-      const { token, user: userData } = response.data
-      
-      // Update stored token
-      storage.set(STORAGE_KEYS.AUTH_TOKEN, token)
-      api.defaults.headers.common['Authorization'] = `Bearer ${token}`
-      
-      // Update user data if provided
-      if (userData) {
-        setUser(userData)
-      }
-      
+      await api.refreshAuthToken()
+
       console.log('Token refreshed successfully')
       return true
-    } catch (error) {
-      console.warn('Token refresh failed:', error)
-      
-      // Force logout if refresh fails
-      await logout()
+    } catch {
       return false
     } finally {
       setRefreshing(false)
     }
-  }, [refreshing, logout])
+  }, [])
 
   // Role checking utilities
   const hasRole = useCallback((role) => {
@@ -233,97 +484,41 @@ export const AuthProvider = ({ children }) => {
     return user.role === role
   }, [user])
 
-  // Permission checking utility
+  // Permissions come from the backend with the user; an array means any of them
   const hasPermission = useCallback((permission) => {
-    if (!user || !user.role) return false
-    
-    // Admin has all permissions
-    if (user.role === USER_ROLES.ADMIN) {
-      return true
-    }
-    
-    // Check role-based permissions from constants
-    const rolePermissions = {
-      [USER_ROLES.ADMIN]: [
-        'manage_users', 'manage_roles', 'create_news', 'edit_news', 
-        'delete_news', 'upload_documents', 'delete_documents', 
-        'view_analytics', 'manage_system'
-      ],
-      [USER_ROLES.EDITOR]: [
-        'create_news', 'edit_news', 'delete_news', 
-        'upload_documents', 'delete_documents'
-      ],
-      [USER_ROLES.USER]: [
-        'view_news', 'download_documents', 'view_dashboard'
-      ]
-    }
-    
-    const userPermissions = rolePermissions[user.role] || []
-    
+    const granted = user?.permissions || []
+
     if (Array.isArray(permission)) {
-      return permission.some(p => userPermissions.includes(p))
+      return permission.some(p => granted.includes(p))
     }
-    
-    return userPermissions.includes(permission)
-  }, [user])
-
-  // Check if user is admin
-  const isAdmin = useCallback(() => {
-    return hasRole(USER_ROLES.ADMIN)
-  }, [hasRole])
 
-  // Check if user is editor or admin
-  const canEdit = useCallback(() => {
-    return hasRole([USER_ROLES.ADMIN, USER_ROLES.EDITOR])
-  }, [hasRole])
+    return granted.includes(permission)
+  }, [user])
 
-  // Auto token refresh setup
+  // Refresh shortly before the token's exp claim; opaque tokens without an
+  // expiry rely on the API client refreshing after a 401 instead. Only the
+  // leader tab schedules this, the others pick up its new token from the sync bus
   useEffect(() => {
-    if (!isAuthenticated) return
+    if (!isAuthenticated || !tokenExpiresAt || !isLeaderTab) return
 
-    // Set up automatic token refresh
-    const refreshInterval = setInterval(async () => {
-      const token = storage.get(STORAGE_KEYS.AUTH_TOKEN)
-      if (token) {
-        try {
-          // Check if token needs refresh (you might want to decode JWT to check expiry)
-          await refreshToken()
-        } catch (error) {
-          console.warn('Automatic token refresh failed:', error)
-        }
-      }
-    }, 15 * 60 * 1000) // Refresh every 15 minutes
+    let refreshTimer = null
 
-    return () => clearInterval(refreshInterval)
-  }, [isAuthenticated, refreshToken])
+    // setTimeout overflows past ~24 days, so long-lived tokens re-check daily
+    const scheduleRefresh = () => {
+      const remaining = tokenExpiresAt - Date.now() - AUTH_CONFIG.tokenRefreshLeeway
 
-  // API interceptor for automatic token refresh on 401
-  useEffect(() => {
-    const interceptor = api.interceptors.response.use(
-      (response) => response,
-      async (error) => {
-        const originalRequest = error.config
-        
-        if (error.response?.status === 401 && !originalRequest._retry && isAuthenticated) {
-          originalRequest._retry = true
-          
-          const refreshed = await refreshToken()
-          if (refreshed) {
-            // Retry the original request with new token
-            const token = storage.get(STORAGE_KEYS.AUTH_TOKEN)
-            originalRequest.headers['Authorization'] = `Bearer ${token}`
-            return api(originalRequest)
-          }
-        }
-        
-        return Promise.reject(error)
+      if (remaining <= 0) {
+        refreshToken()
+        return
       }
-    )
 
-    return () => {
-      api.interceptors.response.eject(interceptor)
+      refreshTimer = setTimeout(scheduleRefresh, Math.min(remaining, AUTH_CONFIG.maxRefreshDelay))
     }
-  }, [isAuthenticated, refreshToken])
+
+    scheduleRefresh()
+
+    return () => clearTimeout(refreshTimer)
+  }, [isAuthenticated, tokenExpiresAt, isLeaderTab, refreshToken])
 
   // Context value
   const value = {
@@ -332,19 +527,30 @@ export const AuthProvider = ({ children }) => {
     isAuthenticated,
     loading,
     refreshing,
+    twoFactorChallenge,
+    needsTwoFactorSetup,
+    isEmailVerified,
+    idleWarning,
+    idleWarningDuration,
+    logoutReason,
     
     // Actions
     login,
+    completeTwoFactorLogin,
+    cancelTwoFactorLogin,
+    loginWithPasskey,
+    loginWithSso,
+    completeSso,
+    extendSession: resetIdleTimer,
     logout,
     register,
     updateUser,
+    refreshUser,
     refreshToken,
     
     // Utilities
     hasRole,
     hasPermission,
-    isAdmin,
-    canEdit,
     
     // User info helpers
     userName: user?.name || '',
@@ -3,6 +3,7 @@ import { ThemeProvider, CssBaseline } from '@mui/material'
 import { createCustomTheme } from '../theme/theme'
 import { STORAGE_KEYS, THEME_CONFIG } from '../utils/constants'
 import { storage } from '../utils/helpers'
+import syncBus, { SYNC_EVENTS } from '../services/syncBus'
 
 // Enhanced theme context with system preference detection and persistence
 // Provides smooth theme transitions and accessibility support
@@ -22,13 +23,13 @@ export const useTheme = () => {
   return context
 }
 
-export const CustomThemeProvider = ({ children }) => {
-  // Detect system theme preference
-  const getSystemTheme = () => {
-    if (typeof window === 'undefined') return 'light'
-    return window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light'
-  }
+// Detect system theme preference
+const getSystemTheme = () => {
+  if (typeof window === 'undefined') return 'light'
+  return window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light'
+}
 
+export const CustomThemeProvider = ({ children }) => {
   // Initialize theme state
   const [systemPreference, setSystemPreference] = useState(getSystemTheme())
   const [mode, setMode] = useState(() => {
@@ -85,27 +86,34 @@ export const CustomThemeProvider = ({ children }) => {
     }
   }, [mode])
 
+  // Follow theme changes made in other tabs
+  useEffect(() => {
+    return syncBus.subscribe(SYNC_EVENTS.THEME_CHANGED, ({ mode: newMode }) => {
+      setMode(newMode || getSystemTheme())
+    })
+  }, [])
+
   // Theme toggle function
   const toggleTheme = () => {
-    setMode(prevMode => {
-      const newMode = prevMode === THEME_CONFIG.modes.LIGHT 
-        ? THEME_CONFIG.modes.DARK 
-        : THEME_CONFIG.modes.LIGHT
-      
-      // Add smooth transition class
-      document.documentElement.classList.add('theme-transition')
-      setTimeout(() => {
-        document.documentElement.classList.remove('theme-transition')
-      }, 300)
-      
-      return newMode
-    })
+    const newMode = mode === THEME_CONFIG.modes.LIGHT 
+      ? THEME_CONFIG.modes.DARK 
+      : THEME_CONFIG.modes.LIGHT
+    
+    // Add smooth transition class
+    document.documentElement.classList.add('theme-transition')
+    setTimeout(() => {
+      document.documentElement.classList.remove('theme-transition')
+    }, 300)
+    
+    setMode(newMode)
+    syncBus.publish(SYNC_EVENTS.THEME_CHANGED, { mode: newMode })
   }
 
   // Set specific theme
   const setTheme = (newMode) => {
     if (Object.values(THEME_CONFIG.modes).includes(newMode)) {
       setMode(newMode)
+      syncBus.publish(SYNC_EVENTS.THEME_CHANGED, { mode: newMode })
     }
   }
 
@@ -113,6 +121,7 @@ export const CustomThemeProvider = ({ children }) => {
   const resetToSystem = () => {
     setMode(systemPreference)
     storage.remove(STORAGE_KEYS.THEME_MODE)
+    syncBus.publish(SYNC_EVENTS.THEME_CHANGED, { mode: null })
   }
 
   const value = {
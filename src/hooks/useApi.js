@@ -1,169 +1,178 @@
 // Enhanced API hooks with caching, retries, pagination, and infinite scroll
-// Provides comprehensive data fetching capabilities with error handling
+// All hooks share one query cache, so identical queries are fetched once app-wide
 
-import { useState, useEffect, useCallback, useRef } from 'react'
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react'
 import { useNetworkPerformance } from './usePerformance'
-import { debounce, handleApiError } from '../utils/helpers'
+import queryClient, { hashQueryKey } from '../services/queryClient'
+import { debounce } from '../utils/helpers'
+import { toApiError, isCancelledError } from '../utils/errors'
+import { QUERY_CONFIG } from '../utils/constants'
+
+// =============================================================================
+// QUERY HOOK
+// =============================================================================
+
+// Stable ids for API functions passed without an explicit query key
+const functionIds = new WeakMap()
+let nextFunctionId = 0
+
+const getFunctionKey = (fn) => {
+  if (!functionIds.has(fn)) {
+    functionIds.set(fn, `${fn.name || 'query'}#${++nextFunctionId}`)
+  }
+  return functionIds.get(fn)
+}
+
+/**
+ * Subscribe to a query in the shared query cache
+ * Components using the same query key share one request and one result
+ */
+export const useQuery = (queryKey, queryFn, options = {}) => {
+  const {
+    enabled = true,
+    keepPreviousData = false,
+    onSuccess = null,
+    onError = null,
+    ...queryOptions
+  } = options
+
+  const hash = hashQueryKey(queryKey)
+  const [state, setState] = useState(() => queryClient.getState(queryKey))
+  const previousDataRef = useRef(undefined)
+
+  // Latest callbacks and options without re-subscribing on every render
+  const latestRef = useRef({})
+  latestRef.current = { queryKey, queryFn, queryOptions, onSuccess, onError }
+
+  const fetchQuery = useCallback((force = false) => {
+    const { queryKey, queryFn, queryOptions, onSuccess, onError } = latestRef.current
+
+    return queryClient.fetchQuery(queryKey, queryFn, { ...queryOptions, force })
+      .then(result => {
+        if (onSuccess) onSuccess(result)
+        return result
+      })
+      .catch(error => {
+        // A cancelled fetch was abandoned on purpose, not failed
+        if (onError && !isCancelledError(error)) onError(error)
+        throw error
+      })
+  }, [])
+
+  useEffect(() => {
+    setState(queryClient.getState(latestRef.current.queryKey))
+    const unsubscribe = queryClient.subscribe(latestRef.current.queryKey, setState)
+
+    if (enabled) {
+      fetchQuery().catch(() => {})
+    }
+
+    return unsubscribe
+  }, [hash, enabled, fetchQuery])
+
+  if (state.data !== undefined) {
+    previousDataRef.current = state.data
+  }
+
+  const data = state.data !== undefined
+    ? state.data
+    : (keepPreviousData ? previousDataRef.current : undefined)
+
+  const refetch = useCallback(() => fetchQuery(true), [fetchQuery])
+
+  return {
+    data: data ?? null,
+    error: state.error,
+    status: state.status,
+    updatedAt: state.updatedAt,
+    failureCount: state.failureCount,
+    isFetching: state.isFetching,
+    isLoading: state.isFetching && data === undefined,
+    refetch
+  }
+}
 
 // =============================================================================
 // BASIC API HOOK
 // =============================================================================
 
 /**
- * Enhanced useApi hook with automatic retries, caching, and error handling
- * Provides loading states, error handling, and retry mechanisms
+ * Enhanced useApi hook with caching and error handling (the API client does the retrying)
+ * Built on the shared query cache, keyed by queryKey (or cacheKey) and dependencies
  */
 export const useApi = (apiFunction, dependencies = [], options = {}) => {
   const {
     immediate = true,
-    retryAttempts = 3,
+    // The API client already retries network errors, 5xx and 429 with backoff;
+    // retrying here as well would multiply the requests
+    retryAttempts = 0,
     retryDelay = 1000,
+    queryKey = null,
     cacheKey = null,
-    cacheDuration = 5 * 60 * 1000, // 5 minutes
+    cacheDuration = QUERY_CONFIG.staleTime,
+    tags = [],
     onSuccess = null,
     onError = null
   } = options
 
-  const [data, setData] = useState(null)
-  const [loading, setLoading] = useState(immediate)
-  const [error, setError] = useState(null)
-  const [attempt, setAttempt] = useState(0)
-
-  const abortControllerRef = useRef(null)
-  const cacheRef = useRef(new Map())
   const { trackApiRequest } = useNetworkPerformance()
 
-  // Cache utilities
-  const getCachedData = useCallback((key) => {
-    const cached = cacheRef.current.get(key)
-    if (cached && Date.now() - cached.timestamp < cacheDuration) {
-      return cached.data
-    }
-    return null
-  }, [cacheDuration])
+  // Inline functions change identity every render, so key them by the first one
+  const functionKeyRef = useRef(null)
+  if (!functionKeyRef.current) {
+    functionKeyRef.current = getFunctionKey(apiFunction)
+  }
 
-  const setCachedData = useCallback((key, data) => {
-    cacheRef.current.set(key, {
-      data,
-      timestamp: Date.now()
-    })
-  }, [])
+  const key = [queryKey || cacheKey || functionKeyRef.current, ...dependencies]
 
-  // Main fetch function with retry logic
-  const fetchData = useCallback(async (...args) => {
-    if (abortControllerRef.current) {
-      abortControllerRef.current.abort()
-    }
-
-    abortControllerRef.current = new AbortController()
-    const { signal } = abortControllerRef.current
-
-    // Check cache first
-    if (cacheKey) {
-      const cachedData = getCachedData(cacheKey)
-      if (cachedData) {
-        setData(cachedData)
-        setLoading(false)
-        setError(null)
-        return cachedData
-      }
-    }
+  // Called synchronously so the query cache can see which API cache entries it reads
+  const queryFn = ({ signal }) => {
+    const startTime = performance.now()
 
-    setLoading(true)
-    setError(null)
-    
-    let lastError = null
-    
-    for (let i = 0; i <= retryAttempts; i++) {
-      try {
-        setAttempt(i)
-        
-        const startTime = performance.now()
-        const result = await apiFunction({ signal, ...args })
-        const endTime = performance.now()
-        
-        // Track API performance
-        trackApiRequest(apiFunction.name || 'API Request', startTime, endTime, true)
-        
-        setData(result)
-        setLoading(false)
-        setError(null)
-        setAttempt(0)
-        
-        // Cache successful result
-        if (cacheKey) {
-          setCachedData(cacheKey, result)
-        }
-        
-        // Success callback
-        if (onSuccess) {
-          onSuccess(result)
-        }
-        
+    return apiFunction({ signal, ...dependencies }).then(
+      result => {
+        trackApiRequest(apiFunction.name || 'API Request', startTime, performance.now(), true)
         return result
-      } catch (err) {
-        lastError = err
-        
-        // Don't retry if request was aborted
-        if (err.name === 'AbortError') {
-          break
-        }
-        
-        // Track failed API request
-        const endTime = performance.now()
-        trackApiRequest(apiFunction.name || 'API Request', 0, endTime, false)
-        
-        // If not the last attempt, wait before retrying
-        if (i < retryAttempts) {
-          await new Promise(resolve => setTimeout(resolve, retryDelay * Math.pow(2, i)))
-        }
-      }
-    }
-    
-    // All retries failed
-    const processedError = handleApiError(lastError)
-    setError(processedError)
-    setLoading(false)
-    setAttempt(0)
-    
-    // Error callback
-    if (onError) {
-      onError(processedError)
-    }
-    
-    throw processedError
-  }, [apiFunction, retryAttempts, retryDelay, cacheKey, getCachedData, setCachedData, trackApiRequest, onSuccess, onError])
-
-  // Effect to fetch data when dependencies change
-  useEffect(() => {
-    if (immediate) {
-      fetchData(...dependencies)
-    }
-    
-    return () => {
-      if (abortControllerRef.current) {
-        abortControllerRef.current.abort()
+      },
+      err => {
+        trackApiRequest(apiFunction.name || 'API Request', startTime, performance.now(), false)
+        throw err
       }
-    }
-  }, dependencies)
+    )
+  }
 
-  // Manual refetch function
-  const refetch = useCallback((...args) => {
-    return fetchData(...args)
-  }, [fetchData])
+  const query = useQuery(key, queryFn, {
+    enabled: immediate,
+    staleTime: cacheDuration,
+    retry: retryAttempts,
+    retryDelay,
+    tags,
+    onSuccess,
+    onError: onError ? (err) => onError(toApiError(err)) : null
+  })
+
+  const error = useMemo(() => (query.error ? toApiError(query.error) : null), [query.error])
+
+  const { refetch: refetchQuery } = query
+  const refetch = useCallback(() => {
+    return refetchQuery().catch(err => {
+      throw toApiError(err)
+    })
+  }, [refetchQuery])
 
-  // Clear cache function
+  // Drop this query so the next fetch goes to the network
+  const keyRef = useRef(key)
+  keyRef.current = key
   const clearCache = useCallback(() => {
-    if (cacheKey) {
-      cacheRef.current.delete(cacheKey)
-    }
-  }, [cacheKey])
+    queryClient.removeQueries({ queryKey: keyRef.current })
+  }, [])
 
   return {
-    data,
-    loading,
+    data: query.data,
+    loading: query.isLoading,
+    isFetching: query.isFetching,
     error,
-    attempt,
+    attempt: query.failureCount,
     refetch,
     clearCache
   }
@@ -173,6 +182,20 @@ export const useApi = (apiFunction, dependencies = [], options = {}) => {
 // PAGINATED API HOOK
 // =============================================================================
 
+// Services return { success, data } where data is either the item array or a
+// paginator ({ data, last_page, total } or { data, meta: { last_page, total } })
+const extractPage = (response) => {
+  const body = response?.data ?? response
+  const items = Array.isArray(body) ? body : (Array.isArray(body?.data) ? body.data : [])
+  const meta = body?.meta || body || {}
+
+  return {
+    items,
+    totalPages: meta.last_page || 0,
+    totalItems: meta.total ?? items.length
+  }
+}
+
 /**
  * Hook for paginated API calls with search and filtering
  * Manages pagination state and provides utilities for data manipulation
@@ -182,12 +205,11 @@ export const usePaginatedApi = (apiFunction, options = {}) => {
     initialPage = 1,
     pageSize = 10,
     searchDebounceMs = 300,
-    cachePages = true
+    queryKey = null,
+    staleTime = QUERY_CONFIG.staleTime
   } = options
 
   const [page, setPage] = useState(initialPage)
-  const [totalPages, setTotalPages] = useState(0)
-  const [totalItems, setTotalItems] = useState(0)
   const [searchTerm, setSearchTerm] = useState('')
   const [filters, setFilters] = useState({})
   const [sortBy, setSortBy] = useState(null)
@@ -210,27 +232,25 @@ export const usePaginatedApi = (apiFunction, options = {}) => {
     ...filters
   }
 
-  const cacheKey = cachePages ? `paginated-${JSON.stringify(apiParams)}` : null
+  const functionKeyRef = useRef(null)
+  if (!functionKeyRef.current) {
+    functionKeyRef.current = getFunctionKey(apiFunction)
+  }
 
+  // Keep the current page on screen while the next one loads
   const {
     data: response,
-    loading,
     error,
-    refetch,
-    clearCache
-  } = useApi(
-    apiFunction,
-    [apiParams],
-    { cacheKey, immediate: true }
+    isFetching,
+    isLoading,
+    refetch
+  } = useQuery(
+    [queryKey || functionKeyRef.current, 'paginated', apiParams],
+    () => apiFunction(apiParams),
+    { staleTime, keepPreviousData: true }
   )
 
-  // Extract pagination data from response
-  useEffect(() => {
-    if (response?.data) {
-      setTotalPages(response.last_page || 0)
-      setTotalItems(response.total || 0)
-    }
-  }, [response])
+  const { items, totalPages, totalItems } = useMemo(() => extractPage(response), [response])
 
   const nextPage = useCallback(() => {
     if (page < totalPages) {
@@ -269,10 +289,15 @@ export const usePaginatedApi = (apiFunction, options = {}) => {
     setPage(1)
   }, [])
 
+  // Drop every cached page of this list
+  const clearCache = useCallback(() => {
+    queryClient.removeQueries({ queryKey: [queryKey || functionKeyRef.current, 'paginated'] })
+  }, [queryKey])
+
   return {
     // Data
-    data: response?.data || [],
-    items: response?.data || [],
+    data: items,
+    items,
     
     // Pagination
     page,
@@ -301,8 +326,9 @@ export const usePaginatedApi = (apiFunction, options = {}) => {
     updateSort,
     
     // State
-    loading,
-    error,
+    loading: isLoading,
+    isFetching,
+    error: error ? toApiError(error) : null,
     refetch,
     clearCache
   }
@@ -315,52 +341,88 @@ export const usePaginatedApi = (apiFunction, options = {}) => {
 /**
  * Hook for infinite scroll functionality
  * Automatically loads more data when user scrolls near bottom
+ * All loaded pages live in one query, so a refetch reloads each of them
  */
 export const useInfiniteScroll = (apiFunction, options = {}) => {
   const {
     pageSize = 10,
     threshold = 0.8, // Load more when 80% scrolled
-    enabled = true
+    enabled = true,
+    queryKey = null
   } = options
 
-  const [items, setItems] = useState([])
-  const [page, setPage] = useState(1)
-  const [hasMore, setHasMore] = useState(true)
-  const [loading, setLoading] = useState(false)
-  const [error, setError] = useState(null)
+  const [loadingMore, setLoadingMore] = useState(false)
+  const [loadMoreError, setLoadMoreError] = useState(null)
 
   const observerRef = useRef(null)
   const loadingRef = useRef(false)
 
+  const functionKeyRef = useRef(null)
+  if (!functionKeyRef.current) {
+    functionKeyRef.current = getFunctionKey(apiFunction)
+  }
+
+  const key = [queryKey || functionKeyRef.current, 'infinite', pageSize]
+  const keyRef = useRef(key)
+  keyRef.current = key
+
+  const fetchPage = useCallback(async (page) => {
+    const response = await apiFunction({ page, per_page: pageSize })
+    const { items } = extractPage(response)
+
+    return { items, hasMore: items.length === pageSize }
+  }, [apiFunction, pageSize])
+
+  // Reload as many pages as are currently loaded, one after another
+  const queryFn = useCallback(async () => {
+    const loaded = queryClient.getQueryData(keyRef.current)?.pages.length || 1
+    const pages = []
+    let hasMore = true
+
+    for (let page = 1; page <= loaded && hasMore; page++) {
+      const result = await fetchPage(page)
+      pages.push(result.items)
+      hasMore = result.hasMore
+    }
+
+    return { pages, hasMore }
+  }, [fetchPage])
+
+  const {
+    data,
+    error,
+    isFetching,
+    refetch
+  } = useQuery(key, queryFn, { enabled })
+
+  const items = useMemo(() => (data?.pages || []).flat(), [data])
+  const hasMore = data ? data.hasMore : true
+  const loading = isFetching || loadingMore
+
   const loadMore = useCallback(async () => {
-    if (loadingRef.current || !hasMore || !enabled) return
+    const current = queryClient.getQueryData(keyRef.current)
+    if (loadingRef.current || !current?.hasMore || !enabled) return
 
     loadingRef.current = true
-    setLoading(true)
-    setError(null)
+    setLoadingMore(true)
+    setLoadMoreError(null)
 
     try {
-      const response = await apiFunction({
-        page,
-        per_page: pageSize
-      })
+      const result = await fetchPage(current.pages.length + 1)
 
-      const newItems = response.data || []
-      
-      if (newItems.length === 0 || newItems.length < pageSize) {
-        setHasMore(false)
-      }
-
-      setItems(prev => [...prev, ...newItems])
-      setPage(prev => prev + 1)
+      queryClient.setQueryData(keyRef.current, (previous = { pages: [] }) => ({
+        pages: [...previous.pages, result.items],
+        hasMore: result.hasMore
+      }))
     } catch (err) {
-      const processedError = handleApiError(err)
-      setError(processedError)
+      if (!isCancelledError(err)) {
+        setLoadMoreError(toApiError(err))
+      }
     } finally {
-      setLoading(false)
+      setLoadingMore(false)
       loadingRef.current = false
     }
-  }, [apiFunction, page, pageSize, hasMore, enabled])
+  }, [fetchPage, enabled])
 
   // Intersection Observer for automatic loading
   useEffect(() => {
@@ -387,12 +449,11 @@ export const useInfiniteScroll = (apiFunction, options = {}) => {
 
   // Reset function
   const reset = useCallback(() => {
-    setItems([])
-    setPage(1)
-    setHasMore(true)
-    setError(null)
+    queryClient.setQueryData(keyRef.current, { pages: [], hasMore: true })
+    setLoadMoreError(null)
     loadingRef.current = false
-  }, [])
+    return refetch().catch(() => {})
+  }, [refetch])
 
   // Manual load more function
   const manualLoadMore = useCallback(() => {
@@ -411,10 +472,11 @@ export const useInfiniteScroll = (apiFunction, options = {}) => {
   return {
     items,
     loading,
-    error,
+    error: loadMoreError || (error ? toApiError(error) : null),
     hasMore,
     loadMore: manualLoadMore,
     reset,
+    refetch,
     setTriggerRef
   }
 }
@@ -460,8 +522,8 @@ export const useOptimisticUpdate = (apiFunction, options = {}) => {
         onSuccess(result)
       }
     } catch (err) {
-      const processedError = handleApiError(err)
-      setError(processedError)
+      const apiError = toApiError(err)
+      setError(apiError)
       
       // Rollback to previous data on error
       if (rollbackOnError) {
@@ -469,10 +531,10 @@ export const useOptimisticUpdate = (apiFunction, options = {}) => {
       }
       
       if (onError) {
-        onError(processedError)
+        onError(apiError)
       }
       
-      throw processedError
+      throw apiError
     } finally {
       setLoading(false)
     }
@@ -492,6 +554,7 @@ export const useOptimisticUpdate = (apiFunction, options = {}) => {
 // =============================================================================
 
 export default {
+  useQuery,
   useApi,
   usePaginatedApi,
   useInfiniteScroll,
@@ -0,0 +1,42 @@
+// Hooks tying API request cancellation to the router and to component lifetimes
+// Requests for a page are aborted when the user leaves it, so slow responses
+// never resolve into a page that is no longer mounted
+
+import { useEffect, useCallback, useId, useMemo } from 'react'
+import { useLocation } from 'react-router-dom'
+import api from '../services/api'
+
+/**
+ * Abort the previous page's requests whenever the pathname changes
+ * Mount once, inside the router
+ */
+export const useRouteCancellation = () => {
+  const { pathname } = useLocation()
+
+  useEffect(() => {
+    api.enterRoute(pathname)
+  }, [pathname])
+}
+
+/**
+ * Scope requests to the calling component, aborting them when it unmounts
+ * Spread config into request options: api.get(url, { ...config })
+ */
+export const useCancelScope = () => {
+  const name = `component:${useId()}`
+
+  useEffect(() => {
+    return () => api.cancelScope(name, 'Component unmounted')
+  }, [name])
+
+  const cancel = useCallback(() => api.cancelScope(name), [name])
+  const config = useMemo(() => ({ cancelScope: name }), [name])
+
+  return {
+    name,
+    config,
+    cancel
+  }
+}
+
+export default useRouteCancellation
@@ -0,0 +1,39 @@
+// Hook exposing the download manager to components
+// Lists active and recent downloads and wraps the cancel/retry actions
+
+import { useState, useEffect, useCallback } from 'react'
+import downloadManager, { DOWNLOAD_STATUS } from '../services/downloadManager'
+
+/**
+ * Subscribe to the download manager
+ * Returns downloads newest first, the active subset and tray actions
+ */
+export const useDownloads = () => {
+  const [downloads, setDownloads] = useState(() => downloadManager.getDownloads())
+
+  useEffect(() => downloadManager.subscribe(setDownloads), [])
+
+  const cancel = useCallback((id) => downloadManager.cancel(id), [])
+  const remove = useCallback((id) => downloadManager.remove(id), [])
+  const clearFinished = useCallback(() => downloadManager.clearFinished(), [])
+
+  // Failures are shown in the tray entry itself
+  const retry = useCallback((id) => {
+    downloadManager.retry(id).catch(() => {})
+  }, [])
+
+  const active = downloads.filter(download => (
+    download.status === DOWNLOAD_STATUS.DOWNLOADING || download.status === DOWNLOAD_STATUS.VERIFYING
+  ))
+
+  return {
+    downloads,
+    active,
+    cancel,
+    retry,
+    remove,
+    clearFinished
+  }
+}
+
+export default useDownloads
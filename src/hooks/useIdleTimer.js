@@ -0,0 +1,115 @@
+// Hook tracking user inactivity across every open tab of the portal
+// Mouse, keyboard and touch input count as activity, and so does coming back
+// to a hidden tab if the timeout has not passed yet. The last activity time is
+// shared through localStorage, so working in one tab keeps the others alive.
+
+import { useState, useEffect, useRef, useCallback } from 'react'
+import { storage } from '../utils/helpers'
+import { IDLE_CONFIG, STORAGE_KEYS } from '../utils/constants'
+
+/**
+ * Call onIdle after timeout ms without activity
+ * Returns remaining (ms until onIdle during the final warningDuration, otherwise
+ * null), the warningDuration in effect and reset, which counts as activity;
+ * passive input is ignored while the warning shows so a stray mouse movement
+ * doesn't dismiss it. The warning takes at most IDLE_CONFIG.maxWarningShare of
+ * the timeout, so a short timeout doesn't open it right after sign-in. Call
+ * reset on sign-in too, or the previous session's idle time carries over.
+ */
+export const useIdleTimer = ({ enabled, timeout, warningDuration = IDLE_CONFIG.warningDuration, onIdle }) => {
+  const warningFor = Math.min(warningDuration, timeout * IDLE_CONFIG.maxWarningShare)
+  const [remaining, setRemaining] = useState(null)
+  const lastActivityRef = useRef(Date.now())
+  const lastWriteRef = useRef(0)
+  const warningRef = useRef(false)
+  const onIdleRef = useRef(onIdle)
+  onIdleRef.current = onIdle
+
+  const recordActivity = useCallback((force = false) => {
+    const now = Date.now()
+    lastActivityRef.current = now
+
+    if (force || now - lastWriteRef.current > IDLE_CONFIG.activityWriteInterval) {
+      lastWriteRef.current = now
+      storage.set(STORAGE_KEYS.LAST_ACTIVITY, now)
+    }
+  }, [])
+
+  const reset = useCallback(() => {
+    warningRef.current = false
+    setRemaining(null)
+    recordActivity(true)
+  }, [recordActivity])
+
+  useEffect(() => {
+    if (!enabled) {
+      warningRef.current = false
+      setRemaining(null)
+      return
+    }
+
+    // Most recent activity in any tab
+    const idleFor = () => {
+      const shared = storage.get(STORAGE_KEYS.LAST_ACTIVITY) || 0
+      return Date.now() - Math.max(lastActivityRef.current, shared)
+    }
+
+    let signedOut = false
+
+    const check = () => {
+      if (signedOut) return
+      const idle = idleFor()
+
+      if (idle >= timeout) {
+        signedOut = true
+        warningRef.current = false
+        setRemaining(null)
+        onIdleRef.current()
+      } else if (idle >= timeout - warningFor) {
+        warningRef.current = true
+        setRemaining(timeout - idle)
+      } else if (warningRef.current) {
+        // Another tab chose to stay signed in
+        warningRef.current = false
+        setRemaining(null)
+      }
+    }
+
+    const handleActivity = () => {
+      if (!warningRef.current) recordActivity()
+    }
+
+    // Timers are throttled in background tabs, so check as soon as one is visible again
+    const handleVisibilityChange = () => {
+      if (document.visibilityState !== 'visible') return
+      check()
+      handleActivity()
+    }
+
+    // A session restored on page load picks up where the last tab left off,
+    // so a portal left open overnight signs out instead of starting afresh
+    const shared = storage.get(STORAGE_KEYS.LAST_ACTIVITY)
+    if (shared) {
+      lastActivityRef.current = shared
+    } else {
+      recordActivity(true)
+    }
+    warningRef.current = false
+    setRemaining(null)
+    check()
+
+    const timer = setInterval(check, IDLE_CONFIG.checkInterval)
+    IDLE_CONFIG.activityEvents.forEach(event => window.addEventListener(event, handleActivity, { passive: true }))
+    document.addEventListener('visibilitychange', handleVisibilityChange)
+
+    return () => {
+      clearInterval(timer)
+      IDLE_CONFIG.activityEvents.forEach(event => window.removeEventListener(event, handleActivity))
+      document.removeEventListener('visibilitychange', handleVisibilityChange)
+    }
+  }, [enabled, timeout, warningFor, recordActivity])
+
+  return { remaining, warningDuration: warningFor, reset }
+}
+
+export default useIdleTimer
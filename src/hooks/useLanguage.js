@@ -0,0 +1,45 @@
+// Hook for the interface language preference
+// Stored alongside the other preferences and kept in step across open tabs
+
+import { useState, useEffect, useCallback } from 'react'
+import syncBus, { SYNC_EVENTS } from '../services/syncBus'
+import { storage } from '../utils/helpers'
+import { getLanguage } from '../utils/errors'
+import { LANGUAGES, STORAGE_KEYS } from '../utils/constants'
+
+const applyDocumentLanguage = (language) => {
+  document.documentElement.setAttribute('lang', language)
+}
+
+/**
+ * Read and change the preferred language
+ * Error messages pick the new language up on their next lookup
+ */
+export const useLanguage = () => {
+  const [language, setLanguageState] = useState(() => getLanguage())
+
+  // Another tab already stored the language; just follow it
+  useEffect(() => {
+    return syncBus.subscribe(SYNC_EVENTS.LANGUAGE_CHANGED, ({ language: next }) => {
+      applyDocumentLanguage(next)
+      setLanguageState(next)
+    })
+  }, [])
+
+  const setLanguage = useCallback((next) => {
+    if (!LANGUAGES[next]) return
+
+    storage.set(STORAGE_KEYS.LANGUAGE, next)
+    applyDocumentLanguage(next)
+    setLanguageState(next)
+    syncBus.publish(SYNC_EVENTS.LANGUAGE_CHANGED, { language: next })
+  }, [])
+
+  return {
+    language,
+    languages: LANGUAGES,
+    setLanguage
+  }
+}
+
+export default useLanguage
@@ -0,0 +1,27 @@
+// Hook exposing the API request log to the network inspector
+// Entries are newest first and update as requests finish
+
+import { useState, useEffect, useCallback } from 'react'
+import networkLog from '../services/networkLog'
+
+/**
+ * Subscribe to recent API requests
+ * Returns the entries plus clear and diagnostics helpers
+ */
+export const useNetworkLog = () => {
+  const [entries, setEntries] = useState(() => networkLog.getEntries())
+
+  useEffect(() => networkLog.subscribe(setEntries), [])
+
+  const clear = useCallback(() => networkLog.clear(), [])
+  const getDiagnostics = useCallback((options) => networkLog.getDiagnostics(options), [])
+
+  return {
+    entries,
+    failed: entries.filter(entry => entry.error),
+    clear,
+    getDiagnostics
+  }
+}
+
+export default useNetworkLog
@@ -0,0 +1,51 @@
+// Hook exposing the offline mutation outbox to components
+// Tracks connectivity and queued changes, and wraps the resolution actions
+
+import { useState, useEffect, useCallback } from 'react'
+import api from '../services/api'
+import { OUTBOX_STATUS } from '../services/outbox'
+
+/**
+ * Subscribe to the API client's offline outbox
+ * Returns queued entries, connectivity state and retry/discard actions
+ */
+export const useOutbox = () => {
+  const [entries, setEntries] = useState(() => api.getOutboxEntries())
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine)
+
+  useEffect(() => {
+    const unsubscribe = api.subscribeOutbox(setEntries)
+
+    const handleOnline = () => setIsOnline(true)
+    const handleOffline = () => setIsOnline(false)
+
+    window.addEventListener('online', handleOnline)
+    window.addEventListener('offline', handleOffline)
+
+    return () => {
+      unsubscribe()
+      window.removeEventListener('online', handleOnline)
+      window.removeEventListener('offline', handleOffline)
+    }
+  }, [])
+
+  const retry = useCallback((id) => api.retryOutboxEntry(id), [])
+  const discard = useCallback((id) => api.discardOutboxEntry(id), [])
+  const sync = useCallback(() => api.replayOutbox(), [])
+
+  const needsAttention = entries.filter(entry => (
+    entry.status === OUTBOX_STATUS.CONFLICT || entry.status === OUTBOX_STATUS.FAILED
+  ))
+
+  return {
+    entries,
+    isOnline,
+    pendingCount: entries.length - needsAttention.length,
+    needsAttention,
+    retry,
+    discard,
+    sync
+  }
+}
+
+export default useOutbox
@@ -0,0 +1,21 @@
+// Hook for permission checks inside components
+// Permissions come from the backend with the signed-in user, so the answer
+// follows role changes as soon as the user is refreshed
+
+import { useAuth } from '../contexts/AuthContext'
+
+/**
+ * Whether the signed-in user has a permission (PERMISSIONS in constants.js)
+ * Pass an array to ask for any of several; with all set, every one is needed
+ */
+export const usePermission = (permission, { all = false } = {}) => {
+  const { hasPermission } = useAuth()
+
+  if (Array.isArray(permission) && all) {
+    return permission.every(p => hasPermission(p))
+  }
+
+  return hasPermission(permission)
+}
+
+export default usePermission
@@ -0,0 +1,33 @@
+// Hook exposing the API circuit breaker to components
+// degraded is true while the backend is unreachable and the app is read-only
+
+import { useState, useEffect, useCallback } from 'react'
+import api from '../services/api'
+
+/**
+ * Subscribe to backend availability
+ * Returns the circuit state and a checkNow action for "Retry now" buttons
+ */
+export const useServiceStatus = () => {
+  const [status, setStatus] = useState(() => api.getServiceStatus())
+  const [checking, setChecking] = useState(false)
+
+  useEffect(() => api.subscribeServiceStatus(setStatus), [])
+
+  const checkNow = useCallback(async () => {
+    setChecking(true)
+    try {
+      return await api.checkHealth()
+    } finally {
+      setChecking(false)
+    }
+  }, [])
+
+  return {
+    ...status,
+    checking,
+    checkNow
+  }
+}
+
+export default useServiceStatus
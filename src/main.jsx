@@ -1,7 +1,8 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
 import { BrowserRouter } from 'react-router-dom'
-import App from './App.jsx'
+import LoadingScreen from './components/LoadingScreen'
+import { loadRuntimeConfig } from './utils/runtimeConfig'
 import './index.css'
 
 // Error boundary for the entire app
@@ -98,12 +99,32 @@ const removeInitialLoading = () => {
 // Remove after a delay to ensure React has mounted
 setTimeout(removeInitialLoading, 1000)
 
-ReactDOM.createRoot(document.getElementById('root')).render(
-  <React.StrictMode>
-    <ErrorBoundary>
-      <BrowserRouter>
-        <App />
-      </BrowserRouter>
-    </ErrorBoundary>
-  </React.StrictMode>,
-)
\ No newline at end of file
+const root = ReactDOM.createRoot(document.getElementById('root'))
+
+// config.json decides which server the API client talks to, so the app (and
+// with it api.js) is only imported once the config has been applied
+const bootstrap = async () => {
+  root.render(<LoadingScreen message="Loading configuration..." />)
+
+  let App
+  try {
+    await loadRuntimeConfig()
+    App = (await import('./App.jsx')).default
+  } catch (error) {
+    console.error('Startup failed:', error)
+    root.render(<LoadingScreen error={error} />)
+    return
+  }
+
+  root.render(
+    <React.StrictMode>
+      <ErrorBoundary>
+        <BrowserRouter>
+          <App />
+        </BrowserRouter>
+      </ErrorBoundary>
+    </React.StrictMode>,
+  )
+}
+
+bootstrap()
\ No newline at end of file
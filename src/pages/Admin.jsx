@@ -25,6 +25,7 @@ import {
   DialogActions,
   TextField,
   FormControl,
+  FormHelperText,
   InputLabel,
   Select,
   Alert,
@@ -46,32 +47,42 @@ import {
   CheckCircle as ActivateIcon,
   Article as ArticleIcon,
   Publish as PublishIcon,
-  Visibility as ViewIcon
+  Visibility as ViewIcon,
+  NetworkCheck as NetworkIcon,
+  Devices as DevicesIcon
 } from '@mui/icons-material'
 import { useAuth } from '../contexts/AuthContext'
+import { useServiceStatus } from '../hooks/useServiceStatus'
 import { useApi, usePaginatedApi } from '../hooks/useApi'
 import adminService from '../services/adminService'
 import statsService from '../services/statsService'
 import StatCard from '../components/Dashboard/StatCard'
+import NetworkInspector from '../components/Admin/NetworkInspector'
+import SecurityPolicy from '../components/Admin/SecurityPolicy'
+import UserSessionsDialog from '../components/Admin/UserSessionsDialog'
 import { LoadingOverlay } from '../components/LoadingScreen'
-import { USER_ROLES } from '../utils/constants'
+import { USER_ROLES, PERMISSIONS } from '../utils/constants'
 import { formatRelativeTime } from '../utils/helpers'
 import toast from 'react-hot-toast'
+import { showErrorToast } from '../utils/errorToast'
+import { ValidationError } from '../utils/errors'
 
 // Comprehensive admin panel with user management and system controls
 const Admin = () => {
   const theme = useTheme()
-  const { hasRole } = useAuth()
+  const { hasPermission } = useAuth()
+  const { degraded } = useServiceStatus()
   const [activeTab, setActiveTab] = useState(0)
   const [userDialog, setUserDialog] = useState({ open: false, user: null, mode: 'create' })
+  const [userErrors, setUserErrors] = useState({})
   const [deleteDialog, setDeleteDialog] = useState({ open: false, user: null })
+  const [sessionsDialog, setSessionsDialog] = useState({ open: false, user: null })
   const [menuAnchor, setMenuAnchor] = useState(null)
   const [selectedUser, setSelectedUser] = useState(null)
   const [articleMenuAnchor, setArticleMenuAnchor] = useState(null)
   const [selectedArticle, setSelectedArticle] = useState(null)
 
-  // Only admins can access this page
-  if (!hasRole('admin')) {
+  if (!hasPermission(PERMISSIONS.MANAGE_SYSTEM)) {
     return (
       <Box sx={{ p: 4, textAlign: 'center' }}>
         <Alert severity="error">
@@ -122,18 +133,7 @@ const Admin = () => {
     pageSize: 10
   })
 
-  // Sample admin stats for development
-  const sampleStats = {
-    totalUsers: 156,
-    activeUsers: 142,
-    newUsersThisMonth: 23,
-    totalSessions: 1247,
-    systemHealth: 'good',
-    storageUsed: '2.3 GB',
-    storageTotal: '10 GB'
-  }
-
-  const stats = adminStats || sampleStats
+  const stats = adminStats?.data || {}
 
   const handleUserAction = (action, user) => {
     setSelectedUser(user)
@@ -141,11 +141,15 @@ const Admin = () => {
 
     switch (action) {
       case 'edit':
+        setUserErrors({})
         setUserDialog({ open: true, user, mode: 'edit' })
         break
       case 'delete':
         setDeleteDialog({ open: true, user })
         break
+      case 'sessions':
+        setSessionsDialog({ open: true, user })
+        break
       case 'suspend':
         handleSuspendUser(user)
         break
@@ -163,7 +167,7 @@ const Admin = () => {
       toast.success(`User ${user.name} has been suspended`)
       refetchUsers()
     } catch (error) {
-      toast.error('Failed to suspend user')
+      showErrorToast('Failed to suspend user', error)
       console.error('Suspend error:', error)
     }
   }
@@ -174,7 +178,7 @@ const Admin = () => {
       toast.success(`User ${user.name} has been activated`)
       refetchUsers()
     } catch (error) {
-      toast.error('Failed to activate user')
+      showErrorToast('Failed to activate user', error)
       console.error('Activate error:', error)
     }
   }
@@ -188,16 +192,19 @@ const Admin = () => {
       refetchUsers()
       setDeleteDialog({ open: false, user: null })
     } catch (error) {
-      toast.error('Failed to delete user')
+      showErrorToast('Failed to delete user', error)
       console.error('Delete error:', error)
     }
   }
 
   const handleCreateUser = () => {
+    setUserErrors({})
     setUserDialog({ open: true, user: null, mode: 'create' })
   }
 
   const handleSaveUser = async (userData) => {
+    setUserErrors({})
+
     try {
       if (userDialog.mode === 'create') {
         await adminService.createUser(userData)
@@ -209,7 +216,12 @@ const Admin = () => {
       refetchUsers()
       setUserDialog({ open: false, user: null, mode: 'create' })
     } catch (error) {
-      toast.error(`Failed to ${userDialog.mode} user`)
+      // Keep the dialog open with the problems shown on the fields
+      if (error instanceof ValidationError) {
+        setUserErrors(error.fields)
+        return
+      }
+      showErrorToast(`Failed to ${userDialog.mode} user`, error)
       console.error('Save user error:', error)
     }
   }
@@ -239,7 +251,7 @@ const Admin = () => {
       toast.success(`Article "${article.title}" has been approved and published`)
       refetchArticles()
     } catch (error) {
-      toast.error('Failed to approve article')
+      showErrorToast('Failed to approve article', error)
       console.error('Approve error:', error)
     }
   }
@@ -250,7 +262,7 @@ const Admin = () => {
       toast.success(`Article "${article.title}" has been rejected`)
       refetchArticles()
     } catch (error) {
-      toast.error('Failed to reject article')
+      showErrorToast('Failed to reject article', error)
       console.error('Reject error:', error)
     }
   }
@@ -301,6 +313,10 @@ const Admin = () => {
     {
       label: 'Security',
       icon: <SecurityIcon />
+    },
+    {
+      label: 'Network',
+      icon: <NetworkIcon />
     }
   ]
 
@@ -341,7 +357,7 @@ const Admin = () => {
                 value={stats.totalUsers}
                 icon="users"
                 color="primary"
-                subtitle={`${stats.activeUsers} active`}
+                subtitle={`${stats.activeUsers ?? 0} active`}
                 loading={statsLoading}
               />
             </Grid>
@@ -368,7 +384,7 @@ const Admin = () => {
             <Grid item xs={12} sm={6} md={3}>
               <StatCard
                 title="Storage Used"
-                value={`${stats.storageUsed}/${stats.storageTotal}`}
+                value={stats.storageUsed ? `${stats.storageUsed}/${stats.storageTotal}` : '-'}
                 icon="stats"
                 color="warning"
                 subtitle="Storage usage"
@@ -386,7 +402,7 @@ const Admin = () => {
                   </Typography>
                   <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
                     <Chip
-                      label={stats.systemHealth}
+                      label={stats.systemHealth || 'unknown'}
                       color={stats.systemHealth === 'good' ? 'success' : 'warning'}
                       sx={{ textTransform: 'capitalize' }}
                     />
@@ -409,6 +425,7 @@ const Admin = () => {
                       variant="outlined"
                       startIcon={<AddUserIcon />}
                       onClick={handleCreateUser}
+                      disabled={degraded}
                       sx={{ justifyContent: 'flex-start' }}
                     >
                       Create New User
@@ -553,6 +570,7 @@ const Admin = () => {
               variant="contained"
               startIcon={<AddUserIcon />}
               onClick={handleCreateUser}
+              disabled={degraded}
             >
               Add User
             </Button>
@@ -660,14 +678,12 @@ const Admin = () => {
 
       {/* Security Tab */}
       {activeTab === 4 && (
-        <Box>
-          <Typography variant="h6" gutterBottom>
-            Security & Access Control
-          </Typography>
-          <Alert severity="info">
-            Security settings and access logs will be displayed here.
-          </Alert>
-        </Box>
+        <SecurityPolicy />
+      )}
+
+      {/* Network Tab */}
+      {activeTab === 5 && (
+        <NetworkInspector />
       )}
 
       {/* User Actions Menu */}
@@ -676,22 +692,29 @@ const Admin = () => {
         open={Boolean(menuAnchor)}
         onClose={() => setMenuAnchor(null)}
       >
-        <MenuItem onClick={() => handleUserAction('edit', selectedUser)}>
+        <MenuItem onClick={() => handleUserAction('edit', selectedUser)} disabled={degraded}>
           <ListItemIcon>
             <EditIcon fontSize="small" />
           </ListItemIcon>
           <ListItemText>Edit User</ListItemText>
         </MenuItem>
 
+        <MenuItem onClick={() => handleUserAction('sessions', selectedUser)}>
+          <ListItemIcon>
+            <DevicesIcon fontSize="small" />
+          </ListItemIcon>
+          <ListItemText>View Sessions</ListItemText>
+        </MenuItem>
+
         {selectedUser?.status === 'active' ? (
-          <MenuItem onClick={() => handleUserAction('suspend', selectedUser)}>
+          <MenuItem onClick={() => handleUserAction('suspend', selectedUser)} disabled={degraded}>
             <ListItemIcon>
               <SuspendIcon fontSize="small" />
             </ListItemIcon>
             <ListItemText>Suspend User</ListItemText>
           </MenuItem>
         ) : (
-          <MenuItem onClick={() => handleUserAction('activate', selectedUser)}>
+          <MenuItem onClick={() => handleUserAction('activate', selectedUser)} disabled={degraded}>
             <ListItemIcon>
               <ActivateIcon fontSize="small" />
             </ListItemIcon>
@@ -701,6 +724,7 @@ const Admin = () => {
 
         <MenuItem 
           onClick={() => handleUserAction('delete', selectedUser)}
+          disabled={degraded}
           sx={{ color: 'error.main' }}
         >
           <ListItemIcon>
@@ -724,7 +748,7 @@ const Admin = () => {
         </MenuItem>
 
         {selectedArticle?.status === 'pending' && (
-          <MenuItem onClick={() => handleArticleAction('approve', selectedArticle)}>
+          <MenuItem onClick={() => handleArticleAction('approve', selectedArticle)} disabled={degraded}>
             <ListItemIcon>
               <PublishIcon fontSize="small" />
             </ListItemIcon>
@@ -735,6 +759,7 @@ const Admin = () => {
         {selectedArticle?.status === 'pending' && (
           <MenuItem 
             onClick={() => handleArticleAction('reject', selectedArticle)}
+            disabled={degraded}
             sx={{ color: 'error.main' }}
           >
             <ListItemIcon>
@@ -750,10 +775,21 @@ const Admin = () => {
         open={userDialog.open}
         user={userDialog.user}
         mode={userDialog.mode}
+        errors={userErrors}
+        disabled={degraded}
         onClose={() => setUserDialog({ open: false, user: null, mode: 'create' })}
         onSave={handleSaveUser}
       />
 
+      {/* User Sessions Dialog */}
+      {sessionsDialog.user && (
+        <UserSessionsDialog
+          user={sessionsDialog.user}
+          open={sessionsDialog.open}
+          onClose={() => setSessionsDialog({ open: false, user: null })}
+        />
+      )}
+
       {/* Delete Confirmation Dialog */}
       <Dialog
         open={deleteDialog.open}
@@ -770,7 +806,7 @@ const Admin = () => {
           <Button onClick={() => setDeleteDialog({ open: false, user: null })}>
             Cancel
           </Button>
-          <Button onClick={handleDeleteUser} color="error" variant="contained">
+          <Button onClick={handleDeleteUser} color="error" variant="contained" disabled={degraded}>
             Delete
           </Button>
         </DialogActions>
@@ -780,7 +816,7 @@ const Admin = () => {
 }
 
 // User creation/editing dialog component
-const UserDialog = ({ open, user, mode, onClose, onSave }) => {
+const UserDialog = ({ open, user, mode, errors = {}, disabled = false, onClose, onSave }) => {
   const [formData, setFormData] = useState({
     name: '',
     email: '',
@@ -826,6 +862,8 @@ const UserDialog = ({ open, user, mode, onClose, onSave }) => {
             label="Name"
             value={formData.name}
             onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+            error={!!errors.name}
+            helperText={errors.name}
             margin="normal"
             required
           />
@@ -835,10 +873,12 @@ const UserDialog = ({ open, user, mode, onClose, onSave }) => {
             type="email"
             value={formData.email}
             onChange={(e) => setFormData({ ...formData, email: e.target.value })}
+            error={!!errors.email}
+            helperText={errors.email}
             margin="normal"
             required
           />
-          <FormControl fullWidth margin="normal">
+          <FormControl fullWidth margin="normal" error={!!errors.role}>
             <InputLabel>Role</InputLabel>
             <Select
               value={formData.role}
@@ -851,6 +891,7 @@ const UserDialog = ({ open, user, mode, onClose, onSave }) => {
                 </MenuItem>
               ))}
             </Select>
+            {errors.role && <FormHelperText>{errors.role}</FormHelperText>}
           </FormControl>
           {mode === 'create' && (
             <TextField
@@ -859,6 +900,8 @@ const UserDialog = ({ open, user, mode, onClose, onSave }) => {
               type="password"
               value={formData.password}
               onChange={(e) => setFormData({ ...formData, password: e.target.value })}
+              error={!!errors.password}
+              helperText={errors.password}
               margin="normal"
               required
             />
@@ -867,7 +910,7 @@ const UserDialog = ({ open, user, mode, onClose, onSave }) => {
       </DialogContent>
       <DialogActions>
         <Button onClick={onClose}>Cancel</Button>
-        <Button onClick={handleSubmit} variant="contained">
+        <Button onClick={handleSubmit} variant="contained" disabled={disabled}>
           {mode === 'create' ? 'Create' : 'Update'}
         </Button>
       </DialogActions>
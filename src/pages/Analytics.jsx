@@ -39,7 +39,7 @@ import {
   BarElement,
   ArcElement
 } from 'chart.js'
-import { api } from '../services/api'
+import statsService from '../services/statsService'
 
 ChartJS.register(
   CategoryScale,
@@ -68,9 +68,9 @@ const Analytics = () => {
     try {
       setLoading(true)
       const [statsResponse, monthlyResponse, roleResponse] = await Promise.all([
-        api.get('/stats/dashboard'),
-        api.get(`/stats/monthly-activity?months=${timeRange}`),
-        api.get('/stats/role-distribution')
+        statsService.getDashboardStats(),
+        statsService.getMonthlyActivity(timeRange),
+        statsService.getRoleDistribution()
       ])
 
       setStats(statsResponse.data)
@@ -16,6 +16,8 @@ import {
 } from '@mui/icons-material'
 import { useNavigate } from 'react-router-dom'
 import { useAuth } from '../contexts/AuthContext'
+import { usePermission } from '../hooks/usePermission'
+import Can from '../components/Auth/Can'
 import { useApi } from '../hooks/useApi'
 import statsService from '../services/statsService'
 import StatCard from '../components/Dashboard/StatCard'
@@ -23,14 +25,21 @@ import ActivityChart from '../components/Dashboard/ActivityChart'
 import RecentActivity from '../components/Dashboard/RecentActivity'
 import { LoadingOverlay } from '../components/LoadingScreen'
 import { formatNumber, formatRelativeTime } from '../utils/helpers'
+import { PERMISSIONS } from '../utils/constants'
+import { isCancelledError } from '../utils/errors'
 import toast from 'react-hot-toast'
+import { showErrorToast } from '../utils/errorToast'
 
 // Comprehensive dashboard with real-time statistics and activity monitoring
 // Provides role-based data visualization and quick access to key metrics
 const Dashboard = () => {
   const theme = useTheme()
   const navigate = useNavigate()
-  const { user, hasRole } = useAuth()
+  const { user } = useAuth()
+  // Which statistics to show: the whole system, the user's own articles, or
+  // their reading; each follows from what the server lets them do
+  const canViewSystemStats = usePermission(PERMISSIONS.VIEW_ANALYTICS)
+  const canWriteNews = usePermission(PERMISSIONS.CREATE_NEWS)
   const [refreshing, setRefreshing] = useState(false)
   const [lastRefresh, setLastRefresh] = useState(new Date())
 
@@ -46,65 +55,40 @@ const Dashboard = () => {
     cacheDuration: 5 * 60 * 1000 // 5 minutes
   })
 
-  // Sample dashboard data for development/demo - role-based
-  const getSampleStats = () => {
-    if (hasRole('admin')) {
-      return {
-        totalUsers: 1247,
-        totalDocuments: 856,
-        totalNews: 124,
-        totalViews: 15632,
-        pendingArticles: 8,
-        usersGrowth: 12.5,
-        documentsGrowth: 8.3,
-        newsGrowth: 15.7,
-        viewsGrowth: 22.1,
-        recentStats: {
-          todayUsers: 89,
-          todayDocuments: 12,
-          todayNews: 3,
-          todayViews: 234,
-          pendingReviews: 3
-        }
-      }
-    } else if (hasRole('editor')) {
-      return {
-        myArticles: 15,
-        publishedArticles: 12,
-        draftArticles: 3,
-        pendingArticles: 2,
-        totalViews: 3456,
-        recentStats: {
-          todayViews: 45,
-          newComments: 2,
-          pendingReviews: 2
-        }
-      }
-    } else {
-      return {
-        documentsAccessed: 23,
-        newsRead: 45,
-        bookmarks: 8,
-        recentActivity: 12,
-        recentStats: {
-          todayDownloads: 3,
-          todayReads: 5
-        }
-      }
-    }
-  }
+  // Fetch the daily activity series and the latest events
+  const {
+    data: activityStats,
+    loading: activityLoading,
+    refetch: refetchActivity
+  } = useApi(() => statsService.getActivityStats('14d'), [], {
+    immediate: true,
+    cacheKey: 'dashboard-activity',
+    cacheDuration: 5 * 60 * 1000 // 5 minutes
+  })
+
+  const {
+    data: recentActivity,
+    loading: recentLoading,
+    refetch: refetchRecent
+  } = useApi(() => statsService.getRecentActivity(6), [], {
+    immediate: true,
+    cacheKey: 'dashboard-recent-activity',
+    cacheDuration: 60 * 1000 // 1 minute
+  })
 
-  const stats = dashboardStats || getSampleStats()
+  const stats = dashboardStats?.data || {}
 
   // Handle manual refresh
   const handleRefresh = async () => {
     setRefreshing(true)
     try {
-      await refetchStats()
+      await Promise.all([refetchStats(), refetchActivity(), refetchRecent()])
       setLastRefresh(new Date())
       toast.success('Dashboard updated successfully')
     } catch (error) {
-      toast.error('Failed to refresh dashboard')
+      if (!isCancelledError(error)) {
+        showErrorToast('Failed to refresh dashboard', error)
+      }
     } finally {
       setRefreshing(false)
     }
@@ -115,12 +99,14 @@ const Dashboard = () => {
     const interval = setInterval(() => {
       if (!document.hidden) {
         refetchStats()
+        refetchActivity()
+        refetchRecent()
         setLastRefresh(new Date())
       }
     }, 5 * 60 * 1000) // 5 minutes
 
     return () => clearInterval(interval)
-  }, [refetchStats])
+  }, [refetchStats, refetchActivity, refetchRecent])
 
   return (
         <Box>
@@ -132,7 +118,7 @@ const Dashboard = () => {
               Welcome back, {user?.name || 'User'}!
             </Typography>
             <Typography variant="body1" color="text.secondary">
-              Here's what's happening with your {hasRole('admin') ? 'system' : 'account'} today.
+              Here's what's happening with your {canViewSystemStats ? 'system' : 'account'} today.
             </Typography>
           </Box>
 
@@ -168,10 +154,10 @@ const Dashboard = () => {
             </Alert>
           )}
 
-      <LoadingOverlay loading={statsLoading && !stats}>
+      <LoadingOverlay loading={statsLoading && !dashboardStats}>
         <Grid container spacing={3}>
-          {/* Statistics Cards - Role-based */}
-          {hasRole('admin') && (
+          {/* Statistics Cards - Permission-based */}
+          {canViewSystemStats && (
             <>
               <Grid item xs={12} sm={6} md={3}>
                 <StatCard
@@ -218,7 +204,7 @@ const Dashboard = () => {
             </>
           )}
 
-          {hasRole('editor') && (
+          {canWriteNews && !canViewSystemStats && (
             <>
               <Grid item xs={12} sm={6} md={3}>
                 <StatCard
@@ -262,7 +248,7 @@ const Dashboard = () => {
             </>
           )}
 
-          {hasRole('user') && (
+          {!canWriteNews && (
             <>
               <Grid item xs={12} sm={6} md={3}>
                 <StatCard
@@ -311,19 +297,21 @@ const Dashboard = () => {
               <ActivityChart
               title="Activity Trends (Last 14 Days)"
               type="area"
-              loading={refreshing}
+              data={activityStats?.data?.daily}
+              loading={refreshing || (activityLoading && !activityStats)}
               />
             </Grid>
 
             {/* Recent Activity */}
             <Grid item xs={12} lg={4}>
               <RecentActivity
-              loading={refreshing}
+              activities={recentActivity?.data}
+              loading={refreshing || (recentLoading && !recentActivity)}
               maxItems={6}
               />
           </Grid>
 
-          {/* Quick Actions - Role-based */}
+          {/* Quick Actions - Permission-based */}
             <Grid item xs={12} md={6}>
             <Card>
               <CardContent>
@@ -332,77 +320,77 @@ const Dashboard = () => {
                 </Typography>
                 
                 <Grid container spacing={2}>
-                  {hasRole('admin') && (
-                    <>
-                      <Grid item xs={12} sm={6}>
-                        <Button
-                          fullWidth
-                          variant="outlined"
-                          sx={{ 
-                            py: 2, 
-                            borderRadius: 2,
-                            textTransform: 'none',
-                            fontWeight: 500
-                          }}
-                          onClick={() => navigate('/admin')}
-                        >
-                          Manage Users
-                        </Button>
-                      </Grid>
-                      
-                      <Grid item xs={12} sm={6}>
-                        <Button
-                          fullWidth
-                          variant="outlined"
-                          sx={{ 
-                            py: 2, 
-                            borderRadius: 2,
-                            textTransform: 'none',
-                            fontWeight: 500
-                          }}
-                          onClick={() => navigate('/news?status=pending')}
-                        >
-                          Review Articles
-                        </Button>
-                      </Grid>
-                    </>
-                  )}
+                  <Can permission={PERMISSIONS.MANAGE_USERS}>
+                    <Grid item xs={12} sm={6}>
+                      <Button
+                        fullWidth
+                        variant="outlined"
+                        sx={{ 
+                          py: 2, 
+                          borderRadius: 2,
+                          textTransform: 'none',
+                          fontWeight: 500
+                        }}
+                        onClick={() => navigate('/admin/users')}
+                      >
+                        Manage Users
+                      </Button>
+                    </Grid>
+                  </Can>
 
-                  {hasRole(['admin', 'editor']) && (
-                    <>
-                      <Grid item xs={12} sm={6}>
-                        <Button
-                          fullWidth
-                          variant="outlined"
-                          sx={{ 
-                            py: 2, 
-                            borderRadius: 2,
-                            textTransform: 'none',
-                            fontWeight: 500
-                          }}
-                          onClick={() => navigate('/news/create')}
-                        >
-                          Create News Article
-                        </Button>
-                      </Grid>
-                      
-                      <Grid item xs={12} sm={6}>
-                        <Button
-                          fullWidth
-                          variant="outlined"
-                          sx={{ 
-                            py: 2, 
-                            borderRadius: 2,
-                            textTransform: 'none',
-                            fontWeight: 500
-                          }}
-                          onClick={() => navigate('/documents/upload')}
-                        >
-                          Upload Document
-                        </Button>
-                      </Grid>
-                    </>
-                  )}
+                  <Can permission={PERMISSIONS.PUBLISH_NEWS}>
+                    <Grid item xs={12} sm={6}>
+                      <Button
+                        fullWidth
+                        variant="outlined"
+                        sx={{ 
+                          py: 2, 
+                          borderRadius: 2,
+                          textTransform: 'none',
+                          fontWeight: 500
+                        }}
+                        onClick={() => navigate('/news?status=pending')}
+                      >
+                        Review Articles
+                      </Button>
+                    </Grid>
+                  </Can>
+
+                  <Can permission={PERMISSIONS.CREATE_NEWS}>
+                    <Grid item xs={12} sm={6}>
+                      <Button
+                        fullWidth
+                        variant="outlined"
+                        sx={{ 
+                          py: 2, 
+                          borderRadius: 2,
+                          textTransform: 'none',
+                          fontWeight: 500
+                        }}
+                        onClick={() => navigate('/news/create')}
+                      >
+                        Create News Article
+                      </Button>
+                    </Grid>
+                  </Can>
+
+                  <Can permission={PERMISSIONS.UPLOAD_DOCUMENTS}>
+                    <Grid item xs={12} sm={6}>
+                      <Button
+                        fullWidth
+                        variant="outlined"
+                        sx={{ 
+                          py: 2, 
+                          borderRadius: 2,
+                          textTransform: 'none',
+                          fontWeight: 500
+                        }}
+                        onClick={() => navigate('/documents/upload')}
+                      >
+                        Upload Document
+                      </Button>
+                    </Grid>
+                  </Can>
                   
                   <Grid item xs={12} sm={6}>
                     <Button
@@ -524,7 +512,7 @@ const Dashboard = () => {
                     </Box>
                   </Box>
                   
-                  {hasRole('admin') && (
+                  <Can permission={PERMISSIONS.MANAGE_SYSTEM}>
                     <Button
                       size="small"
                       startIcon={<TrendingIcon />}
@@ -537,7 +525,7 @@ const Dashboard = () => {
                     >
                       View Admin Panel
                     </Button>
-                  )}
+                  </Can>
                 </Box>
               </CardContent>
             </Card>
@@ -43,18 +43,22 @@ import {
 } from '@mui/icons-material'
 import { useAuth } from '../contexts/AuthContext'
 import { usePaginatedApi } from '../hooks/useApi'
+import { useServiceStatus } from '../hooks/useServiceStatus'
 import documentService from '../services/documentService'
 import DocumentUpload from '../components/Documents/DocumentUpload'
 import { LoadingOverlay, CardSkeleton } from '../components/LoadingScreen'
-import { AccessGuard } from '../components/ProtectedRoute'
-import { DOCUMENT_CATEGORIES } from '../utils/constants'
+import Can from '../components/Auth/Can'
+import { DOCUMENT_CATEGORIES, PERMISSIONS } from '../utils/constants'
 import { debounce, formatFileSize, formatRelativeTime, getFileIcon } from '../utils/helpers'
+import { isCancelledError } from '../utils/errors'
 import toast from 'react-hot-toast'
+import { showErrorToast } from '../utils/errorToast'
 
 // Comprehensive document management with upload, download, and organization
 const Documents = () => {
   const theme = useTheme()
-  const { hasRole } = useAuth()
+  const { hasPermission, isEmailVerified } = useAuth()
+  const { degraded } = useServiceStatus()
   const [uploadDialogOpen, setUploadDialogOpen] = useState(false)
   const [deleteDialog, setDeleteDialog] = useState({ open: false, document: null })
   const [searchTerm, setSearchTerm] = useState('')
@@ -110,15 +114,18 @@ const Documents = () => {
     toast.success('Documents uploaded successfully!')
   }
 
+  // Progress and retry live in the downloads tray
   const handleDownload = async (document) => {
+    handleMenuClose()
+
     try {
-      await documentService.downloadDocument(document.id, document.original_name)
-      toast.success('Download started')
+      await documentService.downloadDocument(document.id, document.original_name, document.file_size || null)
     } catch (error) {
-      toast.error('Failed to download document')
-      console.error('Download error:', error)
+      if (!isCancelledError(error)) {
+        showErrorToast(error.message || 'Failed to download document', error)
+        console.error('Download error:', error)
+      }
     }
-    handleMenuClose()
   }
 
   const handleEdit = (document) => {
@@ -141,7 +148,7 @@ const Documents = () => {
       refetch()
       setDeleteDialog({ open: false, document: null })
     } catch (error) {
-      toast.error('Failed to delete document')
+      showErrorToast('Failed to delete document', error)
       console.error('Delete error:', error)
     }
   }
@@ -186,9 +193,11 @@ const Documents = () => {
 
   const activeFiltersCount = [searchTerm, categoryFilter, typeFilter].filter(Boolean).length
 
-  const canUpload = hasRole(['admin', 'editor'])
-  const canEdit = hasRole(['admin', 'editor'])
-  const canDelete = hasRole(['admin', 'editor'])
+  // Uploading also needs a verified email; the banner above explains why
+  const uploadDisabled = degraded || !isEmailVerified
+  // Changes need the server, so they are off while it is unreachable
+  const canEdit = hasPermission(PERMISSIONS.UPLOAD_DOCUMENTS) && !degraded
+  const canDelete = hasPermission(PERMISSIONS.DELETE_DOCUMENTS) && !degraded
 
   return (
     <Box>
@@ -204,16 +213,17 @@ const Documents = () => {
             </Typography>
           </Box>
           
-          <AccessGuard roles={['admin', 'editor']}>
+          <Can permission={PERMISSIONS.UPLOAD_DOCUMENTS}>
             <Button
               variant="contained"
               startIcon={<AddIcon />}
               onClick={() => setUploadDialogOpen(true)}
+              disabled={uploadDisabled}
               sx={{ borderRadius: 2 }}
             >
               Upload Documents
             </Button>
-          </AccessGuard>
+          </Can>
         </Box>
 
         {/* Filters and Search */}
@@ -531,15 +541,16 @@ const Documents = () => {
                 Clear Filters
               </Button>
             ) : (
-              <AccessGuard roles={['admin', 'editor']}>
+              <Can permission={PERMISSIONS.UPLOAD_DOCUMENTS}>
                 <Button
                   variant="contained"
                   startIcon={<AddIcon />}
                   onClick={() => setUploadDialogOpen(true)}
+                  disabled={uploadDisabled}
                 >
                   Upload First Document
                 </Button>
-              </AccessGuard>
+              </Can>
             )}
           </Card>
         ) : (
@@ -563,11 +574,12 @@ const Documents = () => {
       )}
 
       {/* Floating Upload Button (Mobile) */}
-      <AccessGuard roles={['admin', 'editor']}>
+      <Can permission={PERMISSIONS.UPLOAD_DOCUMENTS}>
         <Fab
           color="primary"
           aria-label="upload"
           onClick={() => setUploadDialogOpen(true)}
+          disabled={uploadDisabled}
           sx={{
             position: 'fixed',
             bottom: 16,
@@ -577,7 +589,7 @@ const Documents = () => {
         >
           <UploadIcon />
         </Fab>
-      </AccessGuard>
+      </Can>
 
       {/* Upload Dialog */}
       <Dialog
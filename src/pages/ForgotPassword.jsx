@@ -0,0 +1,194 @@
+import React, { useState } from 'react'
+import {
+  Container,
+  Paper,
+  Box,
+  Typography,
+  TextField,
+  Button,
+  Link,
+  Alert,
+  InputAdornment,
+  CircularProgress,
+  useTheme
+} from '@mui/material'
+import {
+  Email as EmailIcon,
+  Send as SendIcon,
+  ArrowBack as BackIcon
+} from '@mui/icons-material'
+import { useForm } from 'react-hook-form'
+import { Link as RouterLink, useLocation } from 'react-router-dom'
+import authService from '../services/authService'
+import { ValidationError } from '../utils/errors'
+import { VALIDATION_RULES, APP_CONFIG } from '../utils/constants'
+import toast from 'react-hot-toast'
+import { showErrorToast } from '../utils/errorToast'
+
+// Request a password reset link by email
+// The answer is the same whether or not the address has an account
+const ForgotPassword = () => {
+  const theme = useTheme()
+  const location = useLocation()
+
+  const [requestError, setRequestError] = useState('')
+  const [sentTo, setSentTo] = useState('')
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors, isSubmitting },
+    setError
+  } = useForm({
+    defaultValues: {
+      // Carried over from the login form, or from an expired reset link
+      email: location.state?.email || ''
+    }
+  })
+
+  const onSubmit = async ({ email }) => {
+    try {
+      setRequestError('')
+      await authService.requestPasswordReset(email)
+      if (sentTo) toast.success('Reset link sent again')
+      setSentTo(email.trim())
+    } catch (error) {
+      if (error instanceof ValidationError && error.fields.email) {
+        setError('email', { type: 'server', message: error.fields.email })
+      } else if (sentTo) {
+        showErrorToast('Could not send the reset link', error)
+      } else {
+        setRequestError(error.message || 'Could not send the reset link. Please try again.')
+      }
+    }
+  }
+
+  return (
+    <Container component="main" maxWidth="sm">
+      <Box
+        sx={{
+          minHeight: '100vh',
+          display: 'flex',
+          flexDirection: 'column',
+          justifyContent: 'center',
+          py: 4,
+        }}
+      >
+        {/* Header */}
+        <Box sx={{ textAlign: 'center', mb: 4 }}>
+          <Typography
+            component="h1"
+            variant="h4"
+            sx={{
+              fontWeight: 600,
+              color: theme.palette.text.primary,
+              mb: 1
+            }}
+          >
+            Forgot Password
+          </Typography>
+          <Typography variant="body1" color="text.secondary">
+            We will email you a link to choose a new password for {APP_CONFIG.name}
+          </Typography>
+        </Box>
+
+        <Paper
+          elevation={4}
+          sx={{
+            p: 4,
+            borderRadius: 3,
+            background: theme.palette.background.paper,
+          }}
+        >
+          {sentTo ? (
+            <>
+              <Alert severity="success" sx={{ mb: 3, borderRadius: 2 }}>
+                If an account exists for <strong>{sentTo}</strong>, a reset link is on its way.
+                The link works for 60 minutes. Check your spam folder if it does not arrive.
+              </Alert>
+              <Button
+                fullWidth
+                variant="outlined"
+                onClick={handleSubmit(onSubmit)}
+                disabled={isSubmitting}
+                sx={{ mb: 2, borderRadius: 2, textTransform: 'none' }}
+              >
+                {isSubmitting ? 'Sending...' : 'Send the link again'}
+              </Button>
+            </>
+          ) : (
+            <Box component="form" onSubmit={handleSubmit(onSubmit)} noValidate>
+              {requestError && (
+                <Alert
+                  severity="error"
+                  sx={{ mb: 3, borderRadius: 2 }}
+                  onClose={() => setRequestError('')}
+                >
+                  {requestError}
+                </Alert>
+              )}
+
+              <TextField
+                margin="normal"
+                required
+                fullWidth
+                id="email"
+                label="Email Address"
+                type="email"
+                autoComplete="email"
+                autoFocus
+                error={!!errors.email}
+                helperText={errors.email?.message}
+                InputProps={{
+                  startAdornment: (
+                    <InputAdornment position="start">
+                      <EmailIcon color="action" />
+                    </InputAdornment>
+                  ),
+                }}
+                sx={{ mb: 2 }}
+                {...register('email', {
+                  required: VALIDATION_RULES.email.required,
+                  pattern: VALIDATION_RULES.email.pattern
+                })}
+              />
+
+              <Button
+                type="submit"
+                fullWidth
+                variant="contained"
+                size="large"
+                disabled={isSubmitting}
+                startIcon={isSubmitting ? <CircularProgress size={20} /> : <SendIcon />}
+                sx={{
+                  mt: 1,
+                  mb: 2,
+                  py: 1.5,
+                  borderRadius: 2,
+                  fontWeight: 600,
+                  fontSize: '1rem',
+                  textTransform: 'none',
+                }}
+              >
+                {isSubmitting ? 'Sending...' : 'Send Reset Link'}
+              </Button>
+            </Box>
+          )}
+
+          <Box sx={{ textAlign: 'center', mt: 1 }}>
+            <Link
+              component={RouterLink}
+              to="/login"
+              variant="body2"
+              sx={{ display: 'inline-flex', alignItems: 'center', gap: 0.5, fontWeight: 500 }}
+            >
+              <BackIcon fontSize="small" /> Back to sign in
+            </Link>
+          </Box>
+        </Paper>
+      </Box>
+    </Container>
+  )
+}
+
+export default ForgotPassword
@@ -41,6 +41,7 @@ import {
   Dashboard as DashboardIcon,
   Article as ArticleIcon
 } from '@mui/icons-material'
+import { APP_CONFIG } from '../utils/constants'
 
 const Help = () => {
   const [openContactDialog, setOpenContactDialog] = useState(false)
@@ -123,7 +124,7 @@ const Help = () => {
   const supportChannels = [
     {
       title: 'Email Support',
-      description: 'support@insbu.bi',
+      description: APP_CONFIG.supportEmail,
       icon: <EmailIcon color="primary" />,
       subtitle: 'Response within 24 hours'
     },
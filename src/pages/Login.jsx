@@ -19,38 +19,86 @@ import {
   Lock as LockIcon,
   Visibility,
   VisibilityOff,
-  Login as LoginIcon
+  Login as LoginIcon,
+  Key as KeyIcon,
+  AccountBalance as OrganisationIcon
 } from '@mui/icons-material'
 import { useForm } from 'react-hook-form'
 import { Link as RouterLink, useNavigate, useLocation } from 'react-router-dom'
 import { useAuth } from '../contexts/AuthContext'
-import { VALIDATION_RULES, APP_CONFIG } from '../utils/constants'
+import TwoFactorChallengeForm from '../components/Auth/TwoFactorChallengeForm'
+import { VALIDATION_RULES, APP_CONFIG, FEATURES, SSO_CONFIG } from '../utils/constants'
+import { isPasskeySupported } from '../utils/webauthn'
+import { isSsoEnabled } from '../utils/oidc'
 import toast from 'react-hot-toast'
 
 const Login = () => {
   const theme = useTheme()
-  const { login, loading } = useAuth()
+  const { login, loginWithPasskey, loginWithSso, loading, twoFactorChallenge, logoutReason } = useAuth()
   const navigate = useNavigate()
   const location = useLocation()
   
   const [showPassword, setShowPassword] = useState(false)
   const [loginError, setLoginError] = useState('')
+  const [passkeyPending, setPasskeyPending] = useState(false)
+  const [ssoPending, setSsoPending] = useState(false)
+
+  // Without WebAuthn the password form is the only option
+  const showPasskeyLogin = FEATURES.passkeys && isPasskeySupported()
 
   const from = location.state?.from?.pathname || '/dashboard'
 
+  // Set by ResetPassword after a successful reset
+  const passwordReset = !!location.state?.passwordReset
+
   const {
     register,
     handleSubmit,
     formState: { errors, isSubmitting },
     setError,
-    clearErrors
+    clearErrors,
+    getValues
   } = useForm({
     defaultValues: {
-      email: '',
+      email: location.state?.email || '',
       password: ''
     }
   })
 
+  const handleSignedIn = () => {
+    toast.success('Welcome back!', {
+      duration: 3000,
+      position: 'top-center'
+    })
+    navigate(from, { replace: true })
+  }
+
+  const handlePasskeyLogin = async () => {
+    setLoginError('')
+    setPasskeyPending(true)
+
+    const result = await loginWithPasskey()
+    setPasskeyPending(false)
+
+    if (result.success) {
+      handleSignedIn()
+    } else if (!result.cancelled) {
+      setLoginError(result.error)
+    }
+  }
+
+  // Leaves for the identity provider; SsoCallback finishes signing in
+  const handleSsoLogin = async () => {
+    setLoginError('')
+    setSsoPending(true)
+
+    const result = await loginWithSso(from)
+    if (!result.success) {
+      setSsoPending(false)
+      setLoginError(result.error)
+    }
+  }
+
   const onSubmit = async (data) => {
     try {
       setLoginError('')
@@ -59,11 +107,10 @@ const Login = () => {
       const result = await login(data)
       
       if (result.success) {
-        toast.success('Welcome back!', {
-          duration: 3000,
-          position: 'top-center'
-        })
-        navigate(from, { replace: true })
+        handleSignedIn()
+      } else if (result.twoFactorRequired) {
+        // The form switches to the code step
+        return
       } else {
         setLoginError(result.error || 'Login failed. Please try again.')
         
@@ -158,143 +205,223 @@ const Login = () => {
             background: theme.palette.background.paper,
           }}
         >
-          {/* Error Alert */}
-          {loginError && (
-            <Alert 
-              severity="error" 
-              sx={{ mb: 3, borderRadius: 2 }}
-              onClose={() => setLoginError('')}
-            >
-              {loginError}
-            </Alert>
-          )}
+          {twoFactorChallenge ? (
+            <TwoFactorChallengeForm onSuccess={handleSignedIn} />
+          ) : (
+            <>
+              {passwordReset && !loginError && (
+                <Alert severity="success" sx={{ mb: 3, borderRadius: 2 }}>
+                  Your password has been reset. Sign in with your new password.
+                </Alert>
+              )}
 
-          <Box component="form" onSubmit={handleSubmit(onSubmit)} noValidate>
-            {/* Email Field */}
-            <TextField
-              margin="normal"
-              required
-              fullWidth
-              id="email"
-              label="Email Address"
-              type="email"
-              autoComplete="email"
-              autoFocus
-              error={!!errors.email}
-              helperText={errors.email?.message}
-              InputProps={{
-                startAdornment: (
-                  <InputAdornment position="start">
-                    <EmailIcon color="action" />
-                  </InputAdornment>
-                ),
-              }}
-              sx={{ mb: 2 }}
-              {...register('email', {
-                required: VALIDATION_RULES.email.required,
-                pattern: VALIDATION_RULES.email.pattern
-              })}
-            />
+              {/* Signed out automatically after inactivity */}
+              {logoutReason === 'idle' && !loginError && (
+                <Alert severity="info" sx={{ mb: 3, borderRadius: 2 }}>
+                  You were signed out after a period of inactivity. Sign in again to continue where you left off.
+                </Alert>
+              )}
 
-            {/* Password Field */}
-            <TextField
-              margin="normal"
-              required
-              fullWidth
-              id="password"
-              label="Password"
-              type={showPassword ? 'text' : 'password'}
-              autoComplete="current-password"
-              error={!!errors.password}
-              helperText={errors.password?.message}
-              InputProps={{
-                startAdornment: (
-                  <InputAdornment position="start">
-                    <LockIcon color="action" />
-                  </InputAdornment>
-                ),
-                endAdornment: (
-                  <InputAdornment position="end">
-                    <IconButton
-                      aria-label="toggle password visibility"
-                      onClick={handleTogglePassword}
-                      edge="end"
-                    >
-                      {showPassword ? <VisibilityOff /> : <Visibility />}
-                    </IconButton>
-                  </InputAdornment>
-                ),
-              }}
-              sx={{ mb: 3 }}
-              {...register('password', {
-                required: VALIDATION_RULES.password.required,
-                minLength: VALIDATION_RULES.password.minLength
-              })}
-            />
+              {/* Error Alert */}
+              {loginError && (
+                <Alert 
+                  severity="error" 
+                  sx={{ mb: 3, borderRadius: 2 }}
+                  onClose={() => setLoginError('')}
+                >
+                  {loginError}
+                </Alert>
+              )}
 
-            {/* Login Button */}
-            <Button
-              type="submit"
-              fullWidth
-              variant="contained"
-              size="large"
-              disabled={isSubmitting || loading}
-              startIcon={
-                isSubmitting || loading ? (
-                  <CircularProgress size={20} />
-                ) : (
-                  <LoginIcon />
-                )
-              }
-              sx={{
-                mt: 2,
-                mb: 3,
-                py: 1.5,
-                borderRadius: 2,
-                fontWeight: 600,
-                fontSize: '1rem',
-                textTransform: 'none',
-              }}
-            >
-              {isSubmitting || loading ? 'Signing In...' : 'Sign In'}
-            </Button>
+              <Box component="form" onSubmit={handleSubmit(onSubmit)} noValidate>
+                {/* Email Field */}
+                <TextField
+                  margin="normal"
+                  required
+                  fullWidth
+                  id="email"
+                  label="Email Address"
+                  type="email"
+                  autoComplete="email"
+                  autoFocus
+                  error={!!errors.email}
+                  helperText={errors.email?.message}
+                  InputProps={{
+                    startAdornment: (
+                      <InputAdornment position="start">
+                        <EmailIcon color="action" />
+                      </InputAdornment>
+                    ),
+                  }}
+                  sx={{ mb: 2 }}
+                  {...register('email', {
+                    required: VALIDATION_RULES.email.required,
+                    pattern: VALIDATION_RULES.email.pattern
+                  })}
+                />
 
-            <Divider sx={{ my: 3 }}>
-              <Typography variant="body2" color="text.secondary">
-                Don't have an account?
-              </Typography>
-            </Divider>
+                {/* Password Field */}
+                <TextField
+                  margin="normal"
+                  required
+                  fullWidth
+                  id="password"
+                  label="Password"
+                  type={showPassword ? 'text' : 'password'}
+                  autoComplete="current-password"
+                  error={!!errors.password}
+                  helperText={errors.password?.message}
+                  InputProps={{
+                    startAdornment: (
+                      <InputAdornment position="start">
+                        <LockIcon color="action" />
+                      </InputAdornment>
+                    ),
+                    endAdornment: (
+                      <InputAdornment position="end">
+                        <IconButton
+                          aria-label="toggle password visibility"
+                          onClick={handleTogglePassword}
+                          edge="end"
+                        >
+                          {showPassword ? <VisibilityOff /> : <Visibility />}
+                        </IconButton>
+                      </InputAdornment>
+                    ),
+                  }}
+                  sx={{ mb: 1 }}
+                  {...register('password', {
+                    required: VALIDATION_RULES.password.required,
+                    minLength: VALIDATION_RULES.password.minLength
+                  })}
+                />
 
-            {/* Sign Up Link */}
-            <Box sx={{ textAlign: 'center' }}>
-              <Link
-                component={RouterLink}
-                to="/signup"
-                variant="body2"
-                sx={{
-                  textDecoration: 'none',
-                  fontWeight: 500,
-                  '&:hover': {
-                    textDecoration: 'underline',
-                  },
-                }}
-              >
-                Create a new account
-              </Link>
-            </Box>
+                {/* Forgot Password Link */}
+                <Box sx={{ textAlign: 'right', mb: 2 }}>
+                  <Link
+                    component={RouterLink}
+                    to="/forgot-password"
+                    onClick={(e) => {
+                      // Carry a typed email over so it need not be entered twice
+                      e.preventDefault()
+                      navigate('/forgot-password', { state: { email: getValues('email') } })
+                    }}
+                    variant="body2"
+                    sx={{ textDecoration: 'none', '&:hover': { textDecoration: 'underline' } }}
+                  >
+                    Forgot password?
+                  </Link>
+                </Box>
 
-            {/* Demo Credentials */}
-            <Box sx={{ mt: 4, p: 2, backgroundColor: theme.palette.action.hover, borderRadius: 2 }}>
-              <Typography variant="body2" color="text.secondary" sx={{ mb: 1, fontWeight: 600 }}>
-                Demo Credentials:
-              </Typography>
-              <Typography variant="body2" color="text.secondary" sx={{ fontSize: '0.8rem' }}>
-                <strong>Admin:</strong> admin@insbu.bi / password123<br />
-                <strong>Editor:</strong> marie.uwimana@insbu.bi / password123<br />
-                <strong>User:</strong> demo@insbu.bi / demo123
-              </Typography>
-            </Box>
-          </Box>
+                {/* Login Button */}
+                <Button
+                  type="submit"
+                  fullWidth
+                  variant="contained"
+                  size="large"
+                  disabled={isSubmitting || loading}
+                  startIcon={
+                    isSubmitting || loading ? (
+                      <CircularProgress size={20} />
+                    ) : (
+                      <LoginIcon />
+                    )
+                  }
+                  sx={{
+                    mt: 2,
+                    mb: 3,
+                    py: 1.5,
+                    borderRadius: 2,
+                    fontWeight: 600,
+                    fontSize: '1rem',
+                    textTransform: 'none',
+                  }}
+                >
+                  {isSubmitting || loading ? 'Signing In...' : 'Sign In'}
+                </Button>
+
+                {showPasskeyLogin && (
+                  <Button
+                    fullWidth
+                    variant="outlined"
+                    size="large"
+                    onClick={handlePasskeyLogin}
+                    disabled={passkeyPending || isSubmitting || loading}
+                    startIcon={passkeyPending ? <CircularProgress size={20} /> : <KeyIcon />}
+                    sx={{
+                      mb: 3,
+                      py: 1.5,
+                      borderRadius: 2,
+                      fontWeight: 600,
+                      textTransform: 'none',
+                    }}
+                  >
+                    {passkeyPending ? 'Waiting for passkey...' : 'Sign in with a passkey'}
+                  </Button>
+                )}
+
+                {isSsoEnabled() && (
+                  <Button
+                    fullWidth
+                    variant="outlined"
+                    size="large"
+                    onClick={handleSsoLogin}
+                    disabled={ssoPending || isSubmitting || loading}
+                    startIcon={ssoPending ? <CircularProgress size={20} /> : <OrganisationIcon />}
+                    sx={{
+                      mb: 3,
+                      py: 1.5,
+                      borderRadius: 2,
+                      fontWeight: 600,
+                      textTransform: 'none',
+                    }}
+                  >
+                    {ssoPending ? 'Redirecting...' : `Sign in with your ${SSO_CONFIG.providerName}`}
+                  </Button>
+                )}
+
+                {FEATURES.registration && (
+                  <>
+                    <Divider sx={{ my: 3 }}>
+                      <Typography variant="body2" color="text.secondary">
+                        Don't have an account?
+                      </Typography>
+                    </Divider>
+
+                    {/* Sign Up Link */}
+                    <Box sx={{ textAlign: 'center' }}>
+                      <Link
+                        component={RouterLink}
+                        to="/signup"
+                        variant="body2"
+                        sx={{
+                          textDecoration: 'none',
+                          fontWeight: 500,
+                          '&:hover': {
+                            textDecoration: 'underline',
+                          },
+                        }}
+                      >
+                        Create a new account
+                      </Link>
+                    </Box>
+                  </>
+                )}
+
+                {/* Demo Credentials */}
+                <Box sx={{ mt: 4, p: 2, backgroundColor: theme.palette.action.hover, borderRadius: 2 }}>
+                  <Typography variant="body2" color="text.secondary" sx={{ mb: 1, fontWeight: 600 }}>
+                    Demo Credentials:
+                  </Typography>
+                  <Typography variant="body2" color="text.secondary" sx={{ fontSize: '0.8rem' }}>
+                    <strong>Admin:</strong> admin@insbu.bi / password123<br />
+                    <strong>Editor:</strong> marie.uwimana@insbu.bi / password123<br />
+                    <strong>User:</strong> demo@insbu.bi / demo123
+                  </Typography>
+                </Box>
+              </Box>
+            </>
+          )}
         </Paper>
       </Box>
     </Container>
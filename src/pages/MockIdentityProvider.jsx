@@ -0,0 +1,85 @@
+import React, { useMemo, useState } from 'react'
+import {
+  Container,
+  Paper,
+  Box,
+  Typography,
+  Button,
+  Alert,
+  List,
+  ListItemButton,
+  ListItemAvatar,
+  ListItemText,
+  Avatar,
+  Chip
+} from '@mui/material'
+import { AccountBalance as MinistryIcon } from '@mui/icons-material'
+import { useSearchParams } from 'react-router-dom'
+import { DIRECTORY, validateAuthorizationRequest, authorize } from '../services/mock/identityProvider'
+
+// Sign-in page of the stand-in identity provider, routed only with the mock
+// backend. Pick a directory member to approve the request, or cancel to deny it;
+// either way the browser goes back to the portal's callback as it would from
+// the ministry's real provider
+const MockIdentityProvider = () => {
+  const [searchParams] = useSearchParams()
+  const [pending, setPending] = useState(false)
+
+  const problem = useMemo(() => validateAuthorizationRequest(searchParams), [searchParams])
+
+  const respond = async (account) => {
+    setPending(true)
+    window.location.assign(await authorize(searchParams, account))
+  }
+
+  return (
+    <Container component="main" maxWidth="xs">
+      <Box sx={{ minHeight: '100vh', display: 'flex', flexDirection: 'column', justifyContent: 'center', py: 4 }}>
+        <Paper variant="outlined" sx={{ p: 3 }}>
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1.5, mb: 2 }}>
+            <MinistryIcon color="primary" />
+            <Box>
+              <Typography variant="h6">Ministry sign-in</Typography>
+              <Typography variant="caption" color="text.secondary">
+                Stand-in identity provider for development
+              </Typography>
+            </Box>
+            <Chip label="Mock" size="small" color="warning" sx={{ ml: 'auto' }} />
+          </Box>
+
+          {problem ? (
+            <Alert severity="error">
+              Invalid authorization request: {problem}
+            </Alert>
+          ) : (
+            <>
+              <Typography variant="body2" sx={{ mb: 1 }}>
+                Choose an account to continue to <strong>{searchParams.get('client_id')}</strong>
+              </Typography>
+              <List disablePadding sx={{ mb: 2 }}>
+                {DIRECTORY.map(account => (
+                  <ListItemButton
+                    key={account.sub}
+                    onClick={() => respond(account)}
+                    disabled={pending}
+                    divider
+                  >
+                    <ListItemAvatar>
+                      <Avatar>{account.name.charAt(0)}</Avatar>
+                    </ListItemAvatar>
+                    <ListItemText primary={account.name} secondary={account.email} />
+                  </ListItemButton>
+                ))}
+              </List>
+              <Button fullWidth onClick={() => respond(null)} disabled={pending}>
+                Cancel
+              </Button>
+            </>
+          )}
+        </Paper>
+      </Box>
+    </Container>
+  )
+}
+
+export default MockIdentityProvider
@@ -31,19 +31,22 @@ import {
 import { useNavigate } from 'react-router-dom'
 import { useAuth } from '../contexts/AuthContext'
 import { usePaginatedApi } from '../hooks/useApi'
+import { useServiceStatus } from '../hooks/useServiceStatus'
 import newsService from '../services/newsService'
 import NewsCard from '../components/News/NewsCard'
 import { LoadingOverlay, CardSkeleton } from '../components/LoadingScreen'
-import { AccessGuard } from '../components/ProtectedRoute'
-import { NEWS_CATEGORIES, NEWS_STATUS } from '../utils/constants'
+import Can from '../components/Auth/Can'
+import { NEWS_CATEGORIES, NEWS_STATUS, PERMISSIONS } from '../utils/constants'
 import { debounce } from '../utils/helpers'
 import toast from 'react-hot-toast'
+import { showErrorToast } from '../utils/errorToast'
 
 // Comprehensive news management page with filtering and CRUD operations
 const News = () => {
   const theme = useTheme()
   const navigate = useNavigate()
-  const { hasRole, user } = useAuth()
+  const { hasPermission, user } = useAuth()
+  const { degraded } = useServiceStatus()
   const [deleteDialog, setDeleteDialog] = useState({ open: false, news: null })
   const [searchTerm, setSearchTerm] = useState('')
   const [categoryFilter, setCategoryFilter] = useState('')
@@ -113,7 +116,7 @@ const News = () => {
       refetch() // Refresh the list
       setDeleteDialog({ open: false, news: null })
     } catch (error) {
-      toast.error('Failed to delete news article')
+      showErrorToast('Failed to delete news article', error)
       console.error('Delete error:', error)
     }
   }
@@ -161,16 +164,17 @@ const News = () => {
             </Typography>
           </Box>
           
-          <AccessGuard roles={['admin', 'editor']}>
+          <Can permission={PERMISSIONS.CREATE_NEWS}>
             <Button
               variant="contained"
               startIcon={<AddIcon />}
               onClick={handleCreateNews}
+              disabled={degraded}
               sx={{ borderRadius: 2 }}
             >
               Create Article
             </Button>
-          </AccessGuard>
+          </Can>
         </Box>
 
         {/* Filters and Search */}
@@ -215,7 +219,7 @@ const News = () => {
             </Grid>
 
             {/* Status Filter (for editors/admins) */}
-            <AccessGuard roles={['admin', 'editor']}>
+            <Can permission={PERMISSIONS.EDIT_NEWS}>
               <Grid item xs={12} sm={6} md={2}>
                 <FormControl fullWidth>
                   <InputLabel>Status</InputLabel>
@@ -234,7 +238,7 @@ const News = () => {
                   </Select>
                 </FormControl>
               </Grid>
-            </AccessGuard>
+            </Can>
 
             {/* Sort */}
             <Grid item xs={12} sm={6} md={2}>
@@ -353,8 +357,8 @@ const News = () => {
                   onEdit={handleEditNews}
                   onDelete={handleDeleteNews}
                   onShare={handleShareNews}
-                  showActions={hasRole(['admin', 'editor'])}
-                  canEdit={hasRole(['admin', 'editor']) && (hasRole('admin') || news.author_id === user?.id)}
+                  showActions={hasPermission([PERMISSIONS.EDIT_NEWS, PERMISSIONS.DELETE_NEWS]) && !degraded}
+                  canEdit={(hasPermission(PERMISSIONS.EDIT_ANY_NEWS) || (hasPermission(PERMISSIONS.EDIT_NEWS) && news.author_id === user?.id)) && !degraded}
                 />
               </Grid>
             ))}
@@ -376,11 +380,11 @@ const News = () => {
                 Clear Filters
               </Button>
             ) : (
-              <AccessGuard roles={['admin', 'editor']}>
-                <Button variant="contained" startIcon={<AddIcon />} onClick={handleCreateNews}>
+              <Can permission={PERMISSIONS.CREATE_NEWS}>
+                <Button variant="contained" startIcon={<AddIcon />} onClick={handleCreateNews} disabled={degraded}>
                   Create First Article
                 </Button>
-              </AccessGuard>
+              </Can>
             )}
           </Card>
         ) : (
@@ -428,6 +432,7 @@ const News = () => {
             onClick={confirmDelete}
             color="error"
             variant="contained"
+            disabled={degraded}
           >
             Delete
           </Button>
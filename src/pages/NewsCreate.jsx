@@ -24,15 +24,20 @@ import {
 } from '@mui/icons-material'
 import { useNavigate } from 'react-router-dom'
 import { useAuth } from '../contexts/AuthContext'
+import { useServiceStatus } from '../hooks/useServiceStatus'
 import newsService from '../services/newsService'
-import { NEWS_CATEGORIES, NEWS_STATUS } from '../utils/constants'
+import { NEWS_CATEGORIES, NEWS_STATUS, PERMISSIONS } from '../utils/constants'
 import toast from 'react-hot-toast'
+import { showErrorToast } from '../utils/errorToast'
+import { ValidationError } from '../utils/errors'
 
 // News creation page for editors and admins
 const NewsCreate = () => {
   const theme = useTheme()
   const navigate = useNavigate()
-  const { hasRole } = useAuth()
+  const { hasPermission } = useAuth()
+  const canPublish = hasPermission(PERMISSIONS.PUBLISH_NEWS)
+  const { degraded } = useServiceStatus()
   const [loading, setLoading] = useState(false)
   const [previewMode, setPreviewMode] = useState(false)
   const [formData, setFormData] = useState({
@@ -40,13 +45,12 @@ const NewsCreate = () => {
     body: '',
     excerpt: '',
     category: '',
-    status: hasRole('admin') ? NEWS_STATUS.PUBLISHED : NEWS_STATUS.DRAFT,
+    status: canPublish ? NEWS_STATUS.PUBLISHED : NEWS_STATUS.DRAFT,
     image_url: ''
   })
   const [errors, setErrors] = useState({})
 
-  // Only editors and admins can access this page
-  if (!hasRole(['admin', 'editor'])) {
+  if (!hasPermission(PERMISSIONS.CREATE_NEWS)) {
     return (
       <Box sx={{ p: 4, textAlign: 'center' }}>
         <Alert severity="error">
@@ -123,12 +127,13 @@ const NewsCreate = () => {
         navigate('/news')
       }
     } catch (error) {
-      console.error('Save error:', error)
-      toast.error('Failed to save article')
-      
-      // Handle validation errors from server
-      if (error.response?.data?.errors) {
-        setErrors(error.response.data.errors)
+      // Validation problems are shown next to the fields they concern
+      if (error instanceof ValidationError) {
+        setErrors(error.fields)
+        toast.error(error.message)
+      } else {
+        console.error('Save error:', error)
+        showErrorToast('Failed to save article', error)
       }
     } finally {
       setLoading(false)
@@ -136,16 +141,16 @@ const NewsCreate = () => {
   }
 
   const handlePublish = () => {
-    if (hasRole('admin')) {
+    if (canPublish) {
       handleSave(NEWS_STATUS.PUBLISHED)
     } else {
-      // Editors can only submit for review
+      // Without publish_news the article goes to review
       handleSave(NEWS_STATUS.PENDING)
     }
   }
 
   const getStatusLabel = () => {
-    if (hasRole('admin')) {
+    if (canPublish) {
       return formData.status === NEWS_STATUS.PUBLISHED ? 'Published' : 'Draft'
     } else {
       return formData.status === NEWS_STATUS.PENDING ? 'Pending Review' : 'Draft'
@@ -181,7 +186,7 @@ const NewsCreate = () => {
           Create News Article
         </Typography>
         <Typography variant="body1" color="text.secondary">
-          {hasRole('admin') 
+          {canPublish 
             ? 'Create and publish news articles directly' 
             : 'Create articles that will be reviewed by administrators before publishing'
           }
@@ -287,7 +292,7 @@ const NewsCreate = () => {
                   />
                 </Box>
 
-                {!hasRole('admin') && (
+                {!canPublish && (
                   <Alert severity="info" sx={{ mb: 2 }}>
                     As an editor, your articles will be submitted for admin review before publishing.
                   </Alert>
@@ -308,19 +313,19 @@ const NewsCreate = () => {
                     variant="outlined"
                     startIcon={<SaveIcon />}
                     onClick={() => handleSave(NEWS_STATUS.DRAFT)}
-                    disabled={loading}
+                    disabled={loading || degraded}
                     sx={{ textTransform: 'none' }}
                   >
                     Save as Draft
                   </Button>
 
-                  {hasRole('admin') ? (
+                  {canPublish ? (
                     <Button
                       fullWidth
                       variant="contained"
                       startIcon={<PublishIcon />}
                       onClick={handlePublish}
-                      disabled={loading}
+                      disabled={loading || degraded}
                       sx={{ textTransform: 'none' }}
                     >
                       Publish Now
@@ -331,7 +336,7 @@ const NewsCreate = () => {
                       variant="contained"
                       startIcon={<PublishIcon />}
                       onClick={handlePublish}
-                      disabled={loading}
+                      disabled={loading || degraded}
                       sx={{ textTransform: 'none' }}
                     >
                       Submit for Review
@@ -31,24 +31,25 @@ import {
   Print as PrintIcon
 } from '@mui/icons-material'
 import { useParams, useNavigate, Link as RouterLink } from 'react-router-dom'
-import { useAuth } from '../contexts/AuthContext'
 import { useApi } from '../hooks/useApi'
 import newsService from '../services/newsService'
-import { AccessGuard } from '../components/ProtectedRoute'
+import Can from '../components/Auth/Can'
+import { usePermission } from '../hooks/usePermission'
+import { PERMISSIONS } from '../utils/constants'
 import { formatDate, formatRelativeTime } from '../utils/helpers'
 import toast from 'react-hot-toast'
+import { showErrorToast } from '../utils/errorToast'
 
 // Detailed news article view with full content and actions
 const NewsDetail = () => {
   const theme = useTheme()
   const { id } = useParams()
   const navigate = useNavigate()
-  const { hasRole } = useAuth()
   const [menuAnchor, setMenuAnchor] = useState(null)
 
   // Fetch news article
   const {
-    data: news,
+    data: newsResponse,
     loading,
     error,
     refetch
@@ -62,8 +63,10 @@ const NewsDetail = () => {
     }
   )
 
-  const canEdit = hasRole(['admin', 'editor'])
-  const canDelete = hasRole(['admin', 'editor'])
+  const news = newsResponse?.data
+
+  const canEdit = usePermission(PERMISSIONS.EDIT_NEWS)
+  const canDelete = usePermission(PERMISSIONS.DELETE_NEWS)
 
   const handleBack = () => {
     navigate('/news')
@@ -83,7 +86,7 @@ const NewsDetail = () => {
       toast.success('Article deleted successfully')
       navigate('/news')
     } catch (error) {
-      toast.error('Failed to delete article')
+      showErrorToast('Failed to delete article', error)
       console.error('Delete error:', error)
     }
   }
@@ -271,7 +274,7 @@ const NewsDetail = () => {
               <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
                 <AuthorIcon sx={{ fontSize: 18 }} />
                 <Typography variant="body2">
-                  By <strong>{author}</strong>
+                  By <strong>{author?.name}</strong>
                 </Typography>
               </Box>
               
@@ -289,7 +292,7 @@ const NewsDetail = () => {
                 </Typography>
               </Box>
 
-              {updated_at !== created_at && (
+              {updated_at && updated_at.getTime() !== created_at?.getTime() && (
                 <Typography variant="body2">
                   Updated {formatRelativeTime(updated_at)}
                 </Typography>
@@ -373,23 +376,23 @@ const NewsDetail = () => {
           <ListItemText>Print</ListItemText>
         </MenuItem>
         
-        <AccessGuard roles={['admin', 'editor']}>
-          <>
-            <MenuItem onClick={handleEdit}>
-              <ListItemIcon>
-                <EditIcon fontSize="small" />
-              </ListItemIcon>
-              <ListItemText>Edit Article</ListItemText>
-            </MenuItem>
-            
-            <MenuItem onClick={handleDelete} sx={{ color: 'error.main' }}>
-              <ListItemIcon>
-                <DeleteIcon fontSize="small" color="error" />
-              </ListItemIcon>
-              <ListItemText>Delete Article</ListItemText>
-            </MenuItem>
-          </>
-        </AccessGuard>
+        <Can permission={PERMISSIONS.EDIT_NEWS}>
+          <MenuItem onClick={handleEdit}>
+            <ListItemIcon>
+              <EditIcon fontSize="small" />
+            </ListItemIcon>
+            <ListItemText>Edit Article</ListItemText>
+          </MenuItem>
+        </Can>
+
+        <Can permission={PERMISSIONS.DELETE_NEWS}>
+          <MenuItem onClick={handleDelete} sx={{ color: 'error.main' }}>
+            <ListItemIcon>
+              <DeleteIcon fontSize="small" color="error" />
+            </ListItemIcon>
+            <ListItemText>Delete Article</ListItemText>
+          </MenuItem>
+        </Can>
       </Menu>
 
       {/* Print Styles */}
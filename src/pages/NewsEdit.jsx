@@ -24,17 +24,22 @@ import {
 } from '@mui/icons-material'
 import { useNavigate, useParams } from 'react-router-dom'
 import { useAuth } from '../contexts/AuthContext'
+import { useServiceStatus } from '../hooks/useServiceStatus'
 import newsService from '../services/newsService'
-import { NEWS_CATEGORIES, NEWS_STATUS } from '../utils/constants'
+import { NEWS_CATEGORIES, NEWS_STATUS, PERMISSIONS } from '../utils/constants'
+import { isCancelledError, ValidationError } from '../utils/errors'
 import { LoadingOverlay } from '../components/LoadingScreen'
 import toast from 'react-hot-toast'
+import { showErrorToast } from '../utils/errorToast'
 
 // News editing page for editors and admins
 const NewsEdit = () => {
   const theme = useTheme()
   const navigate = useNavigate()
   const { id } = useParams()
-  const { hasRole, user } = useAuth()
+  const { hasPermission, user } = useAuth()
+  const { degraded } = useServiceStatus()
+  const canPublish = hasPermission(PERMISSIONS.PUBLISH_NEWS)
   const [loading, setLoading] = useState(false)
   const [fetching, setFetching] = useState(true)
   const [previewMode, setPreviewMode] = useState(false)
@@ -49,8 +54,7 @@ const NewsEdit = () => {
   const [errors, setErrors] = useState({})
   const [news, setNews] = useState(null)
 
-  // Only editors and admins can access this page
-  if (!hasRole(['admin', 'editor'])) {
+  if (!hasPermission(PERMISSIONS.EDIT_NEWS)) {
     return (
       <Box sx={{ p: 4, textAlign: 'center' }}>
         <Alert severity="error">
@@ -82,8 +86,10 @@ const NewsEdit = () => {
         })
       }
     } catch (error) {
+      // Aborted because the user already left this page
+      if (isCancelledError(error)) return
       console.error('Error fetching news:', error)
-      toast.error('Failed to load article')
+      showErrorToast('Failed to load article', error)
       navigate('/news')
     } finally {
       setFetching(false)
@@ -91,7 +97,8 @@ const NewsEdit = () => {
   }
 
   // Check if user can edit this article
-  const canEdit = hasRole('admin') || (hasRole('editor') && news?.author_id === user?.id)
+  const canEdit = hasPermission(PERMISSIONS.EDIT_ANY_NEWS) ||
+    (hasPermission(PERMISSIONS.EDIT_NEWS) && news?.author_id === user?.id)
 
   if (fetching) {
     return <LoadingOverlay loading={true} />
@@ -185,12 +192,13 @@ const NewsEdit = () => {
         navigate('/news')
       }
     } catch (error) {
-      console.error('Save error:', error)
-      toast.error('Failed to save article')
-      
-      // Handle validation errors from server
-      if (error.response?.data?.errors) {
-        setErrors(error.response.data.errors)
+      // Validation problems are shown next to the fields they concern
+      if (error instanceof ValidationError) {
+        setErrors(error.fields)
+        toast.error(error.message)
+      } else {
+        console.error('Save error:', error)
+        showErrorToast('Failed to save article', error)
       }
     } finally {
       setLoading(false)
@@ -198,16 +206,16 @@ const NewsEdit = () => {
   }
 
   const handlePublish = () => {
-    if (hasRole('admin')) {
+    if (canPublish) {
       handleSave(NEWS_STATUS.PUBLISHED)
     } else {
-      // Editors can only submit for review
+      // Without publish_news the article goes to review
       handleSave(NEWS_STATUS.PENDING)
     }
   }
 
   const getStatusLabel = () => {
-    if (hasRole('admin')) {
+    if (canPublish) {
       return formData.status === NEWS_STATUS.PUBLISHED ? 'Published' : 'Draft'
     } else {
       return formData.status === NEWS_STATUS.PENDING ? 'Pending Review' : 'Draft'
@@ -243,7 +251,7 @@ const NewsEdit = () => {
           Edit News Article
         </Typography>
         <Typography variant="body1" color="text.secondary">
-          {hasRole('admin') 
+          {canPublish 
             ? 'Edit and publish news articles directly' 
             : 'Edit articles that will be reviewed by administrators before publishing'
           }
@@ -349,7 +357,7 @@ const NewsEdit = () => {
                   />
                 </Box>
 
-                {!hasRole('admin') && (
+                {!canPublish && (
                   <Alert severity="info" sx={{ mb: 2 }}>
                     As an editor, your articles will be submitted for admin review before publishing.
                   </Alert>
@@ -370,19 +378,19 @@ const NewsEdit = () => {
                     variant="outlined"
                     startIcon={<SaveIcon />}
                     onClick={() => handleSave(NEWS_STATUS.DRAFT)}
-                    disabled={loading}
+                    disabled={loading || degraded}
                     sx={{ textTransform: 'none' }}
                   >
                     Save as Draft
                   </Button>
 
-                  {hasRole('admin') ? (
+                  {canPublish ? (
                     <Button
                       fullWidth
                       variant="contained"
                       startIcon={<PublishIcon />}
                       onClick={handlePublish}
-                      disabled={loading}
+                      disabled={loading || degraded}
                       sx={{ textTransform: 'none' }}
                     >
                       Publish Now
@@ -393,7 +401,7 @@ const NewsEdit = () => {
                       variant="contained"
                       startIcon={<PublishIcon />}
                       onClick={handlePublish}
-                      disabled={loading}
+                      disabled={loading || degraded}
                       sx={{ textTransform: 'none' }}
                     >
                       Submit for Review
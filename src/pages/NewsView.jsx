@@ -23,6 +23,8 @@ import { useAuth } from '../contexts/AuthContext'
 import newsService from '../services/newsService'
 import { LoadingOverlay } from '../components/LoadingScreen'
 import { formatRelativeTime } from '../utils/helpers'
+import { PERMISSIONS } from '../utils/constants'
+import { isCancelledError } from '../utils/errors'
 import toast from 'react-hot-toast'
 
 // News viewing page for all users
@@ -30,7 +32,7 @@ const NewsView = () => {
   const theme = useTheme()
   const navigate = useNavigate()
   const { id } = useParams()
-  const { hasRole, user } = useAuth()
+  const { hasPermission, user } = useAuth()
   const [loading, setLoading] = useState(true)
   const [news, setNews] = useState(null)
   const [error, setError] = useState(null)
@@ -47,6 +49,7 @@ const NewsView = () => {
         setNews(response.data)
       }
     } catch (error) {
+      if (isCancelledError(error)) return
       console.error('Error fetching news:', error)
       setError('Failed to load article')
     } finally {
@@ -76,7 +79,8 @@ const NewsView = () => {
     }
   }
 
-  const canEdit = hasRole('admin') || (hasRole('editor') && news?.author_id === user?.id)
+  const canEdit = hasPermission(PERMISSIONS.EDIT_ANY_NEWS) ||
+    (hasPermission(PERMISSIONS.EDIT_NEWS) && news?.author_id === user?.id)
 
   if (loading) {
     return <LoadingOverlay loading={true} />
@@ -102,7 +106,7 @@ const NewsView = () => {
   }
 
   // Check if user can view this article
-  const canView = news.status === 'published' || hasRole(['admin', 'editor'])
+  const canView = news.status === 'published' || hasPermission(PERMISSIONS.EDIT_NEWS)
 
   if (!canView) {
     return (
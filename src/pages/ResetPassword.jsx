@@ -0,0 +1,281 @@
+import React, { useState } from 'react'
+import {
+  Container,
+  Paper,
+  Box,
+  Typography,
+  TextField,
+  Button,
+  Link,
+  Alert,
+  InputAdornment,
+  IconButton,
+  CircularProgress,
+  useTheme
+} from '@mui/material'
+import {
+  Email as EmailIcon,
+  Lock as LockIcon,
+  LockReset as ResetIcon,
+  Visibility,
+  VisibilityOff,
+  ArrowBack as BackIcon
+} from '@mui/icons-material'
+import { useForm } from 'react-hook-form'
+import { Link as RouterLink, useNavigate, useParams, useSearchParams } from 'react-router-dom'
+import authService from '../services/authService'
+import PasswordStrengthMeter from '../components/Auth/PasswordStrengthMeter'
+import { ValidationError } from '../utils/errors'
+import { VALIDATION_RULES } from '../utils/constants'
+import toast from 'react-hot-toast'
+
+// Choose a new password from an emailed reset link: /reset-password/:token?email=
+// An invalid or expired link offers to send a new one instead of the form
+const ResetPassword = () => {
+  const theme = useTheme()
+  const navigate = useNavigate()
+  const { token } = useParams()
+  const [searchParams] = useSearchParams()
+  const linkEmail = searchParams.get('email') || ''
+
+  const [showPassword, setShowPassword] = useState(false)
+  const [resetError, setResetError] = useState('')
+  const [linkExpired, setLinkExpired] = useState(false)
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors, isSubmitting },
+    setError,
+    getValues,
+    watch
+  } = useForm({
+    defaultValues: {
+      email: linkEmail,
+      password: '',
+      password_confirmation: ''
+    }
+  })
+
+  const watchPassword = watch('password')
+
+  const onSubmit = async (data) => {
+    try {
+      setResetError('')
+      const response = await authService.resetPassword({ token, ...data })
+
+      toast.success(response.message, { position: 'top-center' })
+      navigate('/login', {
+        replace: true,
+        state: { passwordReset: true, email: data.email.trim() }
+      })
+    } catch (error) {
+      if (!(error instanceof ValidationError)) {
+        setResetError(error.message || 'Could not reset your password. Please try again.')
+        return
+      }
+
+      if (error.fields.token) {
+        setLinkExpired(true)
+        return
+      }
+
+      Object.entries(error.fields).forEach(([field, message]) => {
+        setError(field, { type: 'server', message })
+      })
+    }
+  }
+
+  const passwordAdornment = (
+    <InputAdornment position="end">
+      <IconButton
+        aria-label="toggle password visibility"
+        onClick={() => setShowPassword(!showPassword)}
+        edge="end"
+      >
+        {showPassword ? <VisibilityOff /> : <Visibility />}
+      </IconButton>
+    </InputAdornment>
+  )
+
+  return (
+    <Container component="main" maxWidth="sm">
+      <Box
+        sx={{
+          minHeight: '100vh',
+          display: 'flex',
+          flexDirection: 'column',
+          justifyContent: 'center',
+          py: 4,
+        }}
+      >
+        {/* Header */}
+        <Box sx={{ textAlign: 'center', mb: 4 }}>
+          <Typography
+            component="h1"
+            variant="h4"
+            sx={{
+              fontWeight: 600,
+              color: theme.palette.text.primary,
+              mb: 1
+            }}
+          >
+            Reset Password
+          </Typography>
+          <Typography variant="body1" color="text.secondary">
+            Choose a new password for your account
+          </Typography>
+        </Box>
+
+        <Paper
+          elevation={4}
+          sx={{
+            p: 4,
+            borderRadius: 3,
+            background: theme.palette.background.paper,
+          }}
+        >
+          {linkExpired ? (
+            <>
+              <Alert severity="warning" sx={{ mb: 3, borderRadius: 2 }}>
+                This reset link is invalid or has expired. Links work for 60 minutes and only once.
+              </Alert>
+              <Button
+                fullWidth
+                variant="contained"
+                component={RouterLink}
+                to="/forgot-password"
+                state={{ email: getValues('email') }}
+                sx={{ mb: 2, py: 1.5, borderRadius: 2, fontWeight: 600, textTransform: 'none' }}
+              >
+                Send a new link
+              </Button>
+            </>
+          ) : (
+            <Box component="form" onSubmit={handleSubmit(onSubmit)} noValidate>
+              {resetError && (
+                <Alert
+                  severity="error"
+                  sx={{ mb: 3, borderRadius: 2 }}
+                  onClose={() => setResetError('')}
+                >
+                  {resetError}
+                </Alert>
+              )}
+
+              {/* Email comes from the link; asked for only if it is missing */}
+              <TextField
+                margin="normal"
+                required
+                fullWidth
+                id="email"
+                label="Email Address"
+                type="email"
+                autoComplete="username"
+                InputProps={{
+                  readOnly: !!linkEmail,
+                  startAdornment: (
+                    <InputAdornment position="start">
+                      <EmailIcon color="action" />
+                    </InputAdornment>
+                  ),
+                }}
+                error={!!errors.email}
+                helperText={errors.email?.message}
+                sx={{ mb: 2 }}
+                {...register('email', {
+                  required: VALIDATION_RULES.email.required,
+                  pattern: VALIDATION_RULES.email.pattern
+                })}
+              />
+
+              <TextField
+                margin="normal"
+                required
+                fullWidth
+                id="password"
+                label="New Password"
+                type={showPassword ? 'text' : 'password'}
+                autoComplete="new-password"
+                autoFocus
+                error={!!errors.password}
+                helperText={errors.password?.message || VALIDATION_RULES.password.minLength.message}
+                InputProps={{
+                  startAdornment: (
+                    <InputAdornment position="start">
+                      <LockIcon color="action" />
+                    </InputAdornment>
+                  ),
+                  endAdornment: passwordAdornment,
+                }}
+                sx={{ mb: 2 }}
+                {...register('password', {
+                  required: VALIDATION_RULES.password.required,
+                  minLength: VALIDATION_RULES.password.minLength
+                })}
+              />
+
+              <PasswordStrengthMeter password={watchPassword} />
+
+              <TextField
+                margin="normal"
+                required
+                fullWidth
+                id="password_confirmation"
+                label="Confirm New Password"
+                type={showPassword ? 'text' : 'password'}
+                autoComplete="new-password"
+                error={!!errors.password_confirmation}
+                helperText={errors.password_confirmation?.message}
+                InputProps={{
+                  startAdornment: (
+                    <InputAdornment position="start">
+                      <LockIcon color="action" />
+                    </InputAdornment>
+                  ),
+                }}
+                sx={{ mb: 3 }}
+                {...register('password_confirmation', {
+                  required: 'Please confirm your password',
+                  validate: value => value === watchPassword || 'Passwords do not match'
+                })}
+              />
+
+              <Button
+                type="submit"
+                fullWidth
+                variant="contained"
+                size="large"
+                disabled={isSubmitting}
+                startIcon={isSubmitting ? <CircularProgress size={20} /> : <ResetIcon />}
+                sx={{
+                  mb: 2,
+                  py: 1.5,
+                  borderRadius: 2,
+                  fontWeight: 600,
+                  fontSize: '1rem',
+                  textTransform: 'none',
+                }}
+              >
+                {isSubmitting ? 'Saving...' : 'Reset Password'}
+              </Button>
+            </Box>
+          )}
+
+          <Box sx={{ textAlign: 'center', mt: 1 }}>
+            <Link
+              component={RouterLink}
+              to="/login"
+              variant="body2"
+              sx={{ display: 'inline-flex', alignItems: 'center', gap: 0.5, fontWeight: 500 }}
+            >
+              <BackIcon fontSize="small" /> Back to sign in
+            </Link>
+          </Box>
+        </Paper>
+      </Box>
+    </Container>
+  )
+}
+
+export default ResetPassword
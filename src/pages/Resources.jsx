@@ -29,110 +29,23 @@ import {
   School as EducationIcon
 } from '@mui/icons-material'
 import { LoadingOverlay, CardSkeleton } from '../components/LoadingScreen'
+import { useApi } from '../hooks/useApi'
+import resourceService from '../services/resourceService'
 import { debounce } from '../utils/helpers'
 
 // Comprehensive resources page for external links and educational materials
 const Resources = () => {
   const theme = useTheme()
-  const [loading, setLoading] = useState(false)
   const [searchTerm, setSearchTerm] = useState('')
   const [categoryFilter, setCategoryFilter] = useState('')
   const [filteredResources, setFilteredResources] = useState([])
 
-  // Sample resources data
-  const resourcesData = [
-    {
-      id: 1,
-      title: 'Burundi National Statistical System',
-      description: 'Official portal of the National Institute of Statistics of Burundi with comprehensive statistical data and reports.',
-      url: 'https://www.isteebu.bi/',
-      category: 'Official Statistics',
-      type: 'website',
-      featured: true
-    },
-    {
-      id: 2,
-      title: 'World Bank Open Data - Burundi',
-      description: 'Free and open access to global development data for Burundi, including economic indicators and development statistics.',
-      url: 'https://data.worldbank.org/country/burundi',
-      category: 'International Data',
-      type: 'website'
-    },
-    {
-      id: 3,
-      title: 'UN Statistics Division',
-      description: 'United Nations Statistics Division provides global statistical standards and methodologies.',
-      url: 'https://unstats.un.org/',
-      category: 'International Standards',
-      type: 'website'
-    },
-    {
-      id: 4,
-      title: 'Statistical Methodology Guide',
-      description: 'Comprehensive guide to statistical methodologies used in data collection and analysis.',
-      url: '/documents/methodology-guide.pdf',
-      category: 'Methodology',
-      type: 'document'
-    },
-    {
-      id: 5,
-      title: 'IMF Country Data - Burundi',
-      description: 'International Monetary Fund data and statistics for Burundi economic indicators.',
-      url: 'https://www.imf.org/en/Countries/BDI',
-      category: 'Economic Data',
-      type: 'website'
-    },
-    {
-      id: 6,
-      title: 'OECD Statistics',
-      description: 'Organisation for Economic Co-operation and Development statistical data and analysis.',
-      url: 'https://www.oecd.org/statistics/',
-      category: 'International Data',
-      type: 'website'
-    },
-    {
-      id: 7,
-      title: 'Data Visualization Best Practices',
-      description: 'Video tutorial series on creating effective statistical visualizations and charts.',
-      url: 'https://www.youtube.com/watch?v=example',
-      category: 'Training',
-      type: 'video'
-    },
-    {
-      id: 8,
-      title: 'Statistical Software Training',
-      description: 'Online courses and tutorials for statistical analysis software including R, SPSS, and Stata.',
-      url: '/training/statistical-software',
-      category: 'Training',
-      type: 'education'
-    },
-    {
-      id: 9,
-      title: 'African Development Bank Statistics',
-      description: 'Statistical data and development indicators for African countries including Burundi.',
-      url: 'https://www.afdb.org/en/knowledge/statistics',
-      category: 'Regional Data',
-      type: 'website'
-    },
-    {
-      id: 10,
-      title: 'Census Methodology Handbook',
-      description: 'Detailed handbook on conducting population and housing censuses with best practices.',
-      url: '/documents/census-handbook.pdf',
-      category: 'Methodology',
-      type: 'document'
-    }
-  ]
-
-  const categories = [
-    'Official Statistics',
-    'International Data',
-    'Economic Data',
-    'Regional Data',
-    'Methodology',
-    'Training',
-    'International Standards'
-  ]
+  const { data: resourcesResponse, loading } = useApi(resourceService.getResources, [], {
+    cacheKey: 'resources'
+  })
+
+  const resources = resourcesResponse?.data || []
+  const categories = [...new Set(resources.map(resource => resource.category))].sort()
 
   // Debounced search
   const debouncedSearch = debounce((term) => {
@@ -145,10 +58,10 @@ const Resources = () => {
 
   useEffect(() => {
     filterResources(searchTerm, categoryFilter)
-  }, [categoryFilter])
+  }, [categoryFilter, resourcesResponse])
 
   const filterResources = (search, category) => {
-    let filtered = resourcesData
+    let filtered = resources
 
     if (search) {
       const searchLower = search.toLowerCase()
@@ -24,6 +24,7 @@ import {
   ListItemIcon,
   ListItemText,
   ListItemSecondaryAction,
+  MenuItem,
   Chip
 } from '@mui/material'
 import {
@@ -40,13 +41,26 @@ import {
 } from '@mui/icons-material'
 import { useAuth } from '../contexts/AuthContext'
 import { useTheme as useCustomTheme } from '../contexts/ThemeContext'
+import { useServiceStatus } from '../hooks/useServiceStatus'
+import { useLanguage } from '../hooks/useLanguage'
+import authService from '../services/authService'
+import TwoFactorSettings from '../components/Settings/TwoFactorSettings'
+import PasskeySettings from '../components/Settings/PasskeySettings'
+import SsoSettings from '../components/Settings/SsoSettings'
+import ActiveSessions from '../components/Settings/ActiveSessions'
+import { ValidationError } from '../utils/errors'
+import { FEATURES } from '../utils/constants'
+import { isSsoEnabled } from '../utils/oidc'
 
 const Settings = () => {
-  const { user, updateProfile } = useAuth()
+  const { user, updateUser, needsTwoFactorSetup } = useAuth()
+  const { degraded } = useServiceStatus()
   const { isDarkMode, toggleTheme } = useCustomTheme()
+  const { language, languages, setLanguage } = useLanguage()
   const [loading, setLoading] = useState(false)
   const [success, setSuccess] = useState(false)
   const [error, setError] = useState('')
+  const [fieldErrors, setFieldErrors] = useState({})
   const [openPasswordDialog, setOpenPasswordDialog] = useState(false)
   const [showCurrentPassword, setShowCurrentPassword] = useState(false)
   const [showNewPassword, setShowNewPassword] = useState(false)
@@ -83,32 +97,45 @@ const Settings = () => {
     confirmPassword: ''
   })
 
+  // Validation errors go next to their fields; anything else in the banner
+  const showError = (err) => {
+    if (err instanceof ValidationError) {
+      setFieldErrors(err.fields)
+      setError(err.message)
+    } else {
+      setError(err.message || 'Something went wrong')
+    }
+  }
+
   const handleProfileSave = async () => {
     try {
       setLoading(true)
       setError('')
-      // Simulate API call
-      await new Promise(resolve => setTimeout(resolve, 1000))
+      setFieldErrors({})
+      const response = await authService.updateProfile({
+        name: profileForm.name,
+        email: profileForm.email
+      })
+      updateUser(response.data)
       setSuccess(true)
       setTimeout(() => setSuccess(false), 3000)
     } catch (err) {
-      setError('Failed to update profile')
+      showError(err)
     } finally {
       setLoading(false)
     }
   }
 
   const handlePasswordChange = async () => {
-    if (passwordForm.newPassword !== passwordForm.confirmPassword) {
-      setError('New passwords do not match')
-      return
-    }
-
     try {
       setLoading(true)
       setError('')
-      // Simulate API call
-      await new Promise(resolve => setTimeout(resolve, 1000))
+      setFieldErrors({})
+      await authService.updateProfile({
+        current_password: passwordForm.currentPassword,
+        password: passwordForm.newPassword,
+        password_confirmation: passwordForm.confirmPassword
+      })
       setOpenPasswordDialog(false)
       setPasswordForm({
         currentPassword: '',
@@ -118,7 +145,7 @@ const Settings = () => {
       setSuccess(true)
       setTimeout(() => setSuccess(false), 3000)
     } catch (err) {
-      setError('Failed to change password')
+      showError(err)
     } finally {
       setLoading(false)
     }
@@ -130,6 +157,12 @@ const Settings = () => {
         Settings
       </Typography>
 
+      {needsTwoFactorSetup && (
+        <Alert severity="warning" sx={{ mb: 3 }}>
+          Your role requires two-factor authentication. Set it up under Security Settings to continue using the portal.
+        </Alert>
+      )}
+
       {success && (
         <Alert severity="success" sx={{ mb: 3 }}>
           Settings updated successfully!
@@ -176,6 +209,8 @@ const Settings = () => {
                 label="Full Name"
                 value={profileForm.name}
                 onChange={(e) => setProfileForm({ ...profileForm, name: e.target.value })}
+                error={!!fieldErrors.name}
+                helperText={fieldErrors.name}
                 margin="normal"
               />
               
@@ -185,6 +220,8 @@ const Settings = () => {
                 type="email"
                 value={profileForm.email}
                 onChange={(e) => setProfileForm({ ...profileForm, email: e.target.value })}
+                error={!!fieldErrors.email}
+                helperText={fieldErrors.email}
                 margin="normal"
               />
 
@@ -220,7 +257,7 @@ const Settings = () => {
                 variant="contained"
                 startIcon={<SaveIcon />}
                 onClick={handleProfileSave}
-                disabled={loading}
+                disabled={loading || degraded}
                 sx={{ mt: 2 }}
               >
                 Save Profile
@@ -258,32 +295,29 @@ const Settings = () => {
                     <Button
                       variant="outlined"
                       size="small"
-                      onClick={() => setOpenPasswordDialog(true)}
+                      onClick={() => {
+                        setFieldErrors({})
+                        setOpenPasswordDialog(true)
+                      }}
                     >
                       Change
                     </Button>
                   </ListItemSecondaryAction>
                 </ListItem>
 
-                <ListItem>
-                  <ListItemText
-                    primary="Two-Factor Authentication"
-                    secondary="Add an extra layer of security"
-                  />
-                  <ListItemSecondaryAction>
-                    <Button variant="outlined" size="small" disabled>
-                      Setup
-                    </Button>
-                  </ListItemSecondaryAction>
-                </ListItem>
+                <TwoFactorSettings />
+
+                {FEATURES.passkeys && <PasskeySettings />}
+
+                {isSsoEnabled() && <SsoSettings />}
 
                 <ListItem>
                   <ListItemText
                     primary="Login Sessions"
-                    secondary="Manage active sessions"
+                    secondary="See where you are signed in"
                   />
                   <ListItemSecondaryAction>
-                    <Button variant="outlined" size="small">
+                    <Button variant="outlined" size="small" href="#sessions">
                       View
                     </Button>
                   </ListItemSecondaryAction>
@@ -400,9 +434,18 @@ const Settings = () => {
                     secondary="Choose your preferred language"
                   />
                   <ListItemSecondaryAction>
-                    <Button variant="outlined" size="small">
-                      English
-                    </Button>
+                    <TextField
+                      select
+                      size="small"
+                      value={language}
+                      onChange={(e) => setLanguage(e.target.value)}
+                    >
+                      {Object.entries(languages).map(([code, label]) => (
+                        <MenuItem key={code} value={code}>
+                          {label}
+                        </MenuItem>
+                      ))}
+                    </TextField>
                   </ListItemSecondaryAction>
                 </ListItem>
 
@@ -419,6 +462,11 @@ const Settings = () => {
             </CardContent>
           </Card>
         </Grid>
+
+        {/* Active Sessions */}
+        <Grid item xs={12}>
+          <ActiveSessions />
+        </Grid>
       </Grid>
 
       {/* Password Change Dialog */}
@@ -431,6 +479,8 @@ const Settings = () => {
             label="Current Password"
             value={passwordForm.currentPassword}
             onChange={(e) => setPasswordForm({ ...passwordForm, currentPassword: e.target.value })}
+            error={!!fieldErrors.current_password}
+            helperText={fieldErrors.current_password}
             margin="normal"
             InputProps={{
               endAdornment: (
@@ -450,6 +500,8 @@ const Settings = () => {
             label="New Password"
             value={passwordForm.newPassword}
             onChange={(e) => setPasswordForm({ ...passwordForm, newPassword: e.target.value })}
+            error={!!fieldErrors.password}
+            helperText={fieldErrors.password}
             margin="normal"
             InputProps={{
               endAdornment: (
@@ -469,12 +521,14 @@ const Settings = () => {
             label="Confirm New Password"
             value={passwordForm.confirmPassword}
             onChange={(e) => setPasswordForm({ ...passwordForm, confirmPassword: e.target.value })}
+            error={!!fieldErrors.password_confirmation}
+            helperText={fieldErrors.password_confirmation}
             margin="normal"
           />
         </DialogContent>
         <DialogActions>
           <Button onClick={() => setOpenPasswordDialog(false)}>Cancel</Button>
-          <Button onClick={handlePasswordChange} variant="contained" disabled={loading}>
+          <Button onClick={handlePasswordChange} variant="contained" disabled={loading || degraded}>
             Change Password
           </Button>
         </DialogActions>
@@ -64,7 +64,7 @@ const Signup = () => {
       const result = await registerUser(data)
       
       if (result.success) {
-        toast.success('Account created successfully! Welcome to INSBU!', {
+        toast.success('Account created! Check your inbox to verify your email address.', {
           duration: 4000,
           position: 'top-center'
         })
@@ -0,0 +1,94 @@
+import React, { useEffect, useRef, useState } from 'react'
+import {
+  Container,
+  Paper,
+  Box,
+  Typography,
+  Button,
+  Alert,
+  CircularProgress
+} from '@mui/material'
+import { Link as RouterLink, useLocation, useNavigate } from 'react-router-dom'
+import { useAuth } from '../contexts/AuthContext'
+import toast from 'react-hot-toast'
+
+// Where the identity provider sends the browser back to (SSO_CONFIG.callbackPath)
+// Signs in, or links the account for a signed-in user, then moves on; the
+// authorization code is single-use so it is only ever submitted once
+const SsoCallback = () => {
+  const location = useLocation()
+  const navigate = useNavigate()
+  const { completeSso, isAuthenticated } = useAuth()
+
+  const [result, setResult] = useState(null)
+  const submittedRef = useRef(false)
+
+  // completeSso changes identity on every render of the provider; the ref keeps
+  // the effect from submitting the code again when it re-runs
+  useEffect(() => {
+    if (submittedRef.current) return
+    submittedRef.current = true
+
+    const finish = async () => {
+      const response = await completeSso(location.search)
+
+      if (response.success) {
+        toast.success(response.intent === 'link' ? response.message : 'Welcome back!', {
+          duration: 3000,
+          position: 'top-center'
+        })
+        navigate(response.returnTo || '/dashboard', { replace: true })
+      } else {
+        setResult(response)
+      }
+    }
+
+    finish()
+  }, [completeSso, location.search, navigate])
+
+  // A link attempt returns to Settings, a sign-in to the login page
+  const backTo = isAuthenticated ? '/settings' : '/login'
+
+  return (
+    <Container component="main" maxWidth="sm">
+      <Box
+        sx={{
+          minHeight: '100vh',
+          display: 'flex',
+          flexDirection: 'column',
+          justifyContent: 'center',
+          py: 4,
+        }}
+      >
+        <Paper elevation={4} sx={{ p: 4, borderRadius: 3 }}>
+          {!result ? (
+            <Box sx={{ textAlign: 'center', py: 4 }}>
+              <CircularProgress sx={{ mb: 2 }} />
+              <Typography color="text.secondary">Signing you in...</Typography>
+            </Box>
+          ) : (
+            <>
+              <Alert severity={result.cancelled ? 'info' : 'error'} sx={{ mb: 3, borderRadius: 2 }}>
+                {result.cancelled
+                  ? 'Sign-in with your organisation account was cancelled.'
+                  : result.error}
+              </Alert>
+              <Button
+                fullWidth
+                variant="contained"
+                component={RouterLink}
+                to={backTo}
+                replace
+                sx={{ py: 1.5, borderRadius: 2, fontWeight: 600, textTransform: 'none' }}
+              >
+                {isAuthenticated ? 'Back to Settings' : 'Back to sign in'}
+              </Button>
+            </>
+          )}
+        </Paper>
+      </Box>
+    </Container>
+  )
+}
+
+export default SsoCallback
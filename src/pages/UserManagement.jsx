@@ -31,10 +31,14 @@ import {
   PersonAdd as PersonAddIcon
 } from '@mui/icons-material'
 import { useAuth } from '../contexts/AuthContext'
+import { useServiceStatus } from '../hooks/useServiceStatus'
 import { api } from '../services/api'
+import adminService from '../services/adminService'
+import { isCancelledError } from '../utils/errors'
 
 const UserManagement = () => {
   const { user } = useAuth()
+  const { degraded } = useServiceStatus()
   const [users, setUsers] = useState([])
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
@@ -54,10 +58,11 @@ const UserManagement = () => {
   const fetchUsers = async () => {
     try {
       setLoading(true)
-      const response = await api.get('/admin/users')
+      const response = await adminService.getUsers()
       setUsers(response.data.data)
       setError(null)
     } catch (err) {
+      if (isCancelledError(err)) return
       setError('Failed to load users')
       console.error('Error fetching users:', err)
     } finally {
@@ -155,6 +160,7 @@ const UserManagement = () => {
           variant="contained"
           startIcon={<PersonAddIcon />}
           onClick={() => handleOpenDialog()}
+          disabled={degraded}
         >
           Add User
         </Button>
@@ -196,6 +202,7 @@ const UserManagement = () => {
                       checked={userData.is_active}
                       onChange={() => handleToggleUserStatus(userData.id, userData.is_active)}
                       color="primary"
+                      disabled={degraded}
                     />
                   </TableCell>
                   <TableCell>
@@ -209,6 +216,7 @@ const UserManagement = () => {
                       size="small"
                       onClick={() => handleOpenDialog(userData)}
                       color="primary"
+                      disabled={degraded}
                     >
                       <EditIcon />
                     </IconButton>
@@ -216,7 +224,7 @@ const UserManagement = () => {
                       size="small"
                       onClick={() => handleDeleteUser(userData.id)}
                       color="error"
-                      disabled={userData.id === user.id}
+                      disabled={userData.id === user.id || degraded}
                     >
                       <DeleteIcon />
                     </IconButton>
@@ -276,7 +284,7 @@ const UserManagement = () => {
         </DialogContent>
         <DialogActions>
           <Button onClick={handleCloseDialog}>Cancel</Button>
-          <Button onClick={handleSaveUser} variant="contained">
+          <Button onClick={handleSaveUser} variant="contained" disabled={degraded}>
             {selectedUser ? 'Update' : 'Create'}
           </Button>
         </DialogActions>
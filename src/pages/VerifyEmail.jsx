@@ -0,0 +1,180 @@
+import React, { useEffect, useRef, useState } from 'react'
+import {
+  Container,
+  Paper,
+  Box,
+  Typography,
+  Button,
+  Alert,
+  CircularProgress,
+  useTheme
+} from '@mui/material'
+import {
+  MarkEmailRead as VerifiedIcon,
+  ErrorOutline as ErrorIcon
+} from '@mui/icons-material'
+import { Link as RouterLink, useParams } from 'react-router-dom'
+import { useAuth } from '../contexts/AuthContext'
+import authService from '../services/authService'
+import ResendVerificationButton from '../components/Auth/ResendVerificationButton'
+import { ValidationError } from '../utils/errors'
+
+// Landing page for the emailed verification link: /verify-email/:token
+// Works signed in or out; when signed in the user is reloaded so the banner
+// and the locked pages open up straight away, in every tab
+const VerifyEmail = () => {
+  const theme = useTheme()
+  const { token } = useParams()
+  const { isAuthenticated, isEmailVerified, refreshUser } = useAuth()
+
+  // verifying | verified | invalid | failed
+  const [status, setStatus] = useState('verifying')
+  const [errorMessage, setErrorMessage] = useState('')
+  const attemptedRef = useRef(null)
+
+  // Re-runs whenever refreshUser changes identity; the ref keeps it to one attempt per token
+  useEffect(() => {
+    // Tokens are single-use, so never send the same one twice
+    if (attemptedRef.current === token) return
+    attemptedRef.current = token
+
+    const verify = async () => {
+      try {
+        await authService.verifyEmail(token)
+        if (isAuthenticated) {
+          await refreshUser().catch(error => console.warn('Failed to reload user:', error))
+        }
+        setStatus('verified')
+      } catch (error) {
+        if (error instanceof ValidationError) {
+          setStatus('invalid')
+        } else {
+          setErrorMessage(error.message)
+          setStatus('failed')
+        }
+      }
+    }
+
+    verify()
+  }, [token, isAuthenticated, refreshUser])
+
+  const continueButton = (
+    <Button
+      fullWidth
+      variant="contained"
+      component={RouterLink}
+      to={isAuthenticated ? '/dashboard' : '/login'}
+      sx={{ py: 1.5, borderRadius: 2, fontWeight: 600, textTransform: 'none' }}
+    >
+      {isAuthenticated ? 'Continue to the dashboard' : 'Sign in'}
+    </Button>
+  )
+
+  const renderContent = () => {
+    if (status === 'verifying') {
+      return (
+        <Box sx={{ textAlign: 'center', py: 4 }}>
+          <CircularProgress sx={{ mb: 2 }} />
+          <Typography color="text.secondary">Verifying your email address...</Typography>
+        </Box>
+      )
+    }
+
+    if (status === 'verified') {
+      return (
+        <>
+          <Box sx={{ textAlign: 'center', mb: 3 }}>
+            <VerifiedIcon color="success" sx={{ fontSize: 64, mb: 1 }} />
+            <Typography variant="h6">Your email address is verified</Typography>
+            <Typography color="text.secondary">
+              Every feature of your account is now available.
+            </Typography>
+          </Box>
+          {continueButton}
+        </>
+      )
+    }
+
+    // A signed-in user who verified in another tab may click an old link
+    if (isAuthenticated && isEmailVerified) {
+      return (
+        <>
+          <Alert severity="success" sx={{ mb: 3, borderRadius: 2 }}>
+            Your email address is already verified.
+          </Alert>
+          {continueButton}
+        </>
+      )
+    }
+
+    return (
+      <>
+        <Box sx={{ textAlign: 'center', mb: 3 }}>
+          <ErrorIcon color="error" sx={{ fontSize: 64, mb: 1 }} />
+          <Typography variant="h6">
+            {status === 'invalid' ? 'This verification link is invalid or has been used' : 'We could not verify your email'}
+          </Typography>
+          <Typography color="text.secondary">
+            {status === 'invalid'
+              ? isAuthenticated
+                ? 'Only the most recent link works. Ask for a new one below.'
+                : 'Only the most recent link works. Sign in to ask for a new one.'
+              : errorMessage}
+          </Typography>
+        </Box>
+        {isAuthenticated ? (
+          <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+            <ResendVerificationButton variant="contained" fullWidth>
+              Send a new link
+            </ResendVerificationButton>
+            <Button component={RouterLink} to="/dashboard" fullWidth sx={{ textTransform: 'none' }}>
+              Back to the dashboard
+            </Button>
+          </Box>
+        ) : (
+          continueButton
+        )}
+      </>
+    )
+  }
+
+  return (
+    <Container component="main" maxWidth="sm">
+      <Box
+        sx={{
+          minHeight: '100vh',
+          display: 'flex',
+          flexDirection: 'column',
+          justifyContent: 'center',
+          py: 4,
+        }}
+      >
+        <Box sx={{ textAlign: 'center', mb: 4 }}>
+          <Typography
+            component="h1"
+            variant="h4"
+            sx={{
+              fontWeight: 600,
+              color: theme.palette.text.primary,
+            }}
+          >
+            Email Verification
+          </Typography>
+        </Box>
+
+        <Paper
+          elevation={4}
+          sx={{
+            p: 4,
+            borderRadius: 3,
+            background: theme.palette.background.paper,
+          }}
+        >
+          {renderContent()}
+        </Paper>
+      </Box>
+    </Container>
+  )
+}
+
+export default VerifyEmail
@@ -2,8 +2,61 @@
 // Provides administrative functions with role-based access control
 
 import api from './api'
+import downloadManager from './downloadManager'
 import { PAGINATION_CONFIG, USER_ROLES } from '../utils/constants'
 import { isValidEmail } from '../utils/helpers'
+import { ValidationError } from '../utils/errors'
+import { s, parseResponse } from '../utils/schema'
+import { userSchema, newsSchema, sessionSchema, acknowledgementSchema } from './schemas'
+
+// =============================================================================
+// RESPONSE SCHEMAS
+// =============================================================================
+
+const activitySchema = s.object({
+  id: s.number(),
+  action: s.string(),
+  description: s.string().optional(),
+  user: userSchema.optional(),
+  ip_address: s.string().optional(),
+  created_at: s.date(),
+})
+
+const backupSchema = s.object({
+  id: s.number().optional(),
+  filename: s.string(),
+  size: s.number().optional(),
+  created_at: s.date(),
+})
+
+const schemas = {
+  users: s.paginated(userSchema),
+  user: s.resource(userSchema),
+  activity: s.paginated(activitySchema),
+  sessions: s.list(sessionSchema),
+  statistics: s.resource(s.object({
+    totalUsers: s.number().default(0),
+    activeUsers: s.number().default(0),
+    newUsersThisMonth: s.number().default(0),
+    totalSessions: s.number().default(0),
+    systemHealth: s.string().default('unknown'),
+    storageUsed: s.string().optional(),
+    storageTotal: s.string().optional(),
+  })),
+  settings: s.resource(s.object({
+    two_factor_required_roles: s.array(s.oneOf(Object.values(USER_ROLES))).default([]),
+    session_idle_timeout: s.number().default(0),
+  })),
+  backup: s.resource(backupSchema),
+  backups: s.list(backupSchema),
+  articles: s.paginated(newsSchema),
+  article: s.resource(newsSchema),
+  acknowledgement: acknowledgementSchema,
+}
+
+// =============================================================================
+// ADMIN SERVICE
+// =============================================================================
 
 const adminService = {
   // Get all users with pagination and filtering
@@ -20,6 +73,7 @@ const adminService = {
 
     try {
       const response = await api.getWithCache('/admin/users', {
+        tags: ['admin/users'],
         params: {
           page,
           per_page,
@@ -34,7 +88,7 @@ const adminService = {
 
       return {
         success: true,
-        data: response.data
+        data: parseResponse('GET /admin/users', schemas.users, response)
       }
     } catch (error) {
       throw error
@@ -48,7 +102,7 @@ const adminService = {
 
       return {
         success: true,
-        data: response.data
+        data: parseResponse('GET /admin/users/:id', schemas.user, response)
       }
     } catch (error) {
       throw error
@@ -81,12 +135,7 @@ const adminService = {
     }
 
     if (Object.keys(errors).length > 0) {
-      throw {
-        response: {
-          status: 422,
-          data: { errors }
-        }
-      }
+      throw new ValidationError({ fields: errors })
     }
 
     try {
@@ -99,11 +148,11 @@ const adminService = {
       })
 
       // Clear users cache after creation
-      api.clearCache('admin/users')
+      api.invalidateTags(['admin/users', 'admin/statistics'])
 
       return {
         success: true,
-        data: response.data,
+        data: parseResponse('POST /admin/users', schemas.user, response),
         message: 'User created successfully'
       }
     } catch (error) {
@@ -139,12 +188,7 @@ const adminService = {
     }
 
     if (Object.keys(errors).length > 0) {
-      throw {
-        response: {
-          status: 422,
-          data: { errors }
-        }
-      }
+      throw new ValidationError({ fields: errors })
     }
 
     try {
@@ -156,14 +200,15 @@ const adminService = {
       if (status !== undefined) updateData.status = status
       if (password !== undefined && password) updateData.password = password
 
+      // Not queued offline: the payload may hold a password
       const response = await api.put(`/admin/users/${id}`, updateData)
 
       // Clear users cache after update
-      api.clearCache('admin/users')
+      api.invalidateTags(['admin/users'])
 
       return {
         success: true,
-        data: response.data,
+        data: parseResponse('PUT /admin/users/:id', schemas.user, response),
         message: 'User updated successfully'
       }
     } catch (error) {
@@ -174,14 +219,14 @@ const adminService = {
   // Delete user
   deleteUser: async (id) => {
     try {
-      const response = await api.delete(`/admin/users/${id}`)
+      const response = await api.delete(`/admin/users/${id}`, { queueOffline: true })
 
       // Clear users cache after deletion
-      api.clearCache('admin/users')
+      api.invalidateTags(['admin/users', 'admin/statistics'])
 
       return {
         success: true,
-        data: response.data,
+        data: parseResponse('DELETE /admin/users/:id', schemas.acknowledgement, response),
         message: 'User deleted successfully'
       }
     } catch (error) {
@@ -192,27 +237,22 @@ const adminService = {
   // Update user role
   updateUserRole: async (id, role) => {
     if (!Object.values(USER_ROLES).includes(role)) {
-      throw {
-        response: {
-          status: 422,
-          data: {
-            errors: {
-              role: ['Invalid role selected']
-            }
-          }
+      throw new ValidationError({
+        fields: {
+          role: ['Invalid role selected']
         }
-      }
+      })
     }
 
     try {
-      const response = await api.patch(`/admin/users/${id}/role`, { role })
+      const response = await api.patch(`/admin/users/${id}/role`, { role }, { queueOffline: true })
 
       // Clear users cache after role update
-      api.clearCache('admin/users')
+      api.invalidateTags(['admin/users'])
 
       return {
         success: true,
-        data: response.data,
+        data: parseResponse('PATCH /admin/users/:id/role', schemas.user, response),
         message: 'User role updated successfully'
       }
     } catch (error) {
@@ -225,14 +265,14 @@ const adminService = {
     try {
       const response = await api.patch(`/admin/users/${id}/suspend`, {
         reason: reason.trim()
-      })
+      }, { queueOffline: true })
 
       // Clear users cache after suspension
-      api.clearCache('admin/users')
+      api.invalidateTags(['admin/users'])
 
       return {
         success: true,
-        data: response.data,
+        data: parseResponse('PATCH /admin/users/:id/suspend', schemas.user, response),
         message: 'User suspended successfully'
       }
     } catch (error) {
@@ -243,14 +283,14 @@ const adminService = {
   // Activate user
   activateUser: async (id) => {
     try {
-      const response = await api.patch(`/admin/users/${id}/activate`)
+      const response = await api.patch(`/admin/users/${id}/activate`, null, { queueOffline: true })
 
       // Clear users cache after activation
-      api.clearCache('admin/users')
+      api.invalidateTags(['admin/users'])
 
       return {
         success: true,
-        data: response.data,
+        data: parseResponse('PATCH /admin/users/:id/activate', schemas.user, response),
         message: 'User activated successfully'
       }
     } catch (error) {
@@ -281,7 +321,51 @@ const adminService = {
 
       return {
         success: true,
-        data: response.data
+        data: parseResponse('GET /admin/users/:id/activity', schemas.activity, response)
+      }
+    } catch (error) {
+      throw error
+    }
+  },
+
+  // Devices a user is signed in on
+  getUserSessions: async (userId) => {
+    try {
+      const response = await api.get(`/admin/users/${userId}/sessions`, { cancelScope: false })
+
+      return {
+        success: true,
+        data: parseResponse('GET /admin/users/:id/sessions', schemas.sessions, response)
+      }
+    } catch (error) {
+      throw error
+    }
+  },
+
+  // End one of a user's sessions, e.g. on a lost or compromised device
+  revokeUserSession: async (userId, sessionId) => {
+    try {
+      const response = await api.delete(`/admin/users/${userId}/sessions/${sessionId}`)
+
+      return {
+        success: true,
+        data: parseResponse('DELETE /admin/users/:id/sessions/:sessionId', schemas.acknowledgement, response),
+        message: 'Session ended'
+      }
+    } catch (error) {
+      throw error
+    }
+  },
+
+  // Sign a user out everywhere
+  revokeAllUserSessions: async (userId) => {
+    try {
+      const response = await api.delete(`/admin/users/${userId}/sessions`)
+
+      return {
+        success: true,
+        data: parseResponse('DELETE /admin/users/:id/sessions', schemas.acknowledgement, response),
+        message: response.data?.message || 'All sessions ended'
       }
     } catch (error) {
       throw error
@@ -292,12 +376,13 @@ const adminService = {
   getSystemStatistics: async () => {
     try {
       const response = await api.getWithCache('/admin/statistics', {
+        tags: ['admin/statistics'],
         cacheDuration: 5 * 60 * 1000 // 5 minutes cache
       })
 
       return {
         success: true,
-        data: response.data
+        data: parseResponse('GET /admin/statistics', schemas.statistics, response)
       }
     } catch (error) {
       throw error
@@ -308,12 +393,13 @@ const adminService = {
   getSystemSettings: async () => {
     try {
       const response = await api.getWithCache('/admin/settings', {
+        tags: ['admin/settings'],
         cacheDuration: 10 * 60 * 1000 // 10 minutes cache
       })
 
       return {
         success: true,
-        data: response.data
+        data: parseResponse('GET /admin/settings', schemas.settings, response)
       }
     } catch (error) {
       throw error
@@ -323,14 +409,14 @@ const adminService = {
   // Update system settings
   updateSystemSettings: async (settings) => {
     try {
-      const response = await api.put('/admin/settings', settings)
+      const response = await api.put('/admin/settings', settings, { queueOffline: true })
 
       // Clear settings cache after update
-      api.clearCache('admin/settings')
+      api.invalidateTags(['admin/settings'])
 
       return {
         success: true,
-        data: response.data,
+        data: parseResponse('PUT /admin/settings', schemas.settings, response),
         message: 'Settings updated successfully'
       }
     } catch (error) {
@@ -363,7 +449,7 @@ const adminService = {
 
       return {
         success: true,
-        data: response.data
+        data: parseResponse('GET /admin/activity-logs', schemas.activity, response)
       }
     } catch (error) {
       throw error
@@ -373,20 +459,12 @@ const adminService = {
   // Export data
   exportData: async (type, filters = {}) => {
     try {
-      const response = await api.post(`/admin/export/${type}`, filters, {
-        responseType: 'blob'
+      await downloadManager.start(`/admin/export/${type}`, {
+        method: 'POST',
+        data: filters,
+        filename: `${type}_export_${new Date().toISOString().split('T')[0]}.csv`
       })
 
-      // Create download
-      const url = window.URL.createObjectURL(new Blob([response.data]))
-      const link = document.createElement('a')
-      link.href = url
-      link.download = `${type}_export_${new Date().toISOString().split('T')[0]}.csv`
-      document.body.appendChild(link)
-      link.click()
-      document.body.removeChild(link)
-      window.URL.revokeObjectURL(url)
-
       return {
         success: true,
         message: 'Data exported successfully'
@@ -403,7 +481,7 @@ const adminService = {
 
       return {
         success: true,
-        data: response.data,
+        data: parseResponse('POST /admin/backup', schemas.backup, response),
         message: 'Backup created successfully'
       }
     } catch (error) {
@@ -418,7 +496,7 @@ const adminService = {
 
       return {
         success: true,
-        data: response.data
+        data: parseResponse('GET /admin/backups', schemas.backups, response)
       }
     } catch (error) {
       throw error
@@ -441,12 +519,7 @@ const adminService = {
     }
 
     if (Object.keys(errors).length > 0) {
-      throw {
-        response: {
-          status: 422,
-          data: { errors }
-        }
-      }
+      throw new ValidationError({ fields: errors })
     }
 
     try {
@@ -455,11 +528,11 @@ const adminService = {
         message: message.trim(),
         type,
         recipients
-      })
+      }, { queueOffline: true })
 
       return {
         success: true,
-        data: response.data,
+        data: parseResponse('POST /admin/notifications', schemas.acknowledgement, response),
         message: 'Notification sent successfully'
       }
     } catch (error) {
@@ -482,6 +555,7 @@ const adminService = {
 
     try {
       const response = await api.getWithCache('/admin/articles', {
+        tags: ['admin/articles'],
         params: {
           page,
           per_page,
@@ -497,7 +571,7 @@ const adminService = {
 
       return {
         success: true,
-        data: response.data
+        data: parseResponse('GET /admin/articles', schemas.articles, response)
       }
     } catch (error) {
       throw error
@@ -506,15 +580,14 @@ const adminService = {
 
   approveArticle: async (id) => {
     try {
-      const response = await api.patch(`/admin/articles/${id}/approve`)
+      const response = await api.patch(`/admin/articles/${id}/approve`, null, { queueOffline: true })
 
       // Clear articles cache after approval
-      api.clearCache('admin/articles')
-      api.clearCache('news')
+      api.invalidateTags(['admin/articles', 'news', `news/${id}`])
 
       return {
         success: true,
-        data: response.data,
+        data: parseResponse('PATCH /admin/articles/:id/approve', schemas.article, response),
         message: 'Article approved and published successfully'
       }
     } catch (error) {
@@ -526,15 +599,14 @@ const adminService = {
     try {
       const response = await api.patch(`/admin/articles/${id}/reject`, {
         reason: reason.trim()
-      })
+      }, { queueOffline: true })
 
       // Clear articles cache after rejection
-      api.clearCache('admin/articles')
-      api.clearCache('news')
+      api.invalidateTags(['admin/articles', 'news', `news/${id}`])
 
       return {
         success: true,
-        data: response.data,
+        data: parseResponse('PATCH /admin/articles/:id/reject', schemas.article, response),
         message: 'Article rejected successfully'
       }
     } catch (error) {
@@ -2,8 +2,25 @@
 // Provides comprehensive HTTP client with automatic retry, caching, and error processing
 
 import axios from 'axios'
-import { storage, handleApiError } from '../utils/helpers'
-import { API_CONFIG, STORAGE_KEYS, HTTP_STATUS } from '../utils/constants'
+import toast from 'react-hot-toast'
+import outbox, { OUTBOX_STATUS } from './outbox'
+import responseCache from './responseCache'
+import networkLog, { createRequestId } from './networkLog'
+import syncBus, { SYNC_EVENTS } from './syncBus'
+import { isMockBackendEnabled } from './mock/config'
+import { storage, stableStringify } from '../utils/helpers'
+import { toApiError, CancelledError, NetworkError, ServerError } from '../utils/errors'
+import {
+  API_CONFIG,
+  CACHE_CONFIG,
+  CIRCUIT_BREAKER_CONFIG,
+  FEATURES,
+  STORAGE_KEYS,
+  HTTP_STATUS,
+  NETWORK_LOG_CONFIG,
+  OFFLINE_CONFIG,
+  SYNC_CONFIG
+} from '../utils/constants'
 
 // =============================================================================
 // API CLIENT CONFIGURATION
@@ -20,28 +37,53 @@ const api = axios.create({
   },
 })
 
+// Answer requests from the in-browser mock backend instead of the network
+// (VITE_MOCK_API=true). Loaded on first use so it stays out of the main bundle
+if (isMockBackendEnabled()) {
+  api.defaults.adapter = async (config) => {
+    const { handleMockRequest } = await import('./mock')
+    return handleMockRequest(config)
+  }
+}
+
 // =============================================================================
 // REQUEST INTERCEPTORS
 // =============================================================================
 
+// Every attempt, through axios or not (streamed downloads use fetch): stamp it
+// for timing and with an ID support can match against the server logs, fail
+// fast while the backend is known to be down, and wait out a rate limit.
+// Pair with logRequest once the attempt settles
+export const prepareRequest = async (config) => {
+  const requestId = createRequestId()
+  config.metadata = { startTime: Date.now(), requestId }
+  config.headers[NETWORK_LOG_CONFIG.requestIdHeader] = requestId
+
+  assertCircuitClosed(config)
+  await waitForRateLimit(config)
+
+  return config
+}
+
 // Request interceptor for authentication and logging
 api.interceptors.request.use(
-  (config) => {
-    // Add authentication token if available
-    const token = storage.get(STORAGE_KEYS.AUTH_TOKEN)
+  async (requestConfig) => {
+    // Abort with the page (or component) the request belongs to
+    const config = bindCancelScope(requestConfig)
+
+    // Add authentication token if available; config.authToken speaks for a
+    // session this tab has not adopted (e.g. to revoke it)
+    const token = config.authToken || storage.get(STORAGE_KEYS.AUTH_TOKEN)
     if (token) {
       config.headers.Authorization = `Bearer ${token}`
     }
 
-    // Add request timestamp for performance tracking
-    config.metadata = { startTime: Date.now() }
-
     // Log request in development
     if (process.env.NODE_ENV === 'development') {
       console.log(`🌐 API Request: ${config.method?.toUpperCase()} ${config.url}`)
     }
 
-    return config
+    return prepareRequest(config)
   },
   (error) => {
     console.error('Request interceptor error:', error)
@@ -49,10 +91,272 @@ api.interceptors.request.use(
   }
 )
 
+// =============================================================================
+// TOKEN REFRESH
+// =============================================================================
+
+// Handlers registered by AuthContext so the client can refresh and log out
+// without importing authService (which itself depends on this module)
+const authHandlers = {
+  refreshToken: null,
+  onTokenRefreshed: null,
+  onAuthFailure: null,
+}
+
+// In-flight refresh shared by every request waiting for a new token
+let refreshPromise = null
+
+const hasWebLocks = () => typeof navigator !== 'undefined' && !!navigator.locks?.request
+
+// Run task while holding a Web Lock shared by every open tab; browsers without
+// Web Locks run it straight away, so callers decide what else to guard with
+const withTabLock = (name, task) => {
+  if (hasWebLocks()) {
+    return navigator.locks.request(name, task)
+  }
+  return task()
+}
+
+// =============================================================================
+// RATE LIMITING
+// =============================================================================
+
+// Endpoint groups the server asked us to slow down: group -> timestamp they reopen
+const rateLimitedUntil = new Map()
+
+// Resolves after ms, or rejects with CancelledError as soon as the signal aborts
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  const cancel = () => {
+    clearTimeout(timer)
+    reject(new CancelledError({ message: 'Request cancelled', cause: signal.reason }))
+  }
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', cancel)
+    resolve()
+  }, ms)
+
+  if (signal?.aborted) {
+    cancel()
+  } else {
+    signal?.addEventListener('abort', cancel, { once: true })
+  }
+})
+
+// Spread retries out so clients that failed together don't retry together
+const withJitter = (delay) => Math.round(delay * (1 + Math.random() * API_CONFIG.retryJitter))
+
+// Requests are grouped by first path segment (/news/5 -> news), matching how the
+// backend scopes its rate limiters; config.rateLimitGroup overrides it
+const getEndpointGroup = (config) => {
+  if (config.rateLimitGroup) return config.rateLimitGroup
+
+  const path = (config.url || '')
+    .replace(config.baseURL || API_CONFIG.baseURL, '')
+    .replace(/^https?:\/\/[^/]+/, '')
+    .split('?')[0]
+
+  return path.split('/').filter(Boolean)[0] || '/'
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+const parseRetryAfter = (value) => {
+  if (value === undefined || value === null || value === '') return null
+
+  const seconds = Number(value)
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000)
+
+  const date = Date.parse(value)
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now())
+}
+
+// X-RateLimit-Reset is an epoch timestamp in seconds, or seconds from now on some gateways
+const parseRateLimitReset = (value) => {
+  const reset = Number(value)
+  if (!value || !Number.isFinite(reset)) return null
+  return reset > 1e9 ? reset * 1000 : Date.now() + reset * 1000
+}
+
+// How long to wait after a 429: Retry-After, then X-RateLimit-Reset, then backoff
+const getRetryAfter = (headers = {}, attempt = 0) => {
+  const retryAfter = parseRetryAfter(headers['retry-after'])
+  if (retryAfter !== null) return retryAfter
+
+  const resetAt = parseRateLimitReset(headers['x-ratelimit-reset'])
+  if (resetAt) return Math.max(0, resetAt - Date.now())
+
+  return API_CONFIG.retryDelay * Math.pow(2, attempt)
+}
+
+const pauseEndpointGroup = (group, until) => {
+  if (until > (rateLimitedUntil.get(group) || 0)) {
+    rateLimitedUntil.set(group, until)
+  }
+}
+
+// Pause a group pre-emptively once X-RateLimit-Remaining hits zero
+const recordRateLimitHeaders = (config, headers = {}) => {
+  if (headers['x-ratelimit-remaining'] === undefined) return
+
+  const resetAt = parseRateLimitReset(headers['x-ratelimit-reset'])
+  if (Number(headers['x-ratelimit-remaining']) === 0 && resetAt) {
+    pauseEndpointGroup(getEndpointGroup(config), resetAt)
+  }
+}
+
+const waitForRateLimit = async (config) => {
+  const group = getEndpointGroup(config)
+  const delay = (rateLimitedUntil.get(group) || 0) - Date.now()
+
+  if (delay <= 0) {
+    rateLimitedUntil.delete(group)
+    return
+  }
+
+  // config.signal already carries the cancel scope (bindCancelScope), so
+  // navigating away ends the wait instead of sending the request afterwards
+  try {
+    await sleep(withJitter(delay), config.signal)
+  } catch (error) {
+    // As axios' own cancellation, so the response interceptor logs it as one
+    throw new axios.CanceledError(error.message, config)
+  }
+}
+
+// One toast per group, updated in place rather than stacked
+const notifyRateLimited = (group, delay) => {
+  const seconds = Math.max(1, Math.ceil(delay / 1000))
+
+  toast(`The server is busy. Retrying in ${seconds}s...`, {
+    id: `rate-limit-${group}`,
+    icon: '⏳',
+    duration: Math.min(Math.max(delay, 2000), 10000),
+  })
+}
+
+// =============================================================================
+// CIRCUIT BREAKER
+// =============================================================================
+
+export const CIRCUIT_STATE = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+}
+
+const circuit = {
+  state: CIRCUIT_STATE.CLOSED,
+  failures: 0,
+  openedAt: null,
+  lastProbeAt: null,
+  probeDelay: CIRCUIT_BREAKER_CONFIG.probeInterval,
+  probeTimer: null,
+}
+
+const circuitListeners = new Set()
+
+const getCircuitSnapshot = () => ({
+  state: circuit.state,
+  degraded: circuit.state === CIRCUIT_STATE.OPEN,
+  openedAt: circuit.openedAt,
+  lastProbeAt: circuit.lastProbeAt,
+})
+
+const notifyCircuit = () => {
+  const snapshot = getCircuitSnapshot()
+  circuitListeners.forEach(listener => listener(snapshot))
+}
+
+// Thrown by the request interceptor while the circuit is open
+const createCircuitOpenError = (config) => {
+  return new axios.AxiosError(CIRCUIT_BREAKER_CONFIG.degradedMessage, 'ERR_CIRCUIT_OPEN', config)
+}
+
+// Health probes and anything that opts out still reach the server
+const assertCircuitClosed = (config) => {
+  if (circuit.state === CIRCUIT_STATE.OPEN && !config.skipCircuitBreaker) {
+    throw createCircuitOpenError(config)
+  }
+}
+
+// Only an unreachable or failing server counts; 4xx means it is up
+const isCircuitFailure = (error) => {
+  if (error.code === 'ERR_CIRCUIT_OPEN' || axios.isCancel(error)) return false
+  if (typeof navigator !== 'undefined' && !navigator.onLine) return false // Offline is the outbox's job
+  return !error.response || error.response.status >= 500
+}
+
+const scheduleProbe = () => {
+  clearTimeout(circuit.probeTimer)
+  circuit.probeTimer = setTimeout(probeHealth, withJitter(circuit.probeDelay))
+}
+
+const probeHealth = async () => {
+  circuit.lastProbeAt = Date.now()
+  const result = await api.health()
+
+  if (result.healthy) {
+    closeCircuit()
+    return result
+  }
+
+  circuit.probeDelay = Math.min(circuit.probeDelay * 2, CIRCUIT_BREAKER_CONFIG.maxProbeInterval)
+  notifyCircuit()
+  scheduleProbe()
+
+  return result
+}
+
+const openCircuit = () => {
+  if (circuit.state === CIRCUIT_STATE.OPEN) return
+
+  circuit.state = CIRCUIT_STATE.OPEN
+  circuit.openedAt = Date.now()
+  circuit.probeDelay = CIRCUIT_BREAKER_CONFIG.probeInterval
+  console.warn('Backend unavailable - switching to degraded read-only mode')
+
+  notifyCircuit()
+  scheduleProbe()
+}
+
+const closeCircuit = () => {
+  clearTimeout(circuit.probeTimer)
+  circuit.failures = 0
+
+  if (circuit.state === CIRCUIT_STATE.CLOSED) return
+
+  circuit.state = CIRCUIT_STATE.CLOSED
+  circuit.openedAt = null
+  toast.success('Connection to the server restored')
+
+  notifyCircuit()
+
+  // Changes queued while offline may have been waiting on the server too
+  api.replayOutbox()
+}
+
+const recordCircuitFailure = () => {
+  circuit.failures++
+  if (circuit.failures >= CIRCUIT_BREAKER_CONFIG.failureThreshold) {
+    openCircuit()
+  }
+}
+
 // =============================================================================
 // RESPONSE INTERCEPTORS
 // =============================================================================
 
+// Add a finished attempt to the network inspector's ring buffer
+export const logRequest = (config, { status = null, error = null, cancelled = false } = {}) => {
+  networkLog.record({
+    requestId: config?.metadata?.requestId || null,
+    method: (config?.method || 'get').toUpperCase(),
+    url: config?.url || '',
+    status,
+    responseTime: config?.metadata ? Date.now() - config.metadata.startTime : null,
+    error,
+    cancelled,
+  })
+}
+
 // Response interceptor for error handling and logging
 api.interceptors.response.use(
   (response) => {
@@ -70,6 +374,15 @@ api.interceptors.response.use(
 
     // Add response metadata
     response.responseTime = responseTime
+    response.requestId = response.config.metadata.requestId
+    logRequest(response.config, { status: response.status })
+
+    recordRateLimitHeaders(response.config, response.headers)
+
+    // Any answer from the server means it is reachable again
+    if (!response.config.skipCircuitBreaker) {
+      closeCircuit()
+    }
 
     return response
   },
@@ -77,6 +390,31 @@ api.interceptors.response.use(
     const originalRequest = error.config
     const responseTime = Date.now() - (originalRequest?.metadata?.startTime || 0)
 
+    // Rejected before sending because the backend is known to be down
+    if (error.code === 'ERR_CIRCUIT_OPEN') {
+      logRequest(originalRequest, { error: 'Not sent: server unavailable' })
+      return Promise.reject(toApiError(error))
+    }
+
+    // Aborted by the caller or by navigating away - not a failure of any kind
+    if (axios.isCancel(error)) {
+      logRequest(originalRequest, { cancelled: true })
+      return Promise.reject(toApiError(error))
+    }
+
+    logRequest(originalRequest, {
+      status: error.response?.status ?? null,
+      error: error.response?.data?.message || error.message || 'Network Error',
+    })
+
+    if (!originalRequest?.skipCircuitBreaker) {
+      if (isCircuitFailure(error)) {
+        recordCircuitFailure()
+      } else if (error.response) {
+        closeCircuit()
+      }
+    }
+
     // Log error in development
     if (process.env.NODE_ENV === 'development') {
       console.error(
@@ -85,27 +423,69 @@ api.interceptors.response.use(
       )
     }
 
+    // Capture mutations that never reached the server so they can be replayed later
+    if (
+      FEATURES.offlineQueue &&
+      !error.response &&
+      originalRequest?.queueOffline &&
+      !originalRequest._replay &&
+      error.code !== 'ECONNABORTED' &&
+      !axios.isCancel(error) &&
+      canQueueOffline(originalRequest)
+    ) {
+      return queueOfflineRequest(originalRequest)
+    }
+
     // Handle specific error cases
     if (error.response) {
       const { status, data } = error.response
 
-      // Handle validation errors (422)
-      if (status === HTTP_STATUS.UNPROCESSABLE_ENTITY) {
-        error.validationErrors = data.errors || {}
+      // Handle unauthorized (401) - token might be expired, try a silent refresh
+      if (
+        status === HTTP_STATUS.UNAUTHORIZED &&
+        originalRequest &&
+        !originalRequest._retry &&
+        !originalRequest.skipAuthRefresh &&
+        authHandlers.refreshToken &&
+        api.getAuthToken()
+      ) {
+        originalRequest._retry = true
+
+        try {
+          // Concurrent 401s all wait on the same refresh, then replay
+          const token = await api.refreshAuthToken()
+          originalRequest.headers.Authorization = `Bearer ${token}`
+          return api(originalRequest)
+        } catch {
+          // Refresh failed - auth failure handler has already logged the user out
+        }
       }
 
-      // Handle unauthorized (401) - token might be expired
-      if (status === HTTP_STATUS.UNAUTHORIZED && !originalRequest._retry) {
-        originalRequest._retry = true
-        
-        // Clear invalid token
-        storage.remove(STORAGE_KEYS.AUTH_TOKEN)
-        delete api.defaults.headers.common['Authorization']
-        
-        // Redirect to login if in browser
-        if (typeof window !== 'undefined') {
-          window.location.href = '/login'
+      // Handle rate limiting (429) - pause the endpoint group and replay once it reopens
+      if (status === HTTP_STATUS.TOO_MANY_REQUESTS && originalRequest) {
+        const attempts = originalRequest._rateLimitRetries || 0
+        const retryAfter = getRetryAfter(error.response.headers, attempts)
+        const group = getEndpointGroup(originalRequest)
+        const retryDeadline = originalRequest.retryDeadline || Date.now() + API_CONFIG.retryBudget
+
+        pauseEndpointGroup(group, Date.now() + retryAfter)
+
+        if (
+          !originalRequest.skipRateLimitRetry &&
+          attempts < API_CONFIG.retryAttempts &&
+          Date.now() + retryAfter <= retryDeadline
+        ) {
+          notifyRateLimited(group, retryAfter)
+
+          // The request interceptor holds the replay until the group reopens
+          return api({
+            ...originalRequest,
+            retryDeadline,
+            _rateLimitRetries: attempts + 1,
+          })
         }
+
+        error.retryAfter = retryAfter
       }
 
       // Handle forbidden (403)
@@ -124,33 +504,227 @@ api.interceptors.response.use(
       }
     }
 
-    // Process and return structured error
-    const processedError = handleApiError(error)
-    return Promise.reject(processedError)
+    // Typed error with a stable code, localized message and the request ID
+    return Promise.reject(toApiError(error))
   }
 )
 
+// =============================================================================
+// OFFLINE OUTBOX
+// =============================================================================
+
+// Fields that must never be written to IndexedDB, where devtools can read them
+const SECRET_FIELDS = ['password', 'password_confirmation', 'current_password']
+
+const parseRequestData = (data) => {
+  if (typeof data !== 'string') return data
+  try {
+    return JSON.parse(data)
+  } catch {
+    return null
+  }
+}
+
+// Only a signed-in user's changes are queued, and never ones carrying a password;
+// those fail as usual so the form can say the server is unreachable
+const canQueueOffline = (config) => {
+  if (outbox.getOwner() === null) return false
+
+  const data = parseRequestData(config.data)
+  if (data && typeof data === 'object' && SECRET_FIELDS.some(field => field in data)) {
+    return false
+  }
+
+  return true
+}
+
+// Store a failed mutation in the outbox and resolve with a synthetic "accepted" response
+const queueOfflineRequest = async (config) => {
+  const entry = await outbox.add(
+    {
+      method: config.method,
+      url: config.url,
+      data: config.data,
+      params: config.params,
+    },
+    { onRollback: config.onRollback }
+  )
+
+  toast(OFFLINE_CONFIG.queuedMessage, { id: 'offline-queued', icon: '📡' })
+
+  return {
+    data: { queued: true, outbox_id: entry.id },
+    status: HTTP_STATUS.ACCEPTED,
+    statusText: 'Queued offline',
+    headers: {},
+    config,
+    queued: true,
+  }
+}
+
+// Errors that mean "try again later" rather than "needs a human"
+const isTransientReplayError = (error) => {
+  return (
+    !error.status ||
+    error.status === HTTP_STATUS.UNAUTHORIZED ||
+    error.status === HTTP_STATUS.TOO_MANY_REQUESTS ||
+    error.status >= 500
+  )
+}
+
+let replayPromise = null
+
+// Replay queued mutations in order; stops at the first transient failure.
+// Every tab reacts to coming back online or to a sign-in, so the replay runs
+// under a Web Lock (or, without Web Locks, in the leader tab only) and starts
+// from what IndexedDB holds rather than this tab's copy
+api.replayOutbox = () => {
+  if (replayPromise) {
+    return replayPromise
+  }
+
+  replayPromise = withTabLock(SYNC_CONFIG.outboxLockName, async () => {
+    if (!hasWebLocks() && !syncBus.isLeader()) return 0
+
+    await outbox.load({ reload: true })
+
+    let replayed = 0
+
+    // Entries are the signed-in user's own; stop if they sign out mid-replay
+    const owner = outbox.getOwner()
+
+    for (const { id } of outbox.getEntries()) {
+      if (outbox.getOwner() !== owner) break
+
+      // Null when another tab has sent it, or it isn't waiting to be sent
+      const entry = await outbox.claim(id)
+      if (!entry) continue
+
+      try {
+        await api({
+          method: entry.method,
+          url: entry.url,
+          data: entry.data,
+          params: entry.params,
+          _replay: true,
+        })
+
+        await outbox.remove(entry.id)
+        replayed++
+      } catch (error) {
+        if (isTransientReplayError(error)) {
+          await outbox.update(entry.id, { status: OUTBOX_STATUS.PENDING, syncingSince: null })
+          break
+        }
+
+        // 409/422 need the user to decide; other client errors are plain failures
+        const isConflict = [HTTP_STATUS.CONFLICT, HTTP_STATUS.UNPROCESSABLE_ENTITY].includes(error.status)
+
+        await outbox.update(entry.id, {
+          status: isConflict ? OUTBOX_STATUS.CONFLICT : OUTBOX_STATUS.FAILED,
+          error: {
+            status: error.status,
+            message: error.message,
+            errors: error.errors || null,
+          },
+        })
+      }
+    }
+
+    if (replayed > 0) {
+      // Cached lists predate the replayed changes
+      api.clearCache()
+      toast.success(`${replayed} offline change${replayed === 1 ? '' : 's'} synced`)
+    }
+
+    return replayed
+  }).finally(() => {
+    replayPromise = null
+  })
+
+  return replayPromise
+}
+
+// Put a conflicting or failed entry back in the queue and try again
+api.retryOutboxEntry = async (id) => {
+  await outbox.update(id, { status: OUTBOX_STATUS.PENDING, error: null })
+  return api.replayOutbox()
+}
+
+// Drop an entry, rolling back its optimistic update if this session still knows it
+api.discardOutboxEntry = async (id) => {
+  const entry = outbox.getEntries().find(item => item.id === id)
+  const { onRollback } = outbox.getCallbacks(id)
+
+  if (onRollback) {
+    onRollback(entry?.error || new Error('Offline change discarded'))
+  }
+
+  await outbox.remove(id)
+}
+
+api.getOutboxEntries = () => outbox.getEntries()
+
+api.subscribeOutbox = (listener) => outbox.subscribe(listener)
+
+// Only this user's queued changes are shown and replayed (null when signed out);
+// another user's wait in IndexedDB until they sign in here again
+api.setOutboxOwner = (userId) => {
+  outbox.setOwner(userId)
+
+  if (userId != null && typeof navigator !== 'undefined' && navigator.onLine) {
+    outbox.load().then(() => {
+      if (outbox.getEntries().length > 0) {
+        api.replayOutbox()
+      }
+    })
+  }
+}
+
+// The signed-in user's id as last set by setOutboxOwner, null when signed out;
+// lets other per-user browser stores (e.g. resumable uploads) scope themselves
+api.getSignedInUserId = () => outbox.getOwner()
+
+// Replay whenever connectivity returns; leftovers from an earlier visit are
+// replayed once their owner is signed in again (setOutboxOwner)
+if (typeof window !== 'undefined') {
+  window.addEventListener('online', () => {
+    api.replayOutbox()
+  })
+
+  outbox.load()
+}
+
 // =============================================================================
 // RETRY MECHANISM
 // =============================================================================
 
 // Enhanced request function with retry logic
-const requestWithRetry = async (config, retryCount = 0) => {
+// Retries network errors and 5xx with jittered exponential backoff, sharing one
+// time budget with the 429 replays done by the response interceptor
+const requestWithRetry = async (requestConfig, retryCount = 0) => {
+  // Bind the cancel scope up front so a retry after navigation is aborted too
+  const config = bindCancelScope(requestConfig)
+  const retryDeadline = config.retryDeadline || Date.now() + API_CONFIG.retryBudget
+
   try {
-    return await api(config)
+    return await api({ ...config, retryDeadline })
   } catch (error) {
+    const delay = withJitter(API_CONFIG.retryDelay * Math.pow(2, retryCount)) // Exponential backoff
+
+    // 429s are replayed by the response interceptor; timeouts are not retried
     const shouldRetry = 
       retryCount < API_CONFIG.retryAttempts &&
-      (!error.response || error.response.status >= 500) &&
-      error.code !== 'ECONNABORTED' // Don't retry timeout errors
+      (error instanceof NetworkError || error instanceof ServerError) &&
+      error.retryable &&
+      circuit.state === CIRCUIT_STATE.CLOSED && // Nothing to retry against while degraded
+      Date.now() + delay <= retryDeadline
 
     if (shouldRetry) {
-      const delay = API_CONFIG.retryDelay * Math.pow(2, retryCount) // Exponential backoff
-      
       console.warn(`Retrying request in ${delay}ms (attempt ${retryCount + 1}/${API_CONFIG.retryAttempts})`)
       
-      await new Promise(resolve => setTimeout(resolve, delay))
-      return requestWithRetry(config, retryCount + 1)
+      await sleep(delay, config.signal)
+      return requestWithRetry({ ...config, retryDeadline }, retryCount + 1)
     }
 
     throw error
@@ -158,41 +732,290 @@ const requestWithRetry = async (config, retryCount = 0) => {
 }
 
 // =============================================================================
-// ENHANCED HTTP METHODS
+// REQUEST DEDUPLICATION
+// =============================================================================
+
+// Identical GETs in flight share one network request: key -> { promise, controller, subscribers }
+const inflightRequests = new Map()
+
+// Same URL + params + auth identity (+ conditional headers, which change what a 304 means)
+const getDedupeKey = (config) => {
+  const headers = config.headers || {}
+
+  return stableStringify([
+    config.url,
+    config.params || {},
+    config.responseType || 'json',
+    api.getAuthToken() || null,
+    headers['If-None-Match'] || null,
+    headers['If-Modified-Since'] || null,
+  ])
+}
+
+// Attach one caller to a shared request; aborting its own signal only detaches
+// that caller, and the network request is aborted once nobody is waiting
+const subscribeToInflight = (key, inflight, signal) => {
+  inflight.subscribers++
+
+  return new Promise((resolve, reject) => {
+    let settled = false
+
+    const detach = () => {
+      settled = true
+      inflight.subscribers--
+      signal?.removeEventListener('abort', handleAbort)
+    }
+
+    function handleAbort() {
+      if (settled) return
+      detach()
+
+      if (inflight.subscribers === 0) {
+        inflight.controller.abort()
+        if (inflightRequests.get(key) === inflight) {
+          inflightRequests.delete(key)
+        }
+      }
+
+      reject(new CancelledError({ message: 'Request cancelled' }))
+    }
+
+    if (signal?.aborted) {
+      handleAbort()
+      return
+    }
+
+    signal?.addEventListener('abort', handleAbort)
+
+    inflight.promise.then(
+      (response) => {
+        if (settled) return
+        detach()
+        resolve(response)
+      },
+      (error) => {
+        if (settled) return
+        detach()
+        reject(error)
+      }
+    )
+  })
+}
+
+// GET through the retry mechanism, coalescing concurrent identical requests
+const dedupedRequest = (config) => {
+  const { signal, ...sharedConfig } = config
+  const key = getDedupeKey(sharedConfig)
+
+  let inflight = inflightRequests.get(key)
+
+  if (!inflight) {
+    const controller = new AbortController()
+    inflight = { controller, subscribers: 0, promise: null }
+
+    inflight.promise = requestWithRetry({ ...sharedConfig, signal: controller.signal })
+    inflight.promise
+      .catch(() => {}) // Subscribers handle errors; avoid an unhandled rejection here
+      .finally(() => {
+        if (inflightRequests.get(key) === inflight) {
+          inflightRequests.delete(key)
+        }
+      })
+
+    inflightRequests.set(key, inflight)
+  } else if (import.meta.env.DEV) {
+    console.log(`🔗 Joining in-flight request: GET ${config.url}`)
+  }
+
+  return subscribeToInflight(key, inflight, signal)
+}
+
+// Plain deduplicated GET for callers that don't want caching
+api.getDeduped = (url, config = {}) => {
+  return dedupedRequest({ method: 'GET', url, ...config })
+}
+
+// =============================================================================
+// RESPONSE CACHE
 // =============================================================================
 
+// Subscribers notified when background revalidation brings fresh data
+const cacheListeners = new Set()
+
+// Subscribers notified when cached data is invalidated by tag or key pattern
+const invalidationListeners = new Set()
+
+// Collectors currently recording which cache keys and tags a caller reads
+const cacheKeyCollectors = []
+
+// Cache keys with a background revalidation already in flight
+const backgroundRevalidations = new Set()
+
+const getCacheKey = (url, params) => `api_cache_${url}_${JSON.stringify(params || {})}`
+
+const notifyCacheUpdate = (event) => {
+  cacheListeners.forEach(listener => listener(event))
+}
+
+const notifyInvalidation = (event) => {
+  invalidationListeners.forEach(listener => listener(event))
+}
+
+// Fetch from the network, sending the cached entry's validators so the
+// server can answer 304 Not Modified instead of resending the payload
+const revalidate = async (url, config, cacheKey, cachedEntry) => {
+  const headers = { ...config.headers }
+
+  if (cachedEntry?.etag) {
+    headers['If-None-Match'] = cachedEntry.etag
+  }
+  if (cachedEntry?.lastModified) {
+    headers['If-Modified-Since'] = cachedEntry.lastModified
+  }
+
+  const response = await dedupedRequest({
+    method: 'GET',
+    url,
+    ...config,
+    headers,
+    validateStatus: (status) => (
+      (status >= 200 && status < 300) || status === HTTP_STATUS.NOT_MODIFIED
+    ),
+  })
+
+  // Cached copy is still current - just restart its freshness window
+  if (response.status === HTTP_STATUS.NOT_MODIFIED && cachedEntry) {
+    await responseCache.set(cacheKey, { ...cachedEntry, timestamp: Date.now() }, { tags: config.tags })
+    return { ...response, data: cachedEntry.data, fromCache: true, notModified: true }
+  }
+
+  if (config.useCache !== false && response.status === HTTP_STATUS.OK) {
+    await responseCache.set(cacheKey, {
+      data: response.data,
+      timestamp: Date.now(),
+      etag: response.headers?.etag || null,
+      lastModified: response.headers?.['last-modified'] || null,
+    }, { tags: config.tags })
+  }
+
+  return { ...response, fromCache: false }
+}
+
+// Revalidate without blocking the caller, notifying subscribers if data changed
+const revalidateInBackground = (url, config, cacheKey, cachedEntry) => {
+  if (backgroundRevalidations.has(cacheKey)) return
+
+  backgroundRevalidations.add(cacheKey)
+
+  revalidate(url, config, cacheKey, cachedEntry)
+    .then((response) => {
+      if (!response.notModified) {
+        notifyCacheUpdate({ key: cacheKey, url, params: config.params, data: response.data })
+      }
+    })
+    .catch((error) => {
+      console.warn('Background revalidation failed for:', url, error)
+    })
+    .finally(() => {
+      backgroundRevalidations.delete(cacheKey)
+    })
+}
+
 // Enhanced GET request with caching support
+// Options: cacheDuration (fresh window), useCache, staleWhileRevalidate,
+// maxStaleAge (how old a cached entry may be and still be served while revalidating)
+// and tags (names such as 'news' or 'news/5' that mutations invalidate by)
 api.getWithCache = async (url, config = {}) => {
-  const cacheKey = `api_cache_${url}_${JSON.stringify(config.params || {})}`
-  const cacheDuration = config.cacheDuration || 5 * 60 * 1000 // 5 minutes default
+  const cacheKey = getCacheKey(url, config.params)
+  const cacheDuration = config.cacheDuration || CACHE_CONFIG.defaultDuration
+  const maxStaleAge = config.maxStaleAge ?? CACHE_CONFIG.maxStaleAge
+
+  // Runs synchronously on call, so collectCacheKeys sees every key read
+  cacheKeyCollectors.forEach(collector => {
+    collector.keys.add(cacheKey)
+    ;(config.tags || []).forEach(tag => collector.tags.add(tag))
+  })
+
+  if (config.useCache === false && circuit.state === CIRCUIT_STATE.CLOSED) {
+    return revalidate(url, config, cacheKey, null)
+  }
+
+  const cachedData = await responseCache.get(cacheKey)
+  const age = cachedData ? Date.now() - cachedData.timestamp : Infinity
+
+  // Degraded mode: whatever we have saved beats an error, however old it is
+  if (cachedData && circuit.state === CIRCUIT_STATE.OPEN) {
+    return { data: cachedData.data, fromCache: true, stale: age >= cacheDuration, degraded: true }
+  }
 
   // Check cache first
-  if (config.useCache !== false) {
-    const cachedData = storage.get(cacheKey)
-    if (cachedData && Date.now() - cachedData.timestamp < cacheDuration) {
+  if (cachedData && age < cacheDuration) {
+    if (import.meta.env.DEV) {
       console.log('📦 Using cached data for:', url)
-      return { data: cachedData.data, fromCache: true }
     }
+    return { data: cachedData.data, fromCache: true }
   }
 
-  try {
-    const response = await requestWithRetry({ method: 'GET', url, ...config })
-    
-    // Cache successful response
-    if (config.useCache !== false && response.status === HTTP_STATUS.OK) {
-      storage.set(cacheKey, {
-        data: response.data,
-        timestamp: Date.now()
-      })
+  // Serve stale data immediately and refresh it behind the scenes
+  if (cachedData && config.staleWhileRevalidate && age < maxStaleAge) {
+    if (import.meta.env.DEV) {
+      console.log('📦 Using stale data while revalidating:', url)
     }
+    revalidateInBackground(url, config, cacheKey, cachedData)
+    return { data: cachedData.data, fromCache: true, stale: true }
+  }
 
-    return { ...response, fromCache: false }
-  } catch (error) {
-    throw error
+  return revalidate(url, config, cacheKey, cachedData)
+}
+
+// Subscribe to fresh data arriving from background revalidation
+api.subscribeCache = (listener) => {
+  cacheListeners.add(listener)
+  return () => cacheListeners.delete(listener)
+}
+
+// Subscribe to invalidations: { tags } from invalidateTags, { pattern } from clearCache
+api.subscribeInvalidation = (listener) => {
+  invalidationListeners.add(listener)
+  return () => invalidationListeners.delete(listener)
+}
+
+// Call fn and record the cache keys and tags it reads through getWithCache
+// before its first await
+api.collectCacheKeys = (fn) => {
+  const collector = { keys: new Set(), tags: new Set() }
+  cacheKeyCollectors.push(collector)
+
+  try {
+    return { result: fn(), keys: collector.keys, tags: collector.tags }
+  } finally {
+    cacheKeyCollectors.splice(cacheKeyCollectors.indexOf(collector), 1)
   }
 }
 
+// Invalidate cached responses and queries carrying any of the given tags, in
+// every open tab unless broadcast is false
+api.invalidateTags = (tags, { broadcast = true } = {}) => {
+  const removal = responseCache.invalidateTags(tags)
+  notifyInvalidation({ tags })
+  if (broadcast) {
+    syncBus.publish(SYNC_EVENTS.CACHE_TAGS_INVALIDATED, { tags })
+  }
+  return removal
+}
+
+// Another tab changed data these tags cover
+syncBus.subscribe(SYNC_EVENTS.CACHE_TAGS_INVALIDATED, ({ tags }) => {
+  api.invalidateTags(tags, { broadcast: false })
+})
+
+// =============================================================================
+// ENHANCED HTTP METHODS
+// =============================================================================
+
 // Enhanced POST request with optimistic updates
+// Queued offline by default: the optimistic update stays until the outbox
+// replays it, and onRollback fires if the queued change is later discarded
 api.postOptimistic = async (url, data, config = {}) => {
   const { onOptimisticUpdate, onRollback } = config
 
@@ -206,6 +1029,7 @@ api.postOptimistic = async (url, data, config = {}) => {
       method: 'POST', 
       url, 
       data, 
+      queueOffline: true,
       ...config 
     })
     return response
@@ -276,62 +1100,54 @@ api.uploadFile = async (url, file, options = {}) => {
   return requestWithRetry(config)
 }
 
-// Download file utility
-api.downloadFile = async (url, filename, config = {}) => {
-  try {
-    const response = await api({
-      method: 'GET',
-      url,
-      responseType: 'blob',
-      ...config
-    })
-
-    // Create download link
-    const downloadUrl = window.URL.createObjectURL(new Blob([response.data]))
-    const link = document.createElement('a')
-    link.href = downloadUrl
-    link.download = filename || 'download'
-    document.body.appendChild(link)
-    link.click()
-    document.body.removeChild(link)
-    window.URL.revokeObjectURL(downloadUrl)
-
-    return response
-  } catch (error) {
-    console.error('Download error:', error)
-    throw error
-  }
-}
-
 // =============================================================================
 // UTILITY FUNCTIONS
 // =============================================================================
 
-// Clear API cache
-api.clearCache = (pattern = null) => {
-  if (!pattern) {
-    // Clear all API cache
-    const keys = Object.keys(localStorage)
-    keys.forEach(key => {
-      if (key.startsWith('api_cache_')) {
-        storage.remove(key)
-      }
-    })
-  } else {
-    // Clear cache matching pattern
-    const keys = Object.keys(localStorage)
-    keys.forEach(key => {
-      if (key.startsWith('api_cache_') && key.includes(pattern)) {
-        storage.remove(key)
-      }
-    })
+// Clear the current user's API cache, optionally only keys containing pattern,
+// in every open tab unless broadcast is false
+api.clearCache = (pattern = null, { broadcast = true } = {}) => {
+  const removal = responseCache.invalidate(pattern)
+  notifyInvalidation({ pattern })
+  if (broadcast) {
+    syncBus.publish(SYNC_EVENTS.CACHE_CLEARED, { pattern })
   }
+  return removal
+}
+
+syncBus.subscribe(SYNC_EVENTS.CACHE_CLEARED, ({ pattern }) => {
+  api.clearCache(pattern, { broadcast: false })
+})
+
+// Scope cached responses to the signed-in user (null when signed out)
+api.setCacheNamespace = (userId) => {
+  responseCache.setNamespace(userId)
+}
+
+// Change the cache byte budget ({ maxBytes }); evicts immediately if needed
+api.configureCache = (options) => {
+  return responseCache.configure(options)
+}
+
+// Cache size, hit rate and per-user usage for debugging
+api.getCacheStats = () => {
+  return responseCache.getStats()
+}
+
+// Inspect the cache from the browser console during development
+if (import.meta.env.DEV && typeof window !== 'undefined') {
+  window.__insbuCacheStats = api.getCacheStats
 }
 
 // Get API health status
 api.health = async () => {
   try {
-    const response = await api.get('/health')
+    const response = await api.get('/health', {
+      skipCircuitBreaker: true,
+      skipAuthRefresh: true,
+      cancelScope: false,
+      timeout: CIRCUIT_BREAKER_CONFIG.probeTimeout
+    })
     return {
       healthy: true,
       status: response.status,
@@ -356,44 +1172,224 @@ api.setAuthToken = (token) => {
   }
 }
 
+// Register token refresh and auth failure handlers
+api.setAuthHandlers = (handlers = null) => {
+  authHandlers.refreshToken = handlers?.refreshToken || null
+  authHandlers.onTokenRefreshed = handlers?.onTokenRefreshed || null
+  authHandlers.onAuthFailure = handlers?.onAuthFailure || null
+}
+
+// Refresh the authentication token once, no matter how many callers (or tabs) ask for it
+api.refreshAuthToken = () => {
+  if (refreshPromise) {
+    return refreshPromise
+  }
+
+  const staleToken = api.getAuthToken()
+
+  // Tabs share the token in localStorage, so only one of them may spend it on a
+  // refresh at a time. Browsers without Web Locks refresh without coordination
+  refreshPromise = withTabLock(SYNC_CONFIG.refreshLockName, async () => {
+    if (!authHandlers.refreshToken) {
+      throw new Error('No token refresh handler registered')
+    }
+
+    // Another tab refreshed while this one waited for the lock: use its token
+    // (the sync bus brings the user along) rather than refresh a second time
+    const currentToken = api.getAuthToken()
+    if (currentToken && currentToken !== staleToken) {
+      api.setAuthToken(currentToken)
+      return currentToken
+    }
+
+    try {
+      const { token, user } = await authHandlers.refreshToken()
+      api.setAuthToken(token)
+
+      if (authHandlers.onTokenRefreshed) {
+        authHandlers.onTokenRefreshed(token, user)
+      }
+
+      return token
+    } catch (error) {
+      console.warn('Token refresh failed:', error)
+
+      if (authHandlers.onAuthFailure) {
+        authHandlers.onAuthFailure(error)
+      }
+
+      throw error
+    }
+  }).finally(() => {
+    refreshPromise = null
+  })
+
+  return refreshPromise
+}
+
 // Get current authentication token
 api.getAuthToken = () => {
   return storage.get(STORAGE_KEYS.AUTH_TOKEN)
 }
 
+// Circuit breaker state: { state, degraded, openedAt, lastProbeAt }
+api.getServiceStatus = () => getCircuitSnapshot()
+
+api.subscribeServiceStatus = (listener) => {
+  circuitListeners.add(listener)
+  return () => circuitListeners.delete(listener)
+}
+
+// Probe the backend now instead of waiting for the next scheduled check
+api.checkHealth = () => {
+  if (circuit.state === CIRCUIT_STATE.CLOSED) {
+    return api.health()
+  }
+  clearTimeout(circuit.probeTimer)
+  return probeHealth()
+}
+
 // =============================================================================
 // REQUEST CANCELLATION
 // =============================================================================
 
-// Cancel token store for request cancellation
-const cancelTokens = new Map()
+// Requests belong to a cancel scope chosen by config.cancelScope:
+//   'route' - aborted when the user navigates to another page (default for GET/HEAD)
+//   '<name>' - aborted by api.cancelScope(name), e.g. when a component unmounts
+//   false    - never aborted automatically (default for mutations, which the
+//              server may already have applied)
+// A caller's own config.signal still works alongside the scope.
 
-// Create cancellable request
-api.cancellable = (key) => {
-  // Cancel previous request with same key
-  if (cancelTokens.has(key)) {
-    cancelTokens.get(key).cancel('Request cancelled due to new request')
+const ROUTE_SCOPE = 'route'
+
+const routeScope = {
+  path: null,
+  controller: new AbortController(),
+}
+
+// Named scopes are created on first use, so a scope can be reused after it was cancelled
+const cancelScopes = new Map()
+
+// Controllers behind api.cancellable, keyed by the caller's key
+const cancellableRequests = new Map()
+
+const getCurrentPath = () => {
+  return typeof window !== 'undefined' ? window.location.pathname : '/'
+}
+
+// Move to a new route scope, aborting everything started on the previous page
+// Runs on navigation and lazily on the next request, since a new page's effects
+// fire before the router-level listener does
+const enterRoute = (path = getCurrentPath()) => {
+  if (routeScope.path === path) return
+
+  if (routeScope.path !== null) {
+    routeScope.controller.abort(new axios.CanceledError(`Navigated away from ${routeScope.path}`))
+    routeScope.controller = new AbortController()
+  }
+
+  routeScope.path = path
+}
+
+const getScopeSignal = (scope) => {
+  if (scope === ROUTE_SCOPE) {
+    enterRoute()
+    return routeScope.controller.signal
+  }
+
+  if (!cancelScopes.has(scope)) {
+    cancelScopes.set(scope, new AbortController())
+  }
+  return cancelScopes.get(scope).signal
+}
+
+// A signal that aborts as soon as any of the given signals does
+const combineSignals = (signals) => {
+  const active = signals.filter(Boolean)
+  if (active.length <= 1) return active[0]
+
+  if (typeof AbortSignal.any === 'function') {
+    return AbortSignal.any(active)
+  }
+
+  const controller = new AbortController()
+  active.forEach(signal => {
+    if (signal.aborted) {
+      controller.abort(signal.reason)
+    } else {
+      signal.addEventListener('abort', () => controller.abort(signal.reason), { once: true })
+    }
+  })
+  return controller.signal
+}
+
+// Resolve config.cancelScope into config.signal once, so retries and replays of
+// a request stay bound to the page that made it
+const bindCancelScope = (config) => {
+  const method = (config.method || 'get').toLowerCase()
+  const scope = config.cancelScope ?? (method === 'get' || method === 'head' ? ROUTE_SCOPE : false)
+
+  if (scope === false) return config
+
+  return {
+    ...config,
+    signal: combineSignals([config.signal, getScopeSignal(scope)]),
+    cancelScope: false,
   }
+}
 
-  // Create new cancel token
-  const source = axios.CancelToken.source()
-  cancelTokens.set(key, source)
+// Called by the router whenever the pathname changes
+api.enterRoute = (path) => {
+  enterRoute(path)
+}
+
+// Abort every request scoped to the current page
+api.cancelRoute = (reason = 'Request cancelled') => {
+  routeScope.controller.abort(new axios.CanceledError(reason))
+  routeScope.controller = new AbortController()
+}
+
+// Abort every request made with { cancelScope: name }
+api.cancelScope = (name, reason = 'Request cancelled') => {
+  cancelScopes.get(name)?.abort(new axios.CanceledError(reason))
+  cancelScopes.delete(name)
+}
+
+// Create cancellable request; a new request with the same key aborts the previous one
+api.cancellable = (key) => {
+  cancellableRequests.get(key)?.abort(new axios.CanceledError('Request cancelled due to new request'))
+
+  const controller = new AbortController()
+  cancellableRequests.set(key, controller)
 
   return {
-    request: (config) => api({ ...config, cancelToken: source.token }),
-    cancel: (message) => {
-      source.cancel(message)
-      cancelTokens.delete(key)
+    signal: controller.signal,
+    request: (config) => api({
+      ...config,
+      signal: combineSignals([config.signal, controller.signal]),
+    }),
+    cancel: (message = 'Request cancelled') => {
+      controller.abort(new axios.CanceledError(message))
+      if (cancellableRequests.get(key) === controller) {
+        cancellableRequests.delete(key)
+      }
     }
   }
 }
 
-// Cancel all requests
+// Cancel all requests in the route, named and cancellable scopes
 api.cancelAll = () => {
-  cancelTokens.forEach((source, key) => {
-    source.cancel('All requests cancelled')
+  api.cancelRoute('All requests cancelled')
+
+  cancelScopes.forEach(controller => {
+    controller.abort(new axios.CanceledError('All requests cancelled'))
+  })
+  cancelScopes.clear()
+
+  cancellableRequests.forEach(controller => {
+    controller.abort(new axios.CanceledError('All requests cancelled'))
   })
-  cancelTokens.clear()
+  cancellableRequests.clear()
 }
 
 // =============================================================================
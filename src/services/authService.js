@@ -2,8 +2,106 @@
 // Provides all authentication-related API calls with proper error handling
 
 import api from './api'
-import { VALIDATION_RULES } from '../utils/constants'
+import { VALIDATION_RULES, TWO_FACTOR_CONFIG, HTTP_STATUS } from '../utils/constants'
 import { isValidEmail, isValidPassword } from '../utils/helpers'
+import { ApiError, ValidationError, AuthError, ERROR_CODES } from '../utils/errors'
+import { s, parseResponse } from '../utils/schema'
+import { createPasskey, getPasskey } from '../utils/webauthn'
+import { redirectToProvider, readProviderResponse, checkIdToken } from '../utils/oidc'
+import { userSchema, sessionSchema, acknowledgementSchema } from './schemas'
+
+const passkeySchema = s.object({
+  id: s.number(),
+  name: s.string(),
+  created_at: s.date(),
+  last_used_at: s.date().optional(),
+})
+
+// =============================================================================
+// RESPONSE SCHEMAS
+// =============================================================================
+
+const schemas = {
+  session: s.object({
+    user: userSchema,
+    token: s.string(),
+    expires_in: s.number().optional(),
+  }),
+  refresh: s.object({
+    token: s.string(),
+    user: userSchema.optional(),
+  }),
+  // Login answers with this instead of a session when the user has 2FA enabled
+  twoFactorChallenge: s.object({
+    two_factor: s.boolean(),
+    challenge_token: s.string(),
+  }),
+  twoFactorSetup: s.object({
+    secret: s.string(),
+    otpauth_url: s.string(),
+  }),
+  recoveryCodes: s.object({
+    recovery_codes: s.array(s.string()),
+    user: userSchema.optional(),
+  }),
+  passkeyCreationOptions: s.object({
+    challenge: s.string(),
+    user: s.object({ id: s.string() }),
+  }),
+  passkeyRequestOptions: s.object({
+    challenge: s.string(),
+  }),
+  // Single sign-on also returns the provider's ID token so the nonce can be checked
+  ssoSession: s.object({
+    user: userSchema,
+    token: s.string(),
+    expires_in: s.number().optional(),
+    id_token: s.string(),
+  }),
+  ssoLink: s.object({
+    user: userSchema,
+    id_token: s.string(),
+  }),
+  passkey: s.resource(passkeySchema),
+  passkeys: s.list(passkeySchema),
+  sessions: s.list(sessionSchema),
+  user: s.resource(userSchema),
+  validation: s.object({ valid: s.boolean().optional() }).default({}),
+  acknowledgement: acknowledgementSchema,
+}
+
+// Authenticator codes are often typed with a space in the middle ("123 456")
+const normalizeTwoFactorCode = (code) => String(code || '').replace(/\s/g, '')
+
+const isTwoFactorCode = (code) => {
+  return new RegExp(`^\\d{${TWO_FACTOR_CONFIG.codeLength}}$`).test(normalizeTwoFactorCode(code))
+}
+
+const TWO_FACTOR_CODE_MESSAGE = `Enter the ${TWO_FACTOR_CONFIG.codeLength}-digit code from your authenticator app`
+
+const PASSKEY_NAME_MAX_LENGTH = 100
+
+const validatePasskeyName = (name) => {
+  if (name.length > PASSKEY_NAME_MAX_LENGTH) {
+    throw new ValidationError({
+      fields: { name: `Name must be at most ${PASSKEY_NAME_MAX_LENGTH} characters` }
+    })
+  }
+}
+
+// A failed undo is only logged: the user sees the ID token error either way
+const checkIdTokenOrUndo = async (idToken, flow, undo) => {
+  try {
+    return checkIdToken(idToken, flow)
+  } catch (error) {
+    try {
+      await undo()
+    } catch (undoError) {
+      console.warn('Could not undo the organisation sign-in:', undoError)
+    }
+    throw error
+  }
+}
 
 // =============================================================================
 // AUTHENTICATION SERVICE
@@ -28,42 +126,86 @@ const authService = {
     }
 
     if (Object.keys(errors).length > 0) {
-      throw {
-        response: {
-          status: 422,
-          data: { errors }
-        }
-      }
+      throw new ValidationError({ fields: errors })
     }
 
     try {
       const response = await api.post('/auth/login', {
         email: email.toLowerCase().trim(),
         password
-      })
+      }, { skipAuthRefresh: true })
+
+      // Password accepted, but a second factor is needed before a session is issued
+      if (response.data?.two_factor) {
+        return {
+          success: true,
+          data: parseResponse('POST /auth/login', schemas.twoFactorChallenge, response),
+          message: 'Two-factor authentication required'
+        }
+      }
 
       return {
         success: true,
-        data: response.data,
+        data: parseResponse('POST /auth/login', schemas.session, response),
         message: 'Login successful'
       }
     } catch (error) {
       // Handle specific login errors
-      if (error.response?.status === 401) {
-        throw {
-          response: {
-            status: 401,
-            data: {
-              message: 'Invalid email or password. Please check your credentials and try again.'
-            }
-          }
-        }
+      if (error instanceof AuthError) {
+        throw new AuthError({
+          code: ERROR_CODES.INVALID_CREDENTIALS,
+          requestId: error.requestId,
+          cause: error
+        })
       }
       
       throw error
     }
   },
 
+  // Second login step: an authenticator code or one of the recovery codes
+  verifyTwoFactorChallenge: async ({ challengeToken, code, recoveryCode }) => {
+    const errors = {}
+
+    if (recoveryCode !== undefined) {
+      if (!recoveryCode?.trim()) {
+        errors.recovery_code = 'Recovery code is required'
+      }
+    } else if (!isTwoFactorCode(code)) {
+      errors.code = TWO_FACTOR_CODE_MESSAGE
+    }
+
+    if (Object.keys(errors).length > 0) {
+      throw new ValidationError({ fields: errors })
+    }
+
+    try {
+      const response = await api.post('/auth/two-factor/challenge', {
+        challenge_token: challengeToken,
+        ...(recoveryCode !== undefined
+          ? { recovery_code: recoveryCode.trim() }
+          : { code: normalizeTwoFactorCode(code) })
+      }, { skipAuthRefresh: true })
+
+      return {
+        success: true,
+        data: parseResponse('POST /auth/two-factor/challenge', schemas.session, response),
+        message: 'Login successful'
+      }
+    } catch (error) {
+      // The challenge token is short-lived; the user has to start over
+      if (error instanceof AuthError) {
+        throw new AuthError({
+          code: ERROR_CODES.TWO_FACTOR_EXPIRED,
+          requestId: error.requestId,
+          cause: error
+        })
+      }
+
+      throw error
+    }
+  },
+
   // User registration with comprehensive validation
   register: async (userData) => {
     const { name, email, password, password_confirmation } = userData
@@ -100,12 +242,7 @@ const authService = {
     }
 
     if (Object.keys(errors).length > 0) {
-      throw {
-        response: {
-          status: 422,
-          data: { errors }
-        }
-      }
+      throw new ValidationError({ fields: errors })
     }
 
     try {
@@ -118,25 +255,20 @@ const authService = {
 
       return {
         success: true,
-        data: response.data,
+        data: parseResponse('POST /auth/register', schemas.session, response),
         message: 'Registration successful'
       }
     } catch (error) {
       // Handle specific registration errors
-      if (error.response?.status === 422) {
-        const serverErrors = error.response.data.errors || {}
+      if (error instanceof ValidationError) {
+        const serverErrors = { ...error.errors }
         
         // Map server errors to user-friendly messages
-        if (serverErrors.email?.includes('has already been taken')) {
+        if (serverErrors.email?.some(message => message.includes('has already been taken'))) {
           serverErrors.email = ['An account with this email already exists. Please use a different email or try logging in.']
         }
         
-        throw {
-          response: {
-            status: 422,
-            data: { errors: serverErrors }
-          }
-        }
+        throw new ValidationError({ fields: serverErrors, requestId: error.requestId, cause: error })
       }
       
       throw error
@@ -146,10 +278,11 @@ const authService = {
   // Get current authenticated user
   getCurrentUser: async () => {
     try {
-      const response = await api.get('/auth/user')
+      // The session outlives the page, so navigating must not abort this
+      const response = await api.get('/auth/user', { cancelScope: false })
       return {
         success: true,
-        data: response.data
+        data: parseResponse('GET /auth/user', schemas.user, response)
       }
     } catch (error) {
       throw error
@@ -159,10 +292,11 @@ const authService = {
   // Refresh authentication token
   refreshToken: async () => {
     try {
-      const response = await api.post('/auth/refresh')
+      // Never try to refresh the refresh call itself
+      const response = await api.post('/auth/refresh', null, { skipAuthRefresh: true })
       return {
         success: true,
-        data: response.data
+        data: parseResponse('POST /auth/refresh', schemas.refresh, response)
       }
     } catch (error) {
       throw error
@@ -172,10 +306,10 @@ const authService = {
   // User logout
   logout: async () => {
     try {
-      const response = await api.post('/auth/logout')
+      const response = await api.post('/auth/logout', null, { skipAuthRefresh: true })
       return {
         success: true,
-        data: response.data || {},
+        data: parseResponse('POST /auth/logout', schemas.acknowledgement, response),
         message: 'Logged out successfully'
       }
     } catch (error) {
@@ -232,12 +366,7 @@ const authService = {
     }
 
     if (Object.keys(errors).length > 0) {
-      throw {
-        response: {
-          status: 422,
-          data: { errors }
-        }
-      }
+      throw new ValidationError({ fields: errors })
     }
 
     try {
@@ -253,62 +382,358 @@ const authService = {
       
       return {
         success: true,
-        data: response.data,
+        data: parseResponse('PUT /auth/profile', schemas.user, response),
         message: 'Profile updated successfully'
       }
     } catch (error) {
       // Handle specific profile update errors
-      if (error.response?.status === 422) {
-        const serverErrors = error.response.data.errors || {}
+      if (error instanceof ValidationError) {
+        const serverErrors = { ...error.errors }
         
         // Map server errors to user-friendly messages
         if (serverErrors.current_password) {
           serverErrors.current_password = ['Current password is incorrect']
         }
         
-        if (serverErrors.email?.includes('has already been taken')) {
+        if (serverErrors.email?.some(message => message.includes('has already been taken'))) {
           serverErrors.email = ['This email is already in use by another account']
         }
         
-        throw {
-          response: {
-            status: 422,
-            data: { errors: serverErrors }
-          }
-        }
+        throw new ValidationError({ fields: serverErrors, requestId: error.requestId, cause: error })
       }
       
       throw error
     }
   },
 
+  // Start two-factor enrolment; returns the secret and otpauth:// URL for the QR code
+  enableTwoFactor: async () => {
+    try {
+      const response = await api.post('/auth/two-factor')
+      return {
+        success: true,
+        data: parseResponse('POST /auth/two-factor', schemas.twoFactorSetup, response)
+      }
+    } catch (error) {
+      throw error
+    }
+  },
+
+  // Finish enrolment with a code from the app; returns the first recovery codes
+  confirmTwoFactor: async (code) => {
+    if (!isTwoFactorCode(code)) {
+      throw new ValidationError({ fields: { code: TWO_FACTOR_CODE_MESSAGE } })
+    }
+
+    try {
+      const response = await api.post('/auth/two-factor/confirm', {
+        code: normalizeTwoFactorCode(code)
+      })
+      return {
+        success: true,
+        data: parseResponse('POST /auth/two-factor/confirm', schemas.recoveryCodes, response),
+        message: 'Two-factor authentication enabled'
+      }
+    } catch (error) {
+      throw error
+    }
+  },
+
+  // Turn two-factor authentication off; the server asks for the password again
+  disableTwoFactor: async (password) => {
+    if (!password) {
+      throw new ValidationError({
+        fields: {
+          password: VALIDATION_RULES.password.required
+        }
+      })
+    }
+
+    try {
+      const response = await api.delete('/auth/two-factor', { data: { password } })
+      return {
+        success: true,
+        data: parseResponse('DELETE /auth/two-factor', schemas.user, response),
+        message: 'Two-factor authentication disabled'
+      }
+    } catch (error) {
+      throw error
+    }
+  },
+
+  getRecoveryCodes: async () => {
+    try {
+      const response = await api.get('/auth/two-factor/recovery-codes', { cancelScope: false })
+      return {
+        success: true,
+        data: parseResponse('GET /auth/two-factor/recovery-codes', schemas.recoveryCodes, response)
+      }
+    } catch (error) {
+      throw error
+    }
+  },
+
+  // Replace every recovery code; the old ones stop working
+  regenerateRecoveryCodes: async () => {
+    try {
+      const response = await api.post('/auth/two-factor/recovery-codes')
+      return {
+        success: true,
+        data: parseResponse('POST /auth/two-factor/recovery-codes', schemas.recoveryCodes, response),
+        message: 'New recovery codes generated'
+      }
+    } catch (error) {
+      throw error
+    }
+  },
+
+  // Sign in with a passkey instead of a password
+  // Fetches a challenge, asks the browser to sign it and exchanges the signature for a session
+  loginWithPasskey: async () => {
+    try {
+      const optionsResponse = await api.post('/auth/passkeys/login/options', {}, { skipAuthRefresh: true })
+      const options = parseResponse('POST /auth/passkeys/login/options', schemas.passkeyRequestOptions, optionsResponse)
+
+      const credential = await getPasskey(options)
+
+      const response = await api.post('/auth/passkeys/login', { credential }, { skipAuthRefresh: true })
+      return {
+        success: true,
+        data: parseResponse('POST /auth/passkeys/login', schemas.session, response),
+        message: 'Login successful'
+      }
+    } catch (error) {
+      if (error instanceof AuthError) {
+        throw new AuthError({
+          code: ERROR_CODES.PASSKEY_REJECTED,
+          requestId: error.requestId,
+          cause: error
+        })
+      }
+
+      throw error
+    }
+  },
+
+  // Single sign-on: leave for the identity provider, which sends the browser
+  // back to the callback route where completeSso finishes the job
+  startSsoLogin: async (returnTo = null) => {
+    await redirectToProvider({ intent: 'login', returnTo })
+  },
+
+  startSsoLink: async () => {
+    await redirectToProvider({ intent: 'link', returnTo: '/settings' })
+  },
+
+  // Check the provider's answer and hand the code to the backend for the token
+  // exchange. Returns the intent and where to go next along with the result.
+  // Only the backend can redeem the code, so the ID token is checked as soon as
+  // it comes back and before anything is applied here; if it fails, whatever
+  // the exchange did on the server (a new session, a new link) is undone
+  completeSso: async (search) => {
+    const { code, flow } = readProviderResponse(search)
+    const payload = {
+      code,
+      code_verifier: flow.verifier,
+      redirect_uri: flow.redirectUri,
+      nonce: flow.nonce,
+    }
+
+    try {
+      if (flow.intent === 'link') {
+        const response = await api.post('/auth/oidc/link', payload)
+        const data = parseResponse('POST /auth/oidc/link', schemas.ssoLink, response)
+        // Settings only offers linking to an unlinked account, so unlinking restores it
+        await checkIdTokenOrUndo(data.id_token, flow, () => api.delete('/auth/oidc/link'))
+
+        return {
+          success: true,
+          intent: flow.intent,
+          returnTo: flow.returnTo,
+          data: data.user,
+          message: 'Organisation account linked'
+        }
+      }
+
+      const response = await api.post('/auth/oidc/callback', payload, { skipAuthRefresh: true })
+      const data = parseResponse('POST /auth/oidc/callback', schemas.ssoSession, response)
+      await checkIdTokenOrUndo(data.id_token, flow, () => (
+        api.post('/auth/logout', null, { authToken: data.token, skipAuthRefresh: true })
+      ))
+
+      return {
+        success: true,
+        intent: flow.intent,
+        returnTo: flow.returnTo,
+        data,
+        message: 'Login successful'
+      }
+    } catch (error) {
+      // The provider knows the user but no portal account is linked to them
+      if (error.status === HTTP_STATUS.NOT_FOUND && flow.intent === 'login') {
+        throw new ApiError({
+          code: ERROR_CODES.SSO_ACCOUNT_NOT_FOUND,
+          status: error.status,
+          requestId: error.requestId,
+          cause: error
+        })
+      }
+
+      // An unusable code or nonce; an account conflict keeps its field message
+      if (error instanceof ValidationError && !error.fields.account) {
+        throw new ApiError({
+          code: ERROR_CODES.SSO_FAILED,
+          status: error.status,
+          requestId: error.requestId,
+          cause: error
+        })
+      }
+
+      throw error
+    }
+  },
+
+  unlinkSsoAccount: async () => {
+    try {
+      const response = await api.delete('/auth/oidc/link')
+      return {
+        success: true,
+        data: parseResponse('DELETE /auth/oidc/link', schemas.user, response),
+        message: 'Organisation account unlinked'
+      }
+    } catch (error) {
+      throw error
+    }
+  },
+
+  getPasskeys: async () => {
+    try {
+      const response = await api.get('/auth/passkeys', { cancelScope: false })
+      return {
+        success: true,
+        data: parseResponse('GET /auth/passkeys', schemas.passkeys, response)
+      }
+    } catch (error) {
+      throw error
+    }
+  },
+
+  // Create a passkey on this device and register it with the account
+  registerPasskey: async (name = '') => {
+    const trimmedName = name.trim()
+    validatePasskeyName(trimmedName)
+
+    try {
+      const optionsResponse = await api.post('/auth/passkeys/options')
+      const options = parseResponse('POST /auth/passkeys/options', schemas.passkeyCreationOptions, optionsResponse)
+
+      const credential = await createPasskey(options)
+
+      const response = await api.post('/auth/passkeys', {
+        name: trimmedName || null,
+        credential
+      })
+      return {
+        success: true,
+        data: parseResponse('POST /auth/passkeys', schemas.passkey, response),
+        message: 'Passkey added'
+      }
+    } catch (error) {
+      throw error
+    }
+  },
+
+  renamePasskey: async (id, name) => {
+    const trimmedName = (name || '').trim()
+    if (!trimmedName) {
+      throw new ValidationError({ fields: { name: 'Name is required' } })
+    }
+    validatePasskeyName(trimmedName)
+
+    try {
+      const response = await api.put(`/auth/passkeys/${id}`, { name: trimmedName })
+      return {
+        success: true,
+        data: parseResponse('PUT /auth/passkeys/:id', schemas.passkey, response),
+        message: 'Passkey renamed'
+      }
+    } catch (error) {
+      throw error
+    }
+  },
+
+  // The passkey stays on the device but can no longer sign in to this account
+  deletePasskey: async (id) => {
+    try {
+      const response = await api.delete(`/auth/passkeys/${id}`)
+      return {
+        success: true,
+        data: parseResponse('DELETE /auth/passkeys/:id', schemas.acknowledgement, response),
+        message: 'Passkey removed'
+      }
+    } catch (error) {
+      throw error
+    }
+  },
+
+  // Devices signed in to this account, the current one marked with is_current
+  getSessions: async () => {
+    try {
+      const response = await api.get('/auth/sessions', { cancelScope: false })
+      return {
+        success: true,
+        data: parseResponse('GET /auth/sessions', schemas.sessions, response)
+      }
+    } catch (error) {
+      throw error
+    }
+  },
+
+  // Sign out one other device; it loses access on its next request
+  revokeSession: async (id) => {
+    try {
+      const response = await api.delete(`/auth/sessions/${id}`)
+      return {
+        success: true,
+        data: parseResponse('DELETE /auth/sessions/:id', schemas.acknowledgement, response),
+        message: 'Session ended'
+      }
+    } catch (error) {
+      throw error
+    }
+  },
+
+  // Sign out everywhere except this browser
+  revokeOtherSessions: async () => {
+    try {
+      const response = await api.delete('/auth/sessions')
+      return {
+        success: true,
+        data: parseResponse('DELETE /auth/sessions', schemas.acknowledgement, response),
+        message: response.data?.message || 'Other sessions ended'
+      }
+    } catch (error) {
+      throw error
+    }
+  },
+
   // Password reset request
   requestPasswordReset: async (email) => {
     // Client-side validation
     if (!email) {
-      throw {
-        response: {
-          status: 422,
-          data: {
-            errors: {
-              email: [VALIDATION_RULES.email.required]
-            }
-          }
+      throw new ValidationError({
+        fields: {
+          email: [VALIDATION_RULES.email.required]
         }
-      }
+      })
     }
 
     if (!isValidEmail(email)) {
-      throw {
-        response: {
-          status: 422,
-          data: {
-            errors: {
-              email: [VALIDATION_RULES.email.pattern.message]
-            }
-          }
+      throw new ValidationError({
+        fields: {
+          email: [VALIDATION_RULES.email.pattern.message]
         }
-      }
+      })
     }
 
     try {
@@ -318,7 +743,7 @@ const authService = {
 
       return {
         success: true,
-        data: response.data,
+        data: parseResponse('POST /auth/password/reset', schemas.acknowledgement, response),
         message: 'Password reset instructions sent to your email'
       }
     } catch (error) {
@@ -356,12 +781,7 @@ const authService = {
     }
 
     if (Object.keys(errors).length > 0) {
-      throw {
-        response: {
-          status: 422,
-          data: { errors }
-        }
-      }
+      throw new ValidationError({ fields: errors })
     }
 
     try {
@@ -374,24 +794,19 @@ const authService = {
 
       return {
         success: true,
-        data: response.data,
+        data: parseResponse('POST /auth/password/update', schemas.acknowledgement, response),
         message: 'Password reset successfully'
       }
     } catch (error) {
       // Handle specific password reset errors
-      if (error.response?.status === 422) {
-        const serverErrors = error.response.data.errors || {}
+      if (error instanceof ValidationError) {
+        const serverErrors = { ...error.errors }
         
         if (serverErrors.token) {
           serverErrors.token = ['Invalid or expired reset token. Please request a new password reset.']
         }
         
-        throw {
-          response: {
-            status: 422,
-            data: { errors: serverErrors }
-          }
-        }
+        throw new ValidationError({ fields: serverErrors, requestId: error.requestId, cause: error })
       }
       
       throw error
@@ -404,7 +819,7 @@ const authService = {
       const response = await api.post('/auth/email/verify', { token })
       return {
         success: true,
-        data: response.data,
+        data: parseResponse('POST /auth/email/verify', schemas.acknowledgement, response),
         message: 'Email verified successfully'
       }
     } catch (error) {
@@ -413,12 +828,13 @@ const authService = {
   },
 
   // Resend email verification
+  // A 429 is not retried; the caller shows how long to wait instead
   resendEmailVerification: async () => {
     try {
-      const response = await api.post('/auth/email/resend')
+      const response = await api.post('/auth/email/resend', null, { skipRateLimitRetry: true })
       return {
         success: true,
-        data: response.data,
+        data: parseResponse('POST /auth/email/resend', schemas.acknowledgement, response),
         message: 'Verification email sent'
       }
     } catch (error) {
@@ -435,10 +851,10 @@ const authService = {
   // Validate session
   validateSession: async () => {
     try {
-      const response = await api.get('/auth/validate')
+      const response = await api.get('/auth/validate', { cancelScope: false })
       return {
         valid: true,
-        data: response.data
+        data: parseResponse('GET /auth/validate', schemas.validation, response)
       }
     } catch (error) {
       return {
@@ -2,8 +2,39 @@
 // Provides comprehensive document management with validation and progress tracking
 
 import api from './api'
+import downloadManager from './downloadManager'
+import {
+  createResumableUpload,
+  getInterruptedUploads,
+  discardInterruptedUpload
+} from './resumableUpload'
 import { PAGINATION_CONFIG, FILE_UPLOAD_CONFIG } from '../utils/constants'
 import { validateFile, formatFileSize } from '../utils/helpers'
+import { ValidationError } from '../utils/errors'
+import { s, parseResponse } from '../utils/schema'
+import { documentSchema, categoriesSchema, acknowledgementSchema } from './schemas'
+
+// =============================================================================
+// RESPONSE SCHEMAS
+// =============================================================================
+
+const schemas = {
+  list: s.paginated(documentSchema),
+  document: s.resource(documentSchema),
+  documents: s.list(documentSchema),
+  categories: categoriesSchema,
+  stats: s.object({
+    total: s.number().default(0),
+    total_downloads: s.number().default(0),
+    total_size: s.number().default(0),
+  }),
+  access: s.object({ can_access: s.boolean().default(false) }),
+  acknowledgement: acknowledgementSchema,
+}
+
+// =============================================================================
+// DOCUMENT SERVICE
+// =============================================================================
 
 const documentService = {
   // Get paginated documents list with filtering
@@ -20,6 +51,7 @@ const documentService = {
 
     try {
       const response = await api.getWithCache('/documents', {
+        tags: ['documents'],
         params: {
           page,
           per_page,
@@ -29,12 +61,13 @@ const documentService = {
           sort_by,
           sort_order
         },
-        cacheDuration: 3 * 60 * 1000 // 3 minutes cache
+        cacheDuration: 3 * 60 * 1000, // 3 minutes cache
+        staleWhileRevalidate: true // Serve the cached list instantly while refreshing
       })
 
       return {
         success: true,
-        data: response.data
+        data: parseResponse('GET /documents', schemas.list, response)
       }
     } catch (error) {
       throw error
@@ -45,20 +78,23 @@ const documentService = {
   getDocumentById: async (id) => {
     try {
       const response = await api.getWithCache(`/documents/${id}`, {
+        tags: [`documents/${id}`],
         cacheDuration: 5 * 60 * 1000 // 5 minutes cache
       })
 
       return {
         success: true,
-        data: response.data
+        data: parseResponse('GET /documents/:id', schemas.document, response)
       }
     } catch (error) {
       throw error
     }
   },
 
-  // Upload new document with validation
-  uploadDocument: async (file, metadata = {}, onProgress = null) => {
+  // Create a resumable upload for a new document after validating it
+  // The file is sent in chunks to /uploads; start() then registers the document
+  // and resolves like uploadDocument. pause(), resume() and cancel() control the transfer.
+  createDocumentUpload: (file, metadata = {}, options = {}) => {
     const {
       title,
       description = '',
@@ -70,16 +106,11 @@ const documentService = {
     // Validate file
     const fileValidation = validateFile(file)
     if (!fileValidation.valid) {
-      throw {
-        response: {
-          status: 422,
-          data: {
-            errors: {
-              file: fileValidation.errors
-            }
-          }
+      throw new ValidationError({
+        fields: {
+          file: fileValidation.errors
         }
-      }
+      })
     }
 
     // Validate metadata
@@ -94,42 +125,53 @@ const documentService = {
     }
 
     if (Object.keys(errors).length > 0) {
-      throw {
-        response: {
-          status: 422,
-          data: { errors }
-        }
-      }
+      throw new ValidationError({ fields: errors })
     }
 
-    try {
-      const additionalData = {
-        title: title.trim(),
-        description: description.trim(),
-        category,
-        is_public: is_public ? '1' : '0',
-        tags: Array.isArray(tags) ? tags.join(',') : tags
-      }
+    const upload = createResumableUpload('/uploads', file, options)
 
-      const response = await api.uploadFile('/documents', file, {
-        onProgress,
-        additionalData,
-        field: 'file'
-      })
+    return {
+      ...upload,
 
-      // Clear documents cache after upload
-      api.clearCache('documents')
+      start: async () => {
+        const { uploadId } = await upload.start()
 
-      return {
-        success: true,
-        data: response.data,
-        message: 'Document uploaded successfully'
+        const response = await api.post('/documents', {
+          upload_id: uploadId,
+          title: title.trim(),
+          description: description.trim(),
+          category,
+          is_public: is_public ? '1' : '0',
+          tags: Array.isArray(tags) ? tags.join(',') : tags
+        })
+
+        // Clear documents cache after upload
+        api.invalidateTags(['documents', 'stats'])
+
+        return {
+          success: true,
+          data: parseResponse('POST /documents', schemas.document, response),
+          message: 'Document uploaded successfully'
+        }
       }
-    } catch (error) {
-      throw error
     }
   },
 
+  // Document uploads interrupted by a reload or lost connection
+  getInterruptedUploads: async () => {
+    const uploads = await getInterruptedUploads()
+    return uploads.filter(upload => upload.endpoint === '/uploads')
+  },
+
+  discardInterruptedUpload: (fingerprint) => {
+    return discardInterruptedUpload(fingerprint)
+  },
+
+  // Upload new document with validation, resuming an earlier attempt at the same file
+  uploadDocument: async (file, metadata = {}, onProgress = null) => {
+    return documentService.createDocumentUpload(file, metadata, { onProgress }).start()
+  },
+
   // Update document metadata
   updateDocument: async (id, metadata) => {
     const { title, description, category, is_public, tags } = metadata
@@ -146,12 +188,7 @@ const documentService = {
     }
 
     if (Object.keys(errors).length > 0) {
-      throw {
-        response: {
-          status: 422,
-          data: { errors }
-        }
-      }
+      throw new ValidationError({ fields: errors })
     }
 
     try {
@@ -163,14 +200,14 @@ const documentService = {
       if (is_public !== undefined) updateData.is_public = is_public
       if (tags !== undefined) updateData.tags = Array.isArray(tags) ? tags : [tags]
 
-      const response = await api.put(`/documents/${id}`, updateData)
+      const response = await api.put(`/documents/${id}`, updateData, { queueOffline: true })
 
       // Clear documents cache after update
-      api.clearCache('documents')
+      api.invalidateTags(['documents', `documents/${id}`])
 
       return {
         success: true,
-        data: response.data,
+        data: parseResponse('PUT /documents/:id', schemas.document, response),
         message: 'Document updated successfully'
       }
     } catch (error) {
@@ -181,14 +218,14 @@ const documentService = {
   // Delete document
   deleteDocument: async (id) => {
     try {
-      const response = await api.delete(`/documents/${id}`)
+      const response = await api.delete(`/documents/${id}`, { queueOffline: true })
 
       // Clear documents cache after deletion
-      api.clearCache('documents')
+      api.invalidateTags(['documents', `documents/${id}`, 'stats'])
 
       return {
         success: true,
-        data: response.data,
+        data: parseResponse('DELETE /documents/:id', schemas.acknowledgement, response),
         message: 'Document deleted successfully'
       }
     } catch (error) {
@@ -196,23 +233,19 @@ const documentService = {
     }
   },
 
-  // Download document
-  downloadDocument: async (id, filename = null) => {
-    try {
-      // Get document info first to get the filename
-      if (!filename) {
-        const docResponse = await api.get(`/documents/${id}`)
-        filename = docResponse.data.original_name || `document-${id}`
-      }
-
-      const response = await api.downloadFile(`/documents/${id}/download`, filename)
+  // Download document through the download manager
+  // The server's Content-Disposition name wins over the fallback filename;
+  // size (bytes) lets large files stream to disk instead of into memory
+  downloadDocument: async (id, filename = null, size = null) => {
+    const download = await downloadManager.start(`/documents/${id}/download`, {
+      filename: filename || `document-${id}`,
+      size
+    })
 
-      return {
-        success: true,
-        message: 'Document downloaded successfully'
-      }
-    } catch (error) {
-      throw error
+    return {
+      success: true,
+      data: download,
+      message: 'Document downloaded successfully'
     }
   },
 
@@ -220,12 +253,13 @@ const documentService = {
   getCategories: async () => {
     try {
       const response = await api.getWithCache('/documents/categories', {
+        tags: ['documents/categories'],
         cacheDuration: 30 * 60 * 1000 // 30 minutes cache
       })
 
       return {
         success: true,
-        data: response.data
+        data: parseResponse('GET /documents/categories', schemas.categories, response)
       }
     } catch (error) {
       throw error
@@ -256,7 +290,7 @@ const documentService = {
 
       return {
         success: true,
-        data: response.data
+        data: parseResponse('GET /documents/search', schemas.documents, response)
       }
     } catch (error) {
       throw error
@@ -267,13 +301,14 @@ const documentService = {
   getRecentDocuments: async (limit = 10) => {
     try {
       const response = await api.getWithCache('/documents/recent', {
+        tags: ['documents'],
         params: { limit },
         cacheDuration: 5 * 60 * 1000 // 5 minutes cache
       })
 
       return {
         success: true,
-        data: response.data
+        data: parseResponse('GET /documents/recent', schemas.documents, response)
       }
     } catch (error) {
       throw error
@@ -284,13 +319,14 @@ const documentService = {
   getPopularDocuments: async (limit = 10) => {
     try {
       const response = await api.getWithCache('/documents/popular', {
+        tags: ['documents'],
         params: { limit },
         cacheDuration: 10 * 60 * 1000 // 10 minutes cache
       })
 
       return {
         success: true,
-        data: response.data
+        data: parseResponse('GET /documents/popular', schemas.documents, response)
       }
     } catch (error) {
       throw error
@@ -361,12 +397,13 @@ const documentService = {
   getDocumentStats: async () => {
     try {
       const response = await api.getWithCache('/documents/stats', {
+        tags: ['documents', 'stats'],
         cacheDuration: 10 * 60 * 1000 // 10 minutes cache
       })
 
       return {
         success: true,
-        data: response.data
+        data: parseResponse('GET /documents/stats', schemas.stats, response)
       }
     } catch (error) {
       throw error
@@ -377,10 +414,12 @@ const documentService = {
   canAccessDocument: async (id) => {
     try {
       const response = await api.get(`/documents/${id}/access`)
+      const data = parseResponse('GET /documents/:id/access', schemas.access, response)
+
       return {
         success: true,
-        canAccess: response.data.can_access,
-        data: response.data
+        canAccess: data.can_access,
+        data
       }
     } catch (error) {
       return {
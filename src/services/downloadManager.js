@@ -0,0 +1,417 @@
+// Download manager for files served by the API
+// Tracks progress, supports cancel and retry, names files from Content-Disposition
+// and verifies a server-provided checksum before handing the file to the browser.
+// Large files are streamed straight to disk where the browser has the File System
+// Access API, hashing each chunk as it passes, so memory stays flat whatever the
+// size. Elsewhere, and with the mock backend, the file is buffered in memory as a
+// Blob before it is saved; that is the fallback, not streaming
+
+import { createSHA256, createSHA384, createSHA512 } from 'hash-wasm'
+import api, { prepareRequest, logRequest } from './api'
+import { isMockBackendEnabled } from './mock/config'
+import { downloadFile, parseContentDisposition } from '../utils/helpers'
+import { CancelledError, toApiError } from '../utils/errors'
+import { DOWNLOAD_CONFIG, HTTP_STATUS } from '../utils/constants'
+
+export const DOWNLOAD_STATUS = {
+  DOWNLOADING: 'downloading',
+  VERIFYING: 'verifying',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+}
+
+// Newest first; request options and controllers stay out of the snapshot
+let downloads = []
+let nextId = 1
+
+const requests = new Map()
+const controllers = new Map()
+const listeners = new Set()
+
+const notify = () => {
+  const snapshot = [...downloads]
+  listeners.forEach(listener => listener(snapshot))
+}
+
+const update = (id, changes) => {
+  downloads = downloads.map(download => (
+    download.id === id ? { ...download, ...changes } : download
+  ))
+  notify()
+}
+
+const isActive = (download) => {
+  return download.status === DOWNLOAD_STATUS.DOWNLOADING || download.status === DOWNLOAD_STATUS.VERIFYING
+}
+
+// Keep every active download and the most recent finished ones
+const pruneFinished = () => {
+  let finished = 0
+  downloads = downloads.filter(download => {
+    if (isActive(download)) return true
+    finished++
+    if (finished <= DOWNLOAD_CONFIG.maxRecent) return true
+    requests.delete(download.id)
+    return false
+  })
+}
+
+// =============================================================================
+// INTEGRITY CHECKING
+// =============================================================================
+
+const DIGEST_ALGORITHMS = {
+  'sha-256': 'SHA-256',
+  'sha-384': 'SHA-384',
+  'sha-512': 'SHA-512',
+}
+
+// WebCrypto can only hash a whole buffer; these hash chunk by chunk
+const HASHERS = {
+  'SHA-256': createSHA256,
+  'SHA-384': createSHA384,
+  'SHA-512': createSHA512,
+}
+
+const hexToBase64 = (hex) => {
+  const bytes = hex.match(/.{2}/g).map(byte => parseInt(byte, 16))
+  return btoa(String.fromCharCode(...bytes))
+}
+
+// Read the expected digest from Content-Digest (RFC 9530), Digest (RFC 3230)
+// or X-Checksum-SHA256 (hex); returns { algorithm, value } with a base64 value
+const getExpectedDigest = (headers = {}) => {
+  const header = headers['content-digest'] || headers.digest
+  if (header) {
+    for (const part of header.split(',')) {
+      const match = /^\s*([\w-]+)\s*=\s*:?([^:]+):?\s*$/.exec(part)
+      const algorithm = match && DIGEST_ALGORITHMS[match[1].toLowerCase()]
+      if (algorithm) {
+        return { algorithm, value: match[2] }
+      }
+    }
+  }
+
+  const hex = headers['x-checksum-sha256']
+  if (hex && /^[0-9a-f]{64}$/i.test(hex.trim())) {
+    return { algorithm: 'SHA-256', value: hexToBase64(hex.trim()) }
+  }
+
+  return null
+}
+
+const createHasher = async (algorithm) => {
+  const hasher = await HASHERS[algorithm]()
+  hasher.init()
+  return hasher
+}
+
+const toBase64 = (bytes) => {
+  let binary = ''
+  bytes.forEach(byte => { binary += String.fromCharCode(byte) })
+  return btoa(binary)
+}
+
+// Reads the blob through its stream rather than copying it into one buffer
+const computeDigest = async (blob, algorithm) => {
+  const hasher = await createHasher(algorithm)
+  const reader = blob.stream().getReader()
+
+  for (;;) {
+    const { done, value } = await reader.read()
+    if (done) break
+    hasher.update(value)
+  }
+
+  return toBase64(hasher.digest('binary'))
+}
+
+const checksumMismatch = () => new Error('The downloaded file is corrupted (checksum mismatch). Please retry.')
+
+// =============================================================================
+// DOWNLOADING
+// =============================================================================
+
+// Streaming needs a file to write to as the bytes arrive, and a real network:
+// the mock backend only answers through the API client
+const canStreamToDisk = () => {
+  return typeof window.showSaveFilePicker === 'function' &&
+    typeof ReadableStream !== 'undefined' &&
+    !isMockBackendEnabled()
+}
+
+const shouldStream = (size) => size !== null && size >= DOWNLOAD_CONFIG.streamThreshold && canStreamToDisk()
+
+const headersToObject = (headers) => Object.fromEntries(headers.entries())
+
+// fetch exposes the body as a stream, axios in the browser does not. Each attempt
+// still gets the API client's auth header, request ID, circuit breaker and
+// rate-limit checks, and an entry in the network log
+const fetchDownload = async ({ url, method, data, params }, signal) => {
+  const send = async () => {
+    const config = {
+      url,
+      method,
+      params,
+      signal,
+      headers: {
+        Accept: '*/*',
+        ...(api.defaults.headers.common.Authorization ? { Authorization: api.defaults.headers.common.Authorization } : {}),
+        ...(data !== undefined ? { 'Content-Type': 'application/json' } : {}),
+      },
+    }
+
+    try {
+      await prepareRequest(config)
+    } catch (error) {
+      const apiError = toApiError(error)
+      logRequest(config, apiError instanceof CancelledError ? { cancelled: true } : { error: 'Not sent: server unavailable' })
+      throw apiError
+    }
+
+    try {
+      const response = await fetch(api.getUri({ url, params }), {
+        method,
+        signal,
+        headers: config.headers,
+        body: data !== undefined ? JSON.stringify(data) : undefined,
+      })
+      logRequest(config, { status: response.status, error: response.ok ? null : response.statusText || `HTTP ${response.status}` })
+      return response
+    } catch (error) {
+      const cancelled = error.name === 'AbortError'
+      logRequest(config, cancelled ? { cancelled } : { error: error.message || 'Network Error' })
+      throw cancelled ? new CancelledError({ message: 'Download cancelled', cause: error }) : error
+    }
+  }
+
+  let response = await send()
+
+  // An expired token is refreshed once, as the API client would do
+  if (response.status === HTTP_STATUS.UNAUTHORIZED) {
+    await api.refreshAuthToken()
+    response = await send()
+  }
+
+  if (!response.ok) {
+    const body = await response.json().catch(() => null)
+    throw toApiError({ response: { status: response.status, data: body } })
+  }
+
+  return response
+}
+
+// Write the response to a file the user picks, chunk by chunk; the file only
+// appears once it is complete and, when the server sent a digest, verified
+const streamToDisk = async (id, request, signal) => {
+  let handle
+  try {
+    handle = await window.showSaveFilePicker({ suggestedName: request.filename || undefined })
+  } catch (error) {
+    // Closing the save dialog cancels the download
+    if (error.name === 'AbortError') throw new CancelledError({ message: 'Download cancelled' })
+    throw error
+  }
+
+  const response = await fetchDownload(request, signal)
+  const headers = headersToObject(response.headers)
+  const expected = getExpectedDigest(headers)
+  const hasher = expected ? await createHasher(expected.algorithm) : null
+  const total = Number(headers['content-length']) || request.size
+
+  update(id, { filename: handle.name, total })
+
+  const writable = await handle.createWritable()
+  const reader = response.body.getReader()
+  let loaded = 0
+  let lastProgressAt = 0
+
+  try {
+    for (;;) {
+      const { done, value } = await reader.read()
+      if (done) break
+
+      await writable.write(value)
+      hasher?.update(value)
+      loaded += value.byteLength
+
+      if (Date.now() - lastProgressAt >= DOWNLOAD_CONFIG.progressInterval) {
+        lastProgressAt = Date.now()
+        update(id, { loaded })
+      }
+    }
+
+    let verified = null
+    if (expected) {
+      update(id, { status: DOWNLOAD_STATUS.VERIFYING, loaded })
+      verified = toBase64(hasher.digest('binary')) === expected.value
+      if (!verified) throw checksumMismatch()
+    }
+
+    await writable.close()
+    return { loaded, verified }
+  } catch (error) {
+    // Discards the partly written file
+    await writable.abort().catch(() => {})
+    throw error
+  }
+}
+
+// Fallback: the whole file is held in memory as a Blob, then handed to the browser
+const bufferAndSave = async (id, { url, method, data, params, filename }, signal) => {
+  const response = await api.request({
+    method,
+    url,
+    data,
+    params,
+    responseType: 'blob',
+    timeout: DOWNLOAD_CONFIG.timeout,
+    signal,
+    cancelScope: false, // Downloads keep going in the tray across pages
+    onDownloadProgress: (progressEvent) => {
+      update(id, {
+        loaded: progressEvent.loaded,
+        total: progressEvent.total || null,
+      })
+    },
+  })
+
+  const name = parseContentDisposition(response.headers?.['content-disposition']) ||
+    filename ||
+    url.split('/').filter(Boolean).pop()
+  const blob = response.data
+  const expected = getExpectedDigest(response.headers)
+  let verified = null
+
+  update(id, { filename: name, loaded: blob.size, total: blob.size })
+
+  if (expected) {
+    update(id, { status: DOWNLOAD_STATUS.VERIFYING })
+    verified = (await computeDigest(blob, expected.algorithm)) === expected.value
+
+    if (!verified) throw checksumMismatch()
+  }
+
+  const objectUrl = window.URL.createObjectURL(blob)
+  downloadFile(objectUrl, name)
+  // Give the browser a moment to start saving before releasing the blob
+  setTimeout(() => window.URL.revokeObjectURL(objectUrl), 1000)
+
+  return { loaded: blob.size, verified }
+}
+
+const run = async (id) => {
+  const request = requests.get(id)
+  const controller = new AbortController()
+  controllers.set(id, controller)
+
+  update(id, {
+    status: DOWNLOAD_STATUS.DOWNLOADING,
+    loaded: 0,
+    total: request.size,
+    error: null,
+    verified: null,
+    startedAt: Date.now(),
+    completedAt: null,
+  })
+
+  try {
+    const { loaded, verified } = shouldStream(request.size)
+      ? await streamToDisk(id, request, controller.signal)
+      : await bufferAndSave(id, request, controller.signal)
+
+    update(id, {
+      status: DOWNLOAD_STATUS.COMPLETED,
+      loaded,
+      total: loaded,
+      verified,
+      completedAt: Date.now(),
+    })
+
+    return downloads.find(download => download.id === id)
+  } catch (error) {
+    const cancelled = controller.signal.aborted || error instanceof CancelledError
+
+    update(id, {
+      status: cancelled ? DOWNLOAD_STATUS.CANCELLED : DOWNLOAD_STATUS.FAILED,
+      error: cancelled ? null : { message: error.message || 'Download failed' },
+      completedAt: Date.now(),
+    })
+
+    if (cancelled) {
+      throw new CancelledError({ message: 'Download cancelled' })
+    }
+
+    throw error
+  } finally {
+    controllers.delete(id)
+  }
+}
+
+const downloadManager = {
+  // Download url and save it; resolves with the finished download entry
+  // Options: filename (fallback when the server sends none), method, data, params,
+  // size in bytes when known (large files are streamed to disk where possible)
+  start: (url, options = {}) => {
+    const { filename = null, method = 'GET', data, params, size = null } = options
+    const id = nextId++
+
+    requests.set(id, { url, method, data, params, filename, size })
+    downloads = [{
+      id,
+      url,
+      filename: filename || url.split('/').filter(Boolean).pop(),
+      status: DOWNLOAD_STATUS.DOWNLOADING,
+      loaded: 0,
+      total: size,
+      error: null,
+      verified: null,
+      startedAt: Date.now(),
+      completedAt: null,
+    }, ...downloads]
+    pruneFinished()
+    notify()
+
+    return run(id)
+  },
+
+  cancel: (id) => {
+    controllers.get(id)?.abort()
+  },
+
+  // Start a failed or cancelled download again
+  retry: (id) => {
+    const download = downloads.find(item => item.id === id)
+    if (!download || isActive(download) || !requests.has(id)) {
+      return Promise.resolve(null)
+    }
+    return run(id)
+  },
+
+  remove: (id) => {
+    controllers.get(id)?.abort()
+    controllers.delete(id)
+    requests.delete(id)
+    downloads = downloads.filter(download => download.id !== id)
+    notify()
+  },
+
+  clearFinished: () => {
+    downloads = downloads.filter(download => {
+      if (isActive(download)) return true
+      requests.delete(download.id)
+      return false
+    })
+    notify()
+  },
+
+  getDownloads: () => [...downloads],
+
+  subscribe: (listener) => {
+    listeners.add(listener)
+    return () => listeners.delete(listener)
+  },
+}
+
+export default downloadManager
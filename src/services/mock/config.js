@@ -0,0 +1,32 @@
+// Switches and knobs for the in-browser mock backend
+// Defaults come from MOCK_CONFIG (VITE_MOCK_* variables); overrides saved here
+// win, so the mock can be switched on or slowed down without rebuilding.
+// Kept apart from the backend itself so api.js can check it without loading it
+
+import { storage } from '../../utils/helpers'
+import { MOCK_CONFIG, STORAGE_KEYS } from '../../utils/constants'
+
+export const getMockSettings = () => {
+  return {
+    enabled: MOCK_CONFIG.enabled,
+    latency: MOCK_CONFIG.latency,
+    errorRate: MOCK_CONFIG.errorRate,
+    errorStatus: MOCK_CONFIG.errorStatus,
+    ...(storage.get(STORAGE_KEYS.MOCK_BACKEND) || {}),
+  }
+}
+
+export const isMockBackendEnabled = () => getMockSettings().enabled
+
+// Persist overrides; switching enabled takes effect on the next page load
+export const configureMockBackend = (settings) => {
+  const overrides = { ...(storage.get(STORAGE_KEYS.MOCK_BACKEND) || {}), ...settings }
+  storage.set(STORAGE_KEYS.MOCK_BACKEND, overrides)
+  return getMockSettings()
+}
+
+// Back to the build-time defaults
+export const resetMockSettings = () => {
+  storage.remove(STORAGE_KEYS.MOCK_BACKEND)
+  return getMockSettings()
+}
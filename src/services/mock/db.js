@@ -0,0 +1,163 @@
+// In-memory tables for the mock backend, persisted to IndexedDB
+// Everything is loaded once on the first request and written back after each
+// change, so created articles or uploaded documents survive a reload.
+// Without IndexedDB the mock still works, it just starts fresh every time
+
+import idb, { IDB_STORES, isIndexedDBAvailable } from '../../utils/idb'
+import { createSeedData } from './seed'
+
+const tables = new Map()
+let loadPromise = null
+let persistent = isIndexedDBAvailable()
+
+const now = () => new Date().toISOString()
+
+const getTable = (name) => {
+  if (!tables.has(name)) {
+    tables.set(name, { rows: [], nextId: 1 })
+  }
+  return tables.get(name)
+}
+
+const persist = (name) => {
+  if (!persistent) return Promise.resolve()
+
+  const { rows, nextId } = getTable(name)
+  return idb.put(IDB_STORES.MOCK_DATA, { table: name, rows, nextId }).catch(error => {
+    console.warn(`Mock backend: failed to save ${name}:`, error)
+  })
+}
+
+const fillTables = (data) => {
+  tables.clear()
+  Object.entries(data).forEach(([name, rows]) => {
+    tables.set(name, {
+      rows,
+      nextId: rows.reduce((max, row) => Math.max(max, row.id || 0), 0) + 1,
+    })
+  })
+}
+
+const seed = async () => {
+  fillTables(createSeedData())
+  await Promise.all([...tables.keys()].map(persist))
+}
+
+// =============================================================================
+// LOADING
+// =============================================================================
+
+export const loadDatabase = () => {
+  if (!loadPromise) {
+    loadPromise = (async () => {
+      if (persistent) {
+        try {
+          const records = await idb.getAll(IDB_STORES.MOCK_DATA)
+          if (records.length > 0) {
+            tables.clear()
+            records.forEach(({ table, rows, nextId }) => tables.set(table, { rows, nextId }))
+            return
+          }
+        } catch (error) {
+          console.warn('Mock backend: IndexedDB unavailable, data will not persist:', error)
+          persistent = false
+        }
+      }
+
+      await seed()
+    })()
+  }
+
+  return loadPromise
+}
+
+// =============================================================================
+// TABLE ACCESS
+// =============================================================================
+
+const db = {
+  all: (name) => getTable(name).rows,
+
+  find: (name, id) => getTable(name).rows.find(row => String(row.id) === String(id)) || null,
+
+  findBy: (name, predicate) => getTable(name).rows.find(predicate) || null,
+
+  where: (name, predicate) => getTable(name).rows.filter(predicate),
+
+  insert: (name, values) => {
+    const table = getTable(name)
+    const timestamp = now()
+    const row = { id: table.nextId++, created_at: timestamp, updated_at: timestamp, ...values }
+    table.rows.push(row)
+    persist(name)
+    return row
+  },
+
+  // Counters such as views_count pass { timestamps: false } to leave updated_at alone
+  update: (name, id, changes, { timestamps = true } = {}) => {
+    const table = getTable(name)
+    const index = table.rows.findIndex(row => String(row.id) === String(id))
+    if (index === -1) return null
+
+    table.rows[index] = { ...table.rows[index], ...changes, ...(timestamps ? { updated_at: now() } : {}) }
+    persist(name)
+    return table.rows[index]
+  },
+
+  remove: (name, id) => {
+    const table = getTable(name)
+    const before = table.rows.length
+    table.rows = table.rows.filter(row => String(row.id) !== String(id))
+    persist(name)
+    return table.rows.length < before
+  },
+
+  // Single-record tables such as settings
+  getValue: (name) => getTable(name).rows[0] || null,
+
+  setValue: (name, value) => {
+    getTable(name).rows = [value]
+    persist(name)
+    return value
+  },
+
+  // File contents are kept out of the tables so listing never reads blobs
+  putFile: (key, blob) => {
+    if (!persistent) {
+      getTable('_files').rows.push({ id: key, blob })
+      return Promise.resolve()
+    }
+    return idb.put(IDB_STORES.MOCK_FILES, { key, blob })
+  },
+
+  getFile: async (key) => {
+    if (!persistent) {
+      return getTable('_files').rows.find(row => row.id === key)?.blob || null
+    }
+    const record = await idb.get(IDB_STORES.MOCK_FILES, key).catch(() => null)
+    return record?.blob || null
+  },
+
+  removeFile: (key) => {
+    if (!persistent) {
+      const table = getTable('_files')
+      table.rows = table.rows.filter(row => row.id !== key)
+      return Promise.resolve()
+    }
+    return idb.delete(IDB_STORES.MOCK_FILES, key).catch(() => {})
+  },
+
+  // Throw away every change and start again from the seed data
+  reset: async () => {
+    await loadDatabase()
+    if (persistent) {
+      await Promise.all([
+        idb.clear(IDB_STORES.MOCK_DATA),
+        idb.clear(IDB_STORES.MOCK_FILES),
+      ]).catch(() => {})
+    }
+    await seed()
+  },
+}
+
+export default db
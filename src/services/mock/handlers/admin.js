@@ -0,0 +1,269 @@
+// Admin endpoints: user management, moderation, settings, exports and backups
+// Every route here is admin-only
+
+import db from '../db'
+import { HttpError, respond, notFound, assertValid, sortRows, matchesSearch, paginate } from '../router'
+import { toPublicUser, logActivity } from '../helpers'
+import { formatFileSize } from '../../../utils/helpers'
+import { USER_ROLES, NEWS_STATUS, HTTP_STATUS } from '../../../utils/constants'
+
+const ADMIN_ONLY = { roles: [USER_ROLES.ADMIN] }
+const STORAGE_TOTAL = 10 * 1024 * 1024 * 1024
+
+const findUser = (id) => {
+  const user = db.find('users', id)
+  if (!user) throw notFound('User')
+  return user
+}
+
+const findArticle = (id) => {
+  const article = db.find('news', id)
+  if (!article) throw notFound('Article')
+  return article
+}
+
+const emailTaken = (email, exceptId = null) => {
+  const normalized = String(email || '').toLowerCase().trim()
+  return db.all('users').some(user => user.email === normalized && user.id !== exceptId)
+}
+
+const withStatus = (status) => ({ status, is_active: status === 'active' })
+
+// Log entries carry the acting user like Laravel's with('user')
+const presentActivity = (entry) => {
+  const user = entry.user_id ? db.find('users', entry.user_id) : null
+  return { ...entry, user: user ? toPublicUser(user) : undefined }
+}
+
+const filterActivity = (rows, query) => rows.filter(entry => {
+  const date = entry.created_at.slice(0, 10)
+  return (!query.action || entry.action === query.action) &&
+    (!query.user_id || String(entry.user_id) === String(query.user_id)) &&
+    (!query.date_from || date >= query.date_from) &&
+    (!query.date_to || date <= query.date_to)
+})
+
+const paginateActivity = (rows, query) => {
+  const page = paginate(sortRows(filterActivity(rows, query)), query)
+  return { ...page, data: page.data.map(presentActivity) }
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+const EXPORTS = {
+  users: () => db.all('users').map(toPublicUser),
+  news: () => db.all('news').map(article => ({ ...article, author: article.author?.name })),
+  documents: () => db.all('documents'),
+  activity: () => db.all('activity'),
+}
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return ''
+  const text = Array.isArray(value) ? value.join(';') : String(value)
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+const toCsv = (rows) => {
+  if (rows.length === 0) return ''
+  const columns = Object.keys(rows[0]).filter(column => typeof rows[0][column] !== 'object' || Array.isArray(rows[0][column]))
+  return [
+    columns.join(','),
+    ...rows.map(row => columns.map(column => csvCell(row[column])).join(',')),
+  ].join('\n')
+}
+
+// =============================================================================
+// ROUTES
+// =============================================================================
+
+export const registerAdminRoutes = (router) => {
+  // ---------------------------------------------------------------------------
+  // Users
+  // ---------------------------------------------------------------------------
+
+  router.get('/admin/users', ({ query }) => {
+    const rows = db.all('users').filter(user => (
+      matchesSearch(user, query.search, ['name', 'email']) &&
+      (!query.role || user.role === query.role) &&
+      (!query.status || user.status === query.status)
+    ))
+    const page = paginate(sortRows(rows, query.sort_by, query.sort_order), query)
+    return { ...page, data: page.data.map(toPublicUser) }
+  }, ADMIN_ONLY)
+
+  router.post('/admin/users', ({ body, user: admin }) => {
+    assertValid({
+      email: emailTaken(body.email) && 'The email has already been taken.',
+    })
+
+    const user = db.insert('users', {
+      name: String(body.name).trim(),
+      email: String(body.email).toLowerCase().trim(),
+      password: body.password,
+      role: body.role || USER_ROLES.USER,
+      avatar: null,
+      ...withStatus(body.status || 'active'),
+      email_verified_at: new Date().toISOString(),
+      last_login_at: null,
+    })
+
+    logActivity(admin, { type: 'user', action: 'created', title: `Created account for ${user.name}` })
+    return respond(HTTP_STATUS.CREATED, { data: toPublicUser(user) })
+  }, ADMIN_ONLY)
+
+  router.get('/admin/users/:id', ({ params }) => ({ data: toPublicUser(findUser(params.id)) }), ADMIN_ONLY)
+
+  router.put('/admin/users/:id', ({ params, body }) => {
+    const user = findUser(params.id)
+    assertValid({
+      email: body.email !== undefined && emailTaken(body.email, user.id) && 'The email has already been taken.',
+    })
+
+    const changes = { ...body }
+    if (body.status !== undefined) Object.assign(changes, withStatus(body.status))
+    if (!body.password) delete changes.password
+
+    return { data: toPublicUser(db.update('users', user.id, changes)) }
+  }, ADMIN_ONLY)
+
+  router.delete('/admin/users/:id', ({ params, user: admin }) => {
+    const user = findUser(params.id)
+    if (user.id === admin.id) {
+      throw new HttpError(HTTP_STATUS.FORBIDDEN, 'You cannot delete your own account.')
+    }
+
+    db.remove('users', user.id)
+    return respond(HTTP_STATUS.NO_CONTENT, '')
+  }, ADMIN_ONLY)
+
+  router.patch('/admin/users/:id/role', ({ params, body }) => {
+    assertValid({
+      role: !Object.values(USER_ROLES).includes(body.role) && 'The selected role is invalid.',
+    })
+    return { data: toPublicUser(db.update('users', findUser(params.id).id, { role: body.role })) }
+  }, ADMIN_ONLY)
+
+  router.patch('/admin/users/:id/suspend', ({ params, body, user: admin }) => {
+    const user = findUser(params.id)
+    if (user.id === admin.id) {
+      throw new HttpError(HTTP_STATUS.FORBIDDEN, 'You cannot suspend your own account.')
+    }
+
+    const updated = db.update('users', user.id, { ...withStatus('suspended'), suspension_reason: body.reason || null })
+    return { data: toPublicUser(updated) }
+  }, ADMIN_ONLY)
+
+  router.patch('/admin/users/:id/activate', ({ params }) => {
+    const updated = db.update('users', findUser(params.id).id, { ...withStatus('active'), suspension_reason: null })
+    return { data: toPublicUser(updated) }
+  }, ADMIN_ONLY)
+
+  router.get('/admin/users/:id/activity', ({ params, query }) => {
+    const user = findUser(params.id)
+    return paginateActivity(db.where('activity', entry => entry.user_id === user.id), query)
+  }, ADMIN_ONLY)
+
+  // ---------------------------------------------------------------------------
+  // System
+  // ---------------------------------------------------------------------------
+
+  router.get('/admin/statistics', () => {
+    const users = db.all('users')
+    const monthStart = new Date()
+    monthStart.setDate(1)
+    monthStart.setHours(0, 0, 0, 0)
+    const storageUsed = db.all('documents').reduce((sum, document) => sum + document.file_size, 0)
+
+    return {
+      data: {
+        totalUsers: users.length,
+        activeUsers: users.filter(user => user.status === 'active').length,
+        newUsersThisMonth: users.filter(user => new Date(user.created_at) >= monthStart).length,
+        totalSessions: db.where('activity', entry => entry.action === 'login').length,
+        systemHealth: storageUsed / STORAGE_TOTAL < 0.9 ? 'good' : 'warning',
+        storageUsed: formatFileSize(storageUsed),
+        storageTotal: formatFileSize(STORAGE_TOTAL),
+      },
+    }
+  }, ADMIN_ONLY)
+
+  router.get('/admin/settings', () => ({ data: db.getValue('settings') || {} }), ADMIN_ONLY)
+
+  router.put('/admin/settings', ({ body }) => {
+    const roles = body.two_factor_required_roles
+    const idleTimeout = body.session_idle_timeout
+    assertValid({
+      two_factor_required_roles: roles !== undefined &&
+        (!Array.isArray(roles) || roles.some(role => !Object.values(USER_ROLES).includes(role))) &&
+        'The selected roles are invalid.',
+      session_idle_timeout: idleTimeout !== undefined &&
+        (!Number.isInteger(idleTimeout) || idleTimeout < 0 || idleTimeout > 1440) &&
+        'The idle timeout must be between 0 and 1440 minutes.',
+    })
+
+    return { data: db.setValue('settings', { ...(db.getValue('settings') || {}), ...body }) }
+  }, ADMIN_ONLY)
+
+  router.get('/admin/activity-logs', ({ query }) => paginateActivity(db.all('activity'), query), ADMIN_ONLY)
+
+  router.post('/admin/export/:type', ({ params }) => {
+    const rows = EXPORTS[params.type]
+    if (!rows) throw notFound('Export')
+
+    const date = new Date().toISOString().slice(0, 10)
+    return respond(HTTP_STATUS.OK, new Blob([toCsv(rows())], { type: 'text/csv' }), {
+      'content-type': 'text/csv',
+      'content-disposition': `attachment; filename="${params.type}_export_${date}.csv"`,
+    })
+  }, ADMIN_ONLY)
+
+  // The "backup" is sized from the mock's own tables
+  router.post('/admin/backup', () => {
+    const size = new Blob([JSON.stringify(['users', 'news', 'documents', 'activity'].map(db.all))]).size
+    const stamp = new Date().toISOString().slice(0, 19).replace(/[-:T]/g, '')
+    return respond(HTTP_STATUS.CREATED, { data: db.insert('backups', { filename: `insbu-backup-${stamp}.sql.gz`, size }) })
+  }, ADMIN_ONLY)
+
+  router.get('/admin/backups', () => ({ data: sortRows(db.all('backups')) }), ADMIN_ONLY)
+
+  router.post('/admin/notifications', ({ body, user }) => {
+    db.insert('notifications', { ...body, sent_by: user.id })
+    return { message: 'Notification queued.' }
+  }, ADMIN_ONLY)
+
+  // ---------------------------------------------------------------------------
+  // Moderation
+  // ---------------------------------------------------------------------------
+
+  router.get('/admin/articles', ({ query }) => {
+    const rows = db.all('news').filter(article => (
+      matchesSearch(article, query.search, ['title', 'excerpt']) &&
+      (!query.status || article.status === query.status) &&
+      (!query.category || article.category === query.category) &&
+      (!query.author_id || String(article.author_id) === String(query.author_id))
+    ))
+    return paginate(sortRows(rows, query.sort_by, query.sort_order), query)
+  }, ADMIN_ONLY)
+
+  router.patch('/admin/articles/:id/approve', ({ params, user }) => {
+    const article = findArticle(params.id)
+    const updated = db.update('news', article.id, {
+      status: NEWS_STATUS.PUBLISHED,
+      published_at: article.published_at || new Date().toISOString(),
+      rejection_reason: null,
+    })
+
+    logActivity(user, { type: 'news', action: 'published', title: updated.title, category: updated.category })
+    return { data: updated }
+  }, ADMIN_ONLY)
+
+  router.patch('/admin/articles/:id/reject', ({ params, body }) => {
+    const updated = db.update('news', findArticle(params.id).id, {
+      status: NEWS_STATUS.DRAFT,
+      rejection_reason: body.reason || null,
+    })
+    return { data: updated }
+  }, ADMIN_ONLY)
+}
@@ -0,0 +1,214 @@
+// Authentication endpoints: sessions, profile, password reset and email verification
+// Two-factor enrolment lives in twoFactor.js; login hands over to it when needed
+// Passkeys are managed in passkeys.js; a verified passkey signs in here
+// Single sign-on likewise: oidc.js redeems the code, and the session starts here
+
+import db from '../db'
+import { HttpError, respond, assertValid } from '../router'
+import {
+  issueToken,
+  createSession,
+  resolveSession,
+  getBearerToken,
+  toPublicUser,
+  logActivity,
+  SESSION_LIFETIME
+} from '../helpers'
+import { createChallenge, resolveChallenge } from './twoFactor'
+import { resolvePasskeyLogin } from './passkeys'
+import { resolveSsoLogin } from './oidc'
+import { MOCK_CONFIG, USER_ROLES, HTTP_STATUS } from '../../../utils/constants'
+
+// Reset links stop working after an hour, as with Laravel's default broker
+const PASSWORD_RESET_LIFETIME = 60 * 60 * 1000
+
+// Minimum gap between verification emails, like a throttle:1,1 middleware
+const VERIFICATION_RESEND_INTERVAL = 60 * 1000
+
+// Every sign-in starts a new row in the sessions table
+const session = (user) => ({
+  user: toPublicUser(user),
+  token: issueToken(user, createSession(user)),
+  expires_in: MOCK_CONFIG.tokenLifetime,
+})
+
+const findByEmail = (email) => {
+  const normalized = String(email || '').toLowerCase().trim()
+  return db.findBy('users', user => user.email === normalized)
+}
+
+const signIn = (user) => {
+  const updated = db.update('users', user.id, { last_login_at: new Date().toISOString() })
+  logActivity(updated, { type: 'user', action: 'login', title: 'Signed in' })
+  return session(updated)
+}
+
+const randomToken = () => {
+  return Array.from({ length: 2 }, () => Math.random().toString(36).slice(2)).join('')
+}
+
+export const registerAuthRoutes = (router) => {
+  router.post('/auth/login', ({ body }) => {
+    const user = findByEmail(body.email)
+
+    if (!user || user.password !== body.password) {
+      throw new HttpError(HTTP_STATUS.UNAUTHORIZED, 'These credentials do not match our records.')
+    }
+    if (user.status !== 'active') {
+      throw new HttpError(HTTP_STATUS.FORBIDDEN, 'Your account has been suspended.')
+    }
+
+    // Enrolled users finish signing in with a code at /auth/two-factor/challenge
+    return user.two_factor_confirmed_at ? createChallenge(user) : signIn(user)
+  }, { auth: false })
+
+  router.post('/auth/two-factor/challenge', async ({ body }) => {
+    return signIn(await resolveChallenge(body))
+  }, { auth: false })
+
+  // A passkey already proves two factors, so there is no code step
+  router.post('/auth/passkeys/login', async ({ body }) => {
+    return signIn(await resolvePasskeyLogin(body))
+  }, { auth: false })
+
+  // The organisation's provider enforces its own second factor
+  router.post('/auth/oidc/callback', async ({ body }) => {
+    const { user, idToken } = await resolveSsoLogin(body)
+    return { ...signIn(user), id_token: idToken }
+  }, { auth: false })
+
+  router.post('/auth/register', ({ body }) => {
+    const settings = db.getValue('settings')
+    if (settings && !settings.registration_enabled) {
+      throw new HttpError(HTTP_STATUS.FORBIDDEN, 'Registration is currently closed.')
+    }
+
+    assertValid({
+      email: findByEmail(body.email) && 'The email has already been taken.',
+    })
+
+    const user = db.insert('users', {
+      name: String(body.name).trim(),
+      email: String(body.email).toLowerCase().trim(),
+      password: body.password,
+      role: settings?.default_role || USER_ROLES.USER,
+      avatar: null,
+      status: 'active',
+      is_active: true,
+      email_verified_at: null,
+      verification_token: randomToken(),
+      verification_sent_at: new Date().toISOString(),
+      last_login_at: new Date().toISOString(),
+    })
+
+    console.info(`[mock] Verification link for ${user.email}: /verify-email/${user.verification_token}`)
+    logActivity(user, { type: 'user', action: 'registered', title: 'New user joined' })
+    return respond(HTTP_STATUS.CREATED, session(user))
+  }, { auth: false })
+
+  router.get('/auth/user', ({ user }) => ({ data: toPublicUser(user) }))
+
+  router.get('/auth/validate', ({ user }) => ({ valid: true, user_id: user.id }))
+
+  router.post('/auth/refresh', ({ headers }) => {
+    // Expired tokens can still be exchanged while their session is alive
+    const current = resolveSession(getBearerToken(headers), { allowExpiredFor: SESSION_LIFETIME })
+    if (!current) {
+      throw new HttpError(HTTP_STATUS.UNAUTHORIZED, 'Unauthenticated.')
+    }
+
+    db.update('sessions', current.session.id, { last_active_at: new Date().toISOString() }, { timestamps: false })
+    return { token: issueToken(current.user, current.session), user: toPublicUser(current.user) }
+  }, { auth: false })
+
+  // Ends this session only; an expired token is enough to sign out
+  router.post('/auth/logout', ({ headers }) => {
+    const current = resolveSession(getBearerToken(headers), { allowExpiredFor: SESSION_LIFETIME })
+    if (current) db.remove('sessions', current.session.id)
+    return { message: 'Logged out' }
+  }, { auth: false })
+
+  router.put('/auth/profile', ({ body, user }) => {
+    const changes = {}
+
+    if (body.name !== undefined) changes.name = String(body.name).trim()
+
+    if (body.email !== undefined) {
+      const owner = findByEmail(body.email)
+      assertValid({
+        email: owner && owner.id !== user.id && 'The email has already been taken.',
+      })
+      changes.email = String(body.email).toLowerCase().trim()
+    }
+
+    if (body.password) {
+      assertValid({
+        current_password: body.current_password !== user.password && 'The current password is incorrect.',
+        password_confirmation: body.password !== body.password_confirmation && 'The password confirmation does not match.',
+      })
+      changes.password = body.password
+    }
+
+    return { data: toPublicUser(db.update('users', user.id, changes)) }
+  })
+
+  // No mail is sent; the reset link is printed to the console instead
+  router.post('/auth/password/reset', ({ body }) => {
+    const user = findByEmail(body.email)
+
+    if (user) {
+      const token = randomToken()
+      db.where('password_resets', row => row.email === user.email).forEach(row => db.remove('password_resets', row.id))
+      db.insert('password_resets', { email: user.email, token })
+      console.info(`[mock] Password reset link for ${user.email}: /reset-password/${token}?email=${encodeURIComponent(user.email)}`)
+    }
+
+    // Same answer either way so the endpoint does not reveal which emails exist
+    return { message: 'We have emailed your password reset link.' }
+  }, { auth: false })
+
+  router.post('/auth/password/update', ({ body }) => {
+    const email = String(body.email || '').toLowerCase().trim()
+    const reset = db.findBy('password_resets', row => row.email === email && row.token === body.token)
+    const user = findByEmail(email)
+    const expired = reset && Date.parse(reset.created_at) + PASSWORD_RESET_LIFETIME < Date.now()
+
+    assertValid({
+      token: (!reset || !user || expired) && 'This password reset token is invalid.',
+      password: String(body.password || '').length < 8 && 'The password must be at least 8 characters.',
+      password_confirmation: body.password !== body.password_confirmation && 'The password confirmation does not match.',
+    })
+
+    db.update('users', user.id, { password: body.password })
+    db.remove('password_resets', reset.id)
+    return { message: 'Your password has been reset.' }
+  }, { auth: false })
+
+  router.post('/auth/email/verify', ({ body }) => {
+    const user = db.findBy('users', row => row.verification_token && row.verification_token === body.token)
+    assertValid({
+      token: !user && 'This verification link is invalid.',
+    })
+
+    db.update('users', user.id, { email_verified_at: new Date().toISOString(), verification_token: null })
+    return { message: 'Email verified.' }
+  }, { auth: false })
+
+  router.post('/auth/email/resend', ({ user }) => {
+    if (user.email_verified_at) {
+      return { message: 'Email already verified.' }
+    }
+
+    const wait = Date.parse(user.verification_sent_at || 0) + VERIFICATION_RESEND_INTERVAL - Date.now()
+    if (wait > 0) {
+      throw new HttpError(HTTP_STATUS.TOO_MANY_REQUESTS, 'Too Many Attempts.', null, {
+        'retry-after': String(Math.ceil(wait / 1000)),
+      })
+    }
+
+    const token = randomToken()
+    db.update('users', user.id, { verification_token: token, verification_sent_at: new Date().toISOString() })
+    console.info(`[mock] Verification link for ${user.email}: /verify-email/${token}`)
+    return { message: 'Verification link sent.' }
+  })
+}
@@ -0,0 +1,244 @@
+// Document endpoints, including the tus upload server the resumable uploader talks to
+
+import db from '../db'
+import { HttpError, respond, notFound, assertValid, sortRows, matchesSearch, paginate } from '../router'
+import { canManageContent, forbidden, logActivity, sha256Hex, decodeTusMetadata, toBoolean } from '../helpers'
+import { USER_ROLES, FILE_UPLOAD_CONFIG, HTTP_STATUS } from '../../../utils/constants'
+
+const EDITORIAL = [USER_ROLES.ADMIN, USER_ROLES.EDITOR]
+const SEARCH_FIELDS = ['title', 'description', 'original_name']
+
+const documentFileKey = (id) => `document:${id}`
+const uploadFileKey = (id) => `upload:${id}`
+
+const extensionOf = (name = '') => name.split('.').pop().toLowerCase()
+
+// Internal documents are only listed for staff and their uploader
+const canSee = (document, user) => {
+  return document.is_public || canManageContent(user) || document.uploaded_by === user?.id
+}
+
+const visibleDocuments = (user) => db.where('documents', document => canSee(document, user))
+
+const findVisible = (id, user) => {
+  const document = db.find('documents', id)
+  if (!document || !canSee(document, user)) throw notFound('Document')
+  return document
+}
+
+const findEditable = (id, user) => {
+  const document = db.find('documents', id)
+  if (!document) throw notFound('Document')
+  if (user.role !== USER_ROLES.ADMIN && document.uploaded_by !== user.id) throw forbidden()
+  return document
+}
+
+const parseTags = (tags) => {
+  if (Array.isArray(tags)) return tags.filter(Boolean)
+  return String(tags || '').split(',').map(tag => tag.trim()).filter(Boolean)
+}
+
+// Seeded documents have no file behind them; serve a short text stand-in
+const placeholderFile = (document) => {
+  const text = `${document.title}\n\n${document.description}\n\nPlaceholder generated by the mock backend.\n`
+  return {
+    blob: new Blob([text], { type: 'text/plain' }),
+    name: `${document.original_name.replace(/\.[^.]+$/, '')}.txt`,
+  }
+}
+
+const findUpload = (id) => {
+  const upload = db.find('uploads', id)
+  if (!upload) throw notFound('Upload')
+  return upload
+}
+
+export const registerDocumentRoutes = (router) => {
+  // ---------------------------------------------------------------------------
+  // Listing and reading
+  // ---------------------------------------------------------------------------
+
+  router.get('/documents', ({ query, user }) => {
+    const rows = visibleDocuments(user).filter(row => (
+      matchesSearch(row, query.search, SEARCH_FIELDS) &&
+      (!query.category || row.category === query.category) &&
+      (!query.type || extensionOf(row.original_name) === query.type.toLowerCase())
+    ))
+    return paginate(sortRows(rows, query.sort_by, query.sort_order), query)
+  }, { auth: false })
+
+  router.get('/documents/categories', ({ user }) => {
+    return { data: [...new Set(visibleDocuments(user).map(row => row.category))].sort() }
+  }, { auth: false })
+
+  router.get('/documents/search', ({ query, user }) => {
+    const rows = visibleDocuments(user).filter(row => {
+      const date = row.created_at.slice(0, 10)
+      return matchesSearch(row, query.q, SEARCH_FIELDS) &&
+        (!query.category || row.category === query.category) &&
+        (!query.type || extensionOf(row.original_name) === query.type.toLowerCase()) &&
+        (!query.date_from || date >= query.date_from) &&
+        (!query.date_to || date <= query.date_to)
+    })
+    return { data: sortRows(rows).slice(0, Number(query.limit) || 20) }
+  }, { auth: false })
+
+  router.get('/documents/recent', ({ query, user }) => {
+    return { data: sortRows(visibleDocuments(user)).slice(0, Number(query.limit) || 5) }
+  }, { auth: false })
+
+  router.get('/documents/popular', ({ query, user }) => {
+    return { data: sortRows(visibleDocuments(user), 'downloads_count').slice(0, Number(query.limit) || 5) }
+  }, { auth: false })
+
+  router.get('/documents/stats', ({ user }) => {
+    const rows = visibleDocuments(user)
+    return {
+      total: rows.length,
+      total_downloads: rows.reduce((sum, row) => sum + row.downloads_count, 0),
+      total_size: rows.reduce((sum, row) => sum + row.file_size, 0),
+    }
+  }, { auth: false })
+
+  router.get('/documents/:id', ({ params, user }) => {
+    return { data: findVisible(params.id, user) }
+  }, { auth: false })
+
+  router.get('/documents/:id/access', ({ params, user }) => {
+    const document = db.find('documents', params.id)
+    if (!document) throw notFound('Document')
+    return { can_access: canSee(document, user) }
+  }, { auth: false })
+
+  router.get('/documents/:id/download', async ({ params, user }) => {
+    const document = findVisible(params.id, user)
+    const stored = await db.getFile(documentFileKey(document.id))
+    const { blob, name } = stored
+      ? { blob: stored, name: document.original_name }
+      : placeholderFile(document)
+
+    db.update('documents', document.id, { downloads_count: document.downloads_count + 1 }, { timestamps: false })
+    logActivity(user, { type: 'document', action: 'downloaded', title: document.title, category: document.category })
+
+    const checksum = await sha256Hex(blob)
+    return respond(HTTP_STATUS.OK, blob, {
+      'content-type': blob.type || 'application/octet-stream',
+      'content-length': String(blob.size),
+      'content-disposition': `attachment; filename="${name}"`,
+      ...(checksum ? { 'x-checksum-sha256': checksum } : {}),
+    })
+  }, { auth: false })
+
+  // ---------------------------------------------------------------------------
+  // Changes
+  // ---------------------------------------------------------------------------
+
+  // Turns a finished tus upload into a document
+  router.post('/documents', async ({ body, user }) => {
+    const upload = db.find('uploads', body.upload_id)
+
+    assertValid({
+      upload_id: (!upload || upload.offset < upload.length) && 'The upload is missing or incomplete.',
+    })
+
+    const blob = await db.getFile(uploadFileKey(upload.id))
+    const document = db.insert('documents', {
+      title: body.title,
+      description: body.description || '',
+      category: body.category,
+      original_name: upload.metadata.filename || 'document',
+      mime_type: upload.metadata.filetype || 'application/octet-stream',
+      file_size: upload.length,
+      checksum: blob ? await sha256Hex(blob) : null,
+      is_public: toBoolean(body.is_public),
+      tags: parseTags(body.tags),
+      uploaded_by: user.id,
+      downloads_count: 0,
+    })
+
+    if (blob) {
+      await db.putFile(documentFileKey(document.id), blob)
+    }
+    await db.removeFile(uploadFileKey(upload.id))
+    db.remove('uploads', upload.id)
+
+    logActivity(user, { type: 'document', action: 'uploaded', title: document.title, category: document.category })
+    return respond(HTTP_STATUS.CREATED, { data: document })
+  }, { roles: EDITORIAL, verified: true })
+
+  router.put('/documents/:id', ({ params, body, user }) => {
+    const document = findEditable(params.id, user)
+    const changes = { ...body }
+    if (body.tags !== undefined) changes.tags = parseTags(body.tags)
+    if (body.is_public !== undefined) changes.is_public = toBoolean(body.is_public)
+
+    return { data: db.update('documents', document.id, changes) }
+  }, { roles: EDITORIAL })
+
+  router.delete('/documents/:id', async ({ params, user }) => {
+    const document = findEditable(params.id, user)
+    db.remove('documents', document.id)
+    await db.removeFile(documentFileKey(document.id))
+    return respond(HTTP_STATUS.NO_CONTENT, '')
+  }, { roles: EDITORIAL })
+
+  // ---------------------------------------------------------------------------
+  // tus uploads (creation, offset and chunk requests)
+  // ---------------------------------------------------------------------------
+
+  router.post('/uploads', ({ headers }) => {
+    const length = Number(headers['upload-length'])
+    if (!Number.isFinite(length) || length < 0) {
+      throw new HttpError(HTTP_STATUS.BAD_REQUEST, 'Upload-Length header is required')
+    }
+    if (length > FILE_UPLOAD_CONFIG.maxSize) {
+      throw new HttpError(HTTP_STATUS.PAYLOAD_TOO_LARGE, 'Upload exceeds the maximum size')
+    }
+
+    const upload = db.insert('uploads', {
+      length,
+      offset: 0,
+      metadata: decodeTusMetadata(headers['upload-metadata']),
+    })
+
+    return respond(HTTP_STATUS.CREATED, '', {
+      location: `/uploads/${upload.id}`,
+      'tus-resumable': FILE_UPLOAD_CONFIG.tusVersion,
+    })
+  }, { roles: EDITORIAL, verified: true })
+
+  router.head('/uploads/:id', ({ params }) => {
+    const upload = findUpload(params.id)
+    return respond(HTTP_STATUS.OK, '', {
+      'upload-offset': String(upload.offset),
+      'upload-length': String(upload.length),
+      'cache-control': 'no-store',
+    })
+  }, { roles: EDITORIAL })
+
+  router.patch('/uploads/:id', async ({ params, headers, body }) => {
+    const upload = findUpload(params.id)
+    if (Number(headers['upload-offset']) !== upload.offset) {
+      throw new HttpError(HTTP_STATUS.CONFLICT, 'Upload-Offset does not match the stored offset')
+    }
+
+    const chunk = body instanceof Blob ? body : new Blob([body || ''])
+    const received = await db.getFile(uploadFileKey(upload.id))
+    await db.putFile(uploadFileKey(upload.id), new Blob(received ? [received, chunk] : [chunk]))
+
+    const offset = Math.min(upload.offset + chunk.size, upload.length)
+    db.update('uploads', upload.id, { offset })
+
+    return respond(HTTP_STATUS.NO_CONTENT, '', {
+      'upload-offset': String(offset),
+      'tus-resumable': FILE_UPLOAD_CONFIG.tusVersion,
+    })
+  }, { roles: EDITORIAL })
+
+  router.delete('/uploads/:id', async ({ params }) => {
+    const upload = findUpload(params.id)
+    db.remove('uploads', upload.id)
+    await db.removeFile(uploadFileKey(upload.id))
+    return respond(HTTP_STATUS.NO_CONTENT, '')
+  }, { roles: EDITORIAL })
+}
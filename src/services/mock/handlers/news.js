@@ -0,0 +1,149 @@
+// News endpoints: public listing and reading, editorial CRUD and image uploads
+
+import db from '../db'
+import { respond, notFound, assertValid, sortRows, matchesSearch, paginate } from '../router'
+import { canManageContent, forbidden, hasPermission, logActivity, readDataUrl } from '../helpers'
+import { USER_ROLES, NEWS_STATUS, HTTP_STATUS, PERMISSIONS } from '../../../utils/constants'
+
+const EDITORIAL = [USER_ROLES.ADMIN, USER_ROLES.EDITOR]
+const SEARCH_FIELDS = ['title', 'excerpt', 'body']
+
+// Readers only ever see published articles
+const visibleNews = (user) => {
+  const rows = db.all('news')
+  return canManageContent(user) ? rows : rows.filter(row => row.status === NEWS_STATUS.PUBLISHED)
+}
+
+const published = () => db.where('news', row => row.status === NEWS_STATUS.PUBLISHED)
+
+const withinDates = (row, { date_from: from, date_to: to }) => {
+  const date = (row.published_at || row.created_at).slice(0, 10)
+  return (!from || date >= from) && (!to || date <= to)
+}
+
+// Authors may change their own articles; edit_any_news allows any
+const findEditable = (id, user) => {
+  const article = db.find('news', id)
+  if (!article) throw notFound('Article')
+  if (!hasPermission(user, PERMISSIONS.EDIT_ANY_NEWS) && article.author_id !== user.id) throw forbidden()
+  return article
+}
+
+// Publishing without review needs publish_news; others submit for review
+const assertCanPublish = (user, article, status) => {
+  if (status === NEWS_STATUS.PUBLISHED && article?.status !== NEWS_STATUS.PUBLISHED &&
+      !hasPermission(user, PERMISSIONS.PUBLISH_NEWS)) {
+    throw forbidden()
+  }
+}
+
+const publishedAt = (article, status) => {
+  if (status !== NEWS_STATUS.PUBLISHED) return article?.published_at ?? null
+  return article?.published_at || new Date().toISOString()
+}
+
+export const registerNewsRoutes = (router) => {
+  router.get('/news', ({ query, user }) => {
+    const rows = visibleNews(user).filter(row => (
+      matchesSearch(row, query.search, SEARCH_FIELDS) &&
+      (!query.category || row.category === query.category) &&
+      (!query.status || row.status === query.status)
+    ))
+    return paginate(sortRows(rows, query.sort_by, query.sort_order), query)
+  }, { auth: false })
+
+  router.get('/news/featured', ({ query }) => {
+    const rows = published().filter(row => row.featured)
+    return { data: sortRows(rows, 'published_at').slice(0, Number(query.limit) || 5) }
+  }, { auth: false })
+
+  router.get('/news/recent', ({ query }) => {
+    return { data: sortRows(published(), 'published_at').slice(0, Number(query.limit) || 5) }
+  }, { auth: false })
+
+  router.get('/news/categories', () => {
+    return { data: [...new Set(published().map(row => row.category))].sort() }
+  }, { auth: false })
+
+  router.get('/news/search', ({ query }) => {
+    const rows = published().filter(row => (
+      matchesSearch(row, query.q, SEARCH_FIELDS) &&
+      (!query.category || row.category === query.category) &&
+      withinDates(row, query)
+    ))
+    return { data: sortRows(rows, 'published_at').slice(0, Number(query.limit) || 10) }
+  }, { auth: false })
+
+  router.post('/news/upload-image', async ({ body }) => {
+    const image = body instanceof FormData ? body.get('image') : null
+    assertValid({
+      image: !(image instanceof Blob) && 'The image field is required.',
+    })
+
+    // Stored inline so the URL keeps working after a reload
+    return { data: { url: await readDataUrl(image) } }
+  }, { roles: EDITORIAL, verified: true })
+
+  router.get('/news/:id', ({ params, user }) => {
+    const article = visibleNews(user).find(row => String(row.id) === params.id)
+    if (!article) throw notFound('Article')
+
+    if (user) {
+      logActivity(user, { type: 'news', action: 'read', title: article.title, category: article.category })
+    }
+    return { data: db.update('news', article.id, { views_count: article.views_count + 1 }, { timestamps: false }) }
+  }, { auth: false })
+
+  router.post('/news', ({ body, user }) => {
+    assertCanPublish(user, null, body.status)
+    const article = db.insert('news', {
+      title: body.title,
+      body: body.body,
+      excerpt: body.excerpt || '',
+      category: body.category,
+      status: body.status || NEWS_STATUS.DRAFT,
+      image_url: body.image_url || null,
+      author: { id: user.id, name: user.name },
+      author_id: user.id,
+      views_count: 0,
+      featured: false,
+      published_at: publishedAt(null, body.status),
+    })
+
+    logActivity(user, { type: 'news', action: 'created', title: article.title, category: article.category })
+    return respond(HTTP_STATUS.CREATED, { data: article })
+  }, { roles: EDITORIAL, verified: true })
+
+  router.put('/news/:id', ({ params, body, user }) => {
+    const article = findEditable(params.id, user)
+    const status = body.status ?? article.status
+    assertCanPublish(user, article, status)
+    const updated = db.update('news', article.id, { ...body, published_at: publishedAt(article, status) })
+
+    logActivity(user, { type: 'news', action: 'edited', title: updated.title, category: updated.category })
+    return { data: updated }
+  }, { roles: EDITORIAL })
+
+  router.delete('/news/:id', ({ params, user }) => {
+    const article = findEditable(params.id, user)
+    db.remove('news', article.id)
+    return respond(HTTP_STATUS.NO_CONTENT, '')
+  }, { roles: EDITORIAL })
+
+  router.patch('/news/:id/publish', ({ params, user }) => {
+    const article = findEditable(params.id, user)
+    assertCanPublish(user, article, NEWS_STATUS.PUBLISHED)
+    const updated = db.update('news', article.id, {
+      status: NEWS_STATUS.PUBLISHED,
+      published_at: publishedAt(article, NEWS_STATUS.PUBLISHED),
+    })
+
+    logActivity(user, { type: 'news', action: 'published', title: updated.title, category: updated.category })
+    return { data: updated }
+  }, { roles: EDITORIAL })
+
+  router.patch('/news/:id/unpublish', ({ params, user }) => {
+    const article = findEditable(params.id, user)
+    return { data: db.update('news', article.id, { status: NEWS_STATUS.DRAFT }) }
+  }, { roles: EDITORIAL })
+}
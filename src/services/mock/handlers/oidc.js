@@ -0,0 +1,89 @@
+// Single sign-on with the organisation's OpenID Connect provider
+// The browser brings back an authorization code and its PKCE verifier; the code
+// is redeemed with the stand-in provider, as a real backend would do with the
+// client secret, and the ID token's nonce must match the one the browser sent.
+// Sign-in itself is in auth.js; linking from Settings is here.
+
+import db from '../db'
+import { HttpError, assertValid } from '../router'
+import { logActivity, toPublicUser } from '../helpers'
+import { exchangeCode } from '../identityProvider'
+import { HTTP_STATUS } from '../../../utils/constants'
+
+const FAILED = 'The organisation sign-in could not be completed.'
+
+const redeem = async (body) => {
+  let result
+  try {
+    result = await exchangeCode(body)
+  } catch {
+    throw new HttpError(HTTP_STATUS.UNPROCESSABLE_ENTITY, FAILED, { code: [FAILED] })
+  }
+
+  if (!body.nonce || result.claims.nonce !== body.nonce) {
+    throw new HttpError(HTTP_STATUS.UNPROCESSABLE_ENTITY, FAILED, { nonce: [FAILED] })
+  }
+
+  return result
+}
+
+const link = (user, claims) => {
+  return db.update('users', user.id, {
+    oidc_subject: claims.sub,
+    oidc_email: claims.email,
+    oidc_linked_at: new Date().toISOString(),
+    // The provider vouches for the address
+    ...(!user.email_verified_at && claims.email_verified && claims.email === user.email
+      ? { email_verified_at: new Date().toISOString(), verification_token: null }
+      : {}),
+  })
+}
+
+// Linked subject first; otherwise the portal account with the same email, which
+// is linked on the spot since the ministry's addresses are verified
+export const resolveSsoLogin = async (body) => {
+  const { id_token, claims } = await redeem(body)
+
+  let user = db.findBy('users', row => row.oidc_subject === claims.sub)
+  if (!user && claims.email_verified) {
+    const match = db.findBy('users', row => row.email === String(claims.email).toLowerCase())
+    if (match && !match.oidc_subject) {
+      user = link(match, claims)
+      logActivity(user, { type: 'user', action: 'sso_linked', title: 'Linked an organisation account' })
+    }
+  }
+
+  if (!user) {
+    throw new HttpError(HTTP_STATUS.NOT_FOUND, 'No portal account matches this organisation account.')
+  }
+  if (user.status !== 'active') {
+    throw new HttpError(HTTP_STATUS.FORBIDDEN, 'Your account has been suspended.')
+  }
+
+  return { user, idToken: id_token }
+}
+
+export const registerSsoRoutes = (router) => {
+  router.post('/auth/oidc/link', async ({ body, user }) => {
+    const { id_token, claims } = await redeem(body)
+    const owner = db.findBy('users', row => row.oidc_subject === claims.sub)
+
+    assertValid({
+      account: owner && owner.id !== user.id && 'This organisation account is already linked to another portal user.',
+    })
+
+    const updated = link(user, claims)
+    logActivity(updated, { type: 'user', action: 'sso_linked', title: 'Linked an organisation account' })
+    return { user: toPublicUser(updated), id_token }
+  })
+
+  router.delete('/auth/oidc/link', ({ user }) => {
+    if (!user.oidc_subject) {
+      return { data: toPublicUser(user) }
+    }
+
+    const updated = db.update('users', user.id, { oidc_subject: null, oidc_email: null, oidc_linked_at: null })
+    logActivity(updated, { type: 'user', action: 'sso_unlinked', title: 'Unlinked an organisation account' })
+    return { data: toPublicUser(updated) }
+  })
+}
@@ -0,0 +1,217 @@
+// Passkeys: registration, management and the sign-in challenge
+// Only the JSON fields are checked, not the CBOR attestation: registration keeps
+// the public key the browser reports, and sign-in verifies the assertion
+// signature against it, so a passkey made in the browser really works here
+
+import db from '../db'
+import { HttpError, respond, notFound, assertValid } from '../router'
+import { logActivity } from '../helpers'
+import { toBase64Url, fromBase64Url } from '../../../utils/webauthn'
+import { APP_CONFIG, HTTP_STATUS } from '../../../utils/constants'
+
+const CHALLENGE_LIFETIME = 5 * 60 * 1000
+const CEREMONY_TIMEOUT = 60 * 1000
+
+// COSE algorithm identifiers offered at registration
+const ALGORITHMS = {
+  ES256: -7,
+  RS256: -257,
+}
+
+const REJECTED = 'This passkey could not be verified.'
+
+const toPublicPasskey = (passkey) => ({
+  id: passkey.id,
+  name: passkey.name,
+  created_at: passkey.created_at,
+  last_used_at: passkey.last_used_at,
+})
+
+const findOwnPasskey = (user, id) => {
+  const passkey = db.find('passkeys', id)
+  if (!passkey || passkey.user_id !== user.id) throw notFound('Passkey')
+  return passkey
+}
+
+const issueChallenge = (type, user = null) => {
+  const challenge = toBase64Url(crypto.getRandomValues(new Uint8Array(32)))
+  db.insert('passkey_challenges', {
+    type,
+    user_id: user?.id ?? null,
+    challenge,
+    expires_at: new Date(Date.now() + CHALLENGE_LIFETIME).toISOString(),
+  })
+  return challenge
+}
+
+// The challenge is single-use whether or not the rest of the check passes
+const consumeChallenge = (type, credential, userId = null) => {
+  let clientData = null
+  try {
+    clientData = JSON.parse(new TextDecoder().decode(fromBase64Url(credential.response.clientDataJSON)))
+  } catch {
+    throw new HttpError(HTTP_STATUS.UNPROCESSABLE_ENTITY, REJECTED)
+  }
+
+  const row = db.findBy('passkey_challenges', candidate => (
+    candidate.type === type &&
+    candidate.challenge === clientData.challenge &&
+    (userId === null || candidate.user_id === userId)
+  ))
+  if (row) db.remove('passkey_challenges', row.id)
+
+  const expectedType = type === 'registration' ? 'webauthn.create' : 'webauthn.get'
+  if (!row || row.expires_at < new Date().toISOString() ||
+      clientData.type !== expectedType || clientData.origin !== window.location.origin) {
+    throw new HttpError(HTTP_STATUS.UNPROCESSABLE_ENTITY, REJECTED)
+  }
+}
+
+// WebAuthn ECDSA signatures are DER; SubtleCrypto wants r and s as 32 raw bytes each
+const derToRawSignature = (der) => {
+  const readInteger = (offset) => {
+    const length = der[offset + 1]
+    const bytes = der.slice(offset + 2, offset + 2 + length)
+    const trimmed = bytes.slice(Math.max(0, bytes.length - 32))
+    const padded = new Uint8Array(32)
+    padded.set(trimmed, 32 - trimmed.length)
+    return { value: padded, next: offset + 2 + length }
+  }
+
+  const r = readInteger(2)
+  const s = readInteger(r.next)
+  const raw = new Uint8Array(64)
+  raw.set(r.value)
+  raw.set(s.value, 32)
+  return raw
+}
+
+const verifySignature = async (passkey, credential) => {
+  const authenticatorData = fromBase64Url(credential.response.authenticatorData)
+  const clientDataHash = new Uint8Array(
+    await crypto.subtle.digest('SHA-256', fromBase64Url(credential.response.clientDataJSON))
+  )
+  const signedData = new Uint8Array(authenticatorData.length + clientDataHash.length)
+  signedData.set(authenticatorData)
+  signedData.set(clientDataHash, authenticatorData.length)
+
+  const signature = fromBase64Url(credential.response.signature)
+  const publicKey = fromBase64Url(passkey.public_key)
+
+  try {
+    if (passkey.algorithm === ALGORITHMS.ES256) {
+      const key = await crypto.subtle.importKey('spki', publicKey, { name: 'ECDSA', namedCurve: 'P-256' }, false, ['verify'])
+      return await crypto.subtle.verify({ name: 'ECDSA', hash: 'SHA-256' }, key, derToRawSignature(signature), signedData)
+    }
+
+    const key = await crypto.subtle.importKey('spki', publicKey, { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' }, false, ['verify'])
+    return await crypto.subtle.verify('RSASSA-PKCS1-v1_5', key, signature, signedData)
+  } catch {
+    return false
+  }
+}
+
+// Called by /auth/passkeys/login; the session is issued by the auth handlers
+export const resolvePasskeyLogin = async (body) => {
+  const credential = body.credential
+  if (!credential?.id || !credential.response?.clientDataJSON) {
+    throw new HttpError(HTTP_STATUS.UNPROCESSABLE_ENTITY, REJECTED)
+  }
+
+  consumeChallenge('login', credential)
+
+  const passkey = db.findBy('passkeys', row => row.credential_id === credential.id)
+  const user = passkey && db.find('users', passkey.user_id)
+  if (!passkey || !user || !(await verifySignature(passkey, credential))) {
+    throw new HttpError(HTTP_STATUS.UNAUTHORIZED, 'This passkey is not registered.')
+  }
+  if (user.status !== 'active') {
+    throw new HttpError(HTTP_STATUS.FORBIDDEN, 'Your account has been suspended.')
+  }
+
+  db.update('passkeys', passkey.id, { last_used_at: new Date().toISOString() })
+  return user
+}
+
+export const registerPasskeyRoutes = (router) => {
+  router.get('/auth/passkeys', ({ user }) => ({
+    data: db.where('passkeys', row => row.user_id === user.id).map(toPublicPasskey),
+  }))
+
+  router.post('/auth/passkeys/options', ({ user }) => ({
+    challenge: issueChallenge('registration', user),
+    rp: { name: APP_CONFIG.name, id: window.location.hostname },
+    user: {
+      id: toBase64Url(new TextEncoder().encode(String(user.id))),
+      name: user.email,
+      displayName: user.name,
+    },
+    pubKeyCredParams: Object.values(ALGORITHMS).map(alg => ({ type: 'public-key', alg })),
+    timeout: CEREMONY_TIMEOUT,
+    attestation: 'none',
+    authenticatorSelection: { residentKey: 'required', userVerification: 'preferred' },
+    excludeCredentials: db.where('passkeys', row => row.user_id === user.id)
+      .map(row => ({ type: 'public-key', id: row.credential_id, transports: row.transports })),
+  }))
+
+  router.post('/auth/passkeys', ({ body, user }) => {
+    const credential = body.credential
+    if (!credential?.id || !credential.response?.clientDataJSON) {
+      throw new HttpError(HTTP_STATUS.UNPROCESSABLE_ENTITY, REJECTED)
+    }
+
+    consumeChallenge('registration', credential, user.id)
+
+    const algorithm = credential.response.publicKeyAlgorithm
+    assertValid({
+      credential: (!credential.response.publicKey || !Object.values(ALGORITHMS).includes(algorithm)) &&
+        'This browser did not provide a supported public key.',
+      name: body.name && String(body.name).length > 100 && 'The name may not be greater than 100 characters.',
+    })
+    if (db.findBy('passkeys', row => row.credential_id === credential.id)) {
+      throw new HttpError(HTTP_STATUS.CONFLICT, 'This passkey is already registered.')
+    }
+
+    const count = db.where('passkeys', row => row.user_id === user.id).length
+    const passkey = db.insert('passkeys', {
+      user_id: user.id,
+      name: body.name ? String(body.name).trim() : `Passkey ${count + 1}`,
+      credential_id: credential.id,
+      public_key: credential.response.publicKey,
+      algorithm,
+      transports: credential.response.transports || [],
+      last_used_at: null,
+    })
+
+    logActivity(user, { type: 'user', action: 'passkey_added', title: 'Added a passkey' })
+    return respond(HTTP_STATUS.CREATED, { data: toPublicPasskey(passkey) })
+  })
+
+  router.put('/auth/passkeys/:id', ({ params, body, user }) => {
+    const passkey = findOwnPasskey(user, params.id)
+    const name = String(body.name || '').trim()
+    assertValid({
+      name: (!name && 'The name field is required.') ||
+        (name.length > 100 && 'The name may not be greater than 100 characters.'),
+    })
+
+    return { data: toPublicPasskey(db.update('passkeys', passkey.id, { name })) }
+  })
+
+  router.delete('/auth/passkeys/:id', ({ params, user }) => {
+    const passkey = findOwnPasskey(user, params.id)
+    db.remove('passkeys', passkey.id)
+
+    logActivity(user, { type: 'user', action: 'passkey_removed', title: 'Removed a passkey' })
+    return { message: 'Passkey removed.' }
+  })
+
+  // Discoverable credentials: the browser offers whichever passkeys it holds for this site
+  router.post('/auth/passkeys/login/options', () => ({
+    challenge: issueChallenge('login'),
+    rpId: window.location.hostname,
+    timeout: CEREMONY_TIMEOUT,
+    userVerification: 'preferred',
+    allowCredentials: [],
+  }), { auth: false })
+}
@@ -0,0 +1,16 @@
+// External resources page and the health check the circuit breaker probes
+
+import db from '../db'
+import { sortRows, matchesSearch } from '../router'
+
+export const registerResourceRoutes = (router) => {
+  router.get('/resources', ({ query }) => {
+    const rows = db.all('resources').filter(resource => (
+      matchesSearch(resource, query.search, ['title', 'description']) &&
+      (!query.category || resource.category === query.category)
+    ))
+    return { data: sortRows(rows, 'id', 'asc') }
+  }, { auth: false })
+
+  router.get('/health', () => ({ status: 'ok', backend: 'mock' }), { auth: false })
+}
@@ -0,0 +1,83 @@
+// Signed-in sessions: a user's own devices, and the admin view of anyone's
+// Deleting a session revokes its tokens; the device is signed out on its next request
+
+import db from '../db'
+import { HttpError, notFound, sortRows } from '../router'
+import { listSessions, logActivity } from '../helpers'
+import { USER_ROLES, HTTP_STATUS } from '../../../utils/constants'
+
+const ADMIN_ONLY = { roles: [USER_ROLES.ADMIN] }
+
+const toPublicSession = (session, current = null) => ({
+  id: session.id,
+  ip_address: session.ip_address,
+  user_agent: session.user_agent,
+  last_active_at: session.last_active_at,
+  created_at: session.created_at,
+  is_current: session.id === current?.id,
+})
+
+const presentSessions = (userId, current = null) => {
+  return sortRows(listSessions(userId), 'last_active_at').map(session => toPublicSession(session, current))
+}
+
+const findUser = (id) => {
+  const user = db.find('users', id)
+  if (!user) throw notFound('User')
+  return user
+}
+
+const findSession = (userId, id) => {
+  const session = listSessions(userId).find(row => String(row.id) === String(id))
+  if (!session) throw notFound('Session')
+  return session
+}
+
+const revokeAll = (userId, except = null) => {
+  const revoked = listSessions(userId).filter(row => row.id !== except?.id)
+  revoked.forEach(row => db.remove('sessions', row.id))
+  return revoked.length
+}
+
+export const registerSessionRoutes = (router) => {
+  router.get('/auth/sessions', ({ user, session }) => ({ data: presentSessions(user.id, session) }))
+
+  router.delete('/auth/sessions/:id', ({ params, user, session }) => {
+    const target = findSession(user.id, params.id)
+    if (target.id === session.id) {
+      throw new HttpError(HTTP_STATUS.CONFLICT, 'Sign out to end the session you are using.')
+    }
+
+    db.remove('sessions', target.id)
+    logActivity(user, { type: 'user', action: 'session_revoked', title: 'Signed out a device' })
+    return { message: 'Session ended.' }
+  })
+
+  // Sign out everywhere else
+  router.delete('/auth/sessions', ({ user, session }) => {
+    const count = revokeAll(user.id, session)
+    logActivity(user, { type: 'user', action: 'sessions_revoked', title: 'Signed out other devices' })
+    return { message: `${count} other session${count === 1 ? '' : 's'} ended.` }
+  })
+
+  router.get('/admin/users/:id/sessions', ({ params, session }) => {
+    return { data: presentSessions(findUser(params.id).id, session) }
+  }, ADMIN_ONLY)
+
+  router.delete('/admin/users/:id/sessions/:sessionId', ({ params, user: admin }) => {
+    const user = findUser(params.id)
+    db.remove('sessions', findSession(user.id, params.sessionId).id)
+
+    logActivity(admin, { type: 'user', action: 'session_revoked', title: `Ended a session of ${user.name}` })
+    return { message: 'Session ended.' }
+  }, ADMIN_ONLY)
+
+  // Admins revoking their own sessions keep the one they are using
+  router.delete('/admin/users/:id/sessions', ({ params, user: admin, session }) => {
+    const user = findUser(params.id)
+    const count = revokeAll(user.id, user.id === admin.id ? session : null)
+
+    logActivity(admin, { type: 'user', action: 'sessions_revoked', title: `Signed ${user.name} out everywhere` })
+    return { message: `${count} session${count === 1 ? '' : 's'} ended.` }
+  }, ADMIN_ONLY)
+}
@@ -0,0 +1,284 @@
+// Statistics endpoints, computed from the mock's tables and its daily traffic series
+
+import db from '../db'
+import { notFound, sortRows } from '../router'
+import { USER_ROLES, NEWS_STATUS } from '../../../utils/constants'
+
+const DAY = 24 * 60 * 60 * 1000
+const UNIT_DAYS = { d: 1, w: 7, m: 30, y: 365 }
+
+// '14d', '4w', '6m' or '1y' as a number of days
+const parseTimeframe = (timeframe, fallback = 30) => {
+  const match = /^(\d+)([dwmy])$/.exec(String(timeframe || ''))
+  return match ? Number(match[1]) * UNIT_DAYS[match[2]] : fallback
+}
+
+const isoDay = (offset = 0) => new Date(Date.now() - offset * DAY).toISOString().slice(0, 10)
+
+const lastDays = (days) => {
+  const since = isoDay(days - 1)
+  return db.where('daily_activity', row => row.date >= since)
+}
+
+const sum = (rows, field) => rows.reduce((total, row) => total + (row[field] || 0), 0)
+
+// Change over the last `days` compared with the `days` before, in percent
+const growth = (field, days = 30) => {
+  const current = sum(lastDays(days), field)
+  const previous = sum(lastDays(days * 2), field) - current
+  return previous > 0 ? Math.round(((current - previous) / previous) * 1000) / 10 : 0
+}
+
+const createdSince = (rows, days) => {
+  const since = new Date(Date.now() - days * DAY).toISOString()
+  return rows.filter(row => row.created_at >= since)
+}
+
+const toDaily = ({ date, users, documents, news, views }) => ({ date, users, documents, news, views })
+
+const today = () => db.findBy('daily_activity', row => row.date === isoDay()) || {}
+
+// =============================================================================
+// DASHBOARD
+// =============================================================================
+
+const adminDashboard = () => {
+  const users = db.all('users')
+  const news = db.all('news')
+  const documents = db.all('documents')
+  const pending = news.filter(article => article.status === NEWS_STATUS.PENDING).length
+  const totalDownloads = sum(documents, 'downloads_count')
+  const activity = today()
+
+  return {
+    totalUsers: users.length,
+    usersGrowth: growth('users'),
+    totalDocuments: documents.length,
+    documentsGrowth: growth('documents'),
+    totalNews: news.length,
+    newsGrowth: growth('news'),
+    pendingArticles: pending,
+    totalViews: sum(news, 'views_count'),
+    recentStats: {
+      todayUsers: activity.users || 0,
+      todayDocuments: createdSince(documents, 1).length,
+      todayNews: createdSince(news, 1).length,
+      todayViews: activity.views || 0,
+      pendingReviews: pending,
+    },
+    // Nested totals read by the analytics page
+    users: { total: users.length, growth_percentage: growth('users') },
+    news: {
+      published: news.filter(article => article.status === NEWS_STATUS.PUBLISHED).length,
+      growth_percentage: growth('news'),
+    },
+    documents: { total: documents.length, total_downloads: totalDownloads, growth_percentage: growth('documents') },
+  }
+}
+
+const editorDashboard = (user) => {
+  const mine = db.where('news', article => article.author_id === user.id)
+  const count = (status) => mine.filter(article => article.status === status).length
+
+  return {
+    myArticles: mine.length,
+    publishedArticles: count(NEWS_STATUS.PUBLISHED),
+    draftArticles: count(NEWS_STATUS.DRAFT),
+    pendingArticles: count(NEWS_STATUS.PENDING),
+    totalViews: sum(mine, 'views_count'),
+    recentStats: {
+      todayViews: today().views || 0,
+      pendingReviews: count(NEWS_STATUS.PENDING),
+    },
+  }
+}
+
+const userDashboard = (user) => {
+  const mine = db.where('activity', entry => entry.user_id === user.id)
+  const todayOnly = (rows) => rows.filter(entry => entry.created_at.slice(0, 10) === isoDay())
+  const downloads = mine.filter(entry => entry.action === 'downloaded')
+  const reads = mine.filter(entry => entry.action === 'read')
+
+  return {
+    documentsAccessed: downloads.length,
+    newsRead: reads.length,
+    bookmarks: 0,
+    recentActivity: createdSince(mine, 7).length,
+    recentStats: {
+      todayDownloads: todayOnly(downloads).length,
+      todayReads: todayOnly(reads).length,
+    },
+  }
+}
+
+const DASHBOARDS = {
+  [USER_ROLES.ADMIN]: adminDashboard,
+  [USER_ROLES.EDITOR]: editorDashboard,
+  [USER_ROLES.USER]: userDashboard,
+}
+
+// =============================================================================
+// CHARTS
+// =============================================================================
+
+const CHART_METRICS = {
+  users: 'Active users',
+  documents: 'Document downloads',
+  news: 'Articles published',
+  views: 'Page views',
+}
+
+// Group daily rows into weeks or months when asked for a coarser granularity
+const groupRows = (rows, granularity) => {
+  if (granularity === 'day') return rows.map(row => ({ label: row.date, rows: [row] }))
+
+  const groups = new Map()
+  rows.forEach(row => {
+    const date = new Date(row.date)
+    const label = granularity === 'month'
+      ? row.date.slice(0, 7)
+      : new Date(date.getTime() - date.getDay() * DAY).toISOString().slice(0, 10)
+    if (!groups.has(label)) groups.set(label, [])
+    groups.get(label).push(row)
+  })
+  return [...groups].map(([label, grouped]) => ({ label, rows: grouped }))
+}
+
+const monthlyActivity = (months) => {
+  return Array.from({ length: months }, (_, index) => {
+    const date = new Date()
+    date.setDate(1)
+    date.setMonth(date.getMonth() - (months - 1 - index))
+    const month = date.toISOString().slice(0, 7)
+    const inMonth = (row) => row.created_at.slice(0, 7) === month
+
+    return {
+      month: date.toLocaleString('en', { month: 'short', year: 'numeric' }),
+      users: db.where('users', inMonth).length,
+      news: db.where('news', inMonth).length,
+      documents: db.where('documents', inMonth).length,
+    }
+  })
+}
+
+// =============================================================================
+// ROUTES
+// =============================================================================
+
+export const registerStatsRoutes = (router) => {
+  router.get('/stats/dashboard', ({ user }) => ({ data: DASHBOARDS[user.role](user) }))
+
+  router.get('/stats/users', ({ query }) => {
+    const days = parseTimeframe(query.timeframe)
+    const users = db.all('users')
+    return {
+      data: {
+        total: users.length,
+        active: users.filter(user => user.status === 'active').length,
+        new: createdSince(users, days).length,
+        by_role: Object.values(USER_ROLES).map(role => ({ role, count: users.filter(user => user.role === role).length })),
+        growth_percentage: growth('users', days),
+      },
+    }
+  })
+
+  router.get('/stats/content', ({ query }) => {
+    const days = parseTimeframe(query.timeframe)
+    const news = db.all('news')
+    const documents = db.all('documents')
+    return {
+      data: {
+        news: {
+          total: news.length,
+          published: news.filter(article => article.status === NEWS_STATUS.PUBLISHED).length,
+          new: createdSince(news, days).length,
+          views: sum(news, 'views_count'),
+        },
+        documents: {
+          total: documents.length,
+          new: createdSince(documents, days).length,
+          downloads: sum(documents, 'downloads_count'),
+        },
+      },
+    }
+  })
+
+  router.get('/stats/activity', ({ query }) => {
+    return { data: { daily: lastDays(parseTimeframe(query.timeframe)).map(toDaily) } }
+  })
+
+  // Newest entries for the dashboard feed; page reads are too noisy to list
+  router.get('/stats/recent-activity', ({ query }) => {
+    const entries = db.where('activity', entry => entry.action !== 'read')
+    return {
+      data: sortRows(entries).slice(0, Number(query.limit) || 8).map(entry => ({
+        id: entry.id,
+        type: entry.type,
+        action: entry.action,
+        title: entry.title,
+        user: entry.user_name,
+        category: entry.category,
+        timestamp: entry.created_at,
+      })),
+    }
+  })
+
+  router.get('/stats/system', () => ({
+    data: {
+      uptime_seconds: Math.round(performance.now() / 1000),
+      storage_used: sum(db.all('documents'), 'file_size'),
+      pending_uploads: db.all('uploads').length,
+      last_backup_at: sortRows(db.all('backups'))[0]?.created_at ?? null,
+    },
+  }), { roles: [USER_ROLES.ADMIN] })
+
+  router.get('/stats/realtime', () => {
+    const since = new Date(Date.now() - 15 * 60 * 1000).toISOString()
+    const recent = db.where('activity', entry => entry.created_at >= since)
+    return {
+      data: {
+        active_users: new Set(recent.map(entry => entry.user_id)).size,
+        events_last_15_minutes: recent.length,
+        timestamp: new Date().toISOString(),
+      },
+    }
+  })
+
+  router.get('/stats/monthly-activity', ({ query }) => {
+    return { data: monthlyActivity(Math.min(Math.max(Number(query.months) || 6, 1), 24)) }
+  })
+
+  router.get('/stats/role-distribution', () => {
+    const users = db.all('users')
+    return {
+      data: Object.values(USER_ROLES).map(role => ({ role, count: users.filter(user => user.role === role).length })),
+    }
+  })
+
+  router.get('/stats/charts/:metric', ({ params, query }) => {
+    const label = CHART_METRICS[params.metric]
+    if (!label) throw notFound('Metric')
+
+    const groups = groupRows(lastDays(parseTimeframe(query.timeframe)), query.granularity || 'day')
+    return {
+      data: {
+        labels: groups.map(group => group.label),
+        datasets: [{ label, data: groups.map(group => sum(group.rows, params.metric)) }],
+      },
+    }
+  })
+
+  router.get('/stats/analytics', ({ query }) => {
+    const from = query.start_date || isoDay(29)
+    const to = query.end_date || isoDay()
+    const rows = db.where('daily_activity', row => row.date >= from && row.date <= to)
+    return {
+      data: {
+        start_date: from,
+        end_date: to,
+        totals: Object.fromEntries(Object.keys(CHART_METRICS).map(metric => [metric, sum(rows, metric)])),
+        daily: rows.map(toDaily),
+      },
+    }
+  }, { roles: [USER_ROLES.ADMIN] })
+}
@@ -0,0 +1,125 @@
+// Two-factor authentication: enrolment, recovery codes and the login challenge
+// A user is enrolled once they confirm a code from their authenticator app;
+// until then the generated secret is pending and login is unaffected
+
+import db from '../db'
+import { HttpError, assertValid } from '../router'
+import { toPublicUser, requiresTwoFactor, logActivity } from '../helpers'
+import { generateSecret, otpauthUrl, verifyTotp, generateRecoveryCodes } from '../totp'
+import { HTTP_STATUS } from '../../../utils/constants'
+
+// Time between the password step and the code step
+const CHALLENGE_LIFETIME = 5 * 60 * 1000
+
+const INVALID_CODE = 'The provided two-factor authentication code was invalid.'
+
+const randomToken = () => {
+  return Array.from(crypto.getRandomValues(new Uint8Array(24)), byte => byte.toString(16).padStart(2, '0')).join('')
+}
+
+const assertEnabled = (user) => {
+  if (!user.two_factor_confirmed_at) {
+    throw new HttpError(HTTP_STATUS.CONFLICT, 'Two-factor authentication is not enabled.')
+  }
+}
+
+// Called by /auth/login once the password checks out
+export const createChallenge = (user) => {
+  db.where('two_factor_challenges', row => row.user_id === user.id)
+    .forEach(row => db.remove('two_factor_challenges', row.id))
+
+  const challenge = db.insert('two_factor_challenges', {
+    user_id: user.id,
+    token: randomToken(),
+    expires_at: new Date(Date.now() + CHALLENGE_LIFETIME).toISOString(),
+  })
+  return { two_factor: true, challenge_token: challenge.token }
+}
+
+// The session is issued by the auth handlers; this only settles the challenge
+export const resolveChallenge = async (body) => {
+  const challenge = db.findBy('two_factor_challenges', row => row.token === body.challenge_token)
+  const user = challenge && db.find('users', challenge.user_id)
+
+  if (!challenge || !user || challenge.expires_at < new Date().toISOString()) {
+    throw new HttpError(HTTP_STATUS.UNAUTHORIZED, 'This login attempt has expired. Please sign in again.')
+  }
+
+  if (body.recovery_code) {
+    const code = String(body.recovery_code).trim().toLowerCase()
+    const remaining = user.two_factor_recovery_codes.filter(candidate => candidate !== code)
+    assertValid({
+      recovery_code: remaining.length === user.two_factor_recovery_codes.length && 'The provided recovery code was invalid.',
+    })
+    // Each recovery code works once
+    db.update('users', user.id, { two_factor_recovery_codes: remaining })
+  } else {
+    assertValid({ code: !(await verifyTotp(user.two_factor_secret, body.code)) && INVALID_CODE })
+  }
+
+  db.remove('two_factor_challenges', challenge.id)
+  return db.find('users', user.id)
+}
+
+export const registerTwoFactorRoutes = (router) => {
+  // Start enrolment: a fresh secret replaces any earlier unconfirmed one
+  router.post('/auth/two-factor', ({ user }) => {
+    if (user.two_factor_confirmed_at) {
+      throw new HttpError(HTTP_STATUS.CONFLICT, 'Two-factor authentication is already enabled.')
+    }
+
+    const secret = generateSecret()
+    db.update('users', user.id, { two_factor_secret: secret })
+    return { secret, otpauth_url: otpauthUrl(secret, user.email) }
+  })
+
+  router.post('/auth/two-factor/confirm', async ({ body, user }) => {
+    if (user.two_factor_confirmed_at) {
+      throw new HttpError(HTTP_STATUS.CONFLICT, 'Two-factor authentication is already enabled.')
+    }
+
+    assertValid({
+      code: !user.two_factor_secret
+        ? 'Start two-factor setup before confirming it.'
+        : !(await verifyTotp(user.two_factor_secret, body.code)) && INVALID_CODE,
+    })
+
+    const recoveryCodes = generateRecoveryCodes()
+    const updated = db.update('users', user.id, {
+      two_factor_confirmed_at: new Date().toISOString(),
+      two_factor_recovery_codes: recoveryCodes,
+    })
+
+    logActivity(updated, { type: 'user', action: 'two_factor_enabled', title: 'Enabled two-factor authentication' })
+    return { recovery_codes: recoveryCodes, user: toPublicUser(updated) }
+  })
+
+  router.delete('/auth/two-factor', ({ body, user }) => {
+    assertValid({
+      password: body.password !== user.password && 'The provided password is incorrect.',
+    })
+    if (requiresTwoFactor(user)) {
+      throw new HttpError(HTTP_STATUS.FORBIDDEN, 'Your role requires two-factor authentication.')
+    }
+
+    const updated = db.update('users', user.id, {
+      two_factor_secret: null,
+      two_factor_confirmed_at: null,
+      two_factor_recovery_codes: [],
+    })
+
+    logActivity(updated, { type: 'user', action: 'two_factor_disabled', title: 'Disabled two-factor authentication' })
+    return { data: toPublicUser(updated) }
+  })
+
+  router.get('/auth/two-factor/recovery-codes', ({ user }) => {
+    assertEnabled(user)
+    return { recovery_codes: user.two_factor_recovery_codes }
+  })
+
+  router.post('/auth/two-factor/recovery-codes', ({ user }) => {
+    assertEnabled(user)
+    const updated = db.update('users', user.id, { two_factor_recovery_codes: generateRecoveryCodes() })
+    return { recovery_codes: updated.two_factor_recovery_codes }
+  })
+}
@@ -0,0 +1,218 @@
+// Helpers shared by the mock backend's handlers: tokens, user serialization,
+// the activity log and reading request bodies
+
+import db from './db'
+import { HttpError } from './router'
+import { decodeJwtPayload } from '../../utils/helpers'
+import { MOCK_CONFIG, PERMISSIONS, USER_ROLES, HTTP_STATUS } from '../../utils/constants'
+
+// =============================================================================
+// TOKENS
+// =============================================================================
+
+const base64Url = (value) => {
+  return btoa(JSON.stringify(value)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+// Signed-in sessions outlive their access tokens by this long, since an
+// expired token can still be exchanged for a new one
+export const SESSION_LIFETIME = 7 * 24 * 60 * 60
+
+// How often a session's last_active_at is written; once per request is too chatty
+const SESSION_TOUCH_INTERVAL = 60 * 1000
+
+// Unsigned JWT so the client can read exp and schedule refreshes as it would
+// against Sanctum with JWT-style tokens. sid ties it to a row in the sessions
+// table, so deleting the row revokes every token issued for that sign-in
+export const issueToken = (user, session) => {
+  const issuedAt = Math.floor(Date.now() / 1000)
+  const payload = {
+    sub: user.id,
+    sid: session.id,
+    iat: issuedAt,
+    exp: issuedAt + MOCK_CONFIG.tokenLifetime,
+    jti: Math.random().toString(36).slice(2),
+  }
+  return unsignedJwt(payload)
+}
+
+// The mock has no keys, so its JWTs (access tokens and the stand-in identity
+// provider's ID tokens) carry alg none
+export const unsignedJwt = (payload) => {
+  return `${base64Url({ alg: 'none', typ: 'JWT' })}.${base64Url(payload)}.mock`
+}
+
+// The mock runs in the browser it serves, so this browser is the device
+export const createSession = (user) => {
+  const timestamp = new Date().toISOString()
+  return db.insert('sessions', {
+    user_id: user.id,
+    ip_address: '127.0.0.1',
+    user_agent: navigator.userAgent,
+    last_active_at: timestamp,
+  })
+}
+
+const isSessionAlive = (session) => {
+  return Date.parse(session.last_active_at) + SESSION_LIFETIME * 1000 > Date.now()
+}
+
+// Live sessions of a user, dropping the ones nobody can refresh any more
+export const listSessions = (userId) => {
+  const sessions = db.where('sessions', session => session.user_id === userId)
+  sessions.filter(session => !isSessionAlive(session)).forEach(session => db.remove('sessions', session.id))
+  return sessions.filter(isSessionAlive)
+}
+
+// Resolve the user and session behind a token; expired tokens are accepted up
+// to allowExpiredFor seconds so they can still be refreshed
+export const resolveSession = (token, { allowExpiredFor = 0 } = {}) => {
+  const payload = decodeJwtPayload(token)
+  if (!payload?.sub || !payload.sid || payload.exp + allowExpiredFor < Date.now() / 1000) return null
+
+  const session = db.find('sessions', payload.sid)
+  if (!session || session.user_id !== payload.sub || !isSessionAlive(session)) return null
+
+  const user = db.find('users', payload.sub)
+  return user && user.status === 'active' ? { user, session } : null
+}
+
+export const touchSession = (session) => {
+  if (Date.now() - Date.parse(session.last_active_at) > SESSION_TOUCH_INTERVAL) {
+    db.update('sessions', session.id, { last_active_at: new Date().toISOString() }, { timestamps: false })
+  }
+}
+
+export const getBearerToken = (headers) => {
+  const value = headers.authorization || ''
+  return value.startsWith('Bearer ') ? value.slice(7) : null
+}
+
+// =============================================================================
+// PERMISSIONS
+// =============================================================================
+
+// The backend's role to permission mapping; each role has everything the one
+// below it has
+const READER_PERMISSIONS = [
+  PERMISSIONS.VIEW_DASHBOARD,
+  PERMISSIONS.VIEW_NEWS,
+  PERMISSIONS.DOWNLOAD_DOCUMENTS,
+]
+
+const EDITOR_PERMISSIONS = [
+  ...READER_PERMISSIONS,
+  PERMISSIONS.CREATE_NEWS,
+  PERMISSIONS.EDIT_NEWS,
+  PERMISSIONS.DELETE_NEWS,
+  PERMISSIONS.UPLOAD_DOCUMENTS,
+  PERMISSIONS.DELETE_DOCUMENTS,
+]
+
+const ROLE_PERMISSIONS = {
+  [USER_ROLES.USER]: READER_PERMISSIONS,
+  [USER_ROLES.EDITOR]: EDITOR_PERMISSIONS,
+  [USER_ROLES.ADMIN]: [
+    ...EDITOR_PERMISSIONS,
+    PERMISSIONS.EDIT_ANY_NEWS,
+    PERMISSIONS.PUBLISH_NEWS,
+    PERMISSIONS.VIEW_ANALYTICS,
+    PERMISSIONS.MANAGE_USERS,
+    PERMISSIONS.MANAGE_ROLES,
+    PERMISSIONS.MANAGE_SYSTEM,
+  ],
+}
+
+const permissionsFor = (user) => ROLE_PERMISSIONS[user?.role] || []
+
+export const hasPermission = (user, permission) => permissionsFor(user).includes(permission)
+
+// =============================================================================
+// USERS
+// =============================================================================
+
+// Roles the admin's security policy makes enrol in two-factor authentication
+export const requiresTwoFactor = (user) => {
+  return (db.getValue('settings')?.two_factor_required_roles || []).includes(user.role)
+}
+
+// What the API exposes about a user; never the password, pending tokens or
+// two-factor secrets. Policies from the system settings that apply to the user
+// ride along, since only admins can read the settings themselves
+export const toPublicUser = (user) => {
+  const publicUser = {
+    ...user,
+    permissions: permissionsFor(user),
+    two_factor_enabled: Boolean(user.two_factor_confirmed_at),
+    two_factor_required: requiresTwoFactor(user),
+    session_idle_timeout: db.getValue('settings')?.session_idle_timeout ?? 0,
+    sso_account: user.oidc_subject
+      ? { email: user.oidc_email, linked_at: user.oidc_linked_at }
+      : null,
+  }
+  delete publicUser.password
+  delete publicUser.verification_token
+  delete publicUser.verification_sent_at
+  delete publicUser.oidc_subject
+  delete publicUser.oidc_email
+  delete publicUser.oidc_linked_at
+  delete publicUser.two_factor_secret
+  delete publicUser.two_factor_recovery_codes
+  return publicUser
+}
+
+export const canManageContent = (user) => {
+  return user?.role === USER_ROLES.ADMIN || user?.role === USER_ROLES.EDITOR
+}
+
+export const forbidden = () => new HttpError(HTTP_STATUS.FORBIDDEN, 'This action is unauthorized.')
+
+// =============================================================================
+// ACTIVITY LOG
+// =============================================================================
+
+export const logActivity = (user, { type, action, title, category = null }) => {
+  return db.insert('activity', {
+    type,
+    action,
+    title,
+    description: null,
+    user_id: user?.id ?? null,
+    user_name: user?.name ?? 'System',
+    category: category || (type === 'user' ? 'System' : null),
+    ip_address: '127.0.0.1',
+  })
+}
+
+// =============================================================================
+// REQUEST BODIES
+// =============================================================================
+
+export const readDataUrl = (blob) => {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader()
+    reader.onload = () => resolve(reader.result)
+    reader.onerror = () => reject(reader.error)
+    reader.readAsDataURL(blob)
+  })
+}
+
+export const sha256Hex = async (blob) => {
+  if (!window.crypto?.subtle) return null
+  const hash = await window.crypto.subtle.digest('SHA-256', await blob.arrayBuffer())
+  return Array.from(new Uint8Array(hash), byte => byte.toString(16).padStart(2, '0')).join('')
+}
+
+// Upload-Metadata: comma separated "key base64(value)" pairs
+export const decodeTusMetadata = (header = '') => {
+  return Object.fromEntries(header.split(',').filter(Boolean).map(pair => {
+    const [key, encoded = ''] = pair.trim().split(' ')
+    const bytes = Uint8Array.from(atob(encoded), char => char.charCodeAt(0))
+    return [key, new TextDecoder().decode(bytes)]
+  }))
+}
+
+// Form fields arrive as strings; Laravel treats '1', 'true' and 'on' as true
+export const toBoolean = (value) => {
+  return value === true || value === 1 || value === '1' || value === 'true' || value === 'on'
+}
@@ -0,0 +1,108 @@
+// Stand-in for the ministry's OpenID Connect provider, to try single sign-on
+// without one. Its sign-in page is /mock-idp/authorize (pages/MockIdentityProvider.jsx)
+// and the mock backend redeems codes here the way a real backend calls the
+// provider's token endpoint. Only what the portal relies on is checked: the
+// client, redirect URI, PKCE verifier and single use of each code.
+
+import db, { loadDatabase } from './db'
+import { HttpError } from './router'
+import { unsignedJwt } from './helpers'
+import { toBase64Url } from '../../utils/webauthn'
+import { createCodeChallenge } from '../../utils/oidc'
+import { HTTP_STATUS } from '../../utils/constants'
+
+// What to put in config.json's sso section to use the stand-in
+export const MOCK_IDP = {
+  authorizationEndpoint: '/mock-idp/authorize',
+  clientId: 'insbu-portal',
+}
+
+const CODE_LIFETIME = 60 * 1000
+const ID_TOKEN_LIFETIME = 5 * 60
+
+// The ministry directory; one member has no portal account, to try that case
+export const DIRECTORY = [
+  { sub: 'mfp-0001', name: 'Admin User', email: 'admin@insbu.bi' },
+  { sub: 'mfp-0002', name: 'Marie Uwimana', email: 'marie.uwimana@insbu.bi' },
+  { sub: 'mfp-0003', name: 'Jean Ndayishimiye', email: 'jean.ndayishimiye@finances.gov.bi' },
+]
+
+const issuer = () => `${window.location.origin}/mock-idp`
+
+// OAuth error on the token endpoint; the backend turns it into its own error
+const invalidGrant = () => new HttpError(HTTP_STATUS.BAD_REQUEST, 'invalid_grant')
+
+/**
+ * Check an authorization request from the sign-in page's query string
+ * Returns the problem as text, or null when it can be shown to the user
+ */
+export const validateAuthorizationRequest = (params) => {
+  if (params.get('client_id') !== MOCK_IDP.clientId) return 'Unknown client_id'
+  if (!params.get('redirect_uri')?.startsWith(window.location.origin)) return 'redirect_uri is not registered for this client'
+  if (params.get('response_type') !== 'code') return 'Only response_type=code is supported'
+  if (!params.get('scope')?.split(' ').includes('openid')) return 'scope must include openid'
+  if (params.get('code_challenge_method') !== 'S256' || !params.get('code_challenge')) return 'PKCE with S256 is required'
+  return null
+}
+
+/**
+ * Approve the request for a directory member, or deny it when account is null
+ * Returns the URL to send the browser back to
+ */
+export const authorize = async (params, account) => {
+  const redirect = new URL(params.get('redirect_uri'))
+  redirect.searchParams.set('state', params.get('state') || '')
+
+  if (!account) {
+    redirect.searchParams.set('error', 'access_denied')
+    return redirect.toString()
+  }
+
+  await loadDatabase()
+  const code = toBase64Url(crypto.getRandomValues(new Uint8Array(24)))
+  db.insert('oidc_codes', {
+    code,
+    sub: account.sub,
+    client_id: params.get('client_id'),
+    redirect_uri: params.get('redirect_uri'),
+    code_challenge: params.get('code_challenge'),
+    nonce: params.get('nonce'),
+    expires_at: new Date(Date.now() + CODE_LIFETIME).toISOString(),
+  })
+
+  redirect.searchParams.set('code', code)
+  return redirect.toString()
+}
+
+/**
+ * Token endpoint: trade a code and its PKCE verifier for an ID token
+ * Returns { id_token, claims }
+ */
+export const exchangeCode = async ({ code, code_verifier, redirect_uri }) => {
+  const row = db.findBy('oidc_codes', candidate => candidate.code === code)
+  if (!row) throw invalidGrant()
+  db.remove('oidc_codes', row.id)
+
+  if (row.expires_at < new Date().toISOString() ||
+      row.redirect_uri !== redirect_uri ||
+      !code_verifier ||
+      await createCodeChallenge(code_verifier) !== row.code_challenge) {
+    throw invalidGrant()
+  }
+
+  const account = DIRECTORY.find(member => member.sub === row.sub)
+  const issuedAt = Math.floor(Date.now() / 1000)
+  const claims = {
+    iss: issuer(),
+    aud: row.client_id,
+    sub: account.sub,
+    name: account.name,
+    email: account.email,
+    email_verified: true,
+    nonce: row.nonce,
+    iat: issuedAt,
+    exp: issuedAt + ID_TOKEN_LIFETIME,
+  }
+
+  return { id_token: unsignedJwt(claims), claims }
+}
@@ -0,0 +1,249 @@
+// In-browser mock of the Laravel API
+// Installed as the axios adapter in api.js when the mock is enabled, so every
+// interceptor (auth, caching, offline queue, circuit breaker) runs exactly as it
+// does against the real server. Only this adapter step is replaced: requests are
+// routed to the handlers below and answered from IndexedDB-backed tables.
+//
+// From the console during development:
+//   __insbuMock.configure({ latency: 1500, errorRate: 0.2 })
+//   __insbuMock.reset()
+
+import { AxiosError, AxiosHeaders, CanceledError } from 'axios'
+import db, { loadDatabase } from './db'
+import { HttpError, createRouter, isMockResponse } from './router'
+import { resolveSession, touchSession, getBearerToken } from './helpers'
+import { getMockSettings, configureMockBackend, resetMockSettings } from './config'
+import { registerAuthRoutes } from './handlers/auth'
+import { registerTwoFactorRoutes } from './handlers/twoFactor'
+import { registerPasskeyRoutes } from './handlers/passkeys'
+import { registerSessionRoutes } from './handlers/sessions'
+import { registerSsoRoutes } from './handlers/oidc'
+import { registerNewsRoutes } from './handlers/news'
+import { registerDocumentRoutes } from './handlers/documents'
+import { registerAdminRoutes } from './handlers/admin'
+import { registerStatsRoutes } from './handlers/stats'
+import { registerResourceRoutes } from './handlers/resources'
+import { API_CONFIG, HTTP_STATUS } from '../../utils/constants'
+
+const router = createRouter()
+registerAuthRoutes(router)
+registerTwoFactorRoutes(router)
+registerPasskeyRoutes(router)
+registerSessionRoutes(router)
+registerSsoRoutes(router)
+registerNewsRoutes(router)
+registerDocumentRoutes(router)
+registerAdminRoutes(router)
+registerStatsRoutes(router)
+registerResourceRoutes(router)
+
+// Paths that never get an injected failure, so the circuit breaker can recover
+const NO_INJECTED_ERRORS = ['/health']
+
+// =============================================================================
+// REQUEST PARSING
+// =============================================================================
+
+const STATUS_TEXT = {
+  200: 'OK',
+  201: 'Created',
+  204: 'No Content',
+  400: 'Bad Request',
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  404: 'Not Found',
+  405: 'Method Not Allowed',
+  409: 'Conflict',
+  413: 'Payload Too Large',
+  422: 'Unprocessable Content',
+  429: 'Too Many Requests',
+  500: 'Internal Server Error',
+  503: 'Service Unavailable',
+}
+
+// Headers with lower-case names, as the XHR adapter reports them
+const normalizeHeaders = (headers) => {
+  return Object.fromEntries(
+    Object.entries(AxiosHeaders.from(headers).toJSON())
+      .map(([name, value]) => [name.toLowerCase(), String(value)])
+  )
+}
+
+// Path relative to the API base, with the query string merged into params
+const parseUrl = (config) => {
+  const url = new URL(config.url, window.location.origin)
+  let { pathname } = url
+
+  // Absolute URLs (a tus Location from another origin) carry the base path too
+  if (/^[a-z][a-z\d+\-.]*:\/\//i.test(config.url)) {
+    const basePath = new URL(config.baseURL || API_CONFIG.baseURL, window.location.origin).pathname.replace(/\/$/, '')
+    if (pathname.startsWith(basePath)) pathname = pathname.slice(basePath.length) || '/'
+  }
+
+  const query = Object.fromEntries(url.searchParams)
+  Object.entries(config.params || {}).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') query[key] = String(value)
+  })
+
+  return { pathname, query }
+}
+
+// transformRequest has already serialized plain objects to JSON
+const parseBody = (data) => {
+  if (typeof data !== 'string') return data ?? {}
+  if (data === '') return {}
+  try {
+    return JSON.parse(data)
+  } catch {
+    return data
+  }
+}
+
+const bodySize = (data) => {
+  if (data instanceof Blob) return data.size
+  if (typeof data === 'string') return data.length
+  return 0
+}
+
+// =============================================================================
+// TIMING
+// =============================================================================
+
+// Wait about `latency` ms (±50%); rejects like the XHR adapter when the request
+// is aborted meanwhile or the delay runs past the request timeout
+const delay = (config, latency) => {
+  const duration = latency * (0.5 + Math.random())
+  const timesOut = config.timeout > 0 && duration > config.timeout
+  const { signal } = config
+
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new CanceledError(null, null, config))
+      return
+    }
+
+    const abort = () => {
+      clearTimeout(timer)
+      reject(new CanceledError(null, null, config))
+    }
+
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', abort)
+      if (timesOut) {
+        reject(new AxiosError(`timeout of ${config.timeout}ms exceeded`, AxiosError.ECONNABORTED, config))
+      } else {
+        resolve()
+      }
+    }, timesOut ? config.timeout : duration)
+
+    signal?.addEventListener('abort', abort, { once: true })
+  })
+}
+
+const reportProgress = (callback, size) => {
+  if (typeof callback !== 'function') return
+  callback({ loaded: size, total: size, progress: 1, lengthComputable: true })
+}
+
+// =============================================================================
+// ADAPTER
+// =============================================================================
+
+// Copies, so callers and the response cache never hold live table rows
+const createResponse = (config, status, data, headers = {}) => ({
+  data: data instanceof Blob ? data : structuredClone(data),
+  status,
+  statusText: STATUS_TEXT[status] || '',
+  headers: AxiosHeaders.from({
+    'content-type': data instanceof Blob ? data.type : 'application/json',
+    'x-mock-backend': 'true',
+    ...headers,
+  }),
+  config,
+  request: {},
+})
+
+const settle = (config, response) => {
+  const validateStatus = config.validateStatus || (status => status >= 200 && status < 300)
+  if (validateStatus(response.status)) return response
+
+  throw new AxiosError(
+    response.data?.message || `Request failed with status code ${response.status}`,
+    response.status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+    config,
+    response.request,
+    response
+  )
+}
+
+const dispatch = async (config, method, pathname, query, headers) => {
+  const { route, params } = router.resolve(method, pathname)
+  const { user = null, session = null } = resolveSession(getBearerToken(headers)) || {}
+
+  if (route.auth && !user) {
+    throw new HttpError(HTTP_STATUS.UNAUTHORIZED, 'Unauthenticated.')
+  }
+  if (session) touchSession(session)
+  if (route.roles && !route.roles.includes(user.role)) {
+    throw new HttpError(HTTP_STATUS.FORBIDDEN, 'This action is unauthorized.')
+  }
+  // Laravel's verified middleware
+  if (route.verified && !user.email_verified_at) {
+    throw new HttpError(HTTP_STATUS.FORBIDDEN, 'Your email address is not verified.')
+  }
+
+  const result = await route.handler({ params, query, body: parseBody(config.data), headers, user, session })
+  return isMockResponse(result) ? result : { status: HTTP_STATUS.OK, data: result, headers: {} }
+}
+
+export const handleMockRequest = async (config) => {
+  const settings = getMockSettings()
+  const method = (config.method || 'get').toUpperCase()
+  const headers = normalizeHeaders(config.headers)
+  const { pathname, query } = parseUrl(config)
+
+  await loadDatabase()
+  reportProgress(config.onUploadProgress, bodySize(config.data))
+  await delay(config, settings.latency)
+
+  let result
+  try {
+    if (!NO_INJECTED_ERRORS.includes(pathname) && Math.random() < settings.errorRate) {
+      throw new HttpError(settings.errorStatus, 'Simulated server error (mock backend)')
+    }
+    result = await dispatch(config, method, pathname, query, headers)
+  } catch (error) {
+    if (!(error instanceof HttpError)) {
+      console.error(`Mock backend: ${method} ${pathname} failed:`, error)
+      result = { status: HTTP_STATUS.INTERNAL_SERVER_ERROR, data: { message: 'Server Error' }, headers: {} }
+    } else {
+      result = { status: error.status, data: error.body, headers: error.headers }
+    }
+  }
+
+  const data = method === 'HEAD' ? '' : result.data
+  reportProgress(config.onDownloadProgress, data instanceof Blob ? data.size : 0)
+
+  return settle(config, createResponse(config, result.status, data, result.headers))
+}
+
+// =============================================================================
+// CONTROLS
+// =============================================================================
+
+export const mockBackend = {
+  // Latency, error rate and error status apply to the next request
+  configure: (settings) => configureMockBackend(settings),
+  resetSettings: () => resetMockSettings(),
+  getSettings: () => getMockSettings(),
+
+  // Back to the seed data
+  reset: async () => {
+    await db.reset()
+    console.info('Mock backend: data reset to the seed')
+  },
+}
+
+if (import.meta.env.DEV && typeof window !== 'undefined') {
+  window.__insbuMock = mockBackend
+}
@@ -0,0 +1,152 @@
+// Route table and response helpers for the mock backend
+// Handlers receive { params, query, body, headers, user, session } and return the
+// response body, or a response built with respond() when status or headers matter
+
+import { HTTP_STATUS } from '../../utils/constants'
+
+// =============================================================================
+// RESPONSES
+// =============================================================================
+
+export const respond = (status, data = null, headers = {}) => ({
+  __mockResponse: true,
+  status,
+  data,
+  headers,
+})
+
+export const isMockResponse = (value) => Boolean(value?.__mockResponse)
+
+// Thrown by handlers for error responses; the body mirrors Laravel's
+export class HttpError extends Error {
+  constructor(status, message, errors = null, headers = {}) {
+    super(message)
+    this.name = 'HttpError'
+    this.status = status
+    this.errors = errors
+    this.headers = headers
+  }
+
+  get body() {
+    return this.errors ? { message: this.message, errors: this.errors } : { message: this.message }
+  }
+}
+
+export const notFound = (what = 'Resource') => new HttpError(HTTP_STATUS.NOT_FOUND, `${what} not found`)
+
+// Laravel-style 422 from a { field: message } map; nothing is thrown when it is empty
+export const assertValid = (fieldErrors) => {
+  const fields = Object.entries(fieldErrors).filter(([, message]) => message)
+  if (fields.length === 0) return
+
+  throw new HttpError(
+    HTTP_STATUS.UNPROCESSABLE_ENTITY,
+    'The given data was invalid.',
+    Object.fromEntries(fields.map(([field, message]) => [field, [message]]))
+  )
+}
+
+// =============================================================================
+// LIST HELPERS
+// =============================================================================
+
+const compare = (a, b) => {
+  if (a === b) return 0
+  if (a === undefined || a === null) return 1
+  if (b === undefined || b === null) return -1
+  if (typeof a === 'number' && typeof b === 'number') return a - b
+  return String(a).localeCompare(String(b))
+}
+
+export const sortRows = (rows, sortBy = 'created_at', sortOrder = 'desc') => {
+  const direction = sortOrder === 'asc' ? 1 : -1
+  return [...rows].sort((a, b) => compare(a[sortBy], b[sortBy]) * direction)
+}
+
+// Case-insensitive match of term against any of the given fields
+export const matchesSearch = (row, term, fields) => {
+  if (!term) return true
+  const needle = String(term).toLowerCase()
+  return fields.some(field => String(row[field] ?? '').toLowerCase().includes(needle))
+}
+
+// Flat Laravel length-aware paginator
+export const paginate = (rows, query = {}) => {
+  const perPage = Math.max(1, Number(query.per_page) || 10)
+  const total = rows.length
+  const lastPage = Math.max(1, Math.ceil(total / perPage))
+  const currentPage = Math.min(Math.max(1, Number(query.page) || 1), lastPage)
+  const start = (currentPage - 1) * perPage
+
+  return {
+    data: rows.slice(start, start + perPage),
+    current_page: currentPage,
+    last_page: lastPage,
+    per_page: perPage,
+    total,
+    from: total === 0 ? null : start + 1,
+    to: Math.min(start + perPage, total),
+  }
+}
+
+// =============================================================================
+// ROUTER
+// =============================================================================
+
+// Compile '/news/:id/publish' into a matcher returning { id } or null
+const compilePath = (path) => {
+  const names = []
+  const pattern = path.replace(/:(\w+)/g, (_, name) => {
+    names.push(name)
+    return '([^/]+)'
+  })
+  const regex = new RegExp(`^${pattern}/?$`)
+
+  return (pathname) => {
+    const match = regex.exec(pathname)
+    if (!match) return null
+    return Object.fromEntries(names.map((name, index) => [name, decodeURIComponent(match[index + 1])]))
+  }
+}
+
+export const createRouter = () => {
+  const routes = []
+
+  const add = (method) => (path, handler, options = {}) => {
+    routes.push({
+      method,
+      match: compilePath(path),
+      path,
+      handler,
+      auth: options.auth ?? true,
+      roles: options.roles || null,
+      verified: options.verified ?? false,
+    })
+  }
+
+  return {
+    get: add('GET'),
+    post: add('POST'),
+    put: add('PUT'),
+    patch: add('PATCH'),
+    delete: add('DELETE'),
+    head: add('HEAD'),
+
+    // Find the route for a request; a path that exists under another method is a 405
+    resolve: (method, pathname) => {
+      let pathExists = false
+
+      for (const route of routes) {
+        const params = route.match(pathname)
+        if (!params) continue
+        pathExists = true
+        if (route.method === method) return { route, params }
+      }
+
+      if (pathExists) {
+        throw new HttpError(HTTP_STATUS.METHOD_NOT_ALLOWED, 'Method not allowed')
+      }
+      throw notFound('Endpoint')
+    },
+  }
+}
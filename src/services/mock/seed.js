@@ -0,0 +1,295 @@
+// Seed data for the mock backend: INSBU staff, published statistics, documents
+// and a few months of portal activity. Generated from a fixed seed so every
+// fresh install (and every reset) starts from the same data
+
+import { USER_ROLES, NEWS_STATUS, NEWS_CATEGORIES } from '../../utils/constants'
+
+// Small deterministic PRNG (mulberry32)
+const createRandom = (seed) => {
+  let state = seed
+  return () => {
+    state = (state + 0x6D2B79F5) | 0
+    let t = Math.imul(state ^ (state >>> 15), 1 | state)
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+const DAY = 24 * 60 * 60 * 1000
+
+// =============================================================================
+// USERS
+// =============================================================================
+
+// The first three match the demo credentials on the login page
+const USERS = [
+  { name: 'Admin User', email: 'admin@insbu.bi', password: 'password123', role: USER_ROLES.ADMIN },
+  { name: 'Marie Uwimana', email: 'marie.uwimana@insbu.bi', password: 'password123', role: USER_ROLES.EDITOR },
+  { name: 'Demo User', email: 'demo@insbu.bi', password: 'demo123', role: USER_ROLES.USER },
+  { name: 'Jean Baptiste Hakizimana', email: 'jb.hakizimana@insbu.bi', password: 'password123', role: USER_ROLES.EDITOR },
+  { name: 'Grace Niragire', email: 'grace.niragire@insbu.bi', password: 'password123', role: USER_ROLES.EDITOR },
+  { name: 'Alice Mukamana', email: 'alice.mukamana@example.bi', password: 'password123', role: USER_ROLES.USER },
+  { name: 'Pierre Ntahobari', email: 'pierre.ntahobari@example.bi', password: 'password123', role: USER_ROLES.USER },
+  { name: 'John Nshimirimana', email: 'john.nshimirimana@example.bi', password: 'password123', role: USER_ROLES.USER },
+  { name: 'Claude Ndikumana', email: 'claude.ndikumana@example.bi', password: 'password123', role: USER_ROLES.USER },
+  { name: 'Aline Irakoze', email: 'aline.irakoze@example.bi', password: 'password123', role: USER_ROLES.USER },
+  { name: 'Eric Niyonzima', email: 'eric.niyonzima@example.bi', password: 'password123', role: USER_ROLES.USER, status: 'suspended' },
+  { name: 'Diane Kaneza', email: 'diane.kaneza@example.bi', password: 'password123', role: USER_ROLES.USER },
+]
+
+// =============================================================================
+// CONTENT
+// =============================================================================
+
+const ARTICLES = [
+  {
+    title: 'Consumer Price Index: inflation eases for the third consecutive month',
+    category: 'Economic Reports',
+    excerpt: 'Food prices stabilised in Bujumbura and Gitega markets, pulling the year-on-year rate down.',
+    body: 'The monthly Consumer Price Index shows inflation easing for the third month in a row. Food and non-alcoholic beverages, which weigh most heavily in the basket, rose more slowly than in the previous quarter, while transport prices were unchanged. Detailed tables by product group and by urban centre are available in the Documents section.',
+  },
+  {
+    title: 'Population and housing census: preliminary results published',
+    category: 'Census Data',
+    excerpt: 'First counts by province and commune are now available for consultation.',
+    body: 'Preliminary results of the general census of population, housing, agriculture and livestock have been published. The tables give the resident population by province, commune and sex, together with household counts. Final results, including age structure and housing conditions, will follow once data processing is complete.',
+  },
+  {
+    title: 'Coffee season report: export volumes up on the previous campaign',
+    category: 'Agriculture',
+    excerpt: 'Washing stations in Kayanza and Ngozi recorded the largest increases.',
+    body: 'Coffee cherry deliveries and green coffee exports both rose compared with the previous campaign. The report breaks down production by washing station and quality grade, and compares farm-gate prices across the main producing provinces.',
+  },
+  {
+    title: 'Season A harvest estimates for maize, beans and rice',
+    category: 'Agriculture',
+    excerpt: 'Agricultural survey estimates for the first growing season of the year.',
+    body: 'The agricultural survey estimates production for season A crops. Beans and maize remain the most widely grown crops, while rice production is concentrated in the Imbo plain. Estimates are provided with confidence intervals by province.',
+  },
+  {
+    title: 'Maternal and child health indicators improve across provinces',
+    category: 'Healthcare',
+    excerpt: 'More births are assisted by skilled health personnel than five years ago.',
+    body: 'Administrative data from health facilities show continued improvement in the share of births attended by skilled personnel and in antenatal care coverage. The report also tracks vaccination coverage for children under five by health district.',
+  },
+  {
+    title: 'Primary school completion rate reaches a new high',
+    category: 'Education',
+    excerpt: 'School statistics yearbook for the current academic year.',
+    body: 'The education statistics yearbook reports enrolment, repetition and completion rates for primary and secondary schools. Completion rates improved for both girls and boys, and the pupil-teacher ratio fell slightly thanks to new recruitment.',
+  },
+  {
+    title: 'Household electricity access survey: results by area of residence',
+    category: 'Infrastructure',
+    excerpt: 'Access to electricity remains much higher in urban areas than in rural ones.',
+    body: 'The survey measures household access to the grid and to off-grid solar solutions. Solar home systems account for a growing share of rural access. Results are broken down by province and by area of residence.',
+  },
+  {
+    title: 'Foreign trade statistics for the last quarter',
+    category: 'Trade',
+    excerpt: 'Exports of coffee, tea and minerals; imports of fuel and foodstuffs.',
+    body: 'Quarterly foreign trade statistics cover exports and imports by product and by partner country. Coffee and tea remain the leading agricultural exports, while petroleum products and cereals lead imports. Regional trade within the East African Community is reported separately.',
+  },
+  {
+    title: 'Labour force survey: main indicators',
+    category: 'Employment',
+    excerpt: 'Employment, underemployment and informality among the working-age population.',
+    body: 'The labour force survey provides estimates of labour force participation, employment by sector and the share of informal employment. Agriculture continues to employ the majority of workers, particularly in rural areas.',
+  },
+  {
+    title: 'Living conditions survey: fieldwork begins in all provinces',
+    category: 'Social Statistics',
+    excerpt: 'Enumerators will visit a representative sample of households over the coming months.',
+    body: 'Fieldwork for the integrated household living conditions survey has started. Selected households will be asked about consumption, housing, education, health and employment. Enumerators carry an official badge and all answers are strictly confidential.',
+  },
+  {
+    title: 'Quarterly national accounts: revised methodology note',
+    category: 'Methodology',
+    excerpt: 'Changes to the base year and to the treatment of informal activity.',
+    body: 'This note describes the methodological changes introduced in the quarterly national accounts, including the move to a more recent base year and improved coverage of informal activities. Revised series are published alongside the note.',
+  },
+  {
+    title: 'Tourism arrivals by country of residence',
+    category: 'Trade',
+    excerpt: 'Draft tables on international arrivals at border posts and the airport.',
+    body: 'Draft tables on international arrivals by country of residence and purpose of visit, compiled from border post records.',
+    status: NEWS_STATUS.DRAFT,
+  },
+  {
+    title: 'Producer prices for food crops: monthly bulletin',
+    category: 'Economic Reports',
+    excerpt: 'Prices collected from rural markets, awaiting review.',
+    body: 'The monthly bulletin reports producer prices for the main food crops collected on rural markets. This edition is awaiting editorial review before publication.',
+    status: NEWS_STATUS.PENDING,
+  },
+]
+
+const DOCUMENTS = [
+  { title: 'Statistical Yearbook of Burundi', category: 'Social Statistics', original_name: 'statistical-yearbook.pdf', mime_type: 'application/pdf', file_size: 8_450_000 },
+  { title: 'Consumer Price Index - monthly tables', category: 'Economic Reports', original_name: 'cpi-monthly-tables.xlsx', mime_type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', file_size: 640_000 },
+  { title: 'Census preliminary results by province', category: 'Census Data', original_name: 'census-preliminary-results.pdf', mime_type: 'application/pdf', file_size: 3_200_000 },
+  { title: 'Agricultural survey - Season A estimates', category: 'Agriculture', original_name: 'agricultural-survey-season-a.pdf', mime_type: 'application/pdf', file_size: 2_150_000 },
+  { title: 'Coffee campaign report', category: 'Agriculture', original_name: 'coffee-campaign-report.pdf', mime_type: 'application/pdf', file_size: 1_780_000 },
+  { title: 'Health statistics yearbook', category: 'Healthcare', original_name: 'health-statistics-yearbook.pdf', mime_type: 'application/pdf', file_size: 4_900_000 },
+  { title: 'Education statistics yearbook', category: 'Education', original_name: 'education-statistics-yearbook.pdf', mime_type: 'application/pdf', file_size: 3_650_000 },
+  { title: 'Foreign trade quarterly bulletin', category: 'Trade', original_name: 'foreign-trade-bulletin.csv', mime_type: 'text/csv', file_size: 210_000 },
+  { title: 'Labour force survey - key indicators', category: 'Employment', original_name: 'labour-force-survey.pdf', mime_type: 'application/pdf', file_size: 1_320_000 },
+  { title: 'Household electricity access survey', category: 'Infrastructure', original_name: 'electricity-access-survey.pdf', mime_type: 'application/pdf', file_size: 980_000 },
+  { title: 'National accounts methodology note', category: 'Methodology', original_name: 'national-accounts-methodology.pdf', mime_type: 'application/pdf', file_size: 720_000 },
+  { title: 'Enumerator field manual', category: 'Internal', original_name: 'enumerator-field-manual.docx', mime_type: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', file_size: 1_050_000, is_public: false },
+]
+
+const RESOURCES = [
+  { title: 'Burundi National Statistical System', description: 'Official portal of the national statistics institute with statistical data and reports.', url: 'https://www.isteebu.bi/', category: 'Official Statistics', type: 'website', featured: true },
+  { title: 'World Bank Open Data - Burundi', description: 'Free and open access to development data for Burundi, including economic indicators.', url: 'https://data.worldbank.org/country/burundi', category: 'International Data', type: 'website' },
+  { title: 'UN Statistics Division', description: 'Global statistical standards and methodologies from the United Nations.', url: 'https://unstats.un.org/', category: 'International Standards', type: 'website' },
+  { title: 'Statistical Methodology Guide', description: 'Guide to the statistical methodologies used in data collection and analysis.', url: '/documents', category: 'Methodology', type: 'document' },
+  { title: 'IMF Country Data - Burundi', description: 'International Monetary Fund data and statistics for Burundi economic indicators.', url: 'https://www.imf.org/en/Countries/BDI', category: 'Economic Data', type: 'website' },
+  { title: 'OECD Statistics', description: 'Statistical data and analysis from the Organisation for Economic Co-operation and Development.', url: 'https://www.oecd.org/statistics/', category: 'International Data', type: 'website' },
+  { title: 'Statistical Software Training', description: 'Courses and tutorials for statistical analysis software including R, SPSS and Stata.', url: 'https://www.r-project.org/other-docs.html', category: 'Training', type: 'education' },
+  { title: 'African Development Bank Statistics', description: 'Statistical data and development indicators for African countries including Burundi.', url: 'https://www.afdb.org/en/knowledge/statistics', category: 'Regional Data', type: 'website' },
+  { title: 'Census Methodology Handbook', description: 'UN principles and recommendations for population and housing censuses.', url: 'https://unstats.un.org/unsd/demographic-social/census/', category: 'Methodology', type: 'document' },
+]
+
+// =============================================================================
+// GENERATION
+// =============================================================================
+
+export const createSeedData = (now = Date.now()) => {
+  const random = createRandom(2024)
+  const between = (min, max) => Math.round(min + random() * (max - min))
+  const daysAgo = (days) => new Date(now - days * DAY - between(0, DAY / 2)).toISOString()
+
+  const users = USERS.map((user, index) => {
+    const created = daysAgo(330 - index * 28)
+    return {
+      id: index + 1,
+      avatar: null,
+      status: 'active',
+      ...user,
+      is_active: (user.status || 'active') === 'active',
+      email_verified_at: created,
+      last_login_at: daysAgo(between(0, 20)),
+      created_at: created,
+      updated_at: created,
+    }
+  })
+
+  const editors = users.filter(user => user.role !== USER_ROLES.USER)
+  const author = (index) => {
+    const { id, name } = editors[index % editors.length]
+    return { id, name }
+  }
+
+  const news = ARTICLES.map((article, index) => {
+    const created = daysAgo(index * 6 + 1)
+    const status = article.status || NEWS_STATUS.PUBLISHED
+    const { id: authorId } = author(index)
+    return {
+      id: index + 1,
+      status,
+      image_url: null,
+      ...article,
+      author: author(index),
+      author_id: authorId,
+      views_count: status === NEWS_STATUS.PUBLISHED ? between(80, 2400) : 0,
+      featured: index < 3,
+      published_at: status === NEWS_STATUS.PUBLISHED ? created : null,
+      created_at: created,
+      updated_at: created,
+    }
+  })
+
+  const documents = DOCUMENTS.map((document, index) => {
+    const created = daysAgo(index * 9 + 2)
+    return {
+      id: index + 1,
+      description: `${document.title}. Published by INSBU.`,
+      is_public: true,
+      tags: [document.category.toLowerCase()],
+      ...document,
+      checksum: null,
+      uploaded_by: author(index).id,
+      downloads_count: between(15, 900),
+      created_at: created,
+      updated_at: created,
+    }
+  })
+
+  const resources = RESOURCES.map((resource, index) => ({
+    id: index + 1,
+    featured: false,
+    ...resource,
+  }))
+
+  // Portal traffic for the last six months
+  const daily_activity = Array.from({ length: 180 }, (_, index) => {
+    const days = 179 - index
+    const weekday = new Date(now - days * DAY).getDay()
+    const weekend = weekday === 0 || weekday === 6
+    const trend = 1 + index / 360
+    return {
+      id: index + 1,
+      date: new Date(now - days * DAY).toISOString().slice(0, 10),
+      users: Math.round(between(40, 80) * trend * (weekend ? 0.5 : 1)),
+      documents: Math.round(between(10, 35) * trend * (weekend ? 0.4 : 1)),
+      news: weekend ? between(0, 1) : between(0, 6),
+      views: Math.round(between(300, 900) * trend * (weekend ? 0.6 : 1)),
+    }
+  })
+
+  const actions = [
+    ['document', 'uploaded', () => documents[between(0, documents.length - 1)].title],
+    ['news', 'published', () => news[between(0, news.length - 1)].title],
+    ['document', 'downloaded', () => documents[between(0, documents.length - 1)].title],
+    ['news', 'edited', () => news[between(0, news.length - 1)].title],
+    ['user', 'login', () => 'Signed in'],
+    ['user', 'registered', () => 'New user joined'],
+  ]
+
+  const activity = Array.from({ length: 40 }, (_, index) => {
+    const [type, action, title] = actions[between(0, actions.length - 1)]
+    const user = users[between(0, users.length - 1)]
+    const created = new Date(now - index * between(20, 240) * 60 * 1000).toISOString()
+    return {
+      id: 40 - index,
+      type,
+      action,
+      title: title(),
+      description: null,
+      user_id: user.id,
+      user_name: user.name,
+      category: type === 'user' ? 'System' : NEWS_CATEGORIES[between(0, NEWS_CATEGORIES.length - 1)],
+      ip_address: `197.157.${between(0, 255)}.${between(1, 254)}`,
+      created_at: created,
+    }
+  }).reverse()
+
+  const backups = [
+    { id: 1, filename: 'insbu-backup-weekly.sql.gz', size: 48_300_000, created_at: daysAgo(7) },
+    { id: 2, filename: 'insbu-backup-weekly.sql.gz', size: 47_900_000, created_at: daysAgo(14) },
+  ]
+
+  const settings = [{
+    id: 1,
+    site_name: 'INSBU Statistics Portal',
+    registration_enabled: true,
+    default_role: USER_ROLES.USER,
+    max_upload_size: 50 * 1024 * 1024,
+    maintenance_mode: false,
+    two_factor_required_roles: [],
+    session_idle_timeout: 30,
+  }]
+
+  return {
+    users,
+    news,
+    documents,
+    resources,
+    daily_activity,
+    activity,
+    backups,
+    settings,
+    uploads: [],
+  }
+}
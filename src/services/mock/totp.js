@@ -0,0 +1,68 @@
+// RFC 6238 time-based one-time passwords, as an authenticator app computes them
+// Used by the mock's two-factor endpoints so real apps can scan and sign in
+
+import { TWO_FACTOR_CONFIG, APP_CONFIG } from '../../utils/constants'
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'
+
+const randomBytes = (length) => crypto.getRandomValues(new Uint8Array(length))
+
+const base32Encode = (bytes) => {
+  let bits = ''
+  bytes.forEach(byte => { bits += byte.toString(2).padStart(8, '0') })
+  return (bits.match(/.{1,5}/g) || []).map(group => BASE32_ALPHABET[parseInt(group.padEnd(5, '0'), 2)]).join('')
+}
+
+const base32Decode = (secret) => {
+  const bits = secret.replace(/[\s=]/g, '').toUpperCase().split('')
+    .map(char => BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0'))
+    .join('')
+  return Uint8Array.from(bits.match(/.{8}/g) || [], byte => parseInt(byte, 2))
+}
+
+// 160-bit secret, the size RFC 4226 recommends for HMAC-SHA1
+export const generateSecret = () => base32Encode(randomBytes(20))
+
+export const otpauthUrl = (secret, accountName) => {
+  const label = encodeURIComponent(`${APP_CONFIG.name}:${accountName}`)
+  const params = new URLSearchParams({
+    secret,
+    issuer: APP_CONFIG.name,
+    digits: String(TWO_FACTOR_CONFIG.codeLength),
+    period: String(TWO_FACTOR_CONFIG.period),
+  })
+  return `otpauth://totp/${label}?${params}`
+}
+
+const hotp = async (secret, counter) => {
+  const key = await crypto.subtle.importKey('raw', base32Decode(secret), { name: 'HMAC', hash: 'SHA-1' }, false, ['sign'])
+  const message = new DataView(new ArrayBuffer(8))
+  message.setUint32(0, Math.floor(counter / 2 ** 32))
+  message.setUint32(4, counter % 2 ** 32)
+
+  const hmac = new Uint8Array(await crypto.subtle.sign('HMAC', key, message.buffer))
+  const offset = hmac[hmac.length - 1] & 0x0f
+  const binary = ((hmac[offset] & 0x7f) << 24) | (hmac[offset + 1] << 16) | (hmac[offset + 2] << 8) | hmac[offset + 3]
+  return String(binary % 10 ** TWO_FACTOR_CONFIG.codeLength).padStart(TWO_FACTOR_CONFIG.codeLength, '0')
+}
+
+export const totpCode = (secret, time = Date.now()) => {
+  return hotp(secret, Math.floor(time / 1000 / TWO_FACTOR_CONFIG.period))
+}
+
+// Accept the previous and next code too, for clocks that drift a little
+export const verifyTotp = async (secret, code) => {
+  const normalized = String(code || '').replace(/\s/g, '')
+  if (!secret || !/^\d+$/.test(normalized)) return false
+
+  for (const step of [-1, 0, 1]) {
+    if (await totpCode(secret, Date.now() + step * TWO_FACTOR_CONFIG.period * 1000) === normalized) return true
+  }
+  return false
+}
+
+// Ten codes like "k3f9q-x7m2p", the format Laravel Fortify uses
+export const generateRecoveryCodes = () => {
+  const part = () => base32Encode(randomBytes(4)).slice(0, 5).toLowerCase()
+  return Array.from({ length: 10 }, () => `${part()}-${part()}`)
+}
@@ -0,0 +1,107 @@
+// Ring buffer of recent API requests for support and debugging
+// Every request carries an X-Request-ID so an entry here can be matched against
+// the server logs; only metadata is kept, never bodies or headers
+
+import { APP_CONFIG, NETWORK_LOG_CONFIG } from '../utils/constants'
+
+// Fixed-size buffer; next is where the following entry is written
+const buffer = new Array(NETWORK_LOG_CONFIG.maxEntries)
+let next = 0
+let size = 0
+
+const listeners = new Set()
+
+const getSnapshot = () => {
+  const entries = []
+  for (let i = 1; i <= size; i++) {
+    entries.push(buffer[(next - i + buffer.length) % buffer.length])
+  }
+  return entries
+}
+
+const notify = () => {
+  const snapshot = getSnapshot()
+  listeners.forEach(listener => listener(snapshot))
+}
+
+// UUIDs need a secure context; fall back to random hex elsewhere (e.g. plain http on a LAN)
+export const createRequestId = () => {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID()
+  }
+  return `${Date.now().toString(16)}-${Math.random().toString(16).slice(2, 14)}`
+}
+
+const describeEntry = (entry) => {
+  const status = entry.status || entry.error || 'no response'
+  const time = entry.responseTime !== null ? ` ${entry.responseTime}ms` : ''
+  return `${new Date(entry.timestamp).toISOString()} ${entry.method} ${entry.url} -> ${status}${time} [${entry.requestId}]`
+}
+
+const networkLog = {
+  // Record a finished request: { requestId, method, url, status, responseTime, error }
+  record: (entry) => {
+    buffer[next] = {
+      timestamp: Date.now(),
+      status: null,
+      responseTime: null,
+      error: null,
+      ...entry,
+    }
+    next = (next + 1) % buffer.length
+    size = Math.min(size + 1, buffer.length)
+    notify()
+  },
+
+  // Newest first
+  getEntries: () => getSnapshot(),
+
+  getEntry: (requestId) => {
+    return getSnapshot().find(entry => entry.requestId === requestId) || null
+  },
+
+  clear: () => {
+    buffer.fill(undefined)
+    next = 0
+    size = 0
+    notify()
+  },
+
+  subscribe: (listener) => {
+    listeners.add(listener)
+    return () => listeners.delete(listener)
+  },
+
+  // Plain-text report for support tickets: the failing request first, then
+  // recent failures and the last few requests for context
+  getDiagnostics: ({ requestId = null } = {}) => {
+    const entries = getSnapshot()
+    const failed = entries.filter(entry => entry.error)
+    const focus = requestId ? entries.find(entry => entry.requestId === requestId) : null
+
+    const lines = [
+      `${APP_CONFIG.name} ${APP_CONFIG.version}`,
+      `Time: ${new Date().toISOString()}`,
+      `Page: ${typeof window !== 'undefined' ? window.location.href : '-'}`,
+      `Browser: ${typeof navigator !== 'undefined' ? navigator.userAgent : '-'}`,
+      `Online: ${typeof navigator !== 'undefined' ? navigator.onLine : '-'}`,
+    ]
+
+    if (requestId) {
+      lines.push('', `Request ID: ${requestId}`)
+      if (focus) lines.push(describeEntry(focus))
+    }
+
+    lines.push('', 'Recent failures:')
+    lines.push(...(failed.length > 0
+      ? failed.slice(0, NETWORK_LOG_CONFIG.diagnosticsFailures).map(describeEntry)
+      : ['(none)']))
+
+    lines.push('', 'Recent requests:')
+    lines.push(...entries.slice(0, NETWORK_LOG_CONFIG.diagnosticsRequests).map(describeEntry))
+
+    return lines.join('\n')
+  },
+}
+
+export default networkLog
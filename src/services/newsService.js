@@ -3,6 +3,26 @@
 
 import api from './api'
 import { PAGINATION_CONFIG } from '../utils/constants'
+import { ValidationError } from '../utils/errors'
+import { s, parseResponse } from '../utils/schema'
+import { newsSchema, categoriesSchema, acknowledgementSchema } from './schemas'
+
+// =============================================================================
+// RESPONSE SCHEMAS
+// =============================================================================
+
+const schemas = {
+  list: s.paginated(newsSchema),
+  article: s.resource(newsSchema),
+  articles: s.list(newsSchema),
+  categories: categoriesSchema,
+  image: s.resource(s.object({ url: s.string() })),
+  acknowledgement: acknowledgementSchema,
+}
+
+// =============================================================================
+// NEWS SERVICE
+// =============================================================================
 
 const newsService = {
   // Get paginated news list with filtering
@@ -19,6 +39,7 @@ const newsService = {
 
     try {
       const response = await api.getWithCache('/news', {
+        tags: ['news'],
         params: {
           page,
           per_page,
@@ -28,12 +49,13 @@ const newsService = {
           sort_by,
           sort_order
         },
-        cacheDuration: 2 * 60 * 1000 // 2 minutes cache
+        cacheDuration: 2 * 60 * 1000, // 2 minutes cache
+        staleWhileRevalidate: true // Serve the cached list instantly while refreshing
       })
 
       return {
         success: true,
-        data: response.data
+        data: parseResponse('GET /news', schemas.list, response)
       }
     } catch (error) {
       throw error
@@ -44,12 +66,13 @@ const newsService = {
   getNewsById: async (id) => {
     try {
       const response = await api.getWithCache(`/news/${id}`, {
+        tags: [`news/${id}`],
         cacheDuration: 5 * 60 * 1000 // 5 minutes cache
       })
 
       return {
         success: true,
-        data: response.data
+        data: parseResponse('GET /news/:id', schemas.article, response)
       }
     } catch (error) {
       throw error
@@ -77,12 +100,7 @@ const newsService = {
     }
 
     if (Object.keys(errors).length > 0) {
-      throw {
-        response: {
-          status: 422,
-          data: { errors }
-        }
-      }
+      throw new ValidationError({ fields: errors })
     }
 
     try {
@@ -93,14 +111,14 @@ const newsService = {
         category,
         status,
         image_url: featured_image || image_url
-      })
+      }, { queueOffline: true })
 
       // Clear news cache after creation
-      api.clearCache('news')
+      api.invalidateTags(['news', 'stats', 'admin/articles'])
 
       return {
         success: true,
-        data: response.data,
+        data: parseResponse('POST /news', schemas.article, response),
         message: 'News article created successfully'
       }
     } catch (error) {
@@ -129,12 +147,7 @@ const newsService = {
     }
 
     if (Object.keys(errors).length > 0) {
-      throw {
-        response: {
-          status: 422,
-          data: { errors }
-        }
-      }
+      throw new ValidationError({ fields: errors })
     }
 
     try {
@@ -149,14 +162,14 @@ const newsService = {
         updateData.image_url = featured_image || image_url
       }
 
-      const response = await api.put(`/news/${id}`, updateData)
+      const response = await api.put(`/news/${id}`, updateData, { queueOffline: true })
 
       // Clear news cache after update
-      api.clearCache('news')
+      api.invalidateTags(['news', `news/${id}`, 'admin/articles'])
 
       return {
         success: true,
-        data: response.data,
+        data: parseResponse('PUT /news/:id', schemas.article, response),
         message: 'News article updated successfully'
       }
     } catch (error) {
@@ -167,14 +180,14 @@ const newsService = {
   // Delete news article
   deleteNews: async (id) => {
     try {
-      const response = await api.delete(`/news/${id}`)
+      const response = await api.delete(`/news/${id}`, { queueOffline: true })
 
       // Clear news cache after deletion
-      api.clearCache('news')
+      api.invalidateTags(['news', `news/${id}`, 'stats', 'admin/articles'])
 
       return {
         success: true,
-        data: response.data,
+        data: parseResponse('DELETE /news/:id', schemas.acknowledgement, response),
         message: 'News article deleted successfully'
       }
     } catch (error) {
@@ -186,13 +199,14 @@ const newsService = {
   getFeaturedNews: async (limit = 5) => {
     try {
       const response = await api.getWithCache('/news/featured', {
+        tags: ['news'],
         params: { limit },
         cacheDuration: 10 * 60 * 1000 // 10 minutes cache
       })
 
       return {
         success: true,
-        data: response.data
+        data: parseResponse('GET /news/featured', schemas.articles, response)
       }
     } catch (error) {
       throw error
@@ -203,13 +217,14 @@ const newsService = {
   getRecentNews: async (limit = 10) => {
     try {
       const response = await api.getWithCache('/news/recent', {
+        tags: ['news'],
         params: { limit },
         cacheDuration: 5 * 60 * 1000 // 5 minutes cache
       })
 
       return {
         success: true,
-        data: response.data
+        data: parseResponse('GET /news/recent', schemas.articles, response)
       }
     } catch (error) {
       throw error
@@ -220,12 +235,13 @@ const newsService = {
   getCategories: async () => {
     try {
       const response = await api.getWithCache('/news/categories', {
+        tags: ['news/categories'],
         cacheDuration: 30 * 60 * 1000 // 30 minutes cache
       })
 
       return {
         success: true,
-        data: response.data
+        data: parseResponse('GET /news/categories', schemas.categories, response)
       }
     } catch (error) {
       throw error
@@ -254,7 +270,7 @@ const newsService = {
 
       return {
         success: true,
-        data: response.data
+        data: parseResponse('GET /news/search', schemas.articles, response)
       }
     } catch (error) {
       throw error
@@ -264,14 +280,14 @@ const newsService = {
   // Publish news article
   publishNews: async (id) => {
     try {
-      const response = await api.patch(`/news/${id}/publish`)
+      const response = await api.patch(`/news/${id}/publish`, null, { queueOffline: true })
 
       // Clear news cache after publishing
-      api.clearCache('news')
+      api.invalidateTags(['news', `news/${id}`, 'admin/articles'])
 
       return {
         success: true,
-        data: response.data,
+        data: parseResponse('PATCH /news/:id/publish', schemas.article, response),
         message: 'News article published successfully'
       }
     } catch (error) {
@@ -282,14 +298,14 @@ const newsService = {
   // Unpublish news article
   unpublishNews: async (id) => {
     try {
-      const response = await api.patch(`/news/${id}/unpublish`)
+      const response = await api.patch(`/news/${id}/unpublish`, null, { queueOffline: true })
 
       // Clear news cache after unpublishing
-      api.clearCache('news')
+      api.invalidateTags(['news', `news/${id}`, 'admin/articles'])
 
       return {
         success: true,
-        data: response.data,
+        data: parseResponse('PATCH /news/:id/unpublish', schemas.article, response),
         message: 'News article unpublished successfully'
       }
     } catch (error) {
@@ -307,7 +323,7 @@ const newsService = {
 
       return {
         success: true,
-        data: response.data,
+        data: parseResponse('POST /news/upload-image', schemas.image, response),
         message: 'Image uploaded successfully'
       }
     } catch (error) {
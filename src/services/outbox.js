@@ -0,0 +1,189 @@
+// Persistent outbox for mutations captured while the portal is offline
+// Stores queued requests in IndexedDB and notifies subscribers when they change.
+// Each entry belongs to the user who made it: only the signed-in owner's entries
+// are listed or replayed, and the rest wait in IndexedDB until that user is back,
+// so a shared laptop never sends one person's changes under another's token.
+// Several tabs share the store, so IndexedDB, not the in-memory mirror, decides
+// whether an entry is still waiting to be sent (claim)
+
+import idb, { IDB_STORES } from '../utils/idb'
+import { OFFLINE_CONFIG } from '../utils/constants'
+
+export const OUTBOX_STATUS = {
+  PENDING: 'pending',
+  SYNCING: 'syncing',
+  CONFLICT: 'conflict',
+  FAILED: 'failed',
+}
+
+// In-memory mirror of the store so the UI can read entries synchronously
+let entries = []
+let loaded = false
+let owner = null
+let nextLocalId = -1
+
+// Optimistic update callbacks can't be persisted, so they only survive this session
+const callbacks = new Map()
+const listeners = new Set()
+
+const ownEntries = () => (owner === null ? [] : entries.filter(entry => entry.userId === owner))
+
+const notify = () => {
+  const snapshot = ownEntries()
+  listeners.forEach(listener => listener(snapshot))
+}
+
+// Persistence is best-effort: without IndexedDB the outbox still works for this session
+const persist = async (operation) => {
+  try {
+    return await operation()
+  } catch (error) {
+    console.warn('Outbox persistence failed:', error)
+    return null
+  }
+}
+
+// Syncing in another tab, unless that tab closed before it finished
+const isBeingSynced = (entry) => (
+  entry.status === OUTBOX_STATUS.SYNCING &&
+  Date.now() - (entry.syncingSince || 0) < OFFLINE_CONFIG.syncingTimeout
+)
+
+const outbox = {
+  // Load entries saved by a previous session, or by other tabs with reload
+  load: async ({ reload = false } = {}) => {
+    if (loaded && !reload) return entries
+
+    const stored = await persist(() => idb.getAll(IDB_STORES.OUTBOX))
+    loaded = true
+
+    if (stored) {
+      // Entries from before they were tagged can't be attributed to anyone
+      const untagged = stored.filter(entry => entry.userId == null)
+      await Promise.all(untagged.map(entry => persist(() => idb.delete(IDB_STORES.OUTBOX, entry.id))))
+
+      // Entries that never made it into IndexedDB only exist in this tab
+      const localOnly = entries.filter(entry => entry.id < 0)
+      entries = [...stored.filter(entry => entry.userId != null), ...localOnly]
+      notify()
+    }
+
+    return entries
+  },
+
+  // The signed-in user, or null when signed out; changes which entries are visible
+  setOwner: (userId) => {
+    const next = userId ?? null
+    if (next === owner) return
+
+    owner = next
+    notify()
+  },
+
+  getOwner: () => owner,
+
+  // Queue a request for the signed-in user; returns the stored entry
+  add: async (request, { onRollback = null } = {}) => {
+    if (owner === null) {
+      throw new Error('Cannot queue a change while signed out')
+    }
+
+    const entry = {
+      userId: owner,
+      method: request.method,
+      url: request.url,
+      data: request.data,
+      params: request.params,
+      status: OUTBOX_STATUS.PENDING,
+      error: null,
+      attempts: 0,
+      createdAt: Date.now(),
+    }
+
+    const id = await persist(() => idb.put(IDB_STORES.OUTBOX, entry))
+    entry.id = id ?? nextLocalId--
+    entries = [...entries, entry]
+
+    if (onRollback) {
+      callbacks.set(entry.id, { onRollback })
+    }
+
+    notify()
+    return entry
+  },
+
+  update: async (id, changes) => {
+    const existing = entries.find(entry => entry.id === id)
+    if (!existing) return null
+
+    const updated = { ...existing, ...changes }
+    entries = entries.map(entry => (entry.id === id ? updated : entry))
+
+    if (id >= 0) {
+      await persist(() => idb.put(IDB_STORES.OUTBOX, updated))
+    }
+
+    notify()
+    return updated
+  },
+
+  // Mark an entry as syncing if it is still waiting to be sent, re-reading it
+  // from IndexedDB first; null when another tab has sent or taken it meanwhile
+  claim: async (id) => {
+    const stored = id >= 0
+      ? await persist(() => idb.get(IDB_STORES.OUTBOX, id))
+      : null
+
+    // Undefined: removed by another tab; null: not persisted, this tab's copy is all there is
+    if (stored === undefined) {
+      entries = entries.filter(entry => entry.id !== id)
+      callbacks.delete(id)
+      notify()
+      return null
+    }
+
+    const current = stored || entries.find(entry => entry.id === id)
+    if (!current) return null
+
+    const waiting = current.status === OUTBOX_STATUS.PENDING ||
+      (current.status === OUTBOX_STATUS.SYNCING && !isBeingSynced(current))
+
+    if (!waiting) {
+      if (stored) {
+        entries = entries.map(entry => (entry.id === id ? stored : entry))
+        notify()
+      }
+      return null
+    }
+
+    entries = entries.map(entry => (entry.id === id ? current : entry))
+
+    return outbox.update(id, {
+      status: OUTBOX_STATUS.SYNCING,
+      syncingSince: Date.now(),
+      attempts: current.attempts + 1,
+    })
+  },
+
+  remove: async (id) => {
+    entries = entries.filter(entry => entry.id !== id)
+    callbacks.delete(id)
+
+    if (id >= 0) {
+      await persist(() => idb.delete(IDB_STORES.OUTBOX, id))
+    }
+
+    notify()
+  },
+
+  getEntries: () => ownEntries(),
+
+  getCallbacks: (id) => callbacks.get(id) || {},
+
+  subscribe: (listener) => {
+    listeners.add(listener)
+    return () => listeners.delete(listener)
+  },
+}
+
+export default outbox
@@ -0,0 +1,344 @@
+// Shared query cache for the hooks layer
+// Queries are identified by array keys, tagged with the API cache tags they read,
+// refetched in the background on window focus and dropped once nothing observes them
+
+import api from './api'
+import { stableStringify } from '../utils/helpers'
+import { isCancelledError, toApiError } from '../utils/errors'
+import { QUERY_CONFIG } from '../utils/constants'
+
+// =============================================================================
+// QUERY STORE
+// =============================================================================
+
+const queries = new Map()
+
+export const hashQueryKey = (queryKey) => {
+  return stableStringify(Array.isArray(queryKey) ? queryKey : [queryKey])
+}
+
+const initialState = () => ({
+  data: undefined,
+  error: null,
+  status: 'idle',
+  updatedAt: 0,
+  isFetching: false,
+  failureCount: 0,
+})
+
+const getQuery = (queryKey) => {
+  const hash = hashQueryKey(queryKey)
+  let query = queries.get(hash)
+
+  if (!query) {
+    query = {
+      hash,
+      queryKey: Array.isArray(queryKey) ? queryKey : [queryKey],
+      state: initialState(),
+      tags: new Set(),
+      cacheKeys: new Set(),
+      queryFn: null,
+      options: {},
+      observers: new Set(),
+      promise: null,
+      controller: null,
+      gcTimer: null,
+      isInvalidated: false,
+    }
+    queries.set(hash, query)
+  }
+
+  return query
+}
+
+const setState = (query, patch) => {
+  query.state = { ...query.state, ...patch }
+  query.observers.forEach(listener => listener(query.state))
+}
+
+const isStale = (query) => {
+  const staleTime = query.options.staleTime ?? QUERY_CONFIG.staleTime
+  return query.isInvalidated || Date.now() - query.state.updatedAt > staleTime
+}
+
+const removeQuery = (query) => {
+  clearTimeout(query.gcTimer)
+  query.controller?.abort()
+  queries.delete(query.hash)
+}
+
+const scheduleGc = (query) => {
+  clearTimeout(query.gcTimer)
+  if (query.observers.size > 0) return
+
+  query.gcTimer = setTimeout(() => {
+    if (query.observers.size === 0 && !query.promise) {
+      removeQuery(query)
+    }
+  }, query.options.gcTime ?? QUERY_CONFIG.gcTime)
+}
+
+// Query key prefix match, so ['news'] covers ['news', { page: 2 }]
+const matchesKey = (query, queryKey) => {
+  const prefix = Array.isArray(queryKey) ? queryKey : [queryKey]
+  return prefix.every((part, index) => (
+    stableStringify(part) === stableStringify(query.queryKey[index])
+  ))
+}
+
+// =============================================================================
+// FETCHING
+// =============================================================================
+
+const runQuery = async (query) => {
+  const { retry = 0, retryDelay = 1000, tags = [] } = query.options
+
+  query.controller?.abort()
+  const controller = new AbortController()
+  query.controller = controller
+
+  setState(query, {
+    isFetching: true,
+    status: query.state.status === 'success' ? 'success' : 'loading',
+  })
+
+  let lastError = null
+
+  for (let attempt = 0; attempt <= retry; attempt++) {
+    try {
+      // Record the API cache entries and tags read so revalidation and
+      // tag invalidation can find this query again
+      const { result, keys, tags: readTags } = api.collectCacheKeys(() => (
+        query.queryFn({ signal: controller.signal, queryKey: query.queryKey })
+      ))
+      query.cacheKeys = keys
+      query.tags = new Set([...tags, ...readTags])
+
+      const data = await result
+
+      // Superseded by a newer fetch, whose result wins
+      if (query.controller !== controller) return data
+
+      query.isInvalidated = false
+      setState(query, {
+        data,
+        error: null,
+        status: 'success',
+        updatedAt: Date.now(),
+        isFetching: false,
+        failureCount: 0,
+      })
+
+      return data
+    } catch (error) {
+      lastError = error
+
+      if (isCancelledError(error) || controller.signal.aborted) break
+
+      // A client error will fail the same way again
+      const { status } = toApiError(error)
+      if (status >= 400 && status < 500) break
+
+      setState(query, { failureCount: attempt + 1 })
+
+      if (attempt < retry) {
+        await new Promise(resolve => setTimeout(resolve, retryDelay * Math.pow(2, attempt)))
+      }
+    }
+  }
+
+  // A superseded or cancelled fetch leaves the previous result in place
+  if (isCancelledError(lastError) || controller.signal.aborted) {
+    if (query.controller === controller) {
+      setState(query, {
+        isFetching: false,
+        status: query.state.data === undefined ? 'idle' : 'success',
+        failureCount: 0,
+      })
+
+      // Aborted with the page that started it, but still on screen elsewhere
+      if (!controller.signal.aborted && query.observers.size > 0) {
+        setTimeout(() => refetchInBackground(query), 0)
+      }
+    }
+    throw lastError
+  }
+
+  setState(query, {
+    error: lastError,
+    status: 'error',
+    isFetching: false,
+  })
+
+  throw lastError
+}
+
+// Refetch without surfacing errors, for focus, invalidation and revalidation
+// Restarting replaces a fetch in flight that may have read outdated data
+const refetchInBackground = (query, { restart = false } = {}) => {
+  if (!query.queryFn || (query.promise && !restart)) return
+
+  queryClient.fetchQuery(query.queryKey, query.queryFn, { force: true }).catch(error => {
+    if (!isCancelledError(error)) {
+      console.warn('Background refetch failed:', query.hash, error)
+    }
+  })
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+const queryClient = {
+  // Resolve a query, reusing fresh data and any fetch already in flight
+  // Options: staleTime, gcTime, tags, retry, retryDelay, refetchOnWindowFocus, force
+  fetchQuery: (queryKey, queryFn, options = {}) => {
+    const { force = false, ...queryOptions } = options
+    const query = getQuery(queryKey)
+
+    query.queryFn = queryFn || query.queryFn
+    query.options = { ...query.options, ...queryOptions }
+
+    if (query.promise && !force) {
+      return query.promise
+    }
+
+    if (!force && query.state.status === 'success' && !isStale(query)) {
+      return Promise.resolve(query.state.data)
+    }
+
+    const promise = runQuery(query).finally(() => {
+      if (query.promise === promise) {
+        query.promise = null
+      }
+      scheduleGc(query)
+    })
+    query.promise = promise
+
+    return promise
+  },
+
+  // Listen to a query's state; keeps it from being garbage collected
+  subscribe: (queryKey, listener) => {
+    const query = getQuery(queryKey)
+
+    clearTimeout(query.gcTimer)
+    query.observers.add(listener)
+
+    return () => {
+      query.observers.delete(listener)
+      scheduleGc(query)
+    }
+  },
+
+  getState: (queryKey) => {
+    return queries.get(hashQueryKey(queryKey))?.state || initialState()
+  },
+
+  getQueryData: (queryKey) => {
+    return queries.get(hashQueryKey(queryKey))?.state.data
+  },
+
+  // Write data directly, e.g. for optimistic updates or appending a page
+  setQueryData: (queryKey, updater) => {
+    const query = getQuery(queryKey)
+    const data = typeof updater === 'function' ? updater(query.state.data) : updater
+
+    setState(query, {
+      data,
+      error: null,
+      status: 'success',
+      updatedAt: Date.now(),
+    })
+    scheduleGc(query)
+
+    return data
+  },
+
+  // Mark matching queries stale and refetch the ones on screen
+  // Filters: queryKey (prefix), tags, pattern (API cache key substring) or all
+  invalidateQueries: ({ queryKey, tags, pattern, all = false } = {}) => {
+    queries.forEach(query => {
+      const matches = all ||
+        (queryKey && matchesKey(query, queryKey)) ||
+        (tags && tags.some(tag => query.tags.has(tag))) ||
+        (pattern && [...query.cacheKeys].some(key => key.includes(pattern)))
+
+      if (!matches) return
+
+      query.isInvalidated = true
+      if (query.observers.size > 0) {
+        refetchInBackground(query, { restart: true })
+      }
+    })
+  },
+
+  // Drop queries whose key starts with queryKey
+  removeQueries: ({ queryKey }) => {
+    queries.forEach(query => {
+      if (matchesKey(query, queryKey)) {
+        removeQuery(query)
+      }
+    })
+  },
+
+  // Drop every query, e.g. when the user signs out
+  clear: () => {
+    queries.forEach(removeQuery)
+  },
+
+  getQueries: () => [...queries.values()].map(query => ({
+    queryKey: query.queryKey,
+    state: query.state,
+    tags: [...query.tags],
+    observers: query.observers.size,
+  })),
+}
+
+// =============================================================================
+// BACKGROUND REFETCHING
+// =============================================================================
+
+// Stale queries on screen refetch when the user comes back to the tab
+const refetchOnFocus = () => {
+  if (document.visibilityState === 'hidden') return
+
+  queries.forEach(query => {
+    const enabled = query.options.refetchOnWindowFocus ?? QUERY_CONFIG.refetchOnWindowFocus
+    if (enabled && query.observers.size > 0 && isStale(query)) {
+      refetchInBackground(query)
+    }
+  })
+}
+
+if (typeof window !== 'undefined') {
+  window.addEventListener('focus', refetchOnFocus)
+  document.addEventListener('visibilitychange', refetchOnFocus)
+}
+
+// A background revalidation in getWithCache refreshes queries that read that entry
+api.subscribeCache(({ key }) => {
+  queries.forEach(query => {
+    if (query.cacheKeys.has(key) && query.observers.size > 0) {
+      refetchInBackground(query, { restart: true })
+    }
+  })
+})
+
+// api.invalidateTags and api.clearCache invalidate the matching queries too
+api.subscribeInvalidation(({ tags, pattern }) => {
+  if (tags) {
+    queryClient.invalidateQueries({ tags })
+  } else {
+    queryClient.invalidateQueries(pattern ? { pattern } : { all: true })
+  }
+})
+
+// Everything on screen may be out of date once the backend recovers
+api.subscribeServiceStatus(({ degraded }) => {
+  if (!degraded) {
+    queryClient.invalidateQueries({ all: true })
+  }
+})
+
+export default queryClient
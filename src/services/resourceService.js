@@ -0,0 +1,48 @@
+// Resource service for the curated list of external data sources and guides
+// Read-only; the list changes rarely so it is cached generously
+
+import api from './api'
+import { s, parseResponse } from '../utils/schema'
+
+// =============================================================================
+// RESPONSE SCHEMAS
+// =============================================================================
+
+const resourceSchema = s.object({
+  id: s.number(),
+  title: s.string(),
+  description: s.string().default(''),
+  url: s.string(),
+  category: s.string().default('Other'),
+  type: s.string().default('website'),
+  featured: s.boolean().default(false),
+})
+
+const schemas = {
+  resources: s.list(resourceSchema),
+}
+
+// =============================================================================
+// RESOURCE SERVICE
+// =============================================================================
+
+const resourceService = {
+  // Get all resources
+  getResources: async () => {
+    try {
+      const response = await api.getWithCache('/resources', {
+        tags: ['resources'],
+        cacheDuration: 30 * 60 * 1000 // 30 minutes cache
+      })
+
+      return {
+        success: true,
+        data: parseResponse('GET /resources', schemas.resources, response)
+      }
+    } catch (error) {
+      throw error
+    }
+  }
+}
+
+export default resourceService
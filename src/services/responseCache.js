@@ -0,0 +1,350 @@
+// API response cache with pluggable storage backends and an LRU byte budget
+// Entries are namespaced per user so logging out can drop that user's data
+
+import idb, { IDB_STORES, isIndexedDBAvailable } from '../utils/idb'
+import { storage } from '../utils/helpers'
+import { CACHE_CONFIG, STORAGE_KEYS } from '../utils/constants'
+
+// =============================================================================
+// STORAGE BACKENDS
+// =============================================================================
+
+// A backend stores { key, entry } records next to small metadata records
+// ({ key, namespace, size, lastAccess, tags }) that the LRU index is rebuilt from
+
+export const createMemoryBackend = () => {
+  const records = new Map()
+  const metadata = new Map()
+
+  return {
+    name: 'memory',
+    getEntry: async (key) => records.get(key) || null,
+    putEntry: async (record, meta) => {
+      records.set(record.key, record)
+      metadata.set(meta.key, meta)
+    },
+    putMeta: async (meta) => {
+      metadata.set(meta.key, meta)
+    },
+    deleteEntry: async (key) => {
+      records.delete(key)
+      metadata.delete(key)
+    },
+    getAllMeta: async () => [...metadata.values()],
+    clear: async () => {
+      records.clear()
+      metadata.clear()
+    },
+  }
+}
+
+export const createIndexedDBBackend = () => ({
+  name: 'indexeddb',
+  getEntry: async (key) => (await idb.get(IDB_STORES.API_CACHE, key)) || null,
+  putEntry: async (record, meta) => {
+    await idb.put(IDB_STORES.API_CACHE, record)
+    await idb.put(IDB_STORES.API_CACHE_META, meta)
+  },
+  putMeta: (meta) => idb.put(IDB_STORES.API_CACHE_META, meta),
+  deleteEntry: async (key) => {
+    await idb.delete(IDB_STORES.API_CACHE, key)
+    await idb.delete(IDB_STORES.API_CACHE_META, key)
+  },
+  getAllMeta: () => idb.getAll(IDB_STORES.API_CACHE_META),
+  clear: async () => {
+    await idb.clear(IDB_STORES.API_CACHE)
+    await idb.clear(IDB_STORES.API_CACHE_META)
+  },
+})
+
+// Rough in-memory footprint of a JSON-like value, without serializing it
+export const estimateSize = (value) => {
+  if (value === null || value === undefined) return 0
+
+  switch (typeof value) {
+    case 'string':
+      return value.length * 2
+    case 'number':
+      return 8
+    case 'boolean':
+      return 4
+    case 'object':
+      if (Array.isArray(value)) {
+        return value.reduce((total, item) => total + estimateSize(item), 0)
+      }
+      return Object.keys(value).reduce(
+        (total, key) => total + key.length * 2 + estimateSize(value[key]),
+        0
+      )
+    default:
+      return 0
+  }
+}
+
+// =============================================================================
+// CACHE STATE
+// =============================================================================
+
+const ANONYMOUS_NAMESPACE = 'anonymous'
+
+// LRU index of every stored entry, keyed by "<namespace>:<key>"
+const index = new Map()
+
+let backend = null
+let readyPromise = null
+let indexLoaded = false
+let maxBytes = CACHE_CONFIG.maxBytes
+let namespace = storage.get(STORAGE_KEYS.CACHE_NAMESPACE) || ANONYMOUS_NAMESPACE
+
+const stats = {
+  hits: 0,
+  misses: 0,
+  writes: 0,
+  evictions: 0,
+}
+
+const toStorageKey = (key, scope = namespace) => `${scope}:${key}`
+
+const getTotalBytes = () => {
+  let total = 0
+  index.forEach(meta => {
+    total += meta.size
+  })
+  return total
+}
+
+const loadIndex = async () => {
+  indexLoaded = false
+  index.clear()
+
+  try {
+    const metadata = await backend.getAllMeta()
+    metadata.forEach(meta => index.set(meta.key, meta))
+  } catch (error) {
+    console.warn(`Response cache backend "${backend.name}" unavailable, using memory:`, error)
+    backend = createMemoryBackend()
+  }
+
+  indexLoaded = true
+}
+
+const ensureReady = () => {
+  if (!readyPromise) {
+    backend = backend || (isIndexedDBAvailable() ? createIndexedDBBackend() : createMemoryBackend())
+    readyPromise = loadIndex()
+  }
+  return readyPromise
+}
+
+// Run index mutations synchronously once loaded so invalidation is never
+// overtaken by a read; before that, queue them behind the initial load
+const whenIndexReady = (fn) => {
+  if (indexLoaded) {
+    return fn()
+  }
+  return ensureReady().then(fn)
+}
+
+const removeEntries = (storageKeys) => {
+  storageKeys.forEach(storageKey => index.delete(storageKey))
+
+  return Promise.all(storageKeys.map(storageKey => (
+    backend.deleteEntry(storageKey).catch(error => {
+      console.warn('Failed to delete cached response:', storageKey, error)
+    })
+  )))
+}
+
+// Drop least recently used entries until the cache fits its byte budget
+const evictToBudget = async () => {
+  let total = getTotalBytes()
+  if (total <= maxBytes) return
+
+  const evicted = []
+  const byLastAccess = [...index.values()].sort((a, b) => a.lastAccess - b.lastAccess)
+
+  for (const meta of byLastAccess) {
+    if (total <= maxBytes) break
+    total -= meta.size
+    evicted.push(meta.key)
+  }
+
+  stats.evictions += evicted.length
+  await removeEntries(evicted)
+}
+
+// Responses cached before the IndexedDB move lived in localStorage
+const removeLegacyEntries = () => {
+  try {
+    Object.keys(localStorage)
+      .filter(key => key.startsWith('api_cache_'))
+      .forEach(key => storage.remove(key))
+  } catch (error) {
+    console.warn('Failed to remove legacy cache entries:', error)
+  }
+}
+
+if (typeof window !== 'undefined') {
+  removeLegacyEntries()
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+const responseCache = {
+  get: async (key) => {
+    await ensureReady()
+
+    const storageKey = toStorageKey(key)
+    const meta = index.get(storageKey)
+
+    if (!meta) {
+      stats.misses++
+      return null
+    }
+
+    try {
+      const record = await backend.getEntry(storageKey)
+
+      // Missing record, or invalidated while we were reading it
+      if (!record || !index.has(storageKey)) {
+        if (!record) index.delete(storageKey)
+        stats.misses++
+        return null
+      }
+
+      meta.lastAccess = Date.now()
+      backend.putMeta(meta).catch(() => {})
+      stats.hits++
+
+      return record.entry
+    } catch (error) {
+      console.warn('Failed to read cached response:', key, error)
+      stats.misses++
+      return null
+    }
+  },
+
+  set: async (key, entry, { tags = [] } = {}) => {
+    await ensureReady()
+
+    const size = estimateSize(entry.data)
+
+    // Never let one response push out the entire cache
+    if (size > maxBytes) return
+
+    const storageKey = toStorageKey(key)
+    const meta = { key: storageKey, namespace, size, lastAccess: Date.now(), tags }
+
+    index.set(storageKey, meta)
+
+    try {
+      await backend.putEntry({ key: storageKey, entry }, meta)
+      stats.writes++
+    } catch (error) {
+      index.delete(storageKey)
+      console.warn('Failed to cache response:', key, error)
+      return
+    }
+
+    await evictToBudget()
+  },
+
+  // Remove the current user's entries, optionally only those whose key contains pattern
+  invalidate: (pattern = null) => {
+    return whenIndexReady(() => {
+      const prefix = toStorageKey('')
+      const matching = [...index.keys()].filter(storageKey => (
+        storageKey.startsWith(prefix) &&
+        (!pattern || storageKey.slice(prefix.length).includes(pattern))
+      ))
+
+      return removeEntries(matching)
+    })
+  },
+
+  // Remove the current user's entries carrying any of the given tags
+  invalidateTags: (tags = []) => {
+    return whenIndexReady(() => {
+      const matching = [...index.values()]
+        .filter(meta => (
+          meta.namespace === namespace &&
+          (meta.tags || []).some(tag => tags.includes(tag))
+        ))
+        .map(meta => meta.key)
+
+      return removeEntries(matching)
+    })
+  },
+
+  clearNamespace: (scope = namespace) => {
+    return whenIndexReady(() => {
+      const matching = [...index.values()]
+        .filter(meta => meta.namespace === scope)
+        .map(meta => meta.key)
+
+      return removeEntries(matching)
+    })
+  },
+
+  clearAll: async () => {
+    await ensureReady()
+    index.clear()
+    await backend.clear()
+  },
+
+  getNamespace: () => namespace,
+
+  // Scope subsequent reads and writes to a user (null for signed-out visitors)
+  setNamespace: (scope) => {
+    namespace = scope ? String(scope) : ANONYMOUS_NAMESPACE
+
+    if (scope) {
+      storage.set(STORAGE_KEYS.CACHE_NAMESPACE, namespace)
+    } else {
+      storage.remove(STORAGE_KEYS.CACHE_NAMESPACE)
+    }
+  },
+
+  // Swap the storage backend (e.g. memory for tests or private browsing)
+  setBackend: (nextBackend) => {
+    backend = nextBackend
+    readyPromise = loadIndex()
+    return readyPromise
+  },
+
+  configure: ({ maxBytes: nextMaxBytes } = {}) => {
+    if (nextMaxBytes) {
+      maxBytes = nextMaxBytes
+      return whenIndexReady(evictToBudget)
+    }
+    return Promise.resolve()
+  },
+
+  getStats: () => {
+    const byNamespace = {}
+
+    index.forEach(meta => {
+      const bucket = byNamespace[meta.namespace] || { entries: 0, bytes: 0 }
+      bucket.entries++
+      bucket.bytes += meta.size
+      byNamespace[meta.namespace] = bucket
+    })
+
+    const lookups = stats.hits + stats.misses
+
+    return {
+      backend: backend?.name || null,
+      namespace,
+      entries: index.size,
+      bytes: getTotalBytes(),
+      maxBytes,
+      hitRate: lookups > 0 ? stats.hits / lookups : 0,
+      byNamespace,
+      ...stats,
+    }
+  },
+}
+
+export default responseCache
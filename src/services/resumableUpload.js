@@ -0,0 +1,344 @@
+// Resumable chunked uploads over the tus protocol
+// POST creates an upload, PATCH sends chunks at an offset and HEAD reports how far
+// the server got, so an interrupted upload continues where it stopped - even
+// after a page reload, once the user selects the same file again. Saved uploads
+// belong to the user who started them, so on a shared computer nobody else sees
+// or resumes them
+
+import api from './api'
+import idb, { IDB_STORES } from '../utils/idb'
+import { CancelledError } from '../utils/errors'
+import { FILE_UPLOAD_CONFIG, HTTP_STATUS } from '../utils/constants'
+
+export const UPLOAD_STATUS = {
+  IDLE: 'idle',
+  UPLOADING: 'uploading',
+  PAUSED: 'paused',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+}
+
+const TUS_HEADERS = {
+  'Tus-Resumable': FILE_UPLOAD_CONFIG.tusVersion,
+}
+
+// Offset checks must survive navigation like the chunks they belong to
+const TUS_HEAD_CONFIG = {
+  headers: TUS_HEADERS,
+  cancelScope: false,
+}
+
+// =============================================================================
+// PERSISTENCE
+// =============================================================================
+
+// Persistence is best-effort: without IndexedDB uploads still work, they just
+// can't be resumed after a reload
+
+const saveRecord = (record) => {
+  return idb.put(IDB_STORES.UPLOADS, record).catch(error => {
+    console.warn('Failed to persist upload state:', error)
+  })
+}
+
+const loadRecord = (fingerprint) => {
+  return idb.get(IDB_STORES.UPLOADS, fingerprint).catch(() => null)
+}
+
+const removeRecord = (fingerprint) => {
+  return idb.delete(IDB_STORES.UPLOADS, fingerprint).catch(() => {})
+}
+
+// Identify a file across page loads by its name, size and modification time,
+// for the user uploading it
+export const getFingerprint = (endpoint, file, userId = api.getSignedInUserId()) => {
+  return ['tus', userId, endpoint, file.name, file.size, file.lastModified].join('::')
+}
+
+// The signed-in user's uploads that were interrupted before they finished, newest first
+export const getInterruptedUploads = async () => {
+  const userId = api.getSignedInUserId()
+  if (userId == null) return []
+
+  try {
+    const records = await idb.getAll(IDB_STORES.UPLOADS)
+
+    // Records from before they were tagged can't be attributed to anyone
+    await Promise.all(records.filter(record => record.userId == null).map(record => removeRecord(record.fingerprint)))
+
+    return records
+      .filter(record => record.userId === userId)
+      .sort((a, b) => b.updatedAt - a.updatedAt)
+  } catch {
+    return []
+  }
+}
+
+// Forget an interrupted upload and ask the server to free its partial data
+export const discardInterruptedUpload = async (fingerprint) => {
+  const record = await loadRecord(fingerprint)
+  if (record && record.userId !== api.getSignedInUserId()) return
+
+  await removeRecord(fingerprint)
+
+  if (record?.uploadUrl) {
+    await api.delete(record.uploadUrl, { headers: TUS_HEADERS }).catch(() => {})
+  }
+}
+
+// =============================================================================
+// PROTOCOL HELPERS
+// =============================================================================
+
+// Upload-Metadata is a comma separated list of "key base64(value)" pairs
+const encodeMetadata = (metadata) => {
+  return Object.entries(metadata)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => {
+      const bytes = new TextEncoder().encode(String(value))
+      const binary = Array.from(bytes, byte => String.fromCharCode(byte)).join('')
+      return `${key} ${btoa(binary)}`
+    })
+    .join(',')
+}
+
+const readOffset = (response) => {
+  const offset = Number(response.headers?.['upload-offset'])
+  return Number.isFinite(offset) ? offset : null
+}
+
+// Network failures, timeouts and server errors are worth another attempt
+const isRetryable = (error) => {
+  return !error?.status || error.status >= 500 || error.status === 408 || error.status === 429
+}
+
+const isGone = (error) => {
+  return error?.status === HTTP_STATUS.NOT_FOUND || error?.status === HTTP_STATUS.GONE
+}
+
+const createCancelledError = () => new CancelledError({ message: 'Upload cancelled' })
+
+// =============================================================================
+// UPLOAD
+// =============================================================================
+
+/**
+ * Create a resumable upload of file to a tus endpoint
+ * Call start() to begin; it resolves with { uploadUrl, uploadId } once every byte
+ * is on the server and stays pending while paused. cancel() rejects it.
+ */
+export const createResumableUpload = (endpoint, file, options = {}) => {
+  const {
+    metadata = {},
+    chunkSize = FILE_UPLOAD_CONFIG.chunkSize,
+    onProgress = null,
+    onStatusChange = null
+  } = options
+
+  const userId = api.getSignedInUserId()
+  const fingerprint = getFingerprint(endpoint, file, userId)
+
+  let status = UPLOAD_STATUS.IDLE
+  let offset = 0
+  let uploadUrl = null
+  let controller = null
+  let resumeWaiter = null
+  let runPromise = null
+
+  const setStatus = (nextStatus) => {
+    status = nextStatus
+    if (onStatusChange) onStatusChange(nextStatus)
+  }
+
+  const reportProgress = (loaded) => {
+    if (!onProgress) return
+    const percent = file.size > 0 ? Math.round((loaded * 100) / file.size) : 100
+    onProgress(percent, { loaded, total: file.size })
+  }
+
+  const persist = () => saveRecord({
+    fingerprint,
+    userId,
+    endpoint,
+    uploadUrl,
+    name: file.name,
+    size: file.size,
+    lastModified: file.lastModified,
+    offset,
+    metadata,
+    updatedAt: Date.now(),
+  })
+
+  const waitWhilePaused = () => {
+    if (status !== UPLOAD_STATUS.PAUSED) return Promise.resolve()
+    return new Promise(resolve => {
+      resumeWaiter = resolve
+    })
+  }
+
+  const createOnServer = async () => {
+    const response = await api.post(endpoint, null, {
+      headers: {
+        ...TUS_HEADERS,
+        'Upload-Length': String(file.size),
+        'Upload-Metadata': encodeMetadata({
+          filename: file.name,
+          filetype: file.type,
+          ...metadata,
+        }),
+      },
+    })
+
+    uploadUrl = response.headers?.location
+    if (!uploadUrl) {
+      throw new Error('Upload server did not return a Location header')
+    }
+
+    offset = 0
+    await persist()
+  }
+
+  const fetchOffset = async () => {
+    const response = await api.head(uploadUrl, TUS_HEAD_CONFIG)
+    return readOffset(response) ?? 0
+  }
+
+  // Continue a stored upload of the same file, or start over if the server lost it
+  const restore = async () => {
+    const record = await loadRecord(fingerprint)
+    if (!record?.uploadUrl || record.userId !== userId) return
+
+    uploadUrl = record.uploadUrl
+
+    try {
+      offset = await fetchOffset()
+      reportProgress(offset)
+    } catch (error) {
+      if (!isGone(error)) throw error
+      await removeRecord(fingerprint)
+      uploadUrl = null
+    }
+  }
+
+  const sendChunk = async () => {
+    const chunk = file.slice(offset, offset + chunkSize)
+    controller = new AbortController()
+
+    const response = await api.patch(uploadUrl, chunk, {
+      headers: {
+        ...TUS_HEADERS,
+        'Upload-Offset': String(offset),
+        'Content-Type': 'application/offset+octet-stream',
+      },
+      signal: controller.signal,
+      timeout: FILE_UPLOAD_CONFIG.chunkTimeout,
+      onUploadProgress: (progressEvent) => reportProgress(offset + progressEvent.loaded),
+    })
+
+    offset = readOffset(response) ?? offset + chunk.size
+    reportProgress(offset)
+    await persist()
+  }
+
+  const run = async () => {
+    await restore()
+
+    if (!uploadUrl) {
+      await createOnServer()
+    }
+
+    let failures = 0
+
+    while (offset < file.size) {
+      await waitWhilePaused()
+      if (status === UPLOAD_STATUS.CANCELLED) throw createCancelledError()
+
+      try {
+        await sendChunk()
+        failures = 0
+      } catch (error) {
+        // Pausing aborts the chunk in flight; it is re-sent from the server's offset
+        if (status === UPLOAD_STATUS.PAUSED) {
+          offset = await fetchOffset().catch(() => offset)
+          continue
+        }
+        if (status === UPLOAD_STATUS.CANCELLED) throw createCancelledError()
+
+        if (failures >= FILE_UPLOAD_CONFIG.retryDelays.length || !isRetryable(error)) {
+          throw error
+        }
+
+        await new Promise(resolve => setTimeout(resolve, FILE_UPLOAD_CONFIG.retryDelays[failures]))
+        failures++
+
+        // Part of the failed chunk may have arrived
+        offset = await fetchOffset().catch(() => offset)
+      }
+    }
+
+    await removeRecord(fingerprint)
+    setStatus(UPLOAD_STATUS.COMPLETED)
+
+    return {
+      uploadUrl,
+      uploadId: uploadUrl.split('/').filter(Boolean).pop(),
+    }
+  }
+
+  return {
+    fingerprint,
+    file,
+
+    start: () => {
+      if (!runPromise) {
+        setStatus(UPLOAD_STATUS.UPLOADING)
+        runPromise = run().catch(error => {
+          if (status !== UPLOAD_STATUS.CANCELLED) {
+            setStatus(UPLOAD_STATUS.FAILED)
+          }
+          runPromise = null
+          throw error
+        })
+      }
+      return runPromise
+    },
+
+    pause: () => {
+      if (status !== UPLOAD_STATUS.UPLOADING) return
+      setStatus(UPLOAD_STATUS.PAUSED)
+      controller?.abort()
+    },
+
+    resume: () => {
+      if (status !== UPLOAD_STATUS.PAUSED) return
+      setStatus(UPLOAD_STATUS.UPLOADING)
+      resumeWaiter?.()
+      resumeWaiter = null
+    },
+
+    // Stop for good and let the server discard what it has received
+    cancel: async () => {
+      if (status === UPLOAD_STATUS.COMPLETED) return
+      setStatus(UPLOAD_STATUS.CANCELLED)
+      controller?.abort()
+      resumeWaiter?.()
+      resumeWaiter = null
+
+      await removeRecord(fingerprint)
+      if (uploadUrl) {
+        await api.delete(uploadUrl, { headers: TUS_HEADERS }).catch(() => {})
+      }
+    },
+
+    getStatus: () => status,
+    getOffset: () => offset,
+  }
+}
+
+export default {
+  createResumableUpload,
+  getInterruptedUploads,
+  discardInterruptedUpload,
+  getFingerprint,
+}
@@ -0,0 +1,119 @@
+// Response schemas for the entities shared between services
+// Endpoint-specific schemas live next to the calls in each service; these are
+// the building blocks they have in common
+
+import { s } from '../utils/schema'
+import { USER_ROLES, NEWS_STATUS } from '../utils/constants'
+import { parseUserAgent } from '../utils/helpers'
+
+// =============================================================================
+// USERS
+// =============================================================================
+
+export const userSchema = s.object({
+  id: s.number(),
+  name: s.string(),
+  email: s.string(),
+  role: s.oneOf(Object.values(USER_ROLES)),
+  avatar: s.string().optional(),
+  status: s.string().optional(),
+  is_active: s.boolean().optional(),
+  // Granted by the backend; an older API without them grants nothing
+  permissions: s.array(s.string()).default([]),
+  two_factor_enabled: s.boolean().default(false),
+  two_factor_required: s.boolean().default(false),
+  // Minutes of inactivity before the portal signs out; 0 means never
+  session_idle_timeout: s.number().default(0),
+  email_verified_at: s.date().optional(),
+  // The organisation account used for single sign-on, once linked
+  sso_account: s.object({
+    email: s.string(),
+    linked_at: s.date(),
+  }).optional(),
+  last_login_at: s.date().optional(),
+  created_at: s.date().optional(),
+  updated_at: s.date().optional(),
+})
+
+// A signed-in device; browser and platform come from the server when it parses
+// the User-Agent itself, otherwise they are worked out here
+export const sessionSchema = s.object({
+  id: s.number(),
+  ip_address: s.string().optional(),
+  user_agent: s.string().default(''),
+  browser: s.string().optional(),
+  platform: s.string().optional(),
+  device_type: s.oneOf(['desktop', 'mobile', 'tablet']).optional(),
+  last_active_at: s.date(),
+  created_at: s.date().optional(),
+  is_current: s.boolean().default(false),
+}).transform(session => {
+  const parsed = parseUserAgent(session.user_agent)
+  return {
+    ...session,
+    browser: session.browser ?? parsed.browser,
+    platform: session.platform ?? parsed.platform,
+    device_type: session.device_type ?? parsed.deviceType,
+  }
+})
+
+// Some endpoints embed the author as a bare name
+export const authorSchema = s.object({
+  id: s.number().optional(),
+  name: s.string().default(''),
+}).preprocess(value => (typeof value === 'string' ? { name: value } : value))
+
+// =============================================================================
+// CONTENT
+// =============================================================================
+
+// The API calls the article text "body"; older components read "content",
+// so both are filled in
+export const newsSchema = s.object({
+  id: s.number(),
+  title: s.string(),
+  body: s.string().optional(),
+  content: s.string().optional(),
+  excerpt: s.string().default(''),
+  category: s.string().optional(),
+  status: s.oneOf(Object.values(NEWS_STATUS)).optional(),
+  image_url: s.string().optional(),
+  featured_image: s.string().optional(),
+  author: authorSchema.optional(),
+  views_count: s.number().default(0),
+  published_at: s.date().optional(),
+  created_at: s.date(),
+  updated_at: s.date().optional(),
+}).transform(news => ({
+  ...news,
+  body: news.body ?? news.content ?? '',
+  content: news.content ?? news.body ?? '',
+  featured_image: news.featured_image ?? news.image_url,
+}))
+
+export const documentSchema = s.object({
+  id: s.number(),
+  title: s.string(),
+  description: s.string().default(''),
+  category: s.string().optional(),
+  original_name: s.string().optional(),
+  mime_type: s.string().optional(),
+  file_size: s.number().default(0),
+  checksum: s.string().optional(),
+  is_public: s.boolean().optional(),
+  tags: s.array(s.string()).optional(),
+  downloads_count: s.number().default(0),
+  created_at: s.date(),
+  updated_at: s.date().optional(),
+})
+
+export const categoriesSchema = s.list(s.string())
+
+// =============================================================================
+// GENERIC
+// =============================================================================
+
+// Mutations that answer with nothing more than a confirmation, or with 204
+export const acknowledgementSchema = s.object({
+  message: s.string().optional(),
+}).preprocess(value => (value === '' ? null : value)).default({})
@@ -2,18 +2,110 @@
 // Provides comprehensive statistics with caching and real-time updates
 
 import api from './api'
+import { s, parseResponse } from '../utils/schema'
+import { USER_ROLES } from '../utils/constants'
+
+// =============================================================================
+// RESPONSE SCHEMAS
+// =============================================================================
+
+// Totals with growth against the previous period, as used by Analytics
+const totalsSchema = s.object({
+  total: s.number().default(0),
+  growth_percentage: s.number().optional(),
+}).optional()
+
+const schemas = {
+  dashboard: s.resource(s.object({
+    totalUsers: s.number().default(0),
+    usersGrowth: s.number().optional(),
+    totalDocuments: s.number().default(0),
+    documentsGrowth: s.number().optional(),
+    totalNews: s.number().default(0),
+    newsGrowth: s.number().optional(),
+    pendingArticles: s.number().default(0),
+    totalViews: s.number().optional(),
+    myArticles: s.number().optional(),
+    publishedArticles: s.number().optional(),
+    draftArticles: s.number().optional(),
+    documentsAccessed: s.number().optional(),
+    newsRead: s.number().optional(),
+    bookmarks: s.number().optional(),
+    recentActivity: s.number().optional(),
+    recentStats: s.object({
+      todayUsers: s.number().default(0),
+      todayDocuments: s.number().default(0),
+      todayNews: s.number().default(0),
+      todayViews: s.number().default(0),
+      pendingReviews: s.number().default(0),
+    }).optional(),
+    users: totalsSchema,
+    news: s.object({
+      published: s.number().default(0),
+      growth_percentage: s.number().optional(),
+    }).optional(),
+    documents: s.object({
+      total: s.number().default(0),
+      total_downloads: s.number().default(0),
+      growth_percentage: s.number().optional(),
+    }).optional(),
+  })),
+  monthlyActivity: s.list(s.object({
+    month: s.string(),
+    users: s.number().default(0),
+    news: s.number().default(0),
+    documents: s.number().default(0),
+  })),
+  roleDistribution: s.list(s.object({
+    role: s.oneOf(Object.values(USER_ROLES)),
+    count: s.number().default(0),
+  })),
+  // Daily series plotted by the dashboard's activity chart
+  activity: s.resource(s.object({
+    daily: s.array(s.object({
+      date: s.string(),
+      users: s.number().default(0),
+      documents: s.number().default(0),
+      news: s.number().default(0),
+    })).default([]),
+  })),
+  recentActivity: s.list(s.object({
+    id: s.number(),
+    type: s.string(),
+    action: s.string(),
+    title: s.string().default(''),
+    user: s.string().default(''),
+    category: s.string().optional(),
+    timestamp: s.date(),
+  })),
+  chart: s.resource(s.object({
+    labels: s.array(s.string()).default([]),
+    datasets: s.array(s.object({
+      label: s.string().optional(),
+      data: s.array(s.number()),
+    })).default([]),
+  })),
+  // Free-form reports; only the envelope is checked
+  report: s.resource(s.object({})),
+}
+
+// =============================================================================
+// STATISTICS SERVICE
+// =============================================================================
 
 const statsService = {
   // Get dashboard overview statistics
   getDashboardStats: async () => {
     try {
       const response = await api.getWithCache('/stats/dashboard', {
-        cacheDuration: 5 * 60 * 1000 // 5 minutes cache
+        tags: ['stats'],
+        cacheDuration: 5 * 60 * 1000, // 5 minutes cache
+        staleWhileRevalidate: true // Show cached stats instantly, refresh in background
       })
 
       return {
         success: true,
-        data: response.data
+        data: parseResponse('GET /stats/dashboard', schemas.dashboard, response)
       }
     } catch (error) {
       throw error
@@ -24,13 +116,14 @@ const statsService = {
   getUserStats: async (timeframe = '30d') => {
     try {
       const response = await api.getWithCache('/stats/users', {
+        tags: ['stats'],
         params: { timeframe },
         cacheDuration: 10 * 60 * 1000 // 10 minutes cache
       })
 
       return {
         success: true,
-        data: response.data
+        data: parseResponse('GET /stats/users', schemas.report, response)
       }
     } catch (error) {
       throw error
@@ -41,13 +134,14 @@ const statsService = {
   getContentStats: async (timeframe = '30d') => {
     try {
       const response = await api.getWithCache('/stats/content', {
+        tags: ['stats'],
         params: { timeframe },
         cacheDuration: 10 * 60 * 1000 // 10 minutes cache
       })
 
       return {
         success: true,
-        data: response.data
+        data: parseResponse('GET /stats/content', schemas.report, response)
       }
     } catch (error) {
       throw error
@@ -58,13 +152,30 @@ const statsService = {
   getActivityStats: async (timeframe = '7d') => {
     try {
       const response = await api.getWithCache('/stats/activity', {
+        tags: ['stats'],
         params: { timeframe },
         cacheDuration: 5 * 60 * 1000 // 5 minutes cache
       })
 
       return {
         success: true,
-        data: response.data
+        data: parseResponse('GET /stats/activity', schemas.activity, response)
+      }
+    } catch (error) {
+      throw error
+    }
+  },
+
+  // Get the latest portal events for the activity feed
+  getRecentActivity: async (limit = 8) => {
+    try {
+      const response = await api.get('/stats/recent-activity', {
+        params: { limit }
+      })
+
+      return {
+        success: true,
+        data: parseResponse('GET /stats/recent-activity', schemas.recentActivity, response)
       }
     } catch (error) {
       throw error
@@ -78,7 +189,7 @@ const statsService = {
 
       return {
         success: true,
-        data: response.data
+        data: parseResponse('GET /stats/system', schemas.report, response)
       }
     } catch (error) {
       throw error
@@ -92,7 +203,7 @@ const statsService = {
 
       return {
         success: true,
-        data: response.data
+        data: parseResponse('GET /stats/realtime', schemas.report, response)
       }
     } catch (error) {
       throw error
@@ -109,6 +220,7 @@ const statsService = {
 
     try {
       const response = await api.getWithCache(`/stats/charts/${metric}`, {
+        tags: ['stats'],
         params: {
           timeframe,
           granularity,
@@ -119,7 +231,42 @@ const statsService = {
 
       return {
         success: true,
-        data: response.data
+        data: parseResponse('GET /stats/charts/:metric', schemas.chart, response)
+      }
+    } catch (error) {
+      throw error
+    }
+  },
+
+  // Get monthly user, news and document counts
+  getMonthlyActivity: async (months = 6) => {
+    try {
+      const response = await api.getWithCache('/stats/monthly-activity', {
+        tags: ['stats'],
+        params: { months },
+        cacheDuration: 15 * 60 * 1000 // 15 minutes cache
+      })
+
+      return {
+        success: true,
+        data: parseResponse('GET /stats/monthly-activity', schemas.monthlyActivity, response)
+      }
+    } catch (error) {
+      throw error
+    }
+  },
+
+  // Get user counts per role
+  getRoleDistribution: async () => {
+    try {
+      const response = await api.getWithCache('/stats/role-distribution', {
+        tags: ['stats'],
+        cacheDuration: 15 * 60 * 1000 // 15 minutes cache
+      })
+
+      return {
+        success: true,
+        data: parseResponse('GET /stats/role-distribution', schemas.roleDistribution, response)
       }
     } catch (error) {
       throw error
@@ -132,6 +279,7 @@ const statsService = {
 
     try {
       const response = await api.getWithCache('/stats/analytics', {
+        tags: ['stats'],
         params: {
           start_date: startDate,
           end_date: endDate
@@ -141,7 +289,7 @@ const statsService = {
 
       return {
         success: true,
-        data: response.data
+        data: parseResponse('GET /stats/analytics', schemas.report, response)
       }
     } catch (error) {
       throw error
@@ -0,0 +1,164 @@
+// Cross-tab sync bus for auth, cache, theme and language changes
+// Messages go over a BroadcastChannel, or through localStorage storage events in
+// browsers without one; a tab never receives its own messages. One tab is
+// elected leader so periodic work like the token refresh runs only once.
+
+import { createRequestId } from './networkLog'
+import { storage } from '../utils/helpers'
+import { SYNC_CONFIG, STORAGE_KEYS } from '../utils/constants'
+
+export const SYNC_EVENTS = {
+  LOGIN: 'auth:login', // { token, user }
+  LOGOUT: 'auth:logout',
+  TOKEN_REFRESHED: 'auth:token-refreshed', // { token, user }
+  USER_UPDATED: 'auth:user-updated', // { user }
+  THEME_CHANGED: 'theme:changed', // { mode }, null to follow the system
+  LANGUAGE_CHANGED: 'language:changed', // { language }
+  CACHE_CLEARED: 'cache:cleared', // { pattern }
+  CACHE_TAGS_INVALIDATED: 'cache:tags-invalidated', // { tags }
+}
+
+const tabId = createRequestId()
+const isBrowser = typeof window !== 'undefined'
+
+// type -> Set of listeners
+const listeners = new Map()
+const leadershipListeners = new Set()
+
+let channel = null
+let leader = false
+
+// =============================================================================
+// TRANSPORT
+// =============================================================================
+
+const deliver = (message) => {
+  if (!message || message.source === tabId) return
+
+  listeners.get(message.type)?.forEach(listener => {
+    try {
+      listener(message.payload, message)
+    } catch (error) {
+      console.error(`Sync bus: ${message.type} listener failed:`, error)
+    }
+  })
+}
+
+// The storage event only fires for changes, so every message is written and
+// removed straight away; other tabs read it from the event itself
+const handleStorage = (event) => {
+  if (event.key !== STORAGE_KEYS.SYNC_MESSAGE || !event.newValue) return
+
+  try {
+    deliver(JSON.parse(event.newValue))
+  } catch (error) {
+    console.warn('Sync bus: ignoring malformed message:', error)
+  }
+}
+
+const connect = () => {
+  if (typeof BroadcastChannel !== 'undefined') {
+    channel = new BroadcastChannel(SYNC_CONFIG.channelName)
+    channel.onmessage = (event) => deliver(event.data)
+  } else {
+    window.addEventListener('storage', handleStorage)
+  }
+}
+
+// =============================================================================
+// LEADER ELECTION
+// =============================================================================
+
+const setLeader = (isLeader) => {
+  if (leader === isLeader) return
+  leader = isLeader
+  leadershipListeners.forEach(listener => listener(isLeader))
+}
+
+// The lock is held for the tab's lifetime and passes to a waiting tab when it closes
+const electWithLock = () => {
+  navigator.locks.request(SYNC_CONFIG.leaderLockName, () => {
+    setLeader(true)
+    return new Promise(() => {})
+  })
+}
+
+// Without Web Locks the leader renews a lease in localStorage; any tab may take
+// over once the lease runs out
+const electWithHeartbeat = () => {
+  const heartbeat = () => {
+    const lease = storage.get(STORAGE_KEYS.SYNC_LEADER)
+
+    if (!lease || lease.tabId === tabId || lease.expiresAt < Date.now()) {
+      storage.set(STORAGE_KEYS.SYNC_LEADER, { tabId, expiresAt: Date.now() + SYNC_CONFIG.leaderTimeout })
+    }
+
+    // Re-read: another tab may have written its lease at the same moment
+    setLeader(storage.get(STORAGE_KEYS.SYNC_LEADER)?.tabId === tabId)
+  }
+
+  heartbeat()
+  setInterval(heartbeat, SYNC_CONFIG.heartbeatInterval)
+
+  // Hand over straight away instead of after the lease expires
+  window.addEventListener('pagehide', () => {
+    if (leader) storage.remove(STORAGE_KEYS.SYNC_LEADER)
+  })
+}
+
+const elect = () => {
+  if (typeof navigator !== 'undefined' && navigator.locks?.request) {
+    electWithLock()
+  } else {
+    electWithHeartbeat()
+  }
+}
+
+// Outside a browser there are no other tabs, so this one leads
+if (isBrowser) {
+  connect()
+  elect()
+} else {
+  leader = true
+}
+
+// =============================================================================
+// SYNC BUS
+// =============================================================================
+
+const syncBus = {
+  tabId,
+
+  // Send an event to every other open tab
+  publish: (type, payload = {}) => {
+    const message = { type, payload, source: tabId, sentAt: Date.now() }
+
+    try {
+      if (channel) {
+        channel.postMessage(message)
+      } else if (isBrowser) {
+        storage.set(STORAGE_KEYS.SYNC_MESSAGE, message)
+        storage.remove(STORAGE_KEYS.SYNC_MESSAGE)
+      }
+    } catch (error) {
+      console.warn(`Sync bus: failed to publish ${type}:`, error)
+    }
+  },
+
+  // Receive an event published by another tab; returns an unsubscribe function
+  subscribe: (type, listener) => {
+    if (!listeners.has(type)) listeners.set(type, new Set())
+    listeners.get(type).add(listener)
+    return () => listeners.get(type).delete(listener)
+  },
+
+  // Whether this tab runs work that should happen once across all tabs
+  isLeader: () => leader,
+
+  subscribeLeadership: (listener) => {
+    leadershipListeners.add(listener)
+    return () => leadershipListeners.delete(listener)
+  },
+}
+
+export default syncBus
@@ -8,11 +8,114 @@ export const APP_CONFIG = {
   supportEmail: 'support@insbu.bi',
 }
 
+// Each deployment's config.json is loaded at startup by utils/runtimeConfig.js and
+// overrides the API, upload, feature, SSO and support settings below, so one build
+// serves every environment
+export const RUNTIME_CONFIG = {
+  url: `${import.meta.env.BASE_URL}config.json`,
+  loadTimeout: 10000, // Give up on a config.json that does not arrive
+}
+
 export const API_CONFIG = {
-  baseURL: import.meta.env.VITE_API_URL || 'http://localhost:8000/api',
+  baseURL: 'http://localhost:8000/api',
   timeout: 30000, // 30 seconds
   retryAttempts: 3,
   retryDelay: 1000, // 1 second
+  retryJitter: 0.3, // Retries wait up to 30% longer so clients don't retry in lockstep
+  retryBudget: 60 * 1000, // Total time one request may spend waiting to be retried
+}
+
+export const CACHE_CONFIG = {
+  defaultDuration: 5 * 60 * 1000, // 5 minutes
+  maxStaleAge: 24 * 60 * 60 * 1000, // Stale entries older than a day are never served
+  maxBytes: 50 * 1024 * 1024, // 50MB budget before least recently used entries are evicted
+}
+
+export const QUERY_CONFIG = {
+  staleTime: 30 * 1000, // Queries older than this refetch on focus or remount
+  gcTime: 5 * 60 * 1000, // Unobserved queries are dropped after 5 minutes
+  refetchOnWindowFocus: true,
+}
+
+export const AUTH_CONFIG = {
+  tokenRefreshLeeway: 60 * 1000, // Refresh 1 minute before the token expires
+  maxRefreshDelay: 24 * 60 * 60 * 1000, // Re-check at least once a day
+}
+
+// The timeout itself is set by admins in the system settings (session_idle_timeout)
+export const IDLE_CONFIG = {
+  warningDuration: 60 * 1000, // Countdown shown before signing out
+  maxWarningShare: 0.5, // With a short timeout the countdown takes at most this share of it
+  checkInterval: 1000,
+  activityWriteInterval: 5000, // How often activity is shared with other tabs
+  activityEvents: ['mousemove', 'mousedown', 'keydown', 'wheel', 'touchstart', 'scroll'],
+}
+
+// Single sign-on with the organisation's OpenID Connect provider (authorization
+// code flow with PKCE). The browser only handles the redirects; the backend
+// exchanges the code with the provider and checks the ID token. Set per
+// deployment in config.json
+export const SSO_CONFIG = {
+  enabled: false, // Offer "Sign in with organisation account" and account linking
+  providerName: 'organisation account', // As in "Sign in with ..."
+  authorizationEndpoint: '', // The provider's authorize URL
+  clientId: '',
+  scopes: 'openid profile email',
+  callbackPath: '/auth/callback', // Must be registered with the provider as a redirect URI
+  flowTimeout: 10 * 60 * 1000, // A sign-in that has not come back by then must start again
+}
+
+export const EMAIL_VERIFICATION_CONFIG = {
+  resendCooldown: 60 * 1000, // Wait before another verification email can be requested
+}
+
+export const TWO_FACTOR_CONFIG = {
+  codeLength: 6, // Digits in an authenticator app code
+  period: 30, // Seconds each code is valid for
+  recoveryCodesFilename: 'insbu-recovery-codes.txt',
+}
+
+export const CIRCUIT_BREAKER_CONFIG = {
+  failureThreshold: 5, // Consecutive network errors or 5xx before the circuit opens
+  probeInterval: 15 * 1000, // First health check after opening, doubling up to the max
+  maxProbeInterval: 2 * 60 * 1000,
+  probeTimeout: 5000,
+  degradedMessage: 'The INSBU server is not responding. You are viewing saved data and changes are disabled until it recovers.',
+}
+
+export const NETWORK_LOG_CONFIG = {
+  maxEntries: 200, // Requests kept for the network inspector and diagnostics
+  requestIdHeader: 'X-Request-ID',
+  diagnosticsFailures: 10,
+  diagnosticsRequests: 20,
+}
+
+export const MOCK_CONFIG = {
+  enabled: import.meta.env.VITE_MOCK_API === 'true', // Serve every request from the in-browser mock backend
+  latency: Number(import.meta.env.VITE_MOCK_LATENCY ?? 300), // Average simulated server time in ms, +/- 50%
+  errorRate: Number(import.meta.env.VITE_MOCK_ERROR_RATE ?? 0), // Share of requests (0-1) answered with errorStatus
+  errorStatus: 500,
+  tokenLifetime: 60 * 60, // Seconds until a mock access token expires
+}
+
+export const FEATURES = {
+  registration: true, // Self-service sign-up from the login page
+  offlineQueue: true, // Queue mutations made offline and replay them on reconnect
+  passkeys: true, // Passkey sign-in and registration, where the browser supports WebAuthn
+}
+
+export const SYNC_CONFIG = {
+  channelName: 'insbu_sync', // BroadcastChannel shared by every open portal tab
+  leaderLockName: 'insbu_sync_leader', // Web Lock held by the tab that runs the periodic token refresh
+  refreshLockName: 'insbu_token_refresh', // Web Lock held by whichever tab is refreshing the token
+  outboxLockName: 'insbu_outbox_replay', // Web Lock held by whichever tab is replaying the outbox
+  heartbeatInterval: 2000, // Leader heartbeat where Web Locks are unavailable
+  leaderTimeout: 6000, // A silent leader is replaced after this long
+}
+
+export const OFFLINE_CONFIG = {
+  queuedMessage: "You're offline. Your change was saved and will sync when the connection returns.",
+  syncingTimeout: 2 * 60 * 1000, // A change still syncing after this long was left by a closed tab
 }
 
 export const STORAGE_KEYS = {
@@ -20,6 +123,13 @@ export const STORAGE_KEYS = {
   THEME_MODE: 'insbu_theme_mode',
   USER_PREFERENCES: 'insbu_user_preferences',
   LANGUAGE: 'insbu_language',
+  CACHE_NAMESPACE: 'insbu_cache_namespace',
+  MOCK_BACKEND: 'insbu_mock_backend',
+  SYNC_MESSAGE: 'insbu_sync_message',
+  SYNC_LEADER: 'insbu_sync_leader',
+  LAST_ACTIVITY: 'insbu_last_activity',
+  VERIFICATION_RESEND_AT: 'insbu_verification_resend_at',
+  SSO_FLOW: 'insbu_sso_flow', // In sessionStorage, for the tab that started the redirect
 }
 
 export const USER_ROLES = {
@@ -28,30 +138,24 @@ export const USER_ROLES = {
   USER: 'user',
 }
 
-export const ROLE_PERMISSIONS = {
-  [USER_ROLES.ADMIN]: [
-    'manage_users',
-    'manage_roles',
-    'create_news',
-    'edit_news',
-    'delete_news',
-    'upload_documents',
-    'delete_documents',
-    'view_analytics',
-    'manage_system',
-  ],
-  [USER_ROLES.EDITOR]: [
-    'create_news',
-    'edit_news',
-    'delete_news',
-    'upload_documents',
-    'delete_documents',
-  ],
-  [USER_ROLES.USER]: [
-    'view_news',
-    'download_documents',
-    'view_dashboard',
-  ],
+// Permission names the backend sends with the user (user.permissions). Which
+// role grants what is decided there; check these with hasPermission, <Can> or
+// usePermission rather than by role name
+export const PERMISSIONS = {
+  VIEW_DASHBOARD: 'view_dashboard',
+  VIEW_NEWS: 'view_news',
+  CREATE_NEWS: 'create_news',
+  EDIT_NEWS: 'edit_news',
+  EDIT_ANY_NEWS: 'edit_any_news', // Not only one's own articles
+  PUBLISH_NEWS: 'publish_news', // Without going through review
+  DELETE_NEWS: 'delete_news',
+  DOWNLOAD_DOCUMENTS: 'download_documents',
+  UPLOAD_DOCUMENTS: 'upload_documents',
+  DELETE_DOCUMENTS: 'delete_documents',
+  VIEW_ANALYTICS: 'view_analytics',
+  MANAGE_USERS: 'manage_users',
+  MANAGE_ROLES: 'manage_roles',
+  MANAGE_SYSTEM: 'manage_system',
 }
 
 export const PAGINATION_CONFIG = {
@@ -61,7 +165,11 @@ export const PAGINATION_CONFIG = {
 }
 
 export const FILE_UPLOAD_CONFIG = {
-  maxSize: 10 * 1024 * 1024, // 10MB
+  maxSize: 2 * 1024 * 1024 * 1024, // 2GB, large census microdata files are uploaded in chunks
+  chunkSize: 5 * 1024 * 1024, // 5MB per PATCH request
+  chunkTimeout: 2 * 60 * 1000, // Per chunk, instead of the global request timeout
+  retryDelays: [1000, 3000, 10000], // Backoff between attempts at a failed chunk
+  tusVersion: '1.0.0',
   allowedTypes: [
     'application/pdf',
     'application/msword',
@@ -76,6 +184,13 @@ export const FILE_UPLOAD_CONFIG = {
   allowedExtensions: ['.pdf', '.doc', '.docx', '.xls', '.xlsx', '.csv', '.jpg', '.jpeg', '.png', '.gif'],
 }
 
+export const DOWNLOAD_CONFIG = {
+  maxRecent: 20, // Finished downloads kept in the tray
+  timeout: 0, // Large files can take longer than the global request timeout
+  streamThreshold: 50 * 1024 * 1024, // From this size, stream to disk instead of buffering
+  progressInterval: 100, // Minimum ms between progress updates while streaming
+}
+
 export const NEWS_STATUS = {
   DRAFT: 'draft',
   PENDING: 'pending',
@@ -146,23 +261,78 @@ export const ANIMATION_DURATION = {
 export const HTTP_STATUS = {
   OK: 200,
   CREATED: 201,
+  ACCEPTED: 202,
   NO_CONTENT: 204,
+  NOT_MODIFIED: 304,
   BAD_REQUEST: 400,
   UNAUTHORIZED: 401,
   FORBIDDEN: 403,
   NOT_FOUND: 404,
+  METHOD_NOT_ALLOWED: 405,
+  CONFLICT: 409,
+  GONE: 410,
+  PAYLOAD_TOO_LARGE: 413,
   UNPROCESSABLE_ENTITY: 422,
+  TOO_MANY_REQUESTS: 429,
   INTERNAL_SERVER_ERROR: 500,
+  SERVICE_UNAVAILABLE: 503,
 }
 
+export const LANGUAGES = {
+  en: 'English',
+  fr: 'Français',
+}
+
+export const DEFAULT_LANGUAGE = 'en'
+
+// User-facing messages for the error codes in utils/errors.js, per language
 export const ERROR_MESSAGES = {
-  NETWORK_ERROR: 'Network error. Please check your internet connection.',
-  UNAUTHORIZED: 'You are not authorized to perform this action.',
-  FORBIDDEN: 'Access denied. Insufficient permissions.',
-  NOT_FOUND: 'The requested resource was not found.',
-  VALIDATION_ERROR: 'Please check your input and try again.',
-  SERVER_ERROR: 'An internal server error occurred. Please try again later.',
-  UNKNOWN_ERROR: 'An unexpected error occurred. Please try again.',
+  en: {
+    NETWORK_ERROR: 'Network error. Please check your internet connection.',
+    TIMEOUT: 'The server took too long to respond. Please try again.',
+    CANCELLED: 'The request was cancelled.',
+    UNAUTHORIZED: 'You are not authorized to perform this action.',
+    INVALID_CREDENTIALS: 'Invalid email or password. Please check your credentials and try again.',
+    SESSION_EXPIRED: 'Your session has expired. Please log in again.',
+    TWO_FACTOR_EXPIRED: 'This sign-in attempt has expired. Please enter your email and password again.',
+    PASSKEY_UNSUPPORTED: 'This browser does not support passkeys. Sign in with your password instead.',
+    PASSKEY_ALREADY_REGISTERED: 'This device already has a passkey for your account.',
+    PASSKEY_REJECTED: 'This passkey was not recognised. Sign in with your password, then add the passkey again in Settings.',
+    SSO_FAILED: 'Signing in with your organisation account did not complete. Please try again.',
+    SSO_ACCOUNT_NOT_FOUND: 'No portal account is linked to this organisation account. Sign in with your password, then link it in Settings.',
+    FORBIDDEN: 'Access denied. Insufficient permissions.',
+    NOT_FOUND: 'The requested resource was not found.',
+    CONFLICT: 'This item was changed by someone else. Reload it and try again.',
+    VALIDATION_ERROR: 'Please check your input and try again.',
+    RATE_LIMITED: 'Too many requests. Please wait a moment and try again.',
+    SERVER_ERROR: 'An internal server error occurred. Please try again later.',
+    SERVICE_UNAVAILABLE: 'The server is temporarily unavailable. Please try again later.',
+    REQUEST_FAILED: 'The request could not be completed.',
+    UNKNOWN_ERROR: 'An unexpected error occurred. Please try again.',
+  },
+  fr: {
+    NETWORK_ERROR: 'Erreur réseau. Veuillez vérifier votre connexion internet.',
+    TIMEOUT: 'Le serveur a mis trop de temps à répondre. Veuillez réessayer.',
+    CANCELLED: 'La requête a été annulée.',
+    UNAUTHORIZED: "Vous n'êtes pas autorisé à effectuer cette action.",
+    INVALID_CREDENTIALS: 'Adresse e-mail ou mot de passe incorrect. Veuillez vérifier vos identifiants.',
+    SESSION_EXPIRED: 'Votre session a expiré. Veuillez vous reconnecter.',
+    TWO_FACTOR_EXPIRED: 'Cette tentative de connexion a expiré. Veuillez saisir à nouveau votre e-mail et votre mot de passe.',
+    PASSKEY_UNSUPPORTED: "Ce navigateur ne prend pas en charge les clés d'accès. Connectez-vous avec votre mot de passe.",
+    PASSKEY_ALREADY_REGISTERED: "Cet appareil possède déjà une clé d'accès pour votre compte.",
+    PASSKEY_REJECTED: "Cette clé d'accès n'a pas été reconnue. Connectez-vous avec votre mot de passe, puis ajoutez-la à nouveau dans les paramètres.",
+    SSO_FAILED: "La connexion avec votre compte d'organisation n'a pas abouti. Veuillez réessayer.",
+    SSO_ACCOUNT_NOT_FOUND: "Aucun compte du portail n'est lié à ce compte d'organisation. Connectez-vous avec votre mot de passe, puis liez-le dans les paramètres.",
+    FORBIDDEN: 'Accès refusé. Permissions insuffisantes.',
+    NOT_FOUND: "La ressource demandée n'a pas été trouvée.",
+    CONFLICT: "Cet élément a été modifié par quelqu'un d'autre. Rechargez-le et réessayez.",
+    VALIDATION_ERROR: 'Veuillez vérifier votre saisie et réessayer.',
+    RATE_LIMITED: 'Trop de requêtes. Veuillez patienter un instant et réessayer.',
+    SERVER_ERROR: 'Une erreur interne du serveur est survenue. Veuillez réessayer plus tard.',
+    SERVICE_UNAVAILABLE: 'Le serveur est temporairement indisponible. Veuillez réessayer plus tard.',
+    REQUEST_FAILED: "La requête n'a pas pu aboutir.",
+    UNKNOWN_ERROR: "Une erreur inattendue s'est produite. Veuillez réessayer.",
+  },
 }
 
 export const SUCCESS_MESSAGES = {
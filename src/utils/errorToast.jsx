@@ -0,0 +1,11 @@
+import toast from 'react-hot-toast'
+import ErrorToast from '../components/ErrorToast'
+
+// Show an API failure; error is the processed error from api.js (or anything
+// with a requestId) and is optional for failures that never reached the server
+export const showErrorToast = (message, error = null) => {
+  return toast.error(
+    <ErrorToast message={message} requestId={error?.requestId || null} />,
+    { duration: 8000 }
+  )
+}
@@ -0,0 +1,243 @@
+// Typed errors for everything that can go wrong talking to the API
+// Every error carries a stable code from ERROR_CODES, a message localized from
+// ERROR_MESSAGES and, for validation failures, a map of field errors for forms
+
+import { storage } from './helpers'
+import { ERROR_MESSAGES, HTTP_STATUS, LANGUAGES, DEFAULT_LANGUAGE, STORAGE_KEYS } from './constants'
+
+// =============================================================================
+// ERROR CODES
+// =============================================================================
+
+// Stable identifiers; safe to branch on, log and send to support
+export const ERROR_CODES = {
+  NETWORK_ERROR: 'NETWORK_ERROR',
+  TIMEOUT: 'TIMEOUT',
+  CANCELLED: 'CANCELLED',
+  VALIDATION_ERROR: 'VALIDATION_ERROR',
+  UNAUTHORIZED: 'UNAUTHORIZED',
+  INVALID_CREDENTIALS: 'INVALID_CREDENTIALS',
+  SESSION_EXPIRED: 'SESSION_EXPIRED',
+  TWO_FACTOR_EXPIRED: 'TWO_FACTOR_EXPIRED',
+  PASSKEY_UNSUPPORTED: 'PASSKEY_UNSUPPORTED',
+  PASSKEY_ALREADY_REGISTERED: 'PASSKEY_ALREADY_REGISTERED',
+  PASSKEY_REJECTED: 'PASSKEY_REJECTED',
+  SSO_FAILED: 'SSO_FAILED',
+  SSO_ACCOUNT_NOT_FOUND: 'SSO_ACCOUNT_NOT_FOUND',
+  FORBIDDEN: 'FORBIDDEN',
+  NOT_FOUND: 'NOT_FOUND',
+  CONFLICT: 'CONFLICT',
+  RATE_LIMITED: 'RATE_LIMITED',
+  SERVER_ERROR: 'SERVER_ERROR',
+  SERVICE_UNAVAILABLE: 'SERVICE_UNAVAILABLE',
+  REQUEST_FAILED: 'REQUEST_FAILED',
+  UNKNOWN_ERROR: 'UNKNOWN_ERROR',
+}
+
+// Preferred language from settings, then the browser, then the default
+export const getLanguage = () => {
+  const stored = storage.get(STORAGE_KEYS.LANGUAGE)
+  if (stored && LANGUAGES[stored]) return stored
+
+  const browser = typeof navigator !== 'undefined' ? (navigator.language || '').slice(0, 2) : ''
+  return LANGUAGES[browser] ? browser : DEFAULT_LANGUAGE
+}
+
+export const getErrorMessage = (code, language = getLanguage()) => {
+  const messages = ERROR_MESSAGES[language] || ERROR_MESSAGES[DEFAULT_LANGUAGE]
+  return messages[code] || ERROR_MESSAGES[DEFAULT_LANGUAGE][code] || messages.UNKNOWN_ERROR
+}
+
+// =============================================================================
+// ERROR CLASSES
+// =============================================================================
+
+export class ApiError extends Error {
+  constructor({
+    code = ERROR_CODES.UNKNOWN_ERROR,
+    status = 0,
+    message = null,
+    serverMessage = null,
+    errors = null,
+    requestId = null,
+    cause = undefined
+  } = {}) {
+    super(message || getErrorMessage(code), cause !== undefined ? { cause } : undefined)
+    this.name = 'ApiError'
+    this.code = code
+    this.status = status
+    this.serverMessage = serverMessage
+    this.errors = errors
+    this.requestId = requestId
+  }
+
+  // Worth sending again unchanged
+  get retryable() {
+    return false
+  }
+}
+
+// No response: offline, DNS, CORS or a timeout
+export class NetworkError extends ApiError {
+  constructor(options = {}) {
+    super({ code: ERROR_CODES.NETWORK_ERROR, ...options })
+    this.name = 'NetworkError'
+  }
+
+  get retryable() {
+    return this.code !== ERROR_CODES.TIMEOUT
+  }
+}
+
+// The request was aborted on purpose; never shown to the user
+export class CancelledError extends ApiError {
+  constructor(options = {}) {
+    super({ code: ERROR_CODES.CANCELLED, ...options })
+    this.name = 'CancelledError'
+  }
+}
+
+// 422, or client-side validation before a request is made
+// fields maps each field to its first message, ready for helperText
+export class ValidationError extends ApiError {
+  constructor({ fields = {}, ...options } = {}) {
+    const errors = Object.fromEntries(
+      Object.entries(fields).map(([field, messages]) => [field, [].concat(messages)])
+    )
+
+    super({
+      code: ERROR_CODES.VALIDATION_ERROR,
+      status: HTTP_STATUS.UNPROCESSABLE_ENTITY,
+      ...options,
+      errors,
+    })
+    this.name = 'ValidationError'
+    this.fields = Object.fromEntries(
+      Object.entries(errors).map(([field, messages]) => [field, messages[0]])
+    )
+  }
+}
+
+// 401: not signed in, session expired or wrong credentials
+export class AuthError extends ApiError {
+  constructor(options = {}) {
+    super({ code: ERROR_CODES.UNAUTHORIZED, status: HTTP_STATUS.UNAUTHORIZED, ...options })
+    this.name = 'AuthError'
+  }
+}
+
+// 403: signed in but not allowed
+export class PermissionError extends ApiError {
+  constructor(options = {}) {
+    super({ code: ERROR_CODES.FORBIDDEN, status: HTTP_STATUS.FORBIDDEN, ...options })
+    this.name = 'PermissionError'
+  }
+}
+
+// 429 that outlasted the automatic retries; retryAfter is in milliseconds
+export class RateLimitError extends ApiError {
+  constructor({ retryAfter = null, ...options } = {}) {
+    super({ code: ERROR_CODES.RATE_LIMITED, status: HTTP_STATUS.TOO_MANY_REQUESTS, ...options })
+    this.name = 'RateLimitError'
+    this.retryAfter = retryAfter
+  }
+
+  get retryable() {
+    return true
+  }
+}
+
+// 5xx, or the circuit breaker refusing to send while the backend is down
+export class ServerError extends ApiError {
+  constructor(options = {}) {
+    const code = options.status === HTTP_STATUS.SERVICE_UNAVAILABLE
+      ? ERROR_CODES.SERVICE_UNAVAILABLE
+      : ERROR_CODES.SERVER_ERROR
+
+    super({ code, status: HTTP_STATUS.INTERNAL_SERVER_ERROR, ...options })
+    this.name = 'ServerError'
+  }
+
+  get retryable() {
+    return true
+  }
+}
+
+// =============================================================================
+// CONVERSION
+// =============================================================================
+
+// Aborted requests (navigation, unmount, user cancel), raw or already converted
+export const isCancelledError = (error) => {
+  return Boolean(error) && (
+    error instanceof CancelledError ||
+    error.code === ERROR_CODES.CANCELLED ||
+    error.code === 'ERR_CANCELED' ||
+    error.name === 'CanceledError' ||
+    error.name === 'AbortError'
+  )
+}
+
+const STATUS_CODES = {
+  [HTTP_STATUS.NOT_FOUND]: ERROR_CODES.NOT_FOUND,
+  [HTTP_STATUS.CONFLICT]: ERROR_CODES.CONFLICT,
+}
+
+// Turn anything thrown by axios (or our own code) into an ApiError
+// Already converted errors are returned unchanged, so this is safe to call twice
+export const toApiError = (error) => {
+  if (error instanceof ApiError) return error
+
+  const cause = error
+  const requestId = error?.config?.metadata?.requestId || null
+
+  if (isCancelledError(error)) {
+    return new CancelledError({ requestId, cause })
+  }
+
+  // Refused by the circuit breaker without reaching the server
+  if (error?.code === 'ERR_CIRCUIT_OPEN') {
+    return new ServerError({ status: HTTP_STATUS.SERVICE_UNAVAILABLE, requestId, cause })
+  }
+
+  if (error?.response) {
+    const { status, data } = error.response
+    const options = {
+      status,
+      serverMessage: data?.message || null,
+      errors: data?.errors || null,
+      requestId,
+      cause,
+    }
+
+    if (status === HTTP_STATUS.UNPROCESSABLE_ENTITY) {
+      return new ValidationError({ ...options, fields: data?.errors || {} })
+    }
+    if (status === HTTP_STATUS.UNAUTHORIZED) return new AuthError(options)
+    if (status === HTTP_STATUS.FORBIDDEN) return new PermissionError(options)
+    if (status === HTTP_STATUS.TOO_MANY_REQUESTS) {
+      return new RateLimitError({ ...options, retryAfter: error.retryAfter ?? null })
+    }
+    if (status >= 500) return new ServerError(options)
+
+    // Other client errors: the server's explanation beats a generic message
+    const code = STATUS_CODES[status] || ERROR_CODES.REQUEST_FAILED
+    return new ApiError({
+      ...options,
+      code,
+      message: code === ERROR_CODES.REQUEST_FAILED ? options.serverMessage : null,
+    })
+  }
+
+  if (error?.request || error?.isAxiosError) {
+    const timedOut = error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT'
+    return new NetworkError({
+      code: timedOut ? ERROR_CODES.TIMEOUT : ERROR_CODES.NETWORK_ERROR,
+      requestId,
+      cause,
+    })
+  }
+
+  // Plain errors from our own code keep their message
+  return new ApiError({ message: error?.message || null, cause })
+}
@@ -2,7 +2,7 @@
 // Provides 50+ helper functions for dates, files, validation, performance, and more
 
 import { format, formatDistanceToNow, isValid, parseISO } from 'date-fns'
-import { STORAGE_KEYS, FILE_UPLOAD_CONFIG } from './constants'
+import { STORAGE_KEYS, FILE_UPLOAD_CONFIG, VALIDATION_RULES } from './constants'
 
 // =============================================================================
 // STORAGE UTILITIES
@@ -50,6 +50,32 @@ export const storage = {
   }
 }
 
+// =============================================================================
+// TOKEN UTILITIES
+// =============================================================================
+
+export const decodeJwtPayload = (token) => {
+  if (!token || typeof token !== 'string') return null
+
+  const parts = token.split('.')
+  if (parts.length !== 3) return null
+
+  try {
+    const base64 = parts[1].replace(/-/g, '+').replace(/_/g, '/')
+    const padded = base64.padEnd(base64.length + (4 - base64.length % 4) % 4, '=')
+    return JSON.parse(atob(padded))
+  } catch (error) {
+    console.warn('Error decoding token payload:', error)
+    return null
+  }
+}
+
+// Returns the token expiry as a millisecond timestamp, or null for opaque tokens
+export const getTokenExpiry = (token) => {
+  const payload = decodeJwtPayload(token)
+  return typeof payload?.exp === 'number' ? payload.exp * 1000 : null
+}
+
 // =============================================================================
 // DATE UTILITIES
 // =============================================================================
@@ -135,6 +161,55 @@ export const sanitizeInput = (input) => {
     .trim()
 }
 
+// Rough browser, platform and device type from a User-Agent string, for
+// listing signed-in devices; order matters since Edge and Opera also say Chrome
+const USER_AGENT_BROWSERS = [
+  ['Edge', /Edg(e|A|iOS)?\//],
+  ['Opera', /OPR\/|Opera/],
+  ['Firefox', /Firefox\/|FxiOS\//],
+  ['Chrome', /Chrome\/|CriOS\//],
+  ['Safari', /Safari\//],
+]
+
+const USER_AGENT_PLATFORMS = [
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Android', /Android/],
+  ['Windows', /Windows/],
+  ['macOS', /Macintosh|Mac OS X/],
+  ['ChromeOS', /CrOS/],
+  ['Linux', /Linux/],
+]
+
+export const parseUserAgent = (userAgent = '') => {
+  const match = (candidates) => candidates.find(([, pattern]) => pattern.test(userAgent))?.[0] || 'Unknown'
+  const deviceType = /iPad|Tablet/.test(userAgent)
+    ? 'tablet'
+    : /Mobi|iPhone|Android/.test(userAgent) ? 'mobile' : 'desktop'
+
+  return {
+    browser: match(USER_AGENT_BROWSERS),
+    platform: match(USER_AGENT_PLATFORMS),
+    deviceType
+  }
+}
+
+// Deterministic JSON for objects used as keys: object keys are sorted
+export const stableStringify = (value) => {
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value) ?? 'undefined'
+  }
+
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`
+  }
+
+  return `{${Object.keys(value)
+    .sort()
+    .filter(key => value[key] !== undefined)
+    .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+    .join(',')}}`
+}
+
 // =============================================================================
 // VALIDATION UTILITIES
 // =============================================================================
@@ -153,6 +228,27 @@ export const isValidPassword = (password) => {
   return password && password.length >= 8
 }
 
+// Rough 0-4 score for a strength meter: length plus variety of character
+// classes, with common patterns knocked down. It only guides the user; the
+// minimum length in VALIDATION_RULES is the actual requirement
+export const getPasswordStrength = (password = '') => {
+  if (!password) return 0
+
+  const classes = [/[a-z]/, /[A-Z]/, /\d/, /[^A-Za-z0-9]/].filter(pattern => pattern.test(password)).length
+  let score = 0
+
+  if (password.length >= VALIDATION_RULES.password.minLength.value) score++
+  if (password.length >= 12) score++
+  if (classes >= 3) score++
+  if (classes === 4 || password.length >= 16) score++
+
+  if (/^(.)\1+$/.test(password) || /^(password|123456|qwerty|azerty)/i.test(password)) {
+    score = Math.min(score, 1)
+  }
+
+  return score
+}
+
 export const isValidUrl = (url) => {
   try {
     new URL(url)
@@ -241,6 +337,27 @@ export const downloadFile = (url, filename) => {
   document.body.removeChild(link)
 }
 
+// Filename from a Content-Disposition header, preferring the RFC 5987 filename* form
+export const parseContentDisposition = (header) => {
+  if (!header) return null
+
+  const extended = /filename\*\s*=\s*([^']*)'[^']*'([^;]+)/i.exec(header)
+  if (extended) {
+    try {
+      return decodeURIComponent(extended[2].trim().replace(/^"|"$/g, ''))
+    } catch {
+      // Fall back to the plain filename parameter
+    }
+  }
+
+  const plain = /filename\s*=\s*("([^"]*)"|[^;]+)/i.exec(header)
+  if (plain) {
+    return (plain[2] ?? plain[1]).trim()
+  }
+
+  return null
+}
+
 // =============================================================================
 // ARRAY UTILITIES
 // =============================================================================
@@ -422,34 +539,6 @@ export const getViewportSize = () => {
 // ERROR HANDLING UTILITIES
 // =============================================================================
 
-export const handleApiError = (error) => {
-  if (error.response) {
-    // Server responded with error status
-    const status = error.response.status
-    const message = error.response.data?.message || error.message
-    
-    return {
-      status,
-      message,
-      type: 'api_error'
-    }
-  } else if (error.request) {
-    // Request made but no response
-    return {
-      status: 0,
-      message: 'Network error. Please check your connection.',
-      type: 'network_error'
-    }
-  } else {
-    // Something else happened
-    return {
-      status: 0,
-      message: error.message || 'An unexpected error occurred',
-      type: 'unknown_error'
-    }
-  }
-}
-
 export const logError = (error, context = '') => {
   if (process.env.NODE_ENV === 'development') {
     console.error(`Error ${context}:`, error)
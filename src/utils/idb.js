@@ -0,0 +1,130 @@
+// Minimal promise wrapper around IndexedDB for the portal's persistent stores
+// Every store lives in one database so upgrades are handled in a single place
+
+export const IDB_CONFIG = {
+  name: 'insbu_portal',
+  version: 4,
+}
+
+export const IDB_STORES = {
+  OUTBOX: 'outbox',
+  API_CACHE: 'api_cache',
+  API_CACHE_META: 'api_cache_meta',
+  UPLOADS: 'uploads',
+  MOCK_DATA: 'mock_data',
+  MOCK_FILES: 'mock_files',
+}
+
+let dbPromise = null
+
+// Create or migrate object stores
+const upgradeDatabase = (db) => {
+  if (!db.objectStoreNames.contains(IDB_STORES.OUTBOX)) {
+    db.createObjectStore(IDB_STORES.OUTBOX, { keyPath: 'id', autoIncrement: true })
+  }
+
+  // Response payloads and their small LRU bookkeeping records are kept apart
+  // so startup only has to read the metadata
+  if (!db.objectStoreNames.contains(IDB_STORES.API_CACHE)) {
+    db.createObjectStore(IDB_STORES.API_CACHE, { keyPath: 'key' })
+  }
+
+  if (!db.objectStoreNames.contains(IDB_STORES.API_CACHE_META)) {
+    db.createObjectStore(IDB_STORES.API_CACHE_META, { keyPath: 'key' })
+  }
+
+  // Resumable uploads in progress, keyed by file fingerprint
+  if (!db.objectStoreNames.contains(IDB_STORES.UPLOADS)) {
+    db.createObjectStore(IDB_STORES.UPLOADS, { keyPath: 'fingerprint' })
+  }
+
+  // Mock backend tables (one record per table) and the file contents behind them
+  if (!db.objectStoreNames.contains(IDB_STORES.MOCK_DATA)) {
+    db.createObjectStore(IDB_STORES.MOCK_DATA, { keyPath: 'table' })
+  }
+
+  if (!db.objectStoreNames.contains(IDB_STORES.MOCK_FILES)) {
+    db.createObjectStore(IDB_STORES.MOCK_FILES, { keyPath: 'key' })
+  }
+}
+
+export const isIndexedDBAvailable = () => {
+  return typeof window !== 'undefined' && 'indexedDB' in window
+}
+
+// Resolve an IDBRequest as a promise
+export const promisifyRequest = (request) => {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+// Open (once) the shared portal database
+export const openDatabase = () => {
+  if (!isIndexedDBAvailable()) {
+    return Promise.reject(new Error('IndexedDB is not available in this browser'))
+  }
+
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = window.indexedDB.open(IDB_CONFIG.name, IDB_CONFIG.version)
+
+      request.onupgradeneeded = () => upgradeDatabase(request.result)
+      request.onsuccess = () => {
+        const db = request.result
+        // Let another tab upgrade the schema without being blocked by us
+        db.onversionchange = () => {
+          db.close()
+          dbPromise = null
+        }
+        resolve(db)
+      }
+      request.onerror = () => {
+        dbPromise = null
+        reject(request.error)
+      }
+    })
+  }
+
+  return dbPromise
+}
+
+// Run a callback against an object store and wait for the transaction to finish
+export const withStore = async (storeName, mode, callback) => {
+  const db = await openDatabase()
+  const transaction = db.transaction(storeName, mode)
+  const done = new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve()
+    transaction.onabort = () => reject(transaction.error)
+    transaction.onerror = () => reject(transaction.error)
+  })
+
+  const result = await callback(transaction.objectStore(storeName))
+  await done
+  return result
+}
+
+export const idb = {
+  get: (storeName, key) => {
+    return withStore(storeName, 'readonly', store => promisifyRequest(store.get(key)))
+  },
+
+  getAll: (storeName) => {
+    return withStore(storeName, 'readonly', store => promisifyRequest(store.getAll()))
+  },
+
+  put: (storeName, value) => {
+    return withStore(storeName, 'readwrite', store => promisifyRequest(store.put(value)))
+  },
+
+  delete: (storeName, key) => {
+    return withStore(storeName, 'readwrite', store => promisifyRequest(store.delete(key)))
+  },
+
+  clear: (storeName) => {
+    return withStore(storeName, 'readwrite', store => promisifyRequest(store.clear()))
+  },
+}
+
+export default idb
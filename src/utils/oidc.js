@@ -0,0 +1,134 @@
+// Browser side of single sign-on with OpenID Connect (authorization code + PKCE)
+// Before redirecting to the identity provider the tab remembers a random state,
+// nonce and PKCE verifier in sessionStorage. On the way back the state must match
+// and the flow must be recent; the code and verifier then go to the backend,
+// which does the token exchange, and the nonce is checked in the ID token it
+// passes back. Nothing here ever sees a client secret or provider tokens.
+
+import { ApiError, CancelledError, ERROR_CODES } from './errors'
+import { decodeJwtPayload } from './helpers'
+import { toBase64Url } from './webauthn'
+import { SSO_CONFIG, STORAGE_KEYS } from './constants'
+
+// =============================================================================
+// PKCE
+// =============================================================================
+
+const randomString = (bytes = 32) => toBase64Url(crypto.getRandomValues(new Uint8Array(bytes)))
+
+// S256 challenge for a verifier, as in RFC 7636
+export const createCodeChallenge = async (verifier) => {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier))
+  return toBase64Url(digest)
+}
+
+// =============================================================================
+// FLOW STATE
+// =============================================================================
+
+// The user sees the generic SSO_FAILED message; the reason is kept for support
+const ssoFailed = (reason) => new ApiError({ code: ERROR_CODES.SSO_FAILED, cause: new Error(reason) })
+
+const saveFlow = (flow) => {
+  sessionStorage.setItem(STORAGE_KEYS.SSO_FLOW, JSON.stringify(flow))
+}
+
+// Single-use: the stored flow is removed as soon as it is read
+const takeFlow = () => {
+  const raw = sessionStorage.getItem(STORAGE_KEYS.SSO_FLOW)
+  sessionStorage.removeItem(STORAGE_KEYS.SSO_FLOW)
+
+  try {
+    return raw ? JSON.parse(raw) : null
+  } catch {
+    return null
+  }
+}
+
+export const getRedirectUri = () => `${window.location.origin}${SSO_CONFIG.callbackPath}`
+
+export const isSsoEnabled = () => SSO_CONFIG.enabled && !!SSO_CONFIG.authorizationEndpoint && !!SSO_CONFIG.clientId
+
+// =============================================================================
+// REDIRECTS
+// =============================================================================
+
+/**
+ * Send the browser to the identity provider
+ * intent is 'login' or 'link'; returnTo is where to go once signed in
+ */
+export const redirectToProvider = async ({ intent, returnTo = null }) => {
+  if (!isSsoEnabled()) {
+    throw ssoFailed('Single sign-on is not configured')
+  }
+
+  const flow = {
+    intent,
+    returnTo,
+    state: randomString(),
+    nonce: randomString(),
+    verifier: randomString(48),
+    redirectUri: getRedirectUri(),
+    startedAt: Date.now(),
+  }
+
+  const url = new URL(SSO_CONFIG.authorizationEndpoint, window.location.origin)
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: SSO_CONFIG.clientId,
+    redirect_uri: flow.redirectUri,
+    scope: SSO_CONFIG.scopes,
+    state: flow.state,
+    nonce: flow.nonce,
+    code_challenge: await createCodeChallenge(flow.verifier),
+    code_challenge_method: 'S256',
+    // Linking should confirm which account, not silently reuse a provider session
+    ...(intent === 'link' ? { prompt: 'select_account' } : {}),
+  }).toString()
+
+  saveFlow(flow)
+  window.location.assign(url.toString())
+}
+
+/**
+ * Check the provider's redirect back to the callback route
+ * Returns { code, flow }, or throws SSO_FAILED when the state does not match,
+ * the flow is unknown or stale, or the provider reported an error, and
+ * CancelledError when the user turned the request down there
+ */
+export const readProviderResponse = (search) => {
+  const params = new URLSearchParams(search)
+  const flow = takeFlow()
+
+  if (!flow || params.get('state') !== flow.state) {
+    throw ssoFailed('State mismatch or no sign-in in progress')
+  }
+  if (Date.now() - flow.startedAt > SSO_CONFIG.flowTimeout) {
+    throw ssoFailed('Sign-in took too long')
+  }
+  // Declined at the provider's consent or account picker
+  if (params.get('error') === 'access_denied') {
+    throw new CancelledError()
+  }
+  if (params.get('error')) {
+    throw ssoFailed(params.get('error_description') || params.get('error'))
+  }
+  if (!params.get('code')) {
+    throw ssoFailed('No authorization code returned')
+  }
+
+  return { code: params.get('code'), flow }
+}
+
+// The ID token comes from the backend, which has verified its signature; this
+// ties it to the flow that started here so a code from another tab is refused
+export const checkIdToken = (idToken, flow) => {
+  const claims = decodeJwtPayload(idToken)
+  const audience = [].concat(claims?.aud ?? [])
+
+  if (!claims || claims.nonce !== flow.nonce || !audience.includes(SSO_CONFIG.clientId)) {
+    throw ssoFailed('ID token does not match this sign-in')
+  }
+
+  return claims
+}
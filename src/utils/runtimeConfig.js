@@ -0,0 +1,198 @@
+// Per-deployment configuration read from config.json before the app starts
+// The file is served next to index.html, so the intranet, staging and public
+// deployments share one build and differ only in this file. Values are checked
+// strictly: a typo or out-of-range number stops startup with a list of problems
+// rather than leaving the portal pointed at the wrong server.
+
+import { s } from './schema'
+import {
+  RUNTIME_CONFIG,
+  APP_CONFIG,
+  API_CONFIG,
+  FILE_UPLOAD_CONFIG,
+  FEATURES,
+  SSO_CONFIG,
+  VALIDATION_RULES
+} from './constants'
+
+// =============================================================================
+// SCHEMA
+// =============================================================================
+
+const FIELDS = {
+  api: {
+    baseURL: s.string(),
+    timeout: s.number().optional(),
+    retryAttempts: s.number().optional(),
+    retryDelay: s.number().optional(),
+    retryBudget: s.number().optional(),
+  },
+  uploads: {
+    maxSize: s.number().optional(),
+    chunkSize: s.number().optional(),
+    chunkTimeout: s.number().optional(),
+  },
+  features: Object.fromEntries(Object.keys(FEATURES).map(feature => [feature, s.boolean().optional()])),
+  sso: {
+    enabled: s.boolean().optional(),
+    providerName: s.string().optional(),
+    authorizationEndpoint: s.string().optional(),
+    clientId: s.string().optional(),
+    scopes: s.string().optional(),
+  },
+}
+
+const configSchema = s.object({
+  api: s.object(FIELDS.api),
+  uploads: s.object(FIELDS.uploads).optional(),
+  features: s.object(FIELDS.features).optional(),
+  sso: s.object(FIELDS.sso).optional(),
+  supportEmail: s.string().optional(),
+})
+
+// Which constants object each section overrides
+const TARGETS = {
+  api: API_CONFIG,
+  uploads: FILE_UPLOAD_CONFIG,
+  features: FEATURES,
+  sso: SSO_CONFIG,
+}
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0
+
+// Same-origin paths like /api are fine behind a reverse proxy
+const isBaseUrl = (value) => {
+  if (value.startsWith('/')) return true
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol)
+  } catch {
+    return false
+  }
+}
+
+// [path, test(value, config), message]; skipped when the value is missing
+const RULES = [
+  ['api.baseURL', isBaseUrl, 'must be an http(s) URL or a path starting with /'],
+  ['api.timeout', isPositiveInteger, 'must be a positive number of milliseconds'],
+  ['api.retryAttempts', value => Number.isInteger(value) && value >= 0, 'must be a whole number, 0 to disable retries'],
+  ['api.retryDelay', isPositiveInteger, 'must be a positive number of milliseconds'],
+  ['api.retryBudget', isPositiveInteger, 'must be a positive number of milliseconds'],
+  ['uploads.maxSize', isPositiveInteger, 'must be a positive number of bytes'],
+  ['uploads.chunkSize', isPositiveInteger, 'must be a positive number of bytes'],
+  ['uploads.chunkTimeout', isPositiveInteger, 'must be a positive number of milliseconds'],
+  [
+    'uploads.chunkSize',
+    (value, config) => value <= (config.uploads?.maxSize ?? FILE_UPLOAD_CONFIG.maxSize),
+    'must not be larger than uploads.maxSize',
+  ],
+  ['sso.authorizationEndpoint', isBaseUrl, 'must be an http(s) URL or a path starting with /'],
+  ['sso.scopes', value => value.split(' ').includes('openid'), 'must include openid'],
+  [
+    'sso.enabled',
+    (value, config) => !value || Boolean(config.sso.authorizationEndpoint && config.sso.clientId),
+    'needs sso.authorizationEndpoint and sso.clientId',
+  ],
+  ['supportEmail', value => VALIDATION_RULES.email.pattern.value.test(value), 'must be an email address'],
+]
+
+const getPath = (config, path) => path.split('.').reduce((value, key) => value?.[key], config)
+
+const findUnknownKeys = (raw) => {
+  const issues = []
+  const known = [...Object.keys(FIELDS), 'supportEmail']
+
+  Object.keys(raw).forEach(key => {
+    if (!known.includes(key)) {
+      issues.push({ path: key, message: 'is not a recognised setting' })
+    } else if (FIELDS[key] && raw[key] && typeof raw[key] === 'object') {
+      Object.keys(raw[key])
+        .filter(field => !FIELDS[key][field])
+        .forEach(field => issues.push({ path: `${key}.${field}`, message: 'is not a recognised setting' }))
+    }
+  })
+
+  return issues
+}
+
+// =============================================================================
+// LOADING
+// =============================================================================
+
+export class RuntimeConfigError extends Error {
+  constructor(message, { issues = [], cause } = {}) {
+    super(message, { cause })
+    this.name = 'RuntimeConfigError'
+    this.issues = issues
+  }
+}
+
+/**
+ * Check a parsed config.json
+ * Returns the normalized config or throws RuntimeConfigError listing every problem
+ */
+export const validateRuntimeConfig = (raw) => {
+  if (raw === null || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new RuntimeConfigError('config.json must contain a JSON object')
+  }
+
+  const ctx = { issues: [] }
+  const config = configSchema.parse(raw, ctx)
+  const typeIssues = ctx.issues.map(issue => issue.path)
+
+  RULES.forEach(([path, test, message]) => {
+    const value = getPath(config, path)
+    if (value === undefined || value === null || typeIssues.includes(path)) return
+    if (!test(value, config)) ctx.issues.push({ path, message })
+  })
+
+  const issues = [...findUnknownKeys(raw), ...ctx.issues]
+  if (issues.length > 0) {
+    throw new RuntimeConfigError('config.json contains invalid settings', { issues })
+  }
+
+  return config
+}
+
+// Copy the validated values over the built-in defaults
+const applyRuntimeConfig = (config) => {
+  Object.entries(TARGETS).forEach(([section, target]) => {
+    Object.entries(config[section] || {}).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) target[key] = value
+    })
+  })
+
+  if (config.supportEmail) {
+    APP_CONFIG.supportEmail = config.supportEmail
+  }
+}
+
+/**
+ * Fetch, validate and apply config.json
+ * Must finish before anything reads API_CONFIG, which is why main.jsx only
+ * imports the app once this resolves
+ */
+export const loadRuntimeConfig = async () => {
+  const controller = new AbortController()
+  const timer = setTimeout(() => controller.abort(), RUNTIME_CONFIG.loadTimeout)
+
+  let raw
+  try {
+    const response = await fetch(RUNTIME_CONFIG.url, { cache: 'no-store', signal: controller.signal })
+    if (!response.ok) {
+      throw new RuntimeConfigError(`Could not load ${RUNTIME_CONFIG.url} (HTTP ${response.status})`)
+    }
+
+    raw = await response.json().catch(cause => {
+      throw new RuntimeConfigError('config.json is not valid JSON', { cause })
+    })
+  } catch (error) {
+    if (error instanceof RuntimeConfigError) throw error
+    throw new RuntimeConfigError(`Could not load ${RUNTIME_CONFIG.url}: ${error.message}`, { cause: error })
+  } finally {
+    clearTimeout(timer)
+  }
+
+  const config = validateRuntimeConfig(raw)
+  applyRuntimeConfig(config)
+  return config
+}
@@ -0,0 +1,233 @@
+// Runtime schemas for API responses
+// Services declare the shape they expect from each endpoint; parseResponse()
+// normalizes what the server actually sent (numeric strings, ISO dates, Laravel
+// paginators and resource wrappers) and reports every mismatch by endpoint and
+// field instead of letting a page crash on undefined somewhere far away
+
+import { isDevelopment } from './helpers'
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+const isPlainObject = (value) => {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date)
+}
+
+const describe = (value) => {
+  if (value === null) return 'null'
+  if (Array.isArray(value)) return 'array'
+  if (value instanceof Date) return 'date'
+  if (typeof value === 'string') return `"${value.length > 40 ? `${value.slice(0, 40)}...` : value}"`
+  return typeof value
+}
+
+const joinPath = (path, key) => {
+  if (typeof key === 'number') return `${path}[${key}]`
+  return path ? `${path}.${key}` : key
+}
+
+// =============================================================================
+// SCHEMA BUILDERS
+// =============================================================================
+
+// Every schema is { type, parse(value, ctx, path) } plus chainable modifiers:
+// optional() accepts missing or null, default(value) fills them in, preprocess()
+// and transform() reshape the value before and after it is checked
+const createSchema = (type, check, options = {}) => {
+  const { optional = false, fallback, before = null, after = null } = options
+
+  const parse = (input, ctx, path = '') => {
+    const value = before ? before(input) : input
+
+    if (value === undefined || value === null) {
+      if (fallback !== undefined) return typeof fallback === 'function' ? fallback() : fallback
+      if (optional) return value
+      ctx.issues.push({ path, message: `expected ${type}, got ${describe(value)}` })
+      return value
+    }
+
+    const result = check(value, ctx, path)
+    return after ? after(result) : result
+  }
+
+  const extend = (changes) => createSchema(type, check, { ...options, ...changes })
+
+  return {
+    type,
+    parse,
+    optional: () => extend({ optional: true }),
+    default: (value) => extend({ fallback: value }),
+    preprocess: (fn) => extend({ before: before ? value => before(fn(value)) : fn }),
+    transform: (fn) => extend({ after: after ? value => fn(after(value)) : fn }),
+  }
+}
+
+// Report a mismatch and carry on with what the server sent
+const mismatch = (type, value, ctx, path) => {
+  ctx.issues.push({ path, message: `expected ${type}, got ${describe(value)}` })
+  return value
+}
+
+const string = () => createSchema('string', (value, ctx, path) => {
+  if (typeof value === 'string') return value
+  if (typeof value === 'number') return String(value)
+  return mismatch('string', value, ctx, path)
+})
+
+// Laravel serializes decimals and some counts as strings
+const number = () => createSchema('number', (value, ctx, path) => {
+  if (typeof value === 'number' && !Number.isNaN(value)) return value
+  if (typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value))) return Number(value)
+  return mismatch('number', value, ctx, path)
+})
+
+const boolean = () => createSchema('boolean', (value, ctx, path) => {
+  if (typeof value === 'boolean') return value
+  if (value === 0 || value === 1 || value === '0' || value === '1') return Number(value) === 1
+  return mismatch('boolean', value, ctx, path)
+})
+
+// ISO strings and timestamps become Date objects
+const date = () => createSchema('date', (value, ctx, path) => {
+  const parsed = value instanceof Date ? value : new Date(value)
+  if ((typeof value === 'string' || typeof value === 'number' || value instanceof Date) && !Number.isNaN(parsed.getTime())) {
+    return parsed
+  }
+  mismatch('date', value, ctx, path)
+  return null
+})
+
+const oneOf = (values) => createSchema(`one of ${values.join(', ')}`, (value, ctx, path) => {
+  if (values.includes(value)) return value
+  return mismatch(`one of ${values.join(', ')}`, value, ctx, path)
+})
+
+const any = () => createSchema('any', (value) => value, { optional: true })
+
+// Arrays always come back as arrays so callers can map() safely
+const array = (item) => createSchema(`array of ${item.type}`, (value, ctx, path) => {
+  if (!Array.isArray(value)) {
+    mismatch('array', value, ctx, path)
+    return []
+  }
+  return value.map((entry, index) => item.parse(entry, ctx, joinPath(path, index)))
+})
+
+// Declared keys are checked; anything else the server sends is kept as is
+const object = (shape) => createSchema('object', (value, ctx, path) => {
+  if (!isPlainObject(value)) {
+    mismatch('object', value, ctx, path)
+    return {}
+  }
+
+  const result = { ...value }
+  Object.entries(shape).forEach(([key, field]) => {
+    const parsed = field.parse(value[key], ctx, joinPath(path, key))
+    if (parsed !== undefined) result[key] = parsed
+  })
+  return result
+})
+
+// Unwrap Laravel API resources ({ data: {...} }) when the server wraps them
+const resource = (inner) => {
+  return inner.preprocess(value => (
+    isPlainObject(value) && isPlainObject(value.data) && value.id === undefined ? value.data : value
+  ))
+}
+
+// Same for resource collections ({ data: [...] })
+const list = (item) => {
+  return array(item).preprocess(value => (
+    isPlainObject(value) && Array.isArray(value.data) ? value.data : value
+  ))
+}
+
+const pageMeta = object({
+  current_page: number().default(1),
+  last_page: number().default(1),
+  per_page: number().optional(),
+  total: number().optional(),
+})
+
+// Every paginated endpoint comes back as { data, meta: { current_page,
+// last_page, per_page, total } }, whether the server sent a flat Laravel
+// paginator, a resource collection with meta, or a bare array
+const paginated = (item) => createSchema(`paginated ${item.type}`, (value, ctx, path) => {
+  const body = Array.isArray(value) ? { data: value, total: value.length } : value
+
+  if (!isPlainObject(body)) {
+    mismatch('paginated list', value, ctx, path)
+    return { data: [], meta: { current_page: 1, last_page: 1, per_page: 0, total: 0 } }
+  }
+
+  const data = array(item).parse(body.data, ctx, joinPath(path, 'data'))
+  const meta = pageMeta.parse(isPlainObject(body.meta) ? body.meta : body, ctx, joinPath(path, 'meta'))
+
+  return {
+    data,
+    meta: {
+      current_page: meta.current_page,
+      last_page: meta.last_page,
+      per_page: meta.per_page ?? data.length,
+      total: meta.total ?? data.length,
+    },
+  }
+})
+
+export const s = {
+  string,
+  number,
+  boolean,
+  date,
+  oneOf,
+  any,
+  array,
+  object,
+  resource,
+  list,
+  paginated,
+}
+
+// =============================================================================
+// VALIDATION
+// =============================================================================
+
+// Each endpoint and field is reported once, so polling does not flood the console
+const reported = new Set()
+
+const reportViolations = (endpoint, issues) => {
+  const fresh = issues.filter(issue => {
+    const key = `${endpoint} ${issue.path}`
+    if (reported.has(key)) return false
+    reported.add(key)
+    return true
+  })
+
+  if (fresh.length === 0) return
+
+  console.error(
+    `API contract violation in ${endpoint}:\n` +
+    fresh.map(issue => `  ${issue.path || '(response)'}: ${issue.message}`).join('\n')
+  )
+}
+
+/**
+ * Validate and normalize a service response against its schema
+ * endpoint names the call in reports, e.g. 'GET /news/:id'
+ * Queued offline mutations have no server response yet and pass through untouched
+ */
+export const parseResponse = (endpoint, schema, response) => {
+  if (response?.queued) return response.data
+
+  const ctx = { issues: [] }
+  const data = schema.parse(response?.data, ctx)
+
+  if (ctx.issues.length > 0 && isDevelopment()) {
+    reportViolations(endpoint, ctx.issues)
+  }
+
+  return data
+}
+
+export default s
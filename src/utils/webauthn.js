@@ -0,0 +1,128 @@
+// Browser side of passkey registration and sign-in
+// The server sends WebAuthn options as JSON with binary fields base64url-encoded
+// and expects the credential back the same way (the WebAuthn JSON format used by
+// Laravel's passkey packages), so this module only converts between that and
+// navigator.credentials, and turns browser exceptions into ApiErrors
+
+import { ApiError, CancelledError, ERROR_CODES } from './errors'
+
+// =============================================================================
+// ENCODING
+// =============================================================================
+
+export const toBase64Url = (buffer) => {
+  let binary = ''
+  new Uint8Array(buffer).forEach(byte => { binary += String.fromCharCode(byte) })
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+export const fromBase64Url = (value) => {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/')
+  const binary = atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, '='))
+  return Uint8Array.from(binary, char => char.charCodeAt(0))
+}
+
+const optionalBase64Url = (buffer) => (buffer ? toBase64Url(buffer) : null)
+
+const decodeDescriptors = (descriptors = []) => {
+  return descriptors.map(descriptor => ({ ...descriptor, id: fromBase64Url(descriptor.id) }))
+}
+
+// =============================================================================
+// CEREMONIES
+// =============================================================================
+
+export const isPasskeySupported = () => {
+  return typeof window !== 'undefined' &&
+    typeof window.PublicKeyCredential === 'function' &&
+    typeof navigator.credentials?.create === 'function'
+}
+
+// NotAllowedError covers both "the user closed the prompt" and "it timed out";
+// neither is worth an error message
+const toPasskeyError = (error) => {
+  if (error?.name === 'NotAllowedError' || error?.name === 'AbortError') {
+    return new CancelledError({ cause: error })
+  }
+  if (error?.name === 'InvalidStateError') {
+    return new ApiError({ code: ERROR_CODES.PASSKEY_ALREADY_REGISTERED, cause: error })
+  }
+  return new ApiError({ message: error?.message || null, cause: error })
+}
+
+const assertSupported = () => {
+  if (!isPasskeySupported()) {
+    throw new ApiError({ code: ERROR_CODES.PASSKEY_UNSUPPORTED })
+  }
+}
+
+const serializeCredential = (credential, response) => ({
+  id: credential.id,
+  rawId: toBase64Url(credential.rawId),
+  type: credential.type,
+  authenticatorAttachment: credential.authenticatorAttachment ?? null,
+  clientExtensionResults: credential.getClientExtensionResults(),
+  response,
+})
+
+/**
+ * Create a passkey from the server's creation options
+ * Returns the attestation ready to post back
+ */
+export const createPasskey = async (options) => {
+  assertSupported()
+
+  let credential
+  try {
+    credential = await navigator.credentials.create({
+      publicKey: {
+        ...options,
+        challenge: fromBase64Url(options.challenge),
+        user: { ...options.user, id: fromBase64Url(options.user.id) },
+        excludeCredentials: decodeDescriptors(options.excludeCredentials),
+      },
+    })
+  } catch (error) {
+    throw toPasskeyError(error)
+  }
+
+  const { response } = credential
+  return serializeCredential(credential, {
+    clientDataJSON: toBase64Url(response.clientDataJSON),
+    attestationObject: toBase64Url(response.attestationObject),
+    transports: response.getTransports?.() || [],
+    // Lets the server read the key without decoding the CBOR attestation object
+    publicKey: optionalBase64Url(response.getPublicKey?.()),
+    publicKeyAlgorithm: response.getPublicKeyAlgorithm?.() ?? null,
+    authenticatorData: optionalBase64Url(response.getAuthenticatorData?.()),
+  })
+}
+
+/**
+ * Sign the server's challenge with one of the user's passkeys
+ * Returns the assertion ready to post back
+ */
+export const getPasskey = async (options) => {
+  assertSupported()
+
+  let credential
+  try {
+    credential = await navigator.credentials.get({
+      publicKey: {
+        ...options,
+        challenge: fromBase64Url(options.challenge),
+        allowCredentials: decodeDescriptors(options.allowCredentials),
+      },
+    })
+  } catch (error) {
+    throw toPasskeyError(error)
+  }
+
+  const { response } = credential
+  return serializeCredential(credential, {
+    clientDataJSON: toBase64Url(response.clientDataJSON),
+    authenticatorData: toBase64Url(response.authenticatorData),
+    signature: toBase64Url(response.signature),
+    userHandle: optionalBase64Url(response.userHandle),
+  })
+}